@@ -2,6 +2,74 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { Canvas, useFrame } from '@react-three/fiber';
 import { threeJSResourceManager } from '../utils/resourceCleanup';
+import { REACTION_DURATION_MS } from '../utils/devEvents';
+
+/**
+ * Squashes the character on every spoken word so its mouth follows the voice
+ * layer. Word times live in a ref, so speech never re-renders the host.
+ */
+const SpeechSync = ({ lastWordRef, children }) => {
+  const groupRef = useRef();
+
+  useFrame(() => {
+    if (!groupRef.current) return;
+    const secondsSinceWord = (performance.now() - lastWordRef.current) / 1000;
+    const open = secondsSinceWord < 0.5 ? Math.exp(-secondsSinceWord * 10) : 0;
+    groupRef.current.scale.set(1 + open * 0.04, 1 + open * 0.12, 1 + open * 0.04);
+  });
+
+  return <group ref={groupRef}>{children}</group>;
+};
+
+// Reaction motions by name (see REACTION_ANIMATIONS); progress runs from 0 to 1
+const REACTION_MOTIONS = {
+  shake: (group, progress) => {
+    group.position.x = Math.sin(progress * 60) * 0.08 * (1 - progress);
+  },
+  bounce: (group, progress) => {
+    group.position.y = Math.abs(Math.sin(progress * Math.PI * 3)) * 0.3 * (1 - progress);
+  },
+  spin: (group, progress) => {
+    group.rotation.y = (1 - Math.pow(1 - progress, 3)) * Math.PI * 2;
+  },
+  pulse: (group, progress) => {
+    group.scale.setScalar(1 + Math.sin(progress * Math.PI * 4) * 0.15 * (1 - progress));
+  },
+  slump: (group, progress) => {
+    group.rotation.z = Math.sin(progress * Math.PI) * 0.4;
+    group.position.y = -Math.sin(progress * Math.PI) * 0.2;
+  }
+};
+
+/**
+ * Plays a reaction to a developer event (!react) around any character, so
+ * modes only name the motion in their config.json
+ */
+const ReactionMotion = ({ reaction, children }) => {
+  const groupRef = useRef();
+  const startRef = useRef(null);
+
+  useEffect(() => {
+    startRef.current = reaction && REACTION_MOTIONS[reaction.animation] ? performance.now() : null;
+  }, [reaction]);
+
+  useFrame(() => {
+    const group = groupRef.current;
+    if (!group || startRef.current === null) return;
+
+    const progress = (performance.now() - startRef.current) / REACTION_DURATION_MS;
+    group.position.set(0, 0, 0);
+    group.rotation.set(0, 0, 0);
+    group.scale.setScalar(1);
+    if (progress >= 1) {
+      startRef.current = null;
+      return;
+    }
+    REACTION_MOTIONS[reaction.animation](group, progress);
+  });
+
+  return <group ref={groupRef}>{children}</group>;
+};
 
 /**
  * CharacterHost - Manages and positions animated characters in bottom-right corner
@@ -12,6 +80,9 @@ const CharacterHost = ({
   characterComponent: CharacterComponent,
   config = {},
   onSpeak = null,
+  onSpeakStart = null,
+  speechSource = null,
+  reaction = null,
   isVisible = true,
   className = '',
   style = {},
@@ -19,6 +90,7 @@ const CharacterHost = ({
 }) => {
   const [speakTrigger, setSpeakTrigger] = useState(0);
   const [isAnimating, setIsAnimating] = useState(false);
+  const [isSpeaking, setIsSpeaking] = useState(false);
   const [characterError, setCharacterError] = useState(null);
   const [canvasSize, setCanvasSize] = useState({ width: 200, height: 200 });
   
@@ -27,6 +99,10 @@ const CharacterHost = ({
   const animationTimeoutRef = useRef(null);
   const canvasRef = useRef(null);
   const resizeTimeoutRef = useRef(null);
+  // Kept in a ref so a new callback does not re-trigger the speak effect below
+  const onSpeakStartRef = useRef(onSpeakStart);
+  onSpeakStartRef.current = onSpeakStart;
+  const lastWordRef = useRef(-Infinity);
 
   /**
    * Trigger speak animation
@@ -45,6 +121,11 @@ const CharacterHost = ({
     setSpeakTrigger(prev => prev + 1);
     setIsAnimating(true);
 
+    // Let the page play the mode's speak cue in step with the animation
+    if (onSpeakStartRef.current) {
+      onSpeakStartRef.current(currentMode);
+    }
+
     // Reset animation state after duration
     animationTimeoutRef.current = setTimeout(() => {
       if (mountedRef.current) {
@@ -64,6 +145,28 @@ const CharacterHost = ({
     }
   }, [onSpeak, triggerSpeakAnimation]);
 
+  /**
+   * Follow the voice layer: speaking state on start/end, mouth on each word
+   */
+  useEffect(() => {
+    if (!speechSource) return;
+
+    const handleSpeech = (event) => {
+      if (!mountedRef.current) return;
+      if (event === 'boundary') {
+        lastWordRef.current = performance.now();
+      } else if (event === 'start' || event === 'end') {
+        setIsSpeaking(event === 'start');
+      }
+    };
+
+    speechSource.addListener(handleSpeech);
+    return () => {
+      speechSource.removeListener(handleSpeech);
+      setIsSpeaking(false);
+    };
+  }, [speechSource]);
+
   /**
    * Enhanced responsive canvas sizing with breakpoint awareness
    */
@@ -354,9 +457,10 @@ const CharacterHost = ({
   }
 
   // Main character display
+  const showSpeaking = isAnimating || isSpeaking;
   return (
     <div 
-      className={`character-host active ${isAnimating ? 'speaking' : ''} ${className}`}
+      className={`character-host active ${showSpeaking ? 'speaking' : ''} ${className}`}
       style={{
         position: 'fixed',
         bottom: '20px',
@@ -366,13 +470,13 @@ const CharacterHost = ({
         zIndex: 100,
         borderRadius: '8px',
         overflow: 'hidden',
-        border: isAnimating ? `2px solid ${config.colors?.primary || '#00ff00'}` : '2px solid transparent',
-        boxShadow: isAnimating ? `0 0 20px ${config.colors?.primary || '#00ff00'}40` : 'none',
+        border: showSpeaking ? `2px solid ${config.colors?.primary || '#00ff00'}` : '2px solid transparent',
+        boxShadow: showSpeaking ? `0 0 20px ${config.colors?.primary || '#00ff00'}40` : 'none',
         transition: 'all 0.3s ease',
         ...style
       }}
       role="img"
-      aria-label={`${currentMode} character ${isAnimating ? 'speaking' : 'idle'}`}
+      aria-label={`${currentMode} character ${showSpeaking ? 'speaking' : 'idle'}`}
       aria-live="polite"
     >
       {/* Character Canvas */}
@@ -405,12 +509,16 @@ const CharacterHost = ({
         />
         
         {/* Character Component with speak animation trigger */}
-        <ActiveCharacterComponent 
-          onSpeak={speakTrigger}
-          config={config}
-          isAnimating={isAnimating}
-          mode={currentMode}
-        />
+        <ReactionMotion reaction={reaction}>
+          <SpeechSync lastWordRef={lastWordRef}>
+            <ActiveCharacterComponent 
+              onSpeak={speakTrigger}
+              config={config}
+              isAnimating={isAnimating}
+              mode={currentMode}
+            />
+          </SpeechSync>
+        </ReactionMotion>
       </Canvas>
 
       {/* Character Status Indicator */}
@@ -433,7 +541,7 @@ const CharacterHost = ({
           style={{
             height: '100%',
             backgroundColor: config.colors?.primary || '#00ff00',
-            width: isAnimating ? '100%' : '20%',
+            width: showSpeaking ? '100%' : '20%',
             transition: 'width 0.3s ease',
             borderRadius: '1px'
           }}
@@ -442,7 +550,7 @@ const CharacterHost = ({
 
       {/* Accessibility announcements */}
       <div className="sr-only" aria-live="polite" aria-atomic="true">
-        {isAnimating && `${currentMode} character is speaking`}
+        {showSpeaking && `${currentMode} character is speaking`}
       </div>
 
       {/* Development info */}
@@ -461,7 +569,7 @@ const CharacterHost = ({
           }}
         >
           {currentMode}
-          {isAnimating && ' [SPEAK]'}
+          {showSpeaking && ' [SPEAK]'}
         </div>
       )}
     </div>
@@ -482,6 +590,15 @@ CharacterHost.propTypes = {
     })
   }),
   onSpeak: PropTypes.number,
+  onSpeakStart: PropTypes.func,
+  speechSource: PropTypes.shape({
+    addListener: PropTypes.func.isRequired,
+    removeListener: PropTypes.func.isRequired
+  }),
+  reaction: PropTypes.shape({
+    animation: PropTypes.string,
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+  }),
   isVisible: PropTypes.bool,
   className: PropTypes.string,
   style: PropTypes.object,
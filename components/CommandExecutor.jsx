@@ -8,14 +8,32 @@
 import React, { useRef, useCallback, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import SettingsManager from '../utils/SettingsManager.js';
+import { getSettingsManager } from '../utils/useSettingsManager.js';
+import {
+  normalizeSchedule,
+  mergeSchedules,
+  evaluateSchedule,
+  describeEvaluation,
+  formatSchedule
+} from '../utils/scheduleRules.js';
+import { splitCommands, MAX_SCRIPT_COMMANDS, MAX_SCRIPT_DEPTH } from '../utils/terminalScript.js';
+import { getRegisteredCommand } from '../utils/commandRegistry.js';
 
 class CommandExecutor {
   constructor(options = {}) {
     this.onCharacterSwitch = options.onCharacterSwitch || (() => {});
     this.onMessageControl = options.onMessageControl || (() => {});
+    this.onPlaylistControl = options.onPlaylistControl || (() => {});
     this.getCurrentState = options.getCurrentState || (() => ({}));
     this.onError = options.onError || console.error;
     
+    // Parser used to run scripts (chained commands, aliases, startup script)
+    this.commandParser = options.commandParser || null;
+    
+    // Pending !wait timers, released on destroy
+    this.waits = new Set();
+    this.isDestroyed = false;
+    
     // Initialize settings manager
     this.settingsManager = options.settingsManager || new SettingsManager();
     
@@ -145,6 +163,8 @@ class CommandExecutor {
         case 'pause-messages':
         case 'resume-messages':
         case 'test-message':
+        case 'show-message':
+        case 'dev-event':
           result = await this.handleMessageControl(commandResult, context);
           break;
           
@@ -158,20 +178,59 @@ class CommandExecutor {
           result = this.handleClearTerminal(commandResult, context);
           break;
           
+        case 'show-schedule':
+        case 'update-schedule':
+          result = await this.handleScheduleCommand(commandResult, context);
+          break;
+          
+        case 'update-playlist':
+          result = await this.handlePlaylistCommand(commandResult, context);
+          break;
+          
+        case 'wait':
+          result = await this.handleWaitCommand(commandResult);
+          break;
+          
+        case 'run-script':
+          result = await this.runScript(commandResult.data.script, context);
+          break;
+          
+        case 'run-registered-command':
+          result = await this.handleRegisteredCommand(commandResult, context);
+          break;
+          
         case 'set-speed':
         case 'set-frequency':
         case 'set-effects':
         case 'set-volume':
         case 'toggle-audio':
         case 'export-config':
-        case 'import-config':
         case 'reset-settings':
           result = await this.handleSettingsCommand(commandResult, context);
           break;
           
+        case 'download-settings':
+          result = this.handleSettingsDownload(commandResult);
+          break;
+          
+        case 'import-settings-file':
+          result = await this.handleSettingsFileImport();
+          break;
+          
         case 'display-help':
         case 'list-characters':
-          result = commandResult; // These are display-only commands
+        case 'import-config':
+        case 'import-preview':
+        case 'import-cancelled':
+        case 'show-profiles':
+        case 'update-profiles':
+        case 'use-profile':
+        case 'show-theme':
+        case 'theme-changed':
+        case 'show-contrast':
+        case 'show-name':
+        case 'name-changed':
+          result = commandResult; // These are display-only commands (the parser already applied any change)
           break;
           
         default:
@@ -321,17 +380,28 @@ class CommandExecutor {
         case 'test-message':
           controlAction = 'test';
           break;
+        case 'show-message':
+          controlAction = 'say';
+          break;
+        case 'dev-event':
+          controlAction = 'react';
+          break;
         default:
           return {
             success: false,
             message: `Unknown message control action: ${action}`,
-            suggestion: 'Use !pause, !resume, or !test for message control'
+            suggestion: 'Use !pause, !resume, !test, !say or !react for message control'
           };
       }
 
-      // Execute message control through callback
+      // Execute message control through callback (!say and !react pass their data along)
+      let outcome;
       if (this.onMessageControl) {
-        await this.onMessageControl(controlAction);
+        if (controlAction === 'say' || controlAction === 'react') {
+          outcome = await this.onMessageControl(controlAction, commandResult.data);
+        } else {
+          await this.onMessageControl(controlAction);
+        }
       }
 
       // Update system state cache
@@ -340,11 +410,26 @@ class CommandExecutor {
         lastMessageAction: controlAction
       });
 
+      // !react reports what the character did ({ text, animation }, or nothing if the mode ignores the event)
+      if (controlAction === 'react') {
+        const { type } = commandResult.data;
+        const reacted = Boolean(outcome);
+        return {
+          success: true,
+          message: reacted
+            ? `Reacted to ${type}${outcome.text ? `: "${outcome.text}"` : ` (${outcome.animation})`}`
+            : `${this.getCurrentState().currentCharacter || 'This character'} has no reaction to ${type}`,
+          action: action,
+          data: { controlAction, event: type, reacted, ...(reacted && { text: outcome.text, animation: outcome.animation }) }
+        };
+      }
+
       // Return appropriate success message
       const messages = {
         pause: 'Message rotation paused',
         resume: 'Message rotation resumed',
-        test: 'Test message triggered'
+        test: 'Test message triggered',
+        say: commandResult.message
       };
 
       return {
@@ -410,6 +495,228 @@ class CommandExecutor {
     }
   }
 
+  /**
+   * Handle schedule commands: show the effective rules, or apply edits to
+   * the running scheduler right away
+   * @param {Object} commandResult - Command result from parser
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} Schedule result
+   */
+  async handleScheduleCommand(commandResult, context) {
+    try {
+      if (commandResult.action === 'update-schedule' && this.onMessageControl) {
+        await this.onMessageControl('reschedule');
+      }
+
+      const currentState = this.getCurrentState();
+      const { schedule } = normalizeSchedule(mergeSchedules(
+        currentState.globalConfig?.schedule,
+        this.settingsManager.getScheduleOverrides()
+      ));
+      const evaluation = evaluateSchedule(schedule, { mode: currentState.currentCharacter });
+
+      const message = commandResult.action === 'show-schedule'
+        ? `${formatSchedule(schedule)}\nNow: ${describeEvaluation(evaluation)}`
+        : `${commandResult.message}\nNow: ${describeEvaluation(evaluation)}`;
+
+      return {
+        success: true,
+        message,
+        action: commandResult.action,
+        data: { schedule, evaluation }
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Schedule command failed: ${error.message}`,
+        suggestion: 'Try !schedule reset to go back to global-config.json'
+      };
+    }
+  }
+
+  /**
+   * Handle playlist commands: the parser has already saved the playlist,
+   * so start or stop the rotation to match
+   * @param {Object} commandResult - Command result from parser
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} Playlist result
+   */
+  async handlePlaylistCommand(commandResult, context) {
+    try {
+      if (this.onPlaylistControl) {
+        await this.onPlaylistControl(commandResult.data.operation);
+      }
+
+      return {
+        success: true,
+        message: commandResult.message,
+        action: commandResult.action,
+        data: commandResult.data
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        message: `Playlist command failed: ${error.message}`,
+        suggestion: 'Type !playlist list to check the playlist'
+      };
+    }
+  }
+
+  /**
+   * Run `;`-separated commands one after another. Each command goes through
+   * the parser and this executor exactly like typed input, so aliases inside
+   * a script run as nested scripts. A failed command is reported and the
+   * script carries on with the next one.
+   * @param {string} script - Commands separated by `;`
+   * @param {Object} context - Execution context; `onScriptStep(command, result)` is called after each command
+   * @returns {Promise<Object>} Script result
+   */
+  async runScript(script, context = {}) {
+    if (!this.commandParser) {
+      return {
+        success: false,
+        message: 'Scripts are not available',
+        suggestion: 'Run the commands one at a time'
+      };
+    }
+
+    const depth = context.scriptDepth || 0;
+    if (depth >= MAX_SCRIPT_DEPTH) {
+      return {
+        success: false,
+        message: `Scripts can only nest ${MAX_SCRIPT_DEPTH} levels deep`,
+        suggestion: 'Check for an alias that runs itself'
+      };
+    }
+
+    const commands = splitCommands(script);
+    if (commands.length > MAX_SCRIPT_COMMANDS) {
+      return {
+        success: false,
+        message: `Scripts are limited to ${MAX_SCRIPT_COMMANDS} commands`,
+        suggestion: 'Split the script into several aliases'
+      };
+    }
+
+    const stepContext = { ...context, scriptDepth: depth + 1 };
+    let completed = 0;
+    let failed = 0;
+
+    for (const command of commands) {
+      if (this.isDestroyed) break;
+
+      const parseResult = this.commandParser.parseAndExecute(command, stepContext);
+      const result = await this.execute(parseResult, stepContext);
+      completed++;
+      if (!result.success) failed++;
+
+      if (context.onScriptStep) {
+        context.onScriptStep(command, result);
+      }
+    }
+
+    const stopped = completed < commands.length;
+    return {
+      success: failed === 0 && !stopped,
+      message: stopped
+        ? `Script stopped after ${completed} of ${commands.length} commands`
+        : `Ran ${commands.length} command${commands.length === 1 ? '' : 's'}${failed ? `, ${failed} failed` : ''}`,
+      action: 'run-script',
+      data: { commands, completed, failed }
+    };
+  }
+
+  /**
+   * Run the handler of a command added with registerCommand(). Commands
+   * shipped by a mode only run while that mode is active.
+   * @param {Object} commandResult - Command result from parser; data is { name, values }
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} Handler result
+   */
+  async handleRegisteredCommand(commandResult, context) {
+    const { name, values } = commandResult.data;
+    const command = getRegisteredCommand(name);
+    if (!command) {
+      return {
+        success: false,
+        message: `!${name} is no longer registered`,
+        suggestion: 'Type !help for available commands'
+      };
+    }
+
+    const currentMode = this.getCurrentState().currentCharacter;
+    if (command.mode && currentMode !== command.mode) {
+      const modeName = this.commandParser?.characterDisplayNames?.[command.mode] || command.mode;
+      return {
+        success: false,
+        message: `!${name} only works in ${modeName} mode`,
+        suggestion: `Try: !switch ${modeName}`
+      };
+    }
+
+    try {
+      const result = await command.handler(values, {
+        settingsManager: this.settingsManager,
+        switchCharacter: (character) => this.onCharacterSwitch(character),
+        controlMessages: (action) => this.onMessageControl(action),
+        getCurrentState: () => this.getCurrentState(),
+        context
+      });
+
+      // Handlers may return nothing, a message string or a full result object
+      if (result === undefined || result === null) {
+        return { success: true, message: `!${name} done`, action: 'run-registered-command', data: { name } };
+      }
+      if (typeof result === 'string') {
+        return { success: true, message: result, action: 'run-registered-command', data: { name } };
+      }
+      return {
+        action: 'run-registered-command',
+        ...result,
+        success: result.success !== false,
+        message: result.message || `!${name} done`,
+        data: { name, ...result.data }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: `!${name} failed: ${error.message}`,
+        suggestion: `Usage: ${command.usage}`,
+        errorType: error.name
+      };
+    }
+  }
+
+  /**
+   * Handle !wait: resolve after the given seconds, or straight away when
+   * the executor is destroyed
+   * @param {Object} commandResult - Command result from parser
+   * @returns {Promise<Object>} Wait result
+   */
+  async handleWaitCommand(commandResult) {
+    const { seconds } = commandResult.data;
+
+    const finished = await new Promise(resolve => {
+      const wait = {
+        resolve,
+        timer: setTimeout(() => {
+          this.waits.delete(wait);
+          resolve(true);
+        }, seconds * 1000)
+      };
+      this.waits.add(wait);
+    });
+
+    return {
+      success: finished,
+      message: finished ? `Waited ${seconds} seconds` : 'Wait cancelled',
+      action: 'wait',
+      data: { seconds }
+    };
+  }
+
   /**
    * Handle terminal clear command
    * @param {Object} commandResult - Command result from parser
@@ -457,9 +764,6 @@ class CommandExecutor {
         case 'export-config':
           return this.handleExportCommand();
           
-        case 'import-config':
-          return this.handleImportCommand(data);
-          
         case 'reset-settings':
           return this.handleResetCommand();
           
@@ -692,28 +996,76 @@ class CommandExecutor {
   }
 
   /**
-   * Handle import configuration command
-   * @param {Object} data - Command data
-   * @returns {Object} Import result
+   * Save a settings file (from !export file or !profile export) as a download
+   * @param {Object} commandResult - Command result from parser; data is { filename, json }
+   * @returns {Object} Download result
    */
-  handleImportCommand(data) {
-    const { configString } = data;
-    
-    if (!configString) {
+  handleSettingsDownload(commandResult) {
+    const { filename, json } = commandResult.data;
+    if (typeof document === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) {
       return {
         success: false,
-        message: 'No configuration string provided',
-        suggestion: 'Example: !import <config-string>'
+        message: 'Downloads are not available here',
+        suggestion: 'Use !export to copy the settings as a string instead'
       };
     }
-    
-    const result = this.settingsManager.importConfig(configString);
-    
+
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    return {
+      success: true,
+      message: `Saved ${filename}. Load it with !import file`,
+      action: 'download-settings',
+      data: { filename }
+    };
+  }
+
+  /**
+   * Let the user pick a settings file and preview the import
+   * @returns {Promise<Object>} Preview (or import, when nothing changes) result
+   */
+  async handleSettingsFileImport() {
+    if (typeof document === 'undefined') {
+      return {
+        success: false,
+        message: 'File import is not available here',
+        suggestion: 'Use !import <config-string> instead'
+      };
+    }
+
+    const text = await new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json,application/json';
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        file.text().then(resolve, () => resolve(null));
+      });
+      input.addEventListener('cancel', () => resolve(null));
+      input.click();
+    });
+
+    if (text === null) {
+      return { success: false, message: 'No settings file chosen', suggestion: 'Try !import file again' };
+    }
+
+    const result = this.settingsManager.previewImport(text);
     return {
       success: result.success,
       message: result.message,
-      action: 'import-config',
-      data: result.success ? { imported: true } : { error: result.message }
+      action: result.pending ? 'import-preview' : 'import-config',
+      data: { changes: result.changes || [] }
     };
   }
 
@@ -932,6 +1284,12 @@ Last Execution: ${this.lastExecutionTime ? new Date(this.lastExecutionTime).toLo
    * Cleanup and destroy executor
    */
   destroy() {
+    this.isDestroyed = true;
+    this.waits.forEach(wait => {
+      clearTimeout(wait.timer);
+      wait.resolve(false);
+    });
+    this.waits.clear();
     this.clearQueue();
     this.executionHistory = [];
     this.systemStateCache = {};
@@ -945,19 +1303,29 @@ Last Execution: ${this.lastExecutionTime ? new Date(this.lastExecutionTime).toLo
 const CommandExecutorComponent = ({ 
   onCharacterSwitch, 
   onMessageControl, 
+  onPlaylistControl,
   getCurrentState,
   onError,
+  commandParser,
   children 
 }) => {
   const executorRef = useRef(null);
 
+  // Callbacks are read through a ref so a re-render with new handler
+  // functions does not rebuild the executor (and cancel running scripts)
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onCharacterSwitch, onMessageControl, onPlaylistControl, getCurrentState, onError };
+
   // Initialize executor
   useEffect(() => {
     executorRef.current = new CommandExecutor({
-      onCharacterSwitch,
-      onMessageControl,
-      getCurrentState,
-      onError
+      onCharacterSwitch: (...args) => callbacksRef.current.onCharacterSwitch(...args),
+      onMessageControl: (...args) => callbacksRef.current.onMessageControl(...args),
+      onPlaylistControl: (...args) => callbacksRef.current.onPlaylistControl?.(...args),
+      getCurrentState: () => callbacksRef.current.getCurrentState?.() || {},
+      onError: (...args) => (callbacksRef.current.onError || console.error)(...args),
+      commandParser,
+      settingsManager: getSettingsManager()
     });
 
     return () => {
@@ -965,7 +1333,7 @@ const CommandExecutorComponent = ({
         executorRef.current.destroy();
       }
     };
-  }, [onCharacterSwitch, onMessageControl, getCurrentState, onError]);
+  }, [commandParser]);
 
   // Execute command method
   const executeCommand = useCallback(async (commandResult, context) => {
@@ -979,9 +1347,22 @@ const CommandExecutorComponent = ({
     };
   }, []);
 
+  // Run a `;`-separated script (startup script, chained input)
+  const runScript = useCallback(async (script, context) => {
+    if (executorRef.current) {
+      return await executorRef.current.runScript(script, context);
+    }
+    return {
+      success: false,
+      message: 'CommandExecutor not initialized',
+      suggestion: 'Please try again'
+    };
+  }, []);
+
   // Expose executor methods
   const executorMethods = {
     execute: executeCommand,
+    runScript,
     getQueueStatus: () => executorRef.current?.getQueueStatus(),
     getExecutionStats: () => executorRef.current?.getExecutionStats(),
     clearQueue: () => executorRef.current?.clearQueue()
@@ -994,8 +1375,12 @@ const CommandExecutorComponent = ({
 CommandExecutorComponent.propTypes = {
   onCharacterSwitch: PropTypes.func.isRequired,
   onMessageControl: PropTypes.func.isRequired,
+  onPlaylistControl: PropTypes.func,
   getCurrentState: PropTypes.func,
   onError: PropTypes.func,
+  commandParser: PropTypes.shape({
+    parseAndExecute: PropTypes.func.isRequired
+  }),
   children: PropTypes.oneOfType([PropTypes.node, PropTypes.func])
 };
 
@@ -1,14 +1,68 @@
 import React from 'react';
 import SettingsManager from '../utils/SettingsManager.js';
+import { getUserModes } from '../utils/userModeLoader.js';
+import { setSeed, clearSeed, getSeed } from '../utils/seededRandom.js';
+import { DEV_EVENTS, isValidDevEvent } from '../utils/devEvents.js';
+import { parseTimeRange, parseDays, formatDays } from '../utils/scheduleRules.js';
+import { normalizePlaylist, sanitizeDwell, getDwellMinutes } from '../utils/ModePlaylist.js';
+import { getSpeechSynthesis, findVoiceByName } from '../utils/VoiceNarrator.js';
+import ThemeManager, { FOLLOW_MODE_THEME } from '../utils/ThemeManager.js';
+import { CONTRAST_LEVELS, measureContrast, correctThemeContrast } from '../utils/contrastCorrection.js';
+import {
+  MAX_SCRIPT_LENGTH,
+  MAX_WAIT_SECONDS,
+  validateScript,
+  parseAliasDefinition,
+  isValidAliasName
+} from '../utils/terminalScript.js';
+import {
+  HISTORY_SIZE_RANGE,
+  clampHistorySize,
+  isHistoryReference,
+  resolveHistoryReference
+} from '../utils/commandHistory.js';
+import {
+  getRegisteredCommand,
+  getRegisteredCommands,
+  parseCommandArgs,
+  describeParam,
+  getParamCompletions
+} from '../utils/commandRegistry.js';
+import { formatHelpOverview, formatCommandHelp, formatSearchResults } from '../utils/commandHelp.js';
+import { diffSettings, formatSettingsDiff } from '../utils/settingsTransfer.js';
+import { DEFAULT_USER_NAME, MAX_USER_NAME_LENGTH, normalizeUserName } from '../utils/messageTemplates.js';
+
+// Argument values offered by tab completion for commands with fixed options
+const ARGUMENT_OPTIONS = {
+  effects: ['high', 'medium', 'low', 'off'],
+  volume: ['mute', 'unmute'],
+  audio: ['on', 'off', 'ambient on', 'ambient off'],
+  seed: ['off'],
+  schedule: ['status', 'on', 'off', 'reset', 'quiet', 'focus', 'lunch', 'mode'],
+  playlist: ['list', 'start shuffle', 'start ordered', 'stop'],
+  startup: ['set', 'run', 'clear'],
+  history: ['clear', 'size'],
+  export: ['file'],
+  import: ['file', 'apply', 'cancel'],
+  react: Object.keys(DEV_EVENTS),
+  contrast: ['on', 'off', 'report'],
+  name: ['clear']
+};
+
+// !import strings carry a whole settings export
+const MAX_IMPORT_LENGTH = 4000;
+
+// !say text, about a tweet
+const MAX_SAY_LENGTH = 280;
 
 /**
  * CommandParser - Comprehensive terminal command interpreter for VibeScreen
  * Handles command parsing, validation, and execution with fuzzy matching and error handling
  */
 class CommandParser {
-  constructor() {
-    // Initialize settings manager
-    this.settingsManager = new SettingsManager();
+  constructor(options = {}) {
+    // Share the app's settings manager so audio/voice listeners see changes
+    this.settingsManager = options.settingsManager || new SettingsManager();
     
     // Character name mapping for all available modes
     this.characterNameMap = {
@@ -60,127 +114,404 @@ class CommandParser {
       'spooky': 'Spooky'
     };
 
+    // Ids and lowercase names the last syncUserModes() added for user modes
+    this.userModeEntries = { ids: [], names: [] };
+
     // Command registry with patterns and handlers
     this.commandRegistry = {
       help: {
-        pattern: /^!help$/i,
-        description: 'Show all available commands',
-        usage: '!help',
+        pattern: /^!help(\s+.+)?$/i,
+        description: 'Show commands, or details for one command',
+        usage: '!help [<command>|search <term>]',
+        category: 'System',
+        params: [
+          { name: 'command', description: 'command name, with or without !' },
+          { name: 'search <term>', description: 'fuzzy search of names and descriptions' }
+        ],
+        examples: ['!help', '!help switch', '!help search sound'],
+        related: ['characters'],
         handler: this.handleHelp.bind(this)
       },
       switch: {
         pattern: /^!switch\s+(.+)$/i,
         description: 'Switch to character (e.g., !switch Corporate AI)',
         usage: '!switch <Character Name>',
+        category: 'Character Control',
+        params: [{ name: 'Character Name', description: 'display name or mode ID (see !characters)' }],
+        examples: ['!switch Zen Monk', '!switch chaos'],
+        related: ['characters', 'status', 'playlist'],
         handler: this.handleSwitch.bind(this)
       },
       characters: {
         pattern: /^!characters$/i,
         description: 'List all available characters',
         usage: '!characters',
+        category: 'Character Control',
+        examples: ['!characters'],
+        related: ['switch'],
         handler: this.handleCharacters.bind(this)
       },
       status: {
         pattern: /^!status$/i,
         description: 'Show current character and system status',
         usage: '!status',
+        category: 'Character Control',
+        examples: ['!status'],
+        related: ['config', 'debug'],
         handler: this.handleStatus.bind(this)
       },
       pause: {
         pattern: /^!pause$/i,
         description: 'Pause automatic message rotation',
         usage: '!pause',
+        category: 'Message Control',
+        examples: ['!pause'],
+        related: ['resume', 'test'],
         handler: this.handlePause.bind(this)
       },
       resume: {
         pattern: /^!resume$/i,
         description: 'Resume automatic message rotation',
         usage: '!resume',
+        category: 'Message Control',
+        examples: ['!resume'],
+        related: ['pause'],
         handler: this.handleResume.bind(this)
       },
       test: {
         pattern: /^!test$/i,
         description: 'Show test message from current character',
         usage: '!test',
+        category: 'Message Control',
+        examples: ['!test'],
+        related: ['pause', 'frequency'],
         handler: this.handleTest.bind(this)
       },
+      say: {
+        pattern: /^!say(\s+.+)?$/i,
+        description: 'Make the character say something right now',
+        usage: '!say <text>',
+        category: 'Message Control',
+        params: [{ name: 'text', description: `what the character says (up to ${MAX_SAY_LENGTH} characters, templates like {user} work)` }],
+        examples: ['!say Stand-up in 5 minutes', '!say Build passed, {user}!'],
+        related: ['test', 'pause'],
+        handler: this.handleSay.bind(this)
+      },
+      react: {
+        pattern: /^!react(\s+.+)?$/i,
+        description: 'Play the character\'s reaction to a developer event',
+        usage: '!react <event> [detail]',
+        category: 'Message Control',
+        params: [
+          { name: 'event', description: 'build.failed, tests.passed, commit.pushed, ... (set per mode in the reactions block of config.json)' },
+          { name: 'detail', description: 'optional text the reaction can quote, e.g. a branch name' }
+        ],
+        examples: ['!react build.failed', '!react commit.pushed main'],
+        related: ['say', 'test'],
+        handler: this.handleReact.bind(this)
+      },
+      seed: {
+        pattern: /^!seed(\s+\S+)?$/i,
+        description: 'Set the random seed to replay message and scene sequences',
+        usage: '!seed <number|text|off>',
+        category: 'Message Control',
+        params: [{ name: 'number|text|off', description: 'any whole number or word replays the same sequence; off goes back to random' }],
+        examples: ['!seed 42', '!seed bug-1234', '!seed off'],
+        related: ['test'],
+        handler: this.handleSeed.bind(this)
+      },
+      schedule: {
+        pattern: /^!schedule(\s+.+)?$/i,
+        description: 'Show or edit quiet hours, focus blocks and message bursts',
+        usage: '!schedule [on|off|quiet|focus|lunch|mode|reset] ...',
+        category: 'Message Control',
+        params: [
+          { name: 'on|off|reset', description: 'turn the schedule on or off, or restore the defaults' },
+          { name: 'quiet <HH:MM-HH:MM>', description: 'no messages in this window' },
+          { name: 'focus <HH:MM-HH:MM> [days] <0-1>', description: 'fewer messages in this window' },
+          { name: 'lunch <HH:MM-HH:MM> <multiplier>', description: 'a burst of messages' },
+          { name: 'mode <mode> <day> <multiplier|quiet|off>', description: 'per-mode rule for a day' }
+        ],
+        examples: ['!schedule quiet 22:00-07:00', '!schedule focus 09:00-12:00 weekdays 0.3', '!schedule mode chaos fri 2'],
+        related: ['frequency', 'pause'],
+        handler: this.handleSchedule.bind(this)
+      },
+      playlist: {
+        pattern: /^!playlist(\s+.+)?$/i,
+        description: 'Rotate characters automatically',
+        usage: '!playlist [add|remove|start|stop|list] ...',
+        category: 'Character Control',
+        params: [
+          { name: 'add <name> [min]', description: 'add a character, optionally with a dwell time in minutes' },
+          { name: 'remove <name>', description: 'remove a character' },
+          { name: 'start [shuffle|ordered] [min]', description: 'start rotating, optionally with a default dwell time' },
+          { name: 'stop / list', description: 'stop rotating / show the playlist' }
+        ],
+        examples: ['!playlist add Zen Monk 15', '!playlist start shuffle 10', '!playlist stop'],
+        related: ['switch', 'schedule'],
+        handler: this.handlePlaylist.bind(this)
+      },
       clear: {
         pattern: /^!clear$/i,
         description: 'Clear terminal command history',
         usage: '!clear',
+        category: 'System',
+        examples: ['!clear'],
+        related: ['history'],
         handler: this.handleClear.bind(this)
       },
       config: {
         pattern: /^!config$/i,
         description: 'Display current configuration settings',
         usage: '!config',
+        category: 'System',
+        examples: ['!config'],
+        related: ['status', 'export'],
         handler: this.handleConfig.bind(this)
       },
       debug: {
         pattern: /^!debug$/i,
         description: 'Show debug information and system status',
         usage: '!debug',
+        category: 'System',
+        examples: ['!debug'],
+        related: ['status', 'performance'],
         handler: this.handleDebug.bind(this)
       },
       speed: {
         pattern: /^!speed\s+([\d.]+)$/i,
         description: 'Adjust animation speed multiplier (0.1-5.0)',
         usage: '!speed <multiplier>',
+        category: 'Customization',
+        params: [{ name: 'multiplier', description: '0.1-5.0, 1.0 is normal speed' }],
+        examples: ['!speed 1.5', '!speed 0.5'],
+        related: ['effects', 'frequency'],
         handler: this.handleSpeed.bind(this)
       },
       frequency: {
         pattern: /^!frequency\s+(\d+)$/i,
         description: 'Set message frequency in seconds (5-300)',
         usage: '!frequency <seconds>',
+        category: 'Message Control',
+        params: [{ name: 'seconds', description: '5-300 seconds between messages' }],
+        examples: ['!frequency 60', '!frequency 120'],
+        related: ['schedule', 'speed'],
         handler: this.handleFrequency.bind(this)
       },
       effects: {
         pattern: /^!effects\s+(high|medium|low|off)$/i,
         description: 'Adjust visual effects intensity',
         usage: '!effects <high|medium|low|off>',
+        category: 'Customization',
+        params: [{ name: 'level', description: 'high|medium|low|off' }],
+        examples: ['!effects low', '!effects off'],
+        related: ['speed', 'performance'],
         handler: this.handleEffects.bind(this)
       },
       performance: {
         pattern: /^!performance$/i,
         description: 'Show real-time performance metrics',
         usage: '!performance',
+        category: 'System',
+        examples: ['!performance'],
+        related: ['effects', 'debug'],
         handler: this.handlePerformance.bind(this)
       },
       export: {
-        pattern: /^!export$/i,
+        pattern: /^!export(\s+file)?$/i,
         description: 'Export current settings configuration',
-        usage: '!export',
+        usage: '!export [file]',
+        category: 'Configuration',
+        params: [{ name: 'file', description: 'download a checksummed JSON file instead of a string' }],
+        examples: ['!export', '!export file'],
+        related: ['import', 'profile'],
         handler: this.handleExport.bind(this)
       },
       import: {
         pattern: /^!import\s+(.+)$/i,
-        description: 'Import settings from configuration string',
-        usage: '!import <config-string>',
+        description: 'Import settings from a !export string or file, showing what changes first',
+        usage: '!import <config-string|file|apply|cancel>',
+        category: 'Configuration',
+        params: [
+          { name: 'config-string', description: 'settings copied from !export' },
+          { name: 'file', description: 'pick a settings file exported with !export file or !profile export' },
+          { name: 'apply / cancel', description: 'apply or drop the previewed import' }
+        ],
+        examples: ['!import <paste from !export>', '!import file', '!import apply'],
+        related: ['export', 'profile'],
         handler: this.handleImport.bind(this)
       },
+      profile: {
+        pattern: /^!profile(\s+.+)?$/i,
+        description: 'Save and switch between named settings profiles',
+        usage: '!profile [list|save|use|diff|export|delete] <name>',
+        category: 'Configuration',
+        params: [
+          { name: 'save <name>', description: 'save the current settings (letters, digits and dashes)' },
+          { name: 'use <name>', description: 'switch to a saved profile' },
+          { name: 'diff <name>', description: 'show what switching would change' },
+          { name: 'export <name>', description: 'download the profile as a settings file' },
+          { name: 'delete <name>', description: 'remove a profile' }
+        ],
+        examples: ['!profile save night', '!profile use work', '!profile'],
+        related: ['export', 'import'],
+        handler: this.handleProfile.bind(this)
+      },
       reset: {
         pattern: /^!reset$/i,
         description: 'Reset all settings to defaults',
         usage: '!reset',
+        category: 'Configuration',
+        examples: ['!reset'],
+        related: ['export', 'config'],
         handler: this.handleReset.bind(this)
       },
       volume: {
         pattern: /^!volume\s+([\d.]+|mute|unmute)$/i,
         description: 'Control ambient audio volume (0.0-1.0) or mute/unmute',
         usage: '!volume <0.0-1.0|mute|unmute>',
+        category: 'Customization',
+        params: [{ name: 'level', description: '0.0-1.0, or mute|unmute' }],
+        examples: ['!volume 0.3', '!volume mute'],
+        related: ['mute', 'unmute', 'audio'],
         handler: this.handleVolume.bind(this)
       },
       mute: {
         pattern: /^!mute$/i,
         description: 'Mute ambient audio',
         usage: '!mute',
+        category: 'Customization',
+        examples: ['!mute'],
+        related: ['unmute', 'volume'],
         handler: this.handleMute.bind(this)
       },
       unmute: {
         pattern: /^!unmute$/i,
         description: 'Unmute ambient audio',
         usage: '!unmute',
+        category: 'Customization',
+        examples: ['!unmute'],
+        related: ['mute', 'volume'],
         handler: this.handleUnmute.bind(this)
+      },
+      audio: {
+        pattern: /^!audio(\s+.+)?$/i,
+        description: 'Turn sound or the ambient bed on/off',
+        usage: '!audio [on|off|ambient on|off]',
+        category: 'Customization',
+        params: [
+          { name: 'on|off', description: 'all sound' },
+          { name: 'ambient on|off', description: 'the background bed for the current character' }
+        ],
+        examples: ['!audio on', '!audio ambient on'],
+        related: ['volume', 'voice'],
+        handler: this.handleAudio.bind(this)
+      },
+      voice: {
+        pattern: /^!voice(\s+.+)?$/i,
+        description: 'Read messages aloud with the browser voice',
+        usage: '!voice [on|off|list|set <name>]',
+        category: 'Customization',
+        params: [
+          { name: 'on|off', description: 'read messages aloud' },
+          { name: 'list', description: 'installed voices' },
+          { name: 'set <name>|default', description: 'one voice for every character, or each character\'s own' }
+        ],
+        examples: ['!voice on', '!voice set Daniel', '!voice set default'],
+        related: ['audio', 'mute'],
+        handler: this.handleVoice.bind(this)
+      },
+      theme: {
+        pattern: /^!theme(\s+.+)?$/i,
+        description: 'Pick a color theme for every character',
+        usage: '!theme [list|mode|<theme>]',
+        category: 'Customization',
+        params: [
+          { name: 'list', description: 'built-in and custom themes' },
+          { name: '<theme>', description: 'use this theme whatever the character' },
+          { name: 'mode', description: 'each character\'s own colors (default)' }
+        ],
+        examples: ['!theme corporate-ai', '!theme list', '!theme mode'],
+        related: ['effects', 'switch', 'contrast'],
+        handler: this.handleTheme.bind(this)
+      },
+      name: {
+        pattern: /^!name(\s+.+)?$/i,
+        description: 'Set the name characters call you by ({user} in messages)',
+        usage: '!name [<name>|clear]',
+        category: 'Customization',
+        params: [
+          { name: '<name>', description: `up to ${MAX_USER_NAME_LENGTH} characters` },
+          { name: 'clear', description: `go back to "${DEFAULT_USER_NAME}"` }
+        ],
+        examples: ['!name Alex', '!name clear'],
+        related: ['say', 'voice'],
+        handler: this.handleName.bind(this)
+      },
+      contrast: {
+        pattern: /^!contrast(\s+.+)?$/i,
+        description: 'High contrast colors and a contrast report for every theme',
+        usage: '!contrast [on|off|report]',
+        category: 'Customization',
+        params: [
+          { name: 'on|off', description: 'correct colors to WCAG AAA instead of AA' },
+          { name: 'report', description: 'contrast ratios of every theme' }
+        ],
+        examples: ['!contrast on', '!contrast report'],
+        related: ['theme', 'effects'],
+        handler: this.handleContrast.bind(this)
+      },
+      alias: {
+        pattern: /^!alias(\s+.+)?$/i,
+        description: 'Name a list of commands',
+        usage: '!alias [<name> = <command>; <command>|remove <name>]',
+        category: 'Scripting',
+        params: [
+          { name: '<name> = <commands>', description: 'define an alias; separate commands with ;' },
+          { name: '<name>', description: 'show one alias' },
+          { name: 'remove <name>', description: 'delete an alias' }
+        ],
+        examples: ['!alias focus = !switch zen monk; !frequency 120', '!focus', '!alias remove focus'],
+        related: ['startup', 'wait'],
+        handler: this.handleAlias.bind(this)
+      },
+      wait: {
+        pattern: /^!wait\s+\S+$/i,
+        description: 'Pause a script for some seconds',
+        usage: '!wait <seconds>',
+        category: 'Scripting',
+        params: [{ name: 'seconds', description: `0-${MAX_WAIT_SECONDS} seconds` }],
+        examples: ['!pause; !wait 10; !resume'],
+        related: ['alias', 'startup'],
+        handler: this.handleWait.bind(this)
+      },
+      history: {
+        pattern: /^!history(\s+.+)?$/i,
+        description: 'Show or clear the command history',
+        usage: '!history [<count>|clear|size <n>]',
+        category: 'System',
+        params: [
+          { name: 'count', description: 'show the last n commands (default 20)' },
+          { name: 'clear', description: 'forget the history' },
+          { name: 'size <n>', description: 'keep 10-1000 commands' }
+        ],
+        examples: ['!history', '!history 5', '!history size 200'],
+        related: ['alias', 'clear'],
+        handler: this.handleHistory.bind(this)
+      },
+      startup: {
+        pattern: /^!startup(\s+.+)?$/i,
+        description: 'Commands to run every time the app loads',
+        usage: '!startup [set <command>; <command>|run|clear]',
+        category: 'Scripting',
+        params: [
+          { name: 'set <commands>', description: 'save the startup script' },
+          { name: 'run', description: 'run it now' },
+          { name: 'clear', description: 'remove it' }
+        ],
+        examples: ['!startup set !volume 0.2; !audio ambient on', '!startup run'],
+        related: ['alias', 'wait'],
+        handler: this.handleStartup.bind(this)
       }
     };
   }
@@ -214,19 +545,23 @@ class CommandParser {
       };
     }
 
-    // Validate command parameters
-    const paramValidation = this.validateCommandParameters(parsed.command, parsed.args);
-    if (!paramValidation.valid) {
-      return {
-        success: false,
-        message: paramValidation.error,
-        suggestion: paramValidation.suggestion
-      };
+    // !<n> / !-<n> run a command from the history again
+    if (isHistoryReference(trimmed)) {
+      return this.runHistoryReference(trimmed);
     }
 
-    // Find and execute command handler
+    // Built-in commands win over registered commands, which win over user aliases
     const commandInfo = this.commandRegistry[parsed.command];
-    if (!commandInfo) {
+    const registeredCommand = commandInfo ? null : getRegisteredCommand(parsed.command);
+    if (!commandInfo && !registeredCommand) {
+      const aliasScript = this.settingsManager.getAliases()[parsed.command];
+      if (aliasScript) {
+        return this.runAlias(parsed, aliasScript);
+      }
+    }
+
+    // Find command handler
+    if (!commandInfo && !registeredCommand) {
       const suggestions = this.findSimilarCommands(parsed.command);
       
       // Provide more helpful error messages based on input patterns
@@ -256,7 +591,27 @@ class CommandParser {
         success: false,
         message: errorMessage,
         suggestion: suggestionText,
-        availableCommands: Object.keys(this.commandRegistry)
+        availableCommands: this.getCommandNames()
+      };
+    }
+
+    // Validate command parameters
+    const paramValidation = this.validateCommandParameters(parsed.command, parsed.args);
+    if (!paramValidation.valid) {
+      return {
+        success: false,
+        message: paramValidation.error,
+        suggestion: paramValidation.suggestion
+      };
+    }
+
+    // Registered commands run their handler in CommandExecutor with the parsed values
+    if (registeredCommand) {
+      return {
+        success: true,
+        message: `Running !${registeredCommand.name}`,
+        action: 'run-registered-command',
+        data: { name: registeredCommand.name, values: paramValidation.values }
       };
     }
 
@@ -337,17 +692,21 @@ class CommandParser {
       };
     }
 
-    // Check for command length limits
-    if (trimmed.length > 100) {
+    // Check for command length limits (alias and startup definitions hold whole scripts)
+    let maxLength = 100;
+    if (/^!(alias|startup)\b/i.test(trimmed)) maxLength = MAX_SCRIPT_LENGTH;
+    if (/^!import\b/i.test(trimmed)) maxLength = MAX_IMPORT_LENGTH;
+    if (/^!say\b/i.test(trimmed)) maxLength = MAX_SAY_LENGTH + '!say '.length;
+    if (trimmed.length > maxLength) {
       return {
         valid: false,
-        error: 'Command too long (maximum 100 characters)',
+        error: `Command too long (maximum ${maxLength} characters)`,
         suggestion: 'Use shorter commands or break into multiple commands'
       };
     }
 
     // Check for suspicious patterns that might indicate user confusion
-    if (trimmed.includes('!!')) {
+    if (trimmed.includes('!!') && !/^!(say|react)\s/i.test(trimmed)) {
       return {
         valid: false,
         error: 'Commands should start with single ! only',
@@ -378,17 +737,36 @@ class CommandParser {
   validateCommandParameters(command, args) {
     const commandInfo = this.commandRegistry[command];
     if (!commandInfo) {
-      return { valid: false, error: 'Unknown command' };
+      // Registered commands are checked against their typed parameter schema
+      const registered = getRegisteredCommand(command);
+      if (!registered) {
+        return { valid: false, error: 'Unknown command' };
+      }
+
+      const parsedArgs = parseCommandArgs(registered.params, args, {
+        resolveCharacter: (input) => {
+          const match = this.resolveMode(input);
+          return match.found ? match.character : null;
+        }
+      });
+      return parsedArgs.valid
+        ? parsedArgs
+        : { valid: false, error: `!${command}: ${parsedArgs.error}`, suggestion: `Usage: ${registered.usage}` };
     }
 
     // Define parameter requirements for each command
     const parameterRequirements = {
-      help: { minArgs: 0, maxArgs: 0 },
+      help: { minArgs: 0, maxArgs: 5, description: 'command name or search term' },
       characters: { minArgs: 0, maxArgs: 0 },
       status: { minArgs: 0, maxArgs: 0 },
       pause: { minArgs: 0, maxArgs: 0 },
       resume: { minArgs: 0, maxArgs: 0 },
       test: { minArgs: 0, maxArgs: 0 },
+      say: { minArgs: 1, maxArgs: MAX_SAY_LENGTH, description: 'message text' },
+      react: { minArgs: 1, maxArgs: 50, description: 'event name' },
+      seed: { minArgs: 0, maxArgs: 1, description: 'seed value' },
+      schedule: { minArgs: 0, maxArgs: 5, description: 'schedule rule' },
+      playlist: { minArgs: 0, maxArgs: 6, description: 'playlist action' },
       clear: { minArgs: 0, maxArgs: 0 },
       config: { minArgs: 0, maxArgs: 0 },
       debug: { minArgs: 0, maxArgs: 0 },
@@ -397,12 +775,21 @@ class CommandParser {
       frequency: { minArgs: 1, maxArgs: 1, description: 'frequency in seconds' },
       effects: { minArgs: 1, maxArgs: 1, description: 'effects level' },
       performance: { minArgs: 0, maxArgs: 0 },
-      export: { minArgs: 0, maxArgs: 0 },
+      export: { minArgs: 0, maxArgs: 1, description: 'export option' },
       import: { minArgs: 1, maxArgs: 1, description: 'configuration string' },
+      profile: { minArgs: 0, maxArgs: 2, description: 'profile action' },
       reset: { minArgs: 0, maxArgs: 0 },
       volume: { minArgs: 1, maxArgs: 1, description: 'volume level or mute/unmute' },
       mute: { minArgs: 0, maxArgs: 0 },
-      unmute: { minArgs: 0, maxArgs: 0 }
+      unmute: { minArgs: 0, maxArgs: 0 },
+      audio: { minArgs: 0, maxArgs: 2, description: 'audio option' },
+      voice: { minArgs: 0, maxArgs: 10, description: 'voice option' },
+      theme: { minArgs: 0, maxArgs: 1, description: 'theme id' },
+      contrast: { minArgs: 0, maxArgs: 1, description: 'contrast option' },
+      alias: { minArgs: 0, maxArgs: 100, description: 'alias definition' },
+      wait: { minArgs: 1, maxArgs: 1, description: 'number of seconds' },
+      startup: { minArgs: 0, maxArgs: 100, description: 'startup script' },
+      history: { minArgs: 0, maxArgs: 2, description: 'history option' }
     };
 
     const requirements = parameterRequirements[command];
@@ -450,13 +837,29 @@ class CommandParser {
     };
   }
 
+  /**
+   * Names of every command the parser accepts: built-in and registered
+   * @returns {string[]} Command names without !
+   */
+  getCommandNames() {
+    return [...new Set([...Object.keys(this.commandRegistry), ...this.getRegisteredCommands().map(command => command.name)])];
+  }
+
+  /**
+   * Registered commands that are not hidden by a built-in command
+   * @returns {Object[]} Commands from utils/commandRegistry.js
+   */
+  getRegisteredCommands() {
+    return getRegisteredCommands().filter(command => !this.commandRegistry[command.name]);
+  }
+
   /**
    * Find similar commands for suggestions with enhanced fuzzy matching
    * @param {string} input - Invalid command to find matches for
    * @returns {Array} Array of similar command names with confidence scores
    */
   findSimilarCommands(input) {
-    const commands = Object.keys(this.commandRegistry);
+    const commands = this.getCommandNames();
     const inputLower = input.toLowerCase();
     
     // Calculate similarity scores for all commands
@@ -571,12 +974,52 @@ class CommandParser {
     return matrix[b.length][a.length];
   }
 
+  /**
+   * Rebuild the user-mode part of the character maps from the
+   * runtime-discovered user modes. Built-in characters stay; user modes that
+   * were unregistered or renamed since the last sync are dropped.
+   */
+  syncUserModes() {
+    const previous = this.userModeEntries;
+    previous.ids.forEach(id => delete this.characterDisplayNames[id]);
+    previous.names.forEach(name => delete this.characterNameMap[name]);
+
+    const entries = { ids: [], names: [] };
+    getUserModes().forEach(({ id, name }) => {
+      if (!this.characterDisplayNames[id]) {
+        this.characterDisplayNames[id] = name;
+        entries.ids.push(id);
+      }
+      const key = name.toLowerCase();
+      if (!this.characterNameMap[key]) {
+        this.characterNameMap[key] = id;
+        entries.names.push(key);
+      }
+    });
+    this.userModeEntries = entries;
+  }
+
+  /**
+   * Resolve a mode ID or character name
+   * @param {string} input - Mode ID (e.g. zen-monk) or character name
+   * @returns {Object} Character match result (see findCharacter)
+   */
+  resolveMode(input) {
+    this.syncUserModes();
+    const id = input.toLowerCase().trim();
+    if (this.characterDisplayNames[id]) {
+      return { found: true, character: id, displayName: this.characterDisplayNames[id] };
+    }
+    return this.findCharacter(input);
+  }
+
   /**
    * Find character by name with enhanced fuzzy matching and typo correction
    * @param {string} input - Character name input
    * @returns {Object} Character match result with suggestions
    */
   findCharacter(input) {
+    this.syncUserModes();
     const normalized = input.toLowerCase().trim();
     
     // Exact match first
@@ -693,44 +1136,136 @@ class CommandParser {
   // Command Handlers
 
   handleHelp(args, context) {
-    const helpText = `VibeScreen Terminal Commands:
-
-Character Control:
-  !switch <name>     - Change character (e.g., !switch Zen Monk)
-  !characters        - List all available characters
-  !status           - Show current character and settings
-
-Message Control:
-  !pause            - Pause automatic messages
-  !resume           - Resume automatic messages  
-  !test             - Show test message now
-  !frequency <sec>  - Set message timing (5-300 seconds)
-
-Customization:
-  !speed <mult>     - Animation speed (0.1-5.0, e.g., !speed 1.5)
-  !effects <level>  - Visual effects (high/medium/low/off)
-  !volume <level>   - Audio volume (0.0-1.0) or mute/unmute
-  !mute / !unmute   - Quick audio control
-
-Configuration:
-  !export           - Export settings for sharing
-  !import <config>  - Import settings configuration
-  !reset            - Reset all settings to defaults
-
-System:
-  !help             - Show this help
-  !clear            - Clear terminal history
-  !config           - Show current settings
-  !debug            - Show debug information
-  !performance      - Show performance metrics
-
-Type any command to get started!`;
+    if (args.length === 0) {
+      return {
+        success: true,
+        message: formatHelpOverview(this.getHelpEntries()),
+        action: 'display-help'
+      };
+    }
+
+    const usage = `Usage: ${this.commandRegistry.help.usage}`;
+
+    if (args[0].toLowerCase() === 'search') {
+      const term = args.slice(1).join(' ');
+      if (!term) {
+        return { success: false, message: 'Search term required', suggestion: 'Example: !help search sound' };
+      }
+
+      const matches = this.searchHelp(term);
+      if (matches.length === 0) {
+        return { success: false, message: `No commands match "${term}"`, suggestion: 'Try another word, or type !help for all commands' };
+      }
+      return {
+        success: true,
+        message: formatSearchResults(term, matches),
+        action: 'display-help',
+        data: { term, commands: matches.map(entry => entry.name) }
+      };
+    }
+
+    if (args.length > 1) {
+      return { success: false, message: 'Too many arguments for !help', suggestion: usage };
+    }
+
+    const name = args[0].replace(/^!/, '').toLowerCase();
+    const entry = this.getHelpEntry(name);
+    if (entry) {
+      return {
+        success: true,
+        message: formatCommandHelp(entry),
+        action: 'display-help',
+        data: { command: entry.name }
+      };
+    }
+
+    const aliasScript = this.settingsManager.getAliases()[name];
+    if (aliasScript) {
+      return {
+        success: true,
+        message: `!${name} is an alias for: ${aliasScript}\nChange it with !alias ${name} = <commands>, or delete it with !alias remove ${name}`,
+        action: 'display-help',
+        data: { command: name, alias: aliasScript }
+      };
+    }
 
+    const suggestions = this.findSimilarCommands(name);
     return {
-      success: true,
-      message: helpText,
-      action: 'display-help'
+      success: false,
+      message: `No help for unknown command "${name}"`,
+      suggestion: suggestions.length > 0
+        ? `Did you mean: ${suggestions.map(suggestion => `!help ${suggestion}`).join(', ')}?`
+        : 'Type !help for all commands, or !help search <term>'
+    };
+  }
+
+  /**
+   * Help metadata for every command, built-in and registered
+   * @returns {Object[]} Help entries for utils/commandHelp.js
+   */
+  getHelpEntries() {
+    return this.getCommandNames().map(name => this.getHelpEntry(name));
+  }
+
+  /**
+   * Help metadata for one command
+   * @param {string} name - Command name without !
+   * @returns {Object|null} { name, usage, description, category, note, params, examples, related }
+   */
+  getHelpEntry(name) {
+    const commandInfo = this.commandRegistry[name];
+    if (commandInfo) {
+      const { pattern, handler, ...info } = commandInfo;
+      return { name, ...info };
+    }
+
+    const registered = getRegisteredCommand(name);
+    if (!registered) return null;
+
+    return {
+      name,
+      usage: registered.usage,
+      description: registered.description,
+      category: registered.category || undefined,
+      note: registered.mode ? `${this.characterDisplayNames[registered.mode] || registered.mode} only` : '',
+      params: registered.params.map(param => ({ name: param.name, description: describeParam(param) })),
+      examples: registered.examples,
+      related: registered.related
+    };
+  }
+
+  /**
+   * Fuzzy search of command names, descriptions, categories and parameters
+   * @param {string} term - One or more search words
+   * @returns {Object[]} Help entries, best match first
+   */
+  searchHelp(term) {
+    const terms = term.toLowerCase().split(/\s+/).filter(Boolean);
+
+    // Typos in a word still match: score each text word by edit distance
+    const wordScore = (word, wanted) => {
+      if (wanted.length >= 3 && word.includes(wanted)) return 1;
+      return 1 - this.levenshteinDistance(word, wanted) / Math.max(word.length, wanted.length);
     };
+
+    const scored = this.getHelpEntries().map(entry => {
+      const text = [entry.description, entry.category, ...(entry.params || []).map(param => `${param.name} ${param.description}`)]
+        .join(' ')
+        .toLowerCase();
+      const words = text.split(/[^a-z0-9]+/).filter(word => word.length >= 3);
+
+      const scores = terms.map(wanted => Math.max(
+        this.calculateSimilarityScore(entry.name, wanted),
+        ...words.map(word => wordScore(word, wanted) * 0.9)
+      ));
+      return { entry, score: scores.reduce((sum, score) => sum + score, 0) / scores.length };
+    });
+
+    return scored
+      .filter(item => item.score >= 0.7)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 8)
+      .map(item => item.entry);
   }
 
   handleSwitch(args, context) {
@@ -782,24 +1317,18 @@ Type any command to get started!`;
       };
     }
 
-    // Validate context callback availability
-    if (!context.onCharacterSwitch) {
-      return {
-        success: false,
-        message: 'Character switching is not available',
-        suggestion: 'The character switch function is not properly configured'
-      };
-    }
-
-    // Execute character switch through context callback
-    try {
-      context.onCharacterSwitch(result.character);
-    } catch (error) {
-      return {
-        success: false,
-        message: 'Failed to switch character',
-        suggestion: `Error: ${error.message}. Please try again or contact support.`
-      };
+    // Execute character switch through context callback; without one (terminal
+    // input and scripts) CommandExecutor performs the switch from the result
+    if (context.onCharacterSwitch) {
+      try {
+        context.onCharacterSwitch(result.character);
+      } catch (error) {
+        return {
+          success: false,
+          message: 'Failed to switch character',
+          suggestion: `Error: ${error.message}. Please try again or contact support.`
+        };
+      }
     }
 
     return {
@@ -811,6 +1340,7 @@ Type any command to get started!`;
   }
 
   handleCharacters(args, context) {
+    this.syncUserModes();
     const characterList = Object.entries(this.characterDisplayNames)
       .map(([id, name]) => `  ${name}`)
       .join('\n');
@@ -894,6 +1424,282 @@ Avg Switch Time: ${modeLoaderStats.performanceStats.avgCachedSwitchTime}ms`;
     };
   }
 
+  handleSay(args) {
+    const text = args.join(' ');
+    return {
+      success: true,
+      message: `Saying: "${text.length > 40 ? `${text.slice(0, 40)}...` : text}"`,
+      action: 'show-message',
+      data: { text }
+    };
+  }
+
+  handleReact(args) {
+    const type = args[0].toLowerCase();
+    if (!isValidDevEvent(type)) {
+      return {
+        success: false,
+        message: `"${args[0]}" is not an event name`,
+        suggestion: `Try: ${Object.keys(DEV_EVENTS).slice(0, 3).map(event => `!react ${event}`).join(', ')}`
+      };
+    }
+
+    return {
+      success: true,
+      message: `Reacting to ${type}`,
+      action: 'dev-event',
+      data: { type, detail: args.slice(1).join(' ') }
+    };
+  }
+
+  handleSeed(args, context) {
+    if (args.length === 0) {
+      const seed = getSeed();
+      return {
+        success: true,
+        message: seed === null ? 'No seed set (using Math.random).' : `Current seed: ${seed}`,
+        action: 'show-seed',
+        data: { seed }
+      };
+    }
+
+    const input = args[0].toLowerCase();
+    if (input === 'off' || input === 'clear' || input === 'random') {
+      clearSeed();
+      return {
+        success: true,
+        message: 'Seed cleared. Messages and scenes are random again.',
+        action: 'set-seed',
+        data: { seed: null }
+      };
+    }
+
+    // Same normalization as ?seed=: whole numbers as-is, any other text hashed
+    const seed = setSeed(args[0]);
+    if (seed === null) {
+      return {
+        success: false,
+        message: 'Invalid seed value',
+        suggestion: 'Example: !seed 42 or !seed bug-1234 (or !seed off to go back to random)'
+      };
+    }
+
+    const label = String(seed) === args[0] ? seed : `${args[0]} (${seed})`;
+    return {
+      success: true,
+      message: `Seed set to ${label}. Message and scene sequences will now replay for this seed.`,
+      action: 'set-seed',
+      data: { seed }
+    };
+  }
+
+  handleSchedule(args, context) {
+    const subcommand = (args[0] || 'status').toLowerCase();
+    const overrides = this.settingsManager.getScheduleOverrides();
+    const usage = 'Examples: !schedule quiet 22:00-07:00, !schedule focus 09:00-12:00 weekdays 0.3, '
+      + '!schedule lunch 12:00-13:00 3, !schedule mode chaos fri 2, !schedule off, !schedule reset';
+
+    const invalid = (message) => ({ success: false, message, suggestion: usage });
+    const update = (message) => {
+      this.settingsManager.setScheduleOverrides(overrides);
+      return { success: true, message, action: 'update-schedule', data: { overrides } };
+    };
+
+    switch (subcommand) {
+      case 'status':
+        return { success: true, message: 'Schedule status', action: 'show-schedule', data: { overrides } };
+
+      case 'on':
+      case 'off':
+        overrides.enabled = subcommand === 'on';
+        return update(`Schedule rules turned ${subcommand}`);
+
+      case 'reset':
+        this.settingsManager.clearScheduleOverrides();
+        return {
+          success: true,
+          message: 'Schedule reset to global-config.json',
+          action: 'update-schedule',
+          data: { overrides: {} }
+        };
+
+      case 'quiet':
+      case 'focus':
+      case 'lunch': {
+        const key = { quiet: 'quietHours', focus: 'focusBlocks', lunch: 'bursts' }[subcommand];
+        if ((args[1] || '').toLowerCase() === 'off') {
+          overrides[key] = [];
+          return update(`${subcommand} rules cleared`);
+        }
+
+        const range = parseTimeRange(args[1]);
+        if (!range) {
+          return invalid('Invalid time range. Use HH:MM-HH:MM');
+        }
+
+        const rule = { name: subcommand, ...range };
+        for (const option of args.slice(2)) {
+          if (subcommand !== 'quiet' && !isNaN(parseFloat(option))) {
+            rule.frequencyMultiplier = parseFloat(option);
+          } else if (parseDays(option)) {
+            rule.days = formatDays(parseDays(option));
+          } else {
+            return invalid(`Invalid option "${option}". Use days (weekdays, weekends, mon,wed) or a frequency multiplier`);
+          }
+        }
+
+        overrides[key] = [rule];
+        return update(`${subcommand} set to ${range.start}-${range.end}${rule.days ? ` (${rule.days})` : ''}`);
+      }
+
+      case 'mode': {
+        const [, modeInput, dayInput, valueInput] = args;
+        if (!modeInput || !dayInput || !valueInput) {
+          return invalid('Usage: !schedule mode <mode> <day> <multiplier|quiet|off>');
+        }
+
+        const match = this.resolveMode(modeInput);
+        if (!match.found) {
+          return { success: false, message: match.error, suggestion: match.suggestion };
+        }
+
+        const days = parseDays(dayInput);
+        if (!days) {
+          return invalid(`Invalid day "${dayInput}"`);
+        }
+
+        const value = valueInput.toLowerCase();
+        const multiplier = parseFloat(value);
+        let override;
+        if (value === 'off') {
+          override = null;
+        } else if (value === 'quiet') {
+          override = { quiet: true };
+        } else if (!isNaN(multiplier) && multiplier > 0) {
+          override = { frequencyMultiplier: multiplier };
+        } else {
+          return invalid(`Invalid value "${valueInput}". Use a multiplier, quiet or off`);
+        }
+
+        const day = formatDays(days);
+        overrides.modeOverrides = overrides.modeOverrides || {};
+        overrides.modeOverrides[match.character] = { ...overrides.modeOverrides[match.character], [day]: override };
+        return update(override === null
+          ? `Removed ${match.character} override for ${day}`
+          : `${match.character} on ${day}: ${override.quiet ? 'quiet' : `${multiplier}x message frequency`}`);
+      }
+
+      default:
+        return invalid(`Unknown schedule option "${args[0]}"`);
+    }
+  }
+
+  handlePlaylist(args, context) {
+    const subcommand = (args[0] || 'list').toLowerCase();
+    const playlist = normalizePlaylist(this.settingsManager.getPlaylist());
+    const usage = 'Examples: !playlist add Zen Monk 15, !playlist remove chaos, !playlist start shuffle 10, !playlist stop';
+
+    const update = (operation, message) => {
+      this.settingsManager.setPlaylist(playlist);
+      return { success: true, message, action: 'update-playlist', data: { operation, playlist } };
+    };
+
+    switch (subcommand) {
+      case 'list': {
+        if (playlist.entries.length === 0) {
+          return {
+            success: true,
+            message: 'Playlist is empty.',
+            suggestion: usage,
+            action: 'show-playlist',
+            data: { playlist }
+          };
+        }
+
+        const current = playlist.active ? playlist.queue[playlist.position] : null;
+        const lines = playlist.entries.map((entry, index) => {
+          const name = this.characterDisplayNames[entry.mode] || entry.mode;
+          const marker = entry.mode === current ? '  <- now' : '';
+          return `  ${index + 1}. ${name} - ${getDwellMinutes(playlist, entry.mode)} min${marker}`;
+        });
+        return {
+          success: true,
+          message: `Playlist (${playlist.order}, ${playlist.active ? 'playing' : 'stopped'}):\n${lines.join('\n')}`,
+          action: 'show-playlist',
+          data: { playlist }
+        };
+      }
+
+      case 'add':
+      case 'remove': {
+        const words = args.slice(1);
+        const dwell = subcommand === 'add' && words.length > 1 && !isNaN(parseFloat(words[words.length - 1]))
+          ? sanitizeDwell(words.pop())
+          : null;
+        if (words.length === 0) {
+          return { success: false, message: `Usage: !playlist ${subcommand} <character>${subcommand === 'add' ? ' [minutes]' : ''}`, suggestion: usage };
+        }
+
+        const match = this.resolveMode(words.join(' '));
+        if (!match.found) {
+          return { success: false, message: match.error, suggestion: match.suggestion };
+        }
+
+        const name = this.characterDisplayNames[match.character];
+        const existing = playlist.entries.find(entry => entry.mode === match.character);
+
+        if (subcommand === 'remove') {
+          if (!existing) {
+            return { success: false, message: `${name} is not in the playlist`, suggestion: 'Type !playlist list to see the playlist' };
+          }
+          playlist.entries = playlist.entries.filter(entry => entry !== existing);
+          playlist.active = playlist.active && playlist.entries.length > 0;
+          return update(playlist.entries.length > 0 ? 'remove' : 'stop', `Removed ${name} from the playlist`);
+        }
+
+        if (existing) {
+          existing.dwellMinutes = dwell;
+        } else {
+          playlist.entries.push({ mode: match.character, dwellMinutes: dwell });
+        }
+        return update('add', `${existing ? 'Updated' : 'Added'} ${name} (${getDwellMinutes(playlist, match.character)} min)`);
+      }
+
+      case 'start': {
+        if (playlist.entries.length === 0) {
+          return { success: false, message: 'Playlist is empty', suggestion: 'Add characters first, e.g. !playlist add Zen Monk' };
+        }
+
+        for (const option of args.slice(1)) {
+          const value = option.toLowerCase();
+          if (value === 'shuffle' || value === 'ordered') {
+            playlist.order = value;
+          } else if (sanitizeDwell(value)) {
+            playlist.dwellMinutes = sanitizeDwell(value);
+          } else {
+            return { success: false, message: `Invalid option "${option}". Use shuffle, ordered or a dwell time in minutes`, suggestion: usage };
+          }
+        }
+
+        // Start a fresh cycle from the first entry
+        playlist.active = true;
+        playlist.queue = [];
+        playlist.position = -1;
+        return update('start', `Playlist started (${playlist.order}, ${playlist.dwellMinutes} min per character)`);
+      }
+
+      case 'stop':
+        if (!playlist.active) {
+          return { success: true, message: 'Playlist is not playing', action: 'show-playlist', data: { playlist } };
+        }
+        playlist.active = false;
+        return update('stop', 'Playlist stopped');
+
+      default:
+        return { success: false, message: `Unknown playlist option "${args[0]}"`, suggestion: usage };
+    }
+  }
+
   handleClear(args, context) {
     return {
       success: true,
@@ -918,6 +1724,8 @@ Audio Settings:
 Audio System: ${settings.audio.enabled ? 'Enabled' : 'Disabled'}
 Volume: ${Math.round(settings.audio.volume * 100)}%
 Muted: ${settings.audio.muted ? 'Yes' : 'No'}
+Ambient: ${settings.audio.ambientEnabled ? 'Enabled' : 'Disabled'}
+Voice: ${settings.voice.enabled ? 'Enabled' : 'Disabled'}${settings.voice.name ? ` (${settings.voice.name})` : ''}
 
 Accessibility:
 High Contrast: ${settings.accessibility.highContrast ? 'Enabled' : 'Disabled'}
@@ -1078,6 +1886,16 @@ Animation Speed: ${this.settingsManager.getSetting('visual.animationSpeed')}x`;
   }
 
   handleExport(args, context) {
+    if ((args[0] || '').toLowerCase() === 'file') {
+      const file = this.settingsManager.exportSettingsFile();
+      return {
+        success: true,
+        message: `Downloading ${file.filename}`,
+        action: 'download-settings',
+        data: { filename: file.filename, json: file.json }
+      };
+    }
+
     const result = this.settingsManager.exportConfig();
     
     if (result.success) {
@@ -1101,28 +1919,133 @@ Animation Speed: ${this.settingsManager.getSetting('visual.animationSpeed')}x`;
   }
 
   handleImport(args, context) {
-    const configString = args[0];
-    const result = this.settingsManager.importConfig(configString);
-    
-    if (result.success) {
-      // Notify context of settings change
-      if (context.onSettingsImported) {
-        context.onSettingsImported(this.settingsManager.settings);
-      }
-      
+    const option = args[0].toLowerCase();
+
+    if (option === 'file') {
       return {
         success: true,
-        message: result.message,
-        action: 'import-config',
-        data: { settings: this.settingsManager.settings }
+        message: 'Choose a settings file...',
+        action: 'import-settings-file'
       };
-    } else {
+    }
+
+    if (option === 'cancel') {
+      return this.settingsManager.cancelPendingImport()
+        ? { success: true, message: 'Import cancelled', action: 'import-cancelled' }
+        : { success: false, message: 'No import waiting to be applied', suggestion: 'Usage: !import <config-string|file>' };
+    }
+
+    const result = option === 'apply'
+      ? this.settingsManager.applyPendingImport()
+      : this.settingsManager.previewImport(args[0]);
+    
+    if (!result.success) {
       return {
         success: false,
         message: result.message,
-        suggestion: 'Make sure you copied the complete configuration string from !export'
+        suggestion: option === 'apply'
+          ? 'Start with !import <config-string> or !import file'
+          : 'Make sure you copied the complete configuration string from !export'
       };
     }
+
+    if (result.pending) {
+      return {
+        success: true,
+        message: result.message,
+        action: 'import-preview',
+        data: { changes: result.changes }
+      };
+    }
+
+    // Notify context of settings change
+    if (context.onSettingsImported) {
+      context.onSettingsImported(this.settingsManager.settings);
+    }
+    
+    return {
+      success: true,
+      message: result.message,
+      action: 'import-config',
+      data: { settings: this.settingsManager.settings, changes: result.changes }
+    };
+  }
+
+  handleProfile(args, context) {
+    const action = (args[0] || 'list').toLowerCase();
+    const name = (args[1] || '').toLowerCase();
+    const usage = `Usage: ${this.commandRegistry.profile.usage}`;
+
+    if (action === 'list') {
+      const { active, profiles } = this.settingsManager.getProfiles();
+      const names = Object.keys(profiles).sort();
+      if (names.length === 0) {
+        return { success: true, message: 'No profiles saved yet. Save one with !profile save <name>', action: 'show-profiles', data: { active, profiles: [] } };
+      }
+
+      const lines = names.map(profileName => {
+        const savedAt = new Date(profiles[profileName].savedAt).toISOString().slice(0, 10);
+        return `  ${profileName}${profileName === active ? ' (active)' : ''} - saved ${savedAt}`;
+      });
+      return { success: true, message: `Settings profiles:\n${lines.join('\n')}`, action: 'show-profiles', data: { active, profiles: names } };
+    }
+
+    if (!['save', 'use', 'diff', 'export', 'delete', 'remove'].includes(action)) {
+      return { success: false, message: `Unknown profile action "${action}"`, suggestion: usage };
+    }
+    if (!name) {
+      return { success: false, message: `Profile name required for !profile ${action}`, suggestion: usage };
+    }
+
+    switch (action) {
+      case 'save': {
+        const result = this.settingsManager.saveProfile(name);
+        return result.success
+          ? { success: true, message: result.message, action: 'update-profiles', data: { name } }
+          : { success: false, message: result.message, suggestion: 'Example: !profile save night' };
+      }
+      case 'use': {
+        const result = this.settingsManager.useProfile(name);
+        if (!result.success) {
+          return { success: false, message: result.message, suggestion: 'Type !profile to see saved profiles' };
+        }
+        if (context.onSettingsImported) {
+          context.onSettingsImported(this.settingsManager.settings);
+        }
+        return { success: true, message: result.message, action: 'use-profile', data: { name, changes: result.changes } };
+      }
+      case 'diff': {
+        const profile = this.settingsManager.getProfileSettings(name);
+        if (!profile.success) {
+          return { success: false, message: profile.message, suggestion: 'Type !profile to see saved profiles' };
+        }
+        const changes = diffSettings(this.settingsManager.getPortableSettings(), profile.settings);
+        return {
+          success: true,
+          message: changes.length === 0
+            ? `Profile "${name}" matches the current settings`
+            : `Switching to "${name}" would change:\n${formatSettingsDiff(changes)}`,
+          action: 'show-profiles',
+          data: { name, changes }
+        };
+      }
+      case 'export': {
+        const file = this.settingsManager.exportSettingsFile(name);
+        if (!file.success) {
+          return { success: false, message: file.message, suggestion: 'Type !profile to see saved profiles' };
+        }
+        return {
+          success: true,
+          message: `Downloading ${file.filename}`,
+          action: 'download-settings',
+          data: { filename: file.filename, json: file.json }
+        };
+      }
+      default:
+        return this.settingsManager.deleteProfile(name)
+          ? { success: true, message: `Deleted profile "${name}"`, action: 'update-profiles', data: { name } }
+          : { success: false, message: `No profile named "${name}"`, suggestion: 'Type !profile to see saved profiles' };
+    }
   }
 
   handleReset(args, context) {
@@ -1221,6 +2144,633 @@ Animation Speed: ${this.settingsManager.getSetting('visual.animationSpeed')}x`;
       data: { setting: 'muted', value: false }
     };
   }
+
+  handleAudio(args, context) {
+    const [first, second] = args.map(arg => arg.toLowerCase());
+    const usage = 'Examples: !audio on, !audio off, !audio ambient on';
+    const toggles = { on: true, off: false };
+
+    if (!first) {
+      const audio = this.settingsManager.getSetting('audio');
+      return {
+        success: true,
+        message: `Audio: ${audio.enabled ? 'on' : 'off'}${audio.muted ? ' (muted)' : ''}, volume ${Math.round(audio.volume * 100)}%, ambient ${audio.ambientEnabled ? 'on' : 'off'}`,
+        suggestion: usage,
+        action: 'show-audio',
+        data: { audio }
+      };
+    }
+
+    const ambient = first === 'ambient';
+    const value = toggles[ambient ? second : first];
+    if (value === undefined || (!ambient && second)) {
+      return { success: false, message: `Unknown audio option "${args.join(' ')}"`, suggestion: usage };
+    }
+
+    const setting = ambient ? 'ambientEnabled' : 'enabled';
+    this.settingsManager.setSetting(`audio.${setting}`, value);
+    // Turning the ambient bed on implies wanting to hear it
+    if (ambient && value) {
+      this.settingsManager.setSetting('audio.enabled', true);
+    }
+
+    // Notify context if callback available
+    if (context.onAudioSettingChanged) {
+      context.onAudioSettingChanged(setting, value);
+    }
+
+    const muted = value && this.settingsManager.getSetting('audio.muted');
+    return {
+      success: true,
+      message: `${ambient ? 'Ambient sound' : 'Audio'} ${value ? 'on' : 'off'}${muted ? ' (still muted - use !unmute)' : ''}`,
+      action: 'audio-setting-changed',
+      data: { setting, value }
+    };
+  }
+
+  handleVoice(args, context) {
+    const subcommand = (args[0] || 'status').toLowerCase();
+    const usage = 'Examples: !voice on, !voice list, !voice set Samantha, !voice set default';
+    const synth = getSpeechSynthesis();
+    const voices = synth ? synth.getVoices() : [];
+    const muted = this.settingsManager.getSetting('audio.muted');
+
+    const update = (setting, value, message) => {
+      this.settingsManager.setSetting(`voice.${setting}`, value);
+      if (context.onAudioSettingChanged) {
+        context.onAudioSettingChanged(`voice.${setting}`, value);
+      }
+      return { success: true, message, action: 'audio-setting-changed', data: { setting: `voice.${setting}`, value } };
+    };
+
+    switch (subcommand) {
+      case 'status': {
+        const voice = this.settingsManager.getSetting('voice');
+        return {
+          success: true,
+          message: `Voice: ${voice.enabled ? 'on' : 'off'}${muted ? ' (muted)' : ''}, using ${voice.name || "each character's own voice"}`,
+          suggestion: synth ? usage : 'This browser has no speech synthesis',
+          action: 'show-voice',
+          data: { voice }
+        };
+      }
+
+      case 'on':
+      case 'off': {
+        if (subcommand === 'on' && !synth) {
+          return { success: false, message: 'This browser does not support speech synthesis', suggestion: 'Try a recent Chrome, Edge, Firefox or Safari' };
+        }
+        const enabled = subcommand === 'on';
+        return update('enabled', enabled, `Voice ${subcommand}${enabled && muted ? ' (audio is muted - use !unmute)' : ''}`);
+      }
+
+      case 'list': {
+        if (voices.length === 0) {
+          return {
+            success: true,
+            message: synth ? 'No voices loaded yet. Try again in a moment.' : 'This browser has no speech synthesis',
+            action: 'show-voice',
+            data: { voices: [] }
+          };
+        }
+        const current = this.settingsManager.getSetting('voice.name');
+        const lines = voices.map(voice => {
+          const marker = voice.name === current ? '  <- selected' : '';
+          return `  ${voice.name} (${voice.lang}${voice.localService ? ', offline' : ''})${marker}`;
+        });
+        return {
+          success: true,
+          message: `Available voices (${voices.length}):\n${lines.join('\n')}`,
+          suggestion: 'Use !voice set <name> to pick one',
+          action: 'show-voice',
+          data: { voices: voices.map(voice => ({ name: voice.name, lang: voice.lang, localService: voice.localService })) }
+        };
+      }
+
+      case 'set': {
+        const name = args.slice(1).join(' ').trim();
+        if (!name) {
+          return { success: false, message: 'Missing voice name', suggestion: usage };
+        }
+        if (['default', 'auto', 'mode'].includes(name.toLowerCase())) {
+          return update('name', '', 'Voice reset. Each character uses its own voice.');
+        }
+
+        // Voices load asynchronously, so an unknown name is only rejected once the list is known
+        const voice = findVoiceByName(voices, name);
+        if (voices.length > 0 && !voice) {
+          return { success: false, message: `No voice matches "${name}"`, suggestion: 'Type !voice list to see installed voices' };
+        }
+        return update('name', voice ? voice.name : name, `Voice set to ${voice ? voice.name : name}`);
+      }
+
+      default:
+        return { success: false, message: `Unknown voice option "${args[0]}"`, suggestion: usage };
+    }
+  }
+
+  /**
+   * Themes known to the app: built-in palettes plus the custom themes the
+   * page loaded (shared by every ThemeManager). Never applied from here;
+   * the page's ThemeManager follows the visual.theme setting
+   * @returns {ThemeManager} Catalog instance
+   */
+  getThemeCatalog() {
+    if (!this.themeCatalog) {
+      this.themeCatalog = new ThemeManager();
+    }
+    return this.themeCatalog;
+  }
+
+  handleName(args) {
+    if (args.length === 0) {
+      const name = this.settingsManager.getSetting('messages.userName');
+      return {
+        success: true,
+        message: name ? `Characters call you ${name}` : `No name set; characters call you "${DEFAULT_USER_NAME}"`,
+        suggestion: name ? 'Use !name clear to remove it' : 'Use !name <name> to set one',
+        action: 'show-name',
+        data: { userName: name || '' }
+      };
+    }
+
+    if (args.length === 1 && args[0].toLowerCase() === 'clear') {
+      this.settingsManager.setSetting('messages.userName', '');
+      return {
+        success: true,
+        message: `Name cleared; characters call you "${DEFAULT_USER_NAME}" again`,
+        action: 'name-changed',
+        data: { userName: '' }
+      };
+    }
+
+    const name = normalizeUserName(args.join(' '));
+    if (!name) {
+      return {
+        success: false,
+        message: 'That name is empty once braces and spaces are removed',
+        suggestion: 'Example: !name Alex'
+      };
+    }
+
+    this.settingsManager.setSetting('messages.userName', name);
+    return {
+      success: true,
+      message: `Characters will call you ${name}`,
+      action: 'name-changed',
+      data: { userName: name }
+    };
+  }
+
+  handleTheme(args, context) {
+    const catalog = this.getThemeCatalog();
+    const selected = this.settingsManager.getSetting('visual.theme');
+    const following = !selected || selected === FOLLOW_MODE_THEME;
+    const requested = (args[0] || '').toLowerCase();
+
+    if (!requested) {
+      const theme = following ? null : catalog.getThemeConfig(selected);
+      return {
+        success: true,
+        message: following
+          ? "Theme: each character's own colors"
+          : `Theme: ${theme.name} (${selected}) for every character`,
+        suggestion: 'Use !theme list to see themes',
+        action: 'show-theme',
+        data: { theme: following ? FOLLOW_MODE_THEME : selected }
+      };
+    }
+
+    if (requested === 'list') {
+      const themes = catalog.getAvailableThemes();
+      const lines = themes.map(theme => {
+        const marker = theme.id === selected ? '  <- selected' : '';
+        return `  ${theme.id.padEnd(18)} ${theme.name}${theme.custom ? ' (custom)' : ''}${marker}`;
+      });
+      return {
+        success: true,
+        message: `Themes (${themes.length}):\n${lines.join('\n')}`,
+        suggestion: `Use !theme <theme>, or !theme ${FOLLOW_MODE_THEME} for each character's own colors`,
+        action: 'show-theme',
+        data: { themes }
+      };
+    }
+
+    if (requested === FOLLOW_MODE_THEME) {
+      this.settingsManager.setSetting('visual.theme', FOLLOW_MODE_THEME);
+      return {
+        success: true,
+        message: 'Theme follows the character again',
+        action: 'theme-changed',
+        data: { theme: FOLLOW_MODE_THEME }
+      };
+    }
+
+    if (!catalog.hasTheme(requested)) {
+      return {
+        success: false,
+        message: `Unknown theme "${args[0]}"`,
+        suggestion: 'Type !theme list to see themes. Custom themes go in public/data/themes.json'
+      };
+    }
+
+    this.settingsManager.setSetting('visual.theme', requested);
+    return {
+      success: true,
+      message: `Theme set to ${catalog.getThemeConfig(requested).name} for every character`,
+      action: 'theme-changed',
+      data: { theme: requested }
+    };
+  }
+
+  handleContrast(args, context) {
+    const subcommand = (args[0] || '').toLowerCase();
+    const highContrast = this.settingsManager.getSetting('accessibility.highContrast');
+    const level = highContrast ? 'AAA' : 'AA';
+    const { text, graphics } = CONTRAST_LEVELS[level];
+
+    if (!subcommand) {
+      return {
+        success: true,
+        message: `High contrast: ${highContrast ? 'on' : 'off'}. Colors are corrected to WCAG ${level} (text ${text}:1, glow ${graphics}:1)`,
+        suggestion: 'Use !contrast report to see every theme',
+        action: 'show-contrast',
+        data: { highContrast, level }
+      };
+    }
+
+    if (subcommand === 'on' || subcommand === 'off') {
+      const value = subcommand === 'on';
+      this.settingsManager.setSetting('accessibility.highContrast', value);
+      if (context.onSettingChanged) {
+        context.onSettingChanged('accessibility.highContrast', value);
+      }
+      return {
+        success: true,
+        message: value
+          ? 'High contrast on. Colors are corrected to WCAG AAA'
+          : 'High contrast off. Colors are corrected to WCAG AA',
+        action: 'setting-changed',
+        data: { setting: 'highContrast', value }
+      };
+    }
+
+    if (subcommand !== 'report') {
+      return { success: false, message: `Unknown contrast option "${args[0]}"`, suggestion: 'Usage: !contrast [on|off|report]' };
+    }
+
+    // Ratios of each theme as designed, and what correction to the current level changes
+    const catalog = this.getThemeCatalog();
+    const formatRatio = (row) => `${row.ratio.toFixed(1)} ${row.level || 'fail'}`.padEnd(10);
+    const report = catalog.getAvailableThemes().map(({ id }) => {
+      const theme = catalog.getThemeConfig(id);
+      const ratios = measureContrast(theme);
+      const { corrections } = correctThemeContrast(theme, { level });
+      return { id, ratios, corrected: corrections.map(correction => correction.color) };
+    });
+
+    const columns = report[0].ratios.map(row => row.id);
+    const lines = report.map(({ id, ratios, corrected }) => {
+      const note = corrected.length > 0 ? `fixed ${corrected.length}` : 'ok';
+      return `  ${id.padEnd(18)} ${ratios.map(formatRatio).join(' ')} ${note}`;
+    });
+
+    return {
+      success: true,
+      message: `Contrast of every theme (WCAG ${level} needs text ${text}:1, glow ${graphics}:1):\n`
+        + `  ${'theme'.padEnd(18)} ${columns.map(column => column.padEnd(10)).join(' ')}`.trimEnd() + '\n'
+        + lines.join('\n'),
+      suggestion: `Colors that fall short are corrected to ${level} when a theme is shown, keeping their hue`,
+      action: 'show-contrast',
+      data: { level, themes: report }
+    };
+  }
+
+  /**
+   * Run a command from the history again (`!12`, `!-1`)
+   * @param {string} input - History reference
+   * @returns {Object} Command result
+   */
+  runHistoryReference(input) {
+    const { command, error } = resolveHistoryReference(this.settingsManager.getCommandHistory(), input);
+    if (error) {
+      return { success: false, message: error, suggestion: 'Type !history to see numbered commands' };
+    }
+    if (isHistoryReference(command)) {
+      return { success: false, message: `${input} points at another history reference (${command})`, suggestion: 'Type !history to pick a different entry' };
+    }
+
+    return {
+      success: true,
+      message: `Running ${command}`,
+      action: 'run-script',
+      data: { script: command }
+    };
+  }
+
+  /**
+   * Tab completion for a command name or its arguments. Only the last
+   * command of `;`-chained input is completed.
+   * @param {string} input - Current terminal input
+   * @returns {string[]} Completed inputs, sorted
+   */
+  getCompletions(input) {
+    const text = input.replace(/^\s+/, '');
+    const separator = text.lastIndexOf(';');
+    const lead = separator === -1 ? '' : `${text.slice(0, separator + 1)} `;
+    const current = text.slice(separator + 1).replace(/^\s+/, '');
+    if (!current.startsWith('!')) return [];
+
+    const nameMatch = current.match(/^!(\S*)$/);
+    if (nameMatch) {
+      const prefix = nameMatch[1].toLowerCase();
+      const names = [...this.getCommandNames(), ...Object.keys(this.settingsManager.getAliases())];
+      return [...new Set(names)]
+        .filter(name => name.startsWith(prefix))
+        .sort()
+        .map(name => `${lead}!${name}`);
+    }
+
+    const [, command, argText] = current.match(/^!(\S+)\s+(.*)$/);
+    const wanted = argText.toLowerCase();
+    return this.getArgumentCompletions(command.toLowerCase(), argText)
+      .filter(option => option.toLowerCase().startsWith(wanted))
+      .sort()
+      .map(option => `${lead}!${command} ${option}`);
+  }
+
+  /**
+   * Values tab completion offers after a command name
+   * @param {string} command - Command name without !
+   * @param {string} [argText] - Arguments typed so far
+   * @returns {string[]} Argument strings (may contain spaces)
+   */
+  getArgumentCompletions(command, argText = '') {
+    this.syncUserModes();
+    const characters = [...new Set(Object.values(this.characterDisplayNames))];
+
+    // Registered commands complete the parameter being typed from its schema
+    const registered = this.commandRegistry[command] ? null : getRegisteredCommand(command);
+    if (registered) {
+      const words = argText.split(/\s+/);
+      const typed = words.slice(0, -1);
+      const restIndex = registered.params.findIndex(param => param.rest);
+      const index = restIndex !== -1 && typed.length >= restIndex ? restIndex : typed.length;
+      const param = registered.params[index];
+      if (!param) return [];
+
+      const lead = typed.slice(0, index).map(word => `${word} `).join('');
+      return getParamCompletions(param, { characters }).map(value => `${lead}${value}`);
+    }
+
+    switch (command) {
+      case 'switch':
+        return characters;
+      case 'help':
+        return ['search', ...this.getCommandNames()];
+      case 'playlist':
+        return [
+          ...ARGUMENT_OPTIONS.playlist,
+          ...characters.map(name => `add ${name}`),
+          ...characters.map(name => `remove ${name}`)
+        ];
+      case 'voice': {
+        const synth = getSpeechSynthesis();
+        const voices = synth ? synth.getVoices() : [];
+        return ['on', 'off', 'list', 'set default', ...voices.map(voice => `set ${voice.name}`)];
+      }
+      case 'theme':
+        return ['list', FOLLOW_MODE_THEME, ...this.getThemeCatalog().getAvailableThemes().map(theme => theme.id)];
+      case 'alias': {
+        const names = Object.keys(this.settingsManager.getAliases());
+        return names.map(name => `remove ${name}`);
+      }
+      case 'profile': {
+        const names = Object.keys(this.settingsManager.getProfiles().profiles);
+        return ['list', 'save', ...['use', 'diff', 'export', 'delete'].flatMap(action => names.map(name => `${action} ${name}`))];
+      }
+      default:
+        return ARGUMENT_OPTIONS[command] || [];
+    }
+  }
+
+  handleHistory(args, context) {
+    const history = this.settingsManager.getCommandHistory();
+    const size = this.settingsManager.getSetting('terminal.historySize');
+    const subcommand = (args[0] || '').toLowerCase();
+
+    if (subcommand === 'clear') {
+      this.settingsManager.setCommandHistory([]);
+      return { success: true, message: 'Command history cleared', action: 'update-history', data: { history: [] } };
+    }
+
+    if (subcommand === 'size') {
+      if (args.length === 1) {
+        return { success: true, message: `History keeps the last ${size} commands`, action: 'show-history', data: { size } };
+      }
+      const requested = Number(args[1]);
+      if (!isFinite(requested)) {
+        return {
+          success: false,
+          message: `Invalid history size "${args[1]}"`,
+          suggestion: `Use a number from ${HISTORY_SIZE_RANGE.min} to ${HISTORY_SIZE_RANGE.max}`
+        };
+      }
+      const newSize = clampHistorySize(requested);
+      this.settingsManager.setSetting('terminal.historySize', newSize);
+      const trimmed = this.settingsManager.setCommandHistory(history);
+      const dropped = history.length - trimmed.length;
+      return {
+        success: true,
+        message: `History keeps the last ${newSize} commands${dropped > 0 ? ` (${dropped} oldest removed)` : ''}`,
+        action: 'update-history',
+        data: { size: newSize, history: trimmed }
+      };
+    }
+
+    const count = subcommand ? Number(subcommand) : 20;
+    if (!Number.isInteger(count) || count < 1) {
+      return { success: false, message: `Unknown history option "${args[0]}"`, suggestion: 'Examples: !history, !history 50, !history clear, !history size 200' };
+    }
+    if (history.length === 0) {
+      return { success: true, message: 'Command history is empty.', action: 'show-history', data: { history } };
+    }
+
+    const start = Math.max(0, history.length - count);
+    const width = String(history.length).length;
+    const lines = history.slice(start).map((command, offset) => `  ${String(start + offset + 1).padStart(width)}  ${command}`);
+    return {
+      success: true,
+      message: `Command history (last ${lines.length} of ${history.length}, keeps ${size}):\n${lines.join('\n')}`,
+      suggestion: 'Run one again with !<n>, or search with Ctrl+R',
+      action: 'show-history',
+      data: { history }
+    };
+  }
+
+  /**
+   * Run a user alias as a script through CommandExecutor
+   * @param {Object} parsed - Parsed command
+   * @param {string} script - Alias body
+   * @returns {Object} Command result
+   */
+  runAlias(parsed, script) {
+    if (parsed.args.length > 0) {
+      return {
+        success: false,
+        message: `Alias !${parsed.command} does not take arguments`,
+        suggestion: `It runs: ${script}`
+      };
+    }
+
+    return {
+      success: true,
+      message: `Running !${parsed.command}`,
+      action: 'run-script',
+      data: { script, alias: parsed.command }
+    };
+  }
+
+  handleAlias(args, context) {
+    const aliases = this.settingsManager.getAliases();
+    const text = args.join(' ');
+    const usage = 'Examples: !alias focus = !switch zen monk; !frequency 120, !alias remove focus';
+
+    if (!text) {
+      const names = Object.keys(aliases).sort();
+      if (names.length === 0) {
+        return { success: true, message: 'No aliases defined.', suggestion: usage, action: 'show-aliases', data: { aliases } };
+      }
+      return {
+        success: true,
+        message: `Aliases (${names.length}):\n${names.map(name => `  !${name} = ${aliases[name]}`).join('\n')}`,
+        action: 'show-aliases',
+        data: { aliases }
+      };
+    }
+
+    const subcommand = args[0].toLowerCase();
+    if ((subcommand === 'remove' || subcommand === 'rm') && args.length === 2) {
+      const name = args[1].replace(/^!/, '').toLowerCase();
+      if (!aliases[name]) {
+        return { success: false, message: `No alias named !${name}`, suggestion: 'Type !alias to list aliases' };
+      }
+      const { [name]: removed, ...rest } = aliases;
+      this.settingsManager.setAliases(rest);
+      return { success: true, message: `Removed alias !${name}`, action: 'update-aliases', data: { aliases: rest } };
+    }
+
+    const definition = parseAliasDefinition(text);
+    if (!definition) {
+      const name = subcommand.replace(/^!/, '');
+      if (args.length === 1 && aliases[name]) {
+        return { success: true, message: `!${name} = ${aliases[name]}`, action: 'show-aliases', data: { aliases: { [name]: aliases[name] } } };
+      }
+      return { success: false, message: `Unknown alias "${text}"`, suggestion: usage };
+    }
+
+    const { name, script } = definition;
+    if (!isValidAliasName(name)) {
+      return { success: false, message: `Invalid alias name "${name}"`, suggestion: 'Use letters, digits and dashes, starting with a letter' };
+    }
+    if (this.commandRegistry[name] || name === 'remove' || name === 'rm') {
+      return { success: false, message: `!${name} is a built-in command`, suggestion: 'Pick another name for the alias' };
+    }
+    if (getRegisteredCommand(name)) {
+      return { success: false, message: `!${name} is already a registered command`, suggestion: 'Pick another name for the alias' };
+    }
+
+    const validation = this.validateScriptCommands(script);
+    if (!validation.valid) {
+      return { success: false, message: `Alias not saved: ${validation.error}`, suggestion: usage };
+    }
+
+    const body = validation.commands.join('; ');
+    const updated = { ...aliases, [name]: body };
+    this.settingsManager.setAliases(updated);
+    return {
+      success: true,
+      message: `${aliases[name] ? 'Updated' : 'Added'} alias !${name} = ${body}`,
+      action: 'update-aliases',
+      data: { aliases: updated }
+    };
+  }
+
+  handleWait(args, context) {
+    const seconds = Number(args[0]);
+    if (!isFinite(seconds) || seconds < 0 || seconds > MAX_WAIT_SECONDS) {
+      return {
+        success: false,
+        message: `Wait must be between 0 and ${MAX_WAIT_SECONDS} seconds`,
+        suggestion: 'Example: !wait 5'
+      };
+    }
+
+    return {
+      success: true,
+      message: `Waiting ${seconds} seconds`,
+      action: 'wait',
+      data: { seconds }
+    };
+  }
+
+  handleStartup(args, context) {
+    const subcommand = (args[0] || 'show').toLowerCase();
+    const script = this.settingsManager.getStartupScript();
+    const usage = 'Examples: !startup set !switch zen monk; !volume 0.2, !startup run, !startup clear';
+
+    switch (subcommand) {
+      case 'show':
+        return {
+          success: true,
+          message: script ? `Startup script: ${script}` : 'No startup script set.',
+          suggestion: script ? undefined : usage,
+          action: 'show-startup',
+          data: { script }
+        };
+
+      case 'set': {
+        const validation = this.validateScriptCommands(args.slice(1).join(' '));
+        if (!validation.valid) {
+          return { success: false, message: `Startup script not saved: ${validation.error}`, suggestion: usage };
+        }
+        const body = validation.commands.join('; ');
+        this.settingsManager.setStartupScript(body);
+        return { success: true, message: `Startup script set: ${body}`, action: 'update-startup', data: { script: body } };
+      }
+
+      case 'clear':
+        this.settingsManager.setStartupScript('');
+        return { success: true, message: 'Startup script cleared', action: 'update-startup', data: { script: '' } };
+
+      case 'run':
+        if (!script) {
+          return { success: false, message: 'No startup script set', suggestion: usage };
+        }
+        return { success: true, message: 'Running startup script', action: 'run-script', data: { script } };
+
+      default:
+        return { success: false, message: `Unknown startup option "${args[0]}"`, suggestion: usage };
+    }
+  }
+
+  /**
+   * Check a script before saving it: every command must pass validateCommand
+   * @param {string} script - `;`-separated commands
+   * @returns {Object} { valid, commands, error }
+   */
+  validateScriptCommands(script) {
+    const validation = validateScript(script);
+    if (!validation.valid) return validation;
+
+    for (const command of validation.commands) {
+      const check = this.validateCommand(command);
+      if (!check.valid) {
+        return { valid: false, commands: validation.commands, error: `${command}: ${check.error}` };
+      }
+    }
+    return validation;
+  }
 }
 
 // React component wrapper for CommandParser
@@ -0,0 +1,189 @@
+import React, { useRef, useEffect, useCallback } from 'react';
+import { useFrame } from '@react-three/fiber';
+import {
+  PRIMITIVE_GEOMETRIES,
+  MATERIAL_TYPES,
+  LIGHT_TYPES,
+  toVector3,
+  resolveMaterial,
+  computeTransform
+} from '../utils/sceneDescription';
+import { getRandomStream } from '../utils/seededRandom';
+
+// Jitter shares the seedable scene stream with the built-in modes
+const sceneRandom = getRandomStream('scene');
+
+/**
+ * DeclarativeMode - Generic renderer for user-defined modes
+ * Interprets the scene description DSL (see utils/sceneDescription.js) from a
+ * mode's scene.json or scene.yaml. The scene component renders inside SceneWrapper and the
+ * character inside CharacterHost, so new modes need no hand-written JSX.
+ */
+
+/**
+ * Renders the lights of a scene or character section
+ */
+const DeclarativeLights = ({ lights = [] }) => (
+  <>
+    {lights.map((light, index) => {
+      const LightElement = LIGHT_TYPES[light.type];
+      if (!LightElement) return null;
+
+      return (
+        <LightElement
+          key={light.id || index}
+          color={light.color}
+          intensity={light.intensity !== undefined ? light.intensity : 1}
+          {...(light.position && { position: toVector3(light.position) })}
+          {...(light.groundColor && { groundColor: light.groundColor })}
+        />
+      );
+    })}
+  </>
+);
+
+/**
+ * Renders a single object (primitive or group) and animates its behaviours
+ */
+const DeclarativeObject = ({ description, fallbackColor, speedMultiplier, speakingRef }) => {
+  const groupRef = useRef();
+  const hasBehaviours = Array.isArray(description.behaviours) && description.behaviours.length > 0;
+
+  useFrame((state) => {
+    if (!groupRef.current || !hasBehaviours) return;
+
+    const { position, rotation, scale } = computeTransform(description, {
+      time: state.clock.elapsedTime,
+      speaking: speakingRef ? speakingRef.current : false,
+      speedMultiplier,
+      random: sceneRandom
+    });
+
+    groupRef.current.position.set(...position);
+    groupRef.current.rotation.set(...rotation);
+    groupRef.current.scale.set(...scale);
+  });
+
+  const geometry = PRIMITIVE_GEOMETRIES[description.type];
+  const GeometryElement = geometry?.element;
+  const material = resolveMaterial(description, fallbackColor);
+  const MaterialElement = MATERIAL_TYPES[material.type];
+  const { type, ...materialProps } = material;
+  const children = Array.isArray(description.children) ? description.children : [];
+
+  return (
+    <group
+      ref={groupRef}
+      position={toVector3(description.position, [0, 0, 0])}
+      rotation={toVector3(description.rotation, [0, 0, 0])}
+      scale={toVector3(description.scale, [1, 1, 1])}
+    >
+      {GeometryElement && (
+        <mesh>
+          <GeometryElement args={Array.isArray(description.args) ? description.args : geometry.args} />
+          <MaterialElement {...(type === 'normal' ? { wireframe: materialProps.wireframe } : materialProps)} />
+        </mesh>
+      )}
+      {children.map((child, index) => (
+        <DeclarativeObject
+          key={child.id || index}
+          description={child}
+          fallbackColor={fallbackColor}
+          speedMultiplier={speedMultiplier}
+          speakingRef={speakingRef}
+        />
+      ))}
+    </group>
+  );
+};
+
+/**
+ * Build scene and character components for a declarative mode definition
+ * @param {Object} definition - Mode definition { id, config, scene }
+ * @returns {Object} { scene, character } React components
+ */
+export function createDeclarativeComponents(definition) {
+  const description = (definition && definition.scene) || {};
+  const sceneSection = description.scene || {};
+  const characterSection = description.character || {};
+  const sceneObjects = Array.isArray(sceneSection.objects) ? sceneSection.objects : [];
+  const characterObjects = Array.isArray(characterSection.objects) ? characterSection.objects : [];
+  const primaryColor = definition?.config?.sceneProps?.primaryColor || '#00ff00';
+
+  function DeclarativeScene({ sceneProps }) {
+    const speedMultiplier = sceneProps?.ambientSpeed || definition?.config?.sceneProps?.ambientSpeed || 1.0;
+
+    return (
+      <group>
+        <DeclarativeLights lights={Array.isArray(sceneSection.lights) ? sceneSection.lights : []} />
+        {sceneObjects.map((object, index) => (
+          <DeclarativeObject
+            key={object.id || index}
+            description={object}
+            fallbackColor={sceneProps?.primaryColor || primaryColor}
+            speedMultiplier={speedMultiplier}
+          />
+        ))}
+      </group>
+    );
+  }
+
+  function DeclarativeCharacter({ onSpeak, isAnimating }) {
+    const speakingRef = useRef(false);
+    const speakTimeoutRef = useRef(null);
+
+    const speak = useCallback(() => {
+      speakingRef.current = true;
+      clearTimeout(speakTimeoutRef.current);
+      speakTimeoutRef.current = setTimeout(() => {
+        speakingRef.current = false;
+      }, 1000);
+    }, []);
+
+    // CharacterHost passes a counter that increments on every speak;
+    // older hosts pass a registration callback instead
+    useEffect(() => {
+      if (typeof onSpeak === 'function') {
+        onSpeak(speak);
+      } else if (onSpeak) {
+        speak();
+      }
+    }, [onSpeak, speak]);
+
+    useEffect(() => {
+      if (isAnimating) speak();
+    }, [isAnimating, speak]);
+
+    useEffect(() => () => clearTimeout(speakTimeoutRef.current), []);
+
+    return (
+      <group>
+        <DeclarativeLights lights={Array.isArray(characterSection.lights) ? characterSection.lights : []} />
+        {characterObjects.map((object, index) => (
+          <DeclarativeObject
+            key={object.id || index}
+            description={object}
+            fallbackColor={primaryColor}
+            speedMultiplier={1}
+            speakingRef={speakingRef}
+          />
+        ))}
+      </group>
+    );
+  }
+
+  const componentName = (definition?.id || 'user-mode')
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+
+  DeclarativeScene.displayName = `${componentName}Scene`;
+  DeclarativeCharacter.displayName = `${componentName}Character`;
+
+  return {
+    scene: DeclarativeScene,
+    character: DeclarativeCharacter
+  };
+}
+
+export default createDeclarativeComponents;
@@ -5,7 +5,7 @@
  * complete message scheduling and display functionality.
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import PropTypes from 'prop-types';
 import { MessagePopupContainer } from './MessagePopup';
 import { useMessageScheduler } from '../utils/useMessageScheduler';
@@ -13,8 +13,11 @@ import { useMessageScheduler } from '../utils/useMessageScheduler';
 const MessageController = React.forwardRef(({
   currentMode,
   globalConfig = {},
+  isPaused: pausedByApp = false,
+  windowSync = null,
   characterPosition = { x: window.innerWidth - 120, y: window.innerHeight - 120 },
   onError = console.error,
+  onMessageShow,
   onStatusChange,
   className = '',
   testId = 'message-controller'
@@ -34,15 +37,21 @@ const MessageController = React.forwardRef(({
     resume,
     togglePause,
     testPopup,
+    showMessage,
     clearMessages,
     handleMessageComplete,
-    updateGlobalConfig
+    updateGlobalConfig,
+    reschedule,
+    reloadMessages
   } = useMessageScheduler({
     globalConfig,
     onError,
+    onMessageShow,
     autoStart: false,
-    initialMode: null
+    initialMode: null,
+    windowSync
   });
+  const pausedByAppRef = useRef(pausedByApp);
 
   // Update character position when prop changes
   useEffect(() => {
@@ -52,11 +61,25 @@ const MessageController = React.forwardRef(({
   // Start scheduler when mode changes
   useEffect(() => {
     if (currentMode) {
-      startMode(currentMode);
+      // Switching modes restarts the scheduler; stay paused if messages were paused
+      startMode(currentMode).then(() => {
+        if (pausedByAppRef.current) pause();
+      });
     } else {
       stop();
     }
-  }, [currentMode, startMode, stop]);
+  }, [currentMode, startMode, stop, pause]);
+
+  // Follow !pause / !resume (from this window or a synced one)
+  useEffect(() => {
+    if (pausedByAppRef.current === pausedByApp) return;
+    pausedByAppRef.current = pausedByApp;
+    if (pausedByApp) {
+      pause();
+    } else {
+      resume();
+    }
+  }, [pausedByApp, pause, resume]);
 
   // Update global config when it changes
   useEffect(() => {
@@ -100,12 +123,15 @@ const MessageController = React.forwardRef(({
     resume,
     togglePause,
     testPopup,
+    showMessage,
     clearMessages,
     stop,
+    reschedule,
+    reloadMessages,
     getStatus: () => schedulerStatus,
     isRunning,
     isPaused
-  }), [pause, resume, togglePause, testPopup, clearMessages, stop, schedulerStatus, isRunning, isPaused]);
+  }), [pause, resume, togglePause, testPopup, showMessage, clearMessages, stop, reschedule, reloadMessages, schedulerStatus, isRunning, isPaused]);
 
   // Handle errors
   if (error) {
@@ -228,11 +254,19 @@ export const useMessageController = () => {
 MessageController.propTypes = {
   currentMode: PropTypes.string,
   globalConfig: PropTypes.object,
+  isPaused: PropTypes.bool,
+  windowSync: PropTypes.shape({
+    isLeader: PropTypes.func.isRequired,
+    broadcastMessage: PropTypes.func.isRequired,
+    addListener: PropTypes.func.isRequired,
+    removeListener: PropTypes.func.isRequired
+  }),
   characterPosition: PropTypes.shape({
     x: PropTypes.number.isRequired,
     y: PropTypes.number.isRequired
   }),
   onError: PropTypes.func,
+  onMessageShow: PropTypes.func,
   onStatusChange: PropTypes.func,
   className: PropTypes.string,
   testId: PropTypes.string
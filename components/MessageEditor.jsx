@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { announceStatus, announceAlert } from '../utils/accessibilityManager';
+import { getControlAuthHeaders, getSessionControlToken, setSessionControlToken } from '../utils/controlApi.js';
+
+/**
+ * Call the mode messages API
+ * @param {string} modeId - Mode identifier
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body for POST/PUT/DELETE
+ * @returns {Promise<Object>} Response payload
+ * @throws {Error} With status and details when the request fails
+ */
+async function requestMessages(modeId, method = 'GET', body) {
+  const response = await fetch(`/api/modes/${encodeURIComponent(modeId)}/messages`, {
+    method,
+    ...(body && {
+      headers: { 'Content-Type': 'application/json', ...getControlAuthHeaders() },
+      body: JSON.stringify(body)
+    })
+  });
+
+  let payload = null;
+  try {
+    payload = await response.json();
+  } catch (error) {
+    // Static exports have no API routes and answer with HTML
+  }
+
+  if (!response.ok || !payload) {
+    const error = new Error(payload?.message || `Message editing is unavailable (HTTP ${response.status})`);
+    error.status = response.status;
+    error.details = payload?.details || [];
+    throw error;
+  }
+
+  return payload;
+}
+
+/**
+ * MessageEditor Component
+ *
+ * Small in-app editor for the current mode's messages.json, so lines can be
+ * added, changed or removed without opening a text editor. All edits go
+ * through /api/modes/[id]/messages, which validates them and writes both
+ * copies of the file; onSaved lets the page reload the running scheduler.
+ * Writes need the control API token, which is asked for on the first 401.
+ */
+const MessageEditor = ({ modeId, isOpen, onClose, onSaved }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [newMessage, setNewMessage] = useState('');
+  const [newCategory, setNewCategory] = useState('');
+  const [tokenDraft, setTokenDraft] = useState('');
+  const newMessageRef = useRef(null);
+
+  const load = useCallback(async () => {
+    if (!modeId) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      setData(await requestMessages(modeId));
+      setDrafts({});
+    } catch (loadError) {
+      setError({ message: loadError.message, details: loadError.details });
+    } finally {
+      setLoading(false);
+    }
+  }, [modeId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      load();
+    }
+  }, [isOpen, load]);
+
+  useEffect(() => {
+    if (isOpen && newMessageRef.current) {
+      newMessageRef.current.focus();
+    }
+  }, [isOpen]);
+
+  // Apply an edit and show the updated file
+  const submit = async (method, body, successMessage) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const payload = await requestMessages(modeId, method, body);
+      setData(payload);
+      setDrafts({});
+      announceStatus(successMessage);
+      if (onSaved) onSaved(modeId, payload);
+      return true;
+    } catch (editError) {
+      setError({ message: editError.message, details: editError.details, status: editError.status });
+      announceAlert(editError.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (event) => {
+    event.preventDefault();
+    if (!newMessage.trim()) return;
+
+    const added = await submit('POST', { message: newMessage, category: newCategory || null }, 'Message added');
+    if (added) setNewMessage('');
+  };
+
+  const handleSave = (category, index, previous) => {
+    const key = `${category || ''}:${index}`;
+    submit('PUT', { index, category, message: drafts[key], previous }, 'Message saved');
+  };
+
+  const handleDelete = (category, index, previous) => {
+    submit('DELETE', { index, category, previous }, 'Message deleted');
+  };
+
+  const handleToken = (event) => {
+    event.preventDefault();
+    setSessionControlToken(tokenDraft.trim());
+    setTokenDraft('');
+    setError(null);
+    announceStatus('Control token saved for this tab. Repeat the edit.');
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const sections = data?.sections || [];
+
+  return (
+    <div
+      className="message-editor"
+      role="dialog"
+      aria-modal="false"
+      aria-labelledby="message-editor-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="message-editor-header">
+        <h2 id="message-editor-title" className="message-editor-title phosphor-glow-subtle">
+          Messages: {modeId}
+        </h2>
+        <span className="message-editor-count">
+          {data ? `${data.messageCount} lines` : ''}
+        </span>
+        <button type="button" className="message-editor-close" onClick={onClose} aria-label="Close message editor">
+          ✕
+        </button>
+      </div>
+
+      {error && (
+        <div className="message-editor-error" role="alert">
+          <span>{error.message}</span>
+          {error.details && error.details.length > 0 && (
+            <ul>
+              {error.details.map((detail, index) => <li key={index}>{detail}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {error?.status === 401 && (
+        <form className="message-editor-add" onSubmit={handleToken}>
+          <input
+            type="password"
+            className="message-editor-input"
+            value={tokenDraft}
+            placeholder={getSessionControlToken() ? 'Another VIBESCREEN_CONTROL_TOKEN...' : 'VIBESCREEN_CONTROL_TOKEN'}
+            aria-label="Control token"
+            autoComplete="off"
+            onChange={(event) => setTokenDraft(event.target.value)}
+          />
+          <button type="submit" className="message-editor-button" disabled={!tokenDraft.trim()}>
+            Use token
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="message-editor-loading" role="status" aria-live="polite">Loading messages...</div>
+      ) : (
+        <div className="message-editor-sections">
+          {sections.map(section => (
+            <section key={section.category || '_untagged'} className="message-editor-section">
+              {(section.category || sections.length > 1) && (
+                <h3 className="message-editor-category">{section.category || 'untagged'}</h3>
+              )}
+              <ol className="message-editor-list">
+                {section.messages.map((message, index) => {
+                  const key = `${section.category || ''}:${index}`;
+                  const draft = drafts[key] ?? message;
+
+                  return (
+                    <li key={key} className="message-editor-row">
+                      <input
+                        type="text"
+                        className="message-editor-input"
+                        value={draft}
+                        aria-label={`Message ${index + 1}${section.category ? ` in ${section.category}` : ''}`}
+                        onChange={(event) => setDrafts(prev => ({ ...prev, [key]: event.target.value }))}
+                        disabled={busy}
+                      />
+                      <button
+                        type="button"
+                        className="message-editor-button"
+                        onClick={() => handleSave(section.category, index, message)}
+                        disabled={busy || draft.trim() === message}
+                      >
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        className="message-editor-button danger"
+                        onClick={() => handleDelete(section.category, index, message)}
+                        disabled={busy}
+                        aria-label={`Delete message ${index + 1}`}
+                      >
+                        Delete
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </section>
+          ))}
+        </div>
+      )}
+
+      <form className="message-editor-add" onSubmit={handleAdd}>
+        <input
+          ref={newMessageRef}
+          type="text"
+          className="message-editor-input"
+          value={newMessage}
+          placeholder="Add a new line..."
+          aria-label="New message"
+          onChange={(event) => setNewMessage(event.target.value)}
+          disabled={busy || loading}
+        />
+        {data && data.categories.length > 0 && (
+          <select
+            className="message-editor-select"
+            value={newCategory}
+            aria-label="Category for the new message"
+            onChange={(event) => setNewCategory(event.target.value)}
+            disabled={busy}
+          >
+            <option value="">untagged</option>
+            {data.categories.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+        )}
+        <button type="submit" className="message-editor-button" disabled={busy || loading || !newMessage.trim()}>
+          Add
+        </button>
+      </form>
+
+      {data && data.warnings.length > 0 && (
+        <details className="message-editor-warnings">
+          <summary>{data.warnings.length} style warning(s)</summary>
+          <ul>
+            {data.warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
+
+MessageEditor.propTypes = {
+  modeId: PropTypes.string,
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func
+};
+
+export default MessageEditor;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { fetchModeBundle } from '../utils/modeBundle.js';
+
+// Palette entries shown as swatches, as [label, path into the theme]
+const SWATCHES = [
+  ['primary', ['primary']],
+  ['secondary', ['secondary']],
+  ['accent', ['accent']],
+  ['background', ['background', 'primary']],
+  ['text', ['text', 'primary']]
+];
+
+/**
+ * ModeInfoPanel Component
+ *
+ * Read-only overview of the current mode from /api/modes/[id]: its timing
+ * and popup settings, how many messages each category holds, the theme
+ * palette and any problems validateModeConfig found in config.json. Sits
+ * next to the message editor so a mode can be checked while it is authored.
+ */
+const ModeInfoPanel = ({ modeId, isOpen, onClose }) => {
+  const [bundle, setBundle] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !modeId) return undefined;
+
+    // A slower answer for the previous mode must not replace this one
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    fetchModeBundle(modeId).then(result => {
+      if (cancelled) return;
+      setBundle(result);
+      if (!result) {
+        setError(`No details for "${modeId}". Mode info is only available on the dev server.`);
+      }
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, modeId]);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      onClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const { config, messages, theme, validation } = bundle || {};
+  const problems = validation ? [...validation.errors, ...validation.warnings] : [];
+
+  return (
+    <div
+      className="mode-info"
+      role="dialog"
+      aria-modal="false"
+      aria-labelledby="mode-info-title"
+      onKeyDown={handleKeyDown}
+    >
+      <div className="mode-info-header">
+        <h2 id="mode-info-title" className="mode-info-title phosphor-glow-subtle">
+          {config?.name || modeId}
+        </h2>
+        <button type="button" className="mode-info-close" onClick={onClose} aria-label="Close mode info">
+          ✕
+        </button>
+      </div>
+
+      {error && <div className="mode-info-error" role="alert">{error}</div>}
+
+      {loading ? (
+        <div className="mode-info-loading" role="status" aria-live="polite">Loading mode info...</div>
+      ) : bundle && (
+        <div className="mode-info-sections">
+          {config && (
+            <dl className="mode-info-list">
+              <dt>id</dt><dd>{bundle.id}{config.declarative ? ' (declarative)' : ''}</dd>
+              <dt>popup</dt><dd>{config.popupStyle}{config.popupPosition ? `, ${config.popupPosition}` : ''}</dd>
+              <dt>delay</dt><dd>{config.minDelaySeconds}–{config.maxDelaySeconds}s</dd>
+            </dl>
+          )}
+
+          {messages && (
+            <section>
+              <h3 className="mode-info-heading">{messages.count} messages</h3>
+              <ul className="mode-info-categories">
+                {Object.entries(messages.categories).map(([category, count]) => (
+                  <li key={category}>
+                    <span>{category}</span>
+                    <span>{count}{config?.messageProbabilities?.[category] !== undefined ? ` · ${Math.round(config.messageProbabilities[category] * 100)}%` : ''}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {theme && (
+            <section>
+              <h3 className="mode-info-heading">
+                Theme: {theme.palette.name}{theme.fallback ? ' (default)' : ''}
+              </h3>
+              <ul className="mode-info-swatches">
+                {SWATCHES.map(([label, keys]) => {
+                  const color = keys.reduce((value, key) => value?.[key], theme.palette);
+                  return color ? (
+                    <li key={label} title={`${label} ${color}`}>
+                      <span className="mode-info-swatch" style={{ background: color }} aria-hidden="true" />
+                      {label}
+                    </li>
+                  ) : null;
+                })}
+              </ul>
+            </section>
+          )}
+
+          {validation && (
+            <section className={validation.valid ? 'mode-info-valid' : 'mode-info-invalid'}>
+              <h3 className="mode-info-heading">
+                {problems.length === 0
+                  ? 'config.json is valid'
+                  : `${validation.errors.length} error(s), ${validation.warnings.length} warning(s)`}
+              </h3>
+              {problems.length > 0 && (
+                <ul className="mode-info-problems">
+                  {problems.map((problem, index) => (
+                    <li key={index}>
+                      <strong>{problem.operation}:</strong> {problem.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ModeInfoPanel.propTypes = {
+  modeId: PropTypes.string,
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ModeInfoPanel;
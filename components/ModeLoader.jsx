@@ -5,7 +5,10 @@ import ModeLoaderErrorBoundary from './ModeLoaderErrorBoundary';
 import DefaultScene from './DefaultScene';
 import DefaultCharacter from './DefaultCharacter';
 import { modeLoadingRetry, retryDynamicImport } from '../utils/retryMechanism';
-import { getModeComponents } from '../utils/modeRegistry';
+import { getModeComponents, getAvailableModes, registerModeComponents, unregisterModeComponents } from '../utils/modeRegistry';
+import { discoverUserModes, fetchModeDefinition, onUserModesChange, onUserModeStale } from '../utils/userModeLoader';
+import { createDeclarativeComponents } from './DeclarativeMode';
+import { flattenMessages } from '../utils/messageCategories';
 import { logModeError, logComponentError, logValidationError } from '../utils/errorLogger';
 import { ComponentInterfaceValidator, validateModeStructure } from '../utils/componentInterfaceValidator';
 import { 
@@ -199,6 +202,32 @@ class PerformanceMonitor {
   }
 }
 
+/**
+ * Build and register components for a user-defined mode from its declarative
+ * definition. Used when a mode is not part of the static registry.
+ */
+const loadUserModeComponents = async (modeName) => {
+  const definition = await fetchModeDefinition(modeName);
+
+  if (!definition.scene) {
+    throw new Error(`Mode "${modeName}" not found in registry and has no scene description (scene.json, scene.yaml or scene.yml)`);
+  }
+
+  const { scene, character } = createDeclarativeComponents(definition);
+  const components = {
+    scene,
+    character,
+    config: definition.config,
+    messages: definition.messages,
+    sceneDescription: definition.scene
+  };
+
+  registerModeComponents(modeName, components);
+  console.log(`🧩 Built declarative components for user mode: ${modeName}`);
+
+  return components;
+};
+
 /**
  * ModeLoader - Dynamically loads and manages personality mode components
  * Handles real mode imports with error handling, caching, and performance optimization
@@ -217,6 +246,8 @@ const ModeLoader = React.forwardRef(({
   const [isInitialized, setIsInitialized] = useState(false);
   const [cacheStats, setCacheStats] = useState({});
   const [performanceStats, setPerformanceStats] = useState({});
+  // Bumped when the current user mode's files change, to rebuild it
+  const [reloadCount, setReloadCount] = useState(0);
   
   // Refs for cleanup tracking and performance systems
   const mountedRef = useRef(true);
@@ -237,12 +268,8 @@ const ModeLoader = React.forwardRef(({
     logLevel: process.env.NODE_ENV === 'development' ? 'warn' : 'error'
   }));
 
-  // Available modes configuration
-  const availableModes = [
-    'corporate-ai',
-    'zen-monk', 
-    'chaos'
-  ];
+  // Available modes: built-in registry plus user modes discovered at runtime
+  const [availableModes, setAvailableModes] = useState(() => getAvailableModes());
 
   const defaultMode = 'corporate-ai';
 
@@ -341,12 +368,8 @@ const ModeLoader = React.forwardRef(({
       // Use retry mechanism for dynamic imports
       const operationId = `load-mode-${modeName}`;
       
-      // Use static registry instead of dynamic imports
-      const registryComponents = getModeComponents(modeName);
-      
-      if (!registryComponents) {
-        throw new Error(`Mode "${modeName}" not found in registry`);
-      }
+      // Use static registry instead of dynamic imports; user modes are built from their definition
+      const registryComponents = getModeComponents(modeName) || await loadUserModeComponents(modeName);
       
       const sceneModule = { default: registryComponents.scene };
       const characterModule = { default: registryComponents.character };
@@ -468,11 +491,14 @@ const ModeLoader = React.forwardRef(({
         character: CharacterComponent,
         config: { 
           ...config, 
-          messages: messages.messages || [],
+          messages: flattenMessages(messages),
           modeName,
           loadedAt: Date.now(),
           isFallback: false
-        }
+        },
+        ...(registryComponents.sceneDescription && {
+          sceneDescription: registryComponents.sceneDescription
+        })
       };
 
       const structureValidation = validatorRef.current.validateModeStructure(modeName, modeComponents);
@@ -695,6 +721,12 @@ const ModeLoader = React.forwardRef(({
           threeJSResourceManager.forceGarbageCollection();
         });
         
+        // Discover user-defined modes dropped into modes/ (non-blocking for built-in modes)
+        const discovery = discoverUserModes();
+        if (!getModeComponents(currentMode)) {
+          await discovery;
+        }
+        
         // Initialize preloader
         preloaderRef.current = new ModePreloader(
           componentCacheRef.current, 
@@ -738,6 +770,35 @@ const ModeLoader = React.forwardRef(({
     initializeModeLoader();
   }, []); // Only run on mount
 
+  /**
+   * Keep available modes in sync with user mode discovery
+   */
+  useEffect(() => {
+    return onUserModesChange(() => {
+      if (mountedRef.current) {
+        setAvailableModes(getAvailableModes());
+      }
+    });
+  }, []);
+
+  /**
+   * Drop components built from a user mode's old files. A removed mode leaves
+   * availableModes, which falls back to the default; an edited mode that is
+   * on screen is rebuilt from its new definition.
+   */
+  useEffect(() => {
+    return onUserModeStale((modeId, { removed }) => {
+      unregisterModeComponents(modeId);
+      if (!mountedRef.current) return;
+
+      cleanupModeResources(modeId);
+      if (!removed && modeId === currentMode) {
+        console.log(`🔄 User mode changed, rebuilding: ${modeId}`);
+        setReloadCount(count => count + 1);
+      }
+    });
+  }, [currentMode, cleanupModeResources]);
+
   /**
    * Update cache and performance stats periodically
    */
@@ -823,11 +884,14 @@ const ModeLoader = React.forwardRef(({
       // Get previous mode for cleanup
       const previousModes = Object.keys(currentModeComponents).filter(mode => mode !== currentMode);
       
-      // Validate mode exists
+      // Validate mode exists, re-scanning for user modes added since the last discovery
       if (!availableModes.includes(currentMode)) {
-        console.warn(`⚠️ Invalid mode requested: ${currentMode}, falling back to default`);
-        await fallbackToDefault();
-        return;
+        await discoverUserModes();
+        if (!getAvailableModes().includes(currentMode)) {
+          console.warn(`⚠️ Invalid mode requested: ${currentMode}, falling back to default`);
+          await fallbackToDefault();
+          return;
+        }
       }
 
       // Cleanup previous modes if memory pressure is high
@@ -863,7 +927,7 @@ const ModeLoader = React.forwardRef(({
     };
 
     handleModeChange();
-  }, [currentMode, isInitialized, availableModes]);
+  }, [currentMode, isInitialized, availableModes, reloadCount]);
 
   /**
    * Comprehensive cleanup on unmount with enhanced resource management
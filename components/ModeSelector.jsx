@@ -1,9 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { runThemeTests } from '../utils/modeThemeValidator.js';
 import { runComprehensiveThemeTests } from '../tests/validation/modeThemeTest.js';
 import { useThemeManager } from '../utils/useThemeManager.js';
 import { getAccessibilityManager, announce, announceStatus } from '../utils/accessibilityManager';
+import ModeStream, { applyModeChange } from '../utils/modeStream.js';
+import { registerUserMode, unregisterUserMode, syncUserModes } from '../utils/userModeLoader.js';
+import { fetchModeBundle, describeModeBundle } from '../utils/modeBundle.js';
+import { fetchModes } from '../utils/modeCatalog.js';
 
 /**
  * ModeSelectorWithAPI Component
@@ -20,6 +24,8 @@ const ModeSelectorWithAPI = ({
   const [activeMode, setActiveMode] = useState(initialActiveMode || 'corporate-ai');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [modeDetails, setModeDetails] = useState({});
+  const requestedDetails = useRef(new Set());
 
   // Initialize theme manager
   const themeManager = useThemeManager({
@@ -39,16 +45,8 @@ const ModeSelectorWithAPI = ({
         setLoading(true);
         setError(null);
         
-        const response = await fetch('/api/modes');
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
-        // Handle both direct array and wrapped response formats
-        const modesData = Array.isArray(data) ? data : (data.modes || []);
+        // /api/modes on the dev server, the build manifest in the static export
+        const { modes: modesData } = await fetchModes();
         
         setModes(modesData);
         
@@ -95,6 +93,58 @@ const ModeSelectorWithAPI = ({
     loadModes();
   }, []); // Empty dependency array - only run on mount
 
+  // Message counts and config problems for the tooltip, fetched on first hover or focus
+  const loadModeDetails = useCallback(async (mode) => {
+    if (!mode?.id || requestedDetails.current.has(mode.id)) return;
+    requestedDetails.current.add(mode.id);
+
+    const bundle = await fetchModeBundle(mode.id, { include: ['messages', 'validation'] });
+    if (bundle) {
+      setModeDetails(current => ({ ...current, [mode.id]: bundle }));
+    }
+  }, []);
+
+  // Edited modes are fetched again on the next hover
+  const forgetModeDetails = (modeId) => {
+    requestedDetails.current.delete(modeId);
+    setModeDetails(current => {
+      const { [modeId]: forgotten, ...rest } = current;
+      return rest;
+    });
+  };
+
+  // Keep the list current while modes are edited on disk (dev server only)
+  useEffect(() => {
+    const syncUserMode = (change) => {
+      if (change.type === 'removed') {
+        unregisterUserMode(change.modeId);
+      } else if (change.mode?.declarative) {
+        registerUserMode(change.mode);
+      }
+    };
+
+    const stream = new ModeStream({
+      onSnapshot: (modesData) => {
+        if (modesData.length > 0) {
+          setModes(modesData);
+          // Modes added or removed while the stream was down
+          syncUserModes(modesData);
+          setError(null);
+        }
+      },
+      onChange: (change) => {
+        setModes(current => applyModeChange(current, change));
+        syncUserMode(change);
+        forgetModeDetails(change.modeId);
+        console.log(`🔄 Mode ${change.type}: ${change.modeId}`);
+      },
+      onError: (message, error) => console.warn(message, error)
+    });
+    stream.start();
+
+    return () => stream.destroy();
+  }, []);
+
   // Sync activeMode with initialActiveMode changes
   useEffect(() => {
     if (initialActiveMode && initialActiveMode !== activeMode) {
@@ -112,7 +162,7 @@ const ModeSelectorWithAPI = ({
       
       // Switch theme after mode change to prevent circular dependencies
       try {
-        await themeManager.switchTheme(mode.id);
+        await themeManager.setMode(mode.id);
       } catch (error) {
         console.warn('Theme switch failed:', error);
       }
@@ -128,6 +178,8 @@ const ModeSelectorWithAPI = ({
       error={error}
       className={className}
       themeManager={themeManager}
+      modeDetails={modeDetails}
+      onModeHover={loadModeDetails}
     />
   );
 };
@@ -145,7 +197,9 @@ const ModeSelector = ({
   loading = false, 
   error = null,
   className = '',
-  themeManager = null
+  themeManager = null,
+  modeDetails = {},
+  onModeHover = null
 }) => {
   const [focusedIndex, setFocusedIndex] = useState(0);
   const [isKeyboardNavigating, setIsKeyboardNavigating] = useState(false);
@@ -481,11 +535,18 @@ const ModeSelector = ({
                 key={mode.id || index}
                 ref={el => buttonRefs.current[index] = el}
                 mode={mode}
+                details={modeDetails[mode.id]}
                 isActive={activeMode === mode.id}
                 isFocused={focusedIndex === index && isKeyboardNavigating}
                 onClick={() => handleModeSelect(mode)}
-                onFocus={() => handleButtonFocus(index)}
-                onMouseEnter={handleMouseInteraction}
+                onFocus={() => {
+                  handleButtonFocus(index);
+                  if (onModeHover) onModeHover(mode);
+                }}
+                onMouseEnter={() => {
+                  handleMouseInteraction();
+                  if (onModeHover) onModeHover(mode);
+                }}
                 tabIndex={focusedIndex === index ? 0 : -1}
                 isKeyboardNavigating={isKeyboardNavigating}
                 style={{
@@ -518,6 +579,7 @@ const ModeSelector = ({
  */
 const ModeButton = React.forwardRef(({ 
   mode, 
+  details = null,
   isActive, 
   isFocused, 
   onClick, 
@@ -528,6 +590,7 @@ const ModeButton = React.forwardRef(({
   isKeyboardNavigating = false
 }, ref) => {
   const [isHovered, setIsHovered] = useState(false);
+  const summary = describeModeBundle(details);
 
   // Build CSS classes based on component state
   const buttonClasses = [
@@ -603,7 +666,7 @@ const ModeButton = React.forwardRef(({
       aria-disabled={disabled}
       aria-describedby={`mode-${mode.id}-description mode-${mode.id}-position`}
       aria-current={isActive ? 'true' : 'false'}
-      title={`${mode.name}${mode.description ? ` - ${mode.description}` : ''}`}
+      title={`${mode.name}${mode.description ? ` - ${mode.description}` : ''}${summary ? `\n${summary}` : ''}`}
       data-mode={mode.id}
     >
       <span className="mode-button-text">
@@ -661,7 +724,9 @@ ModeSelector.propTypes = {
   loading: PropTypes.bool,
   error: PropTypes.string,
   className: PropTypes.string,
-  themeManager: PropTypes.object
+  themeManager: PropTypes.object,
+  modeDetails: PropTypes.object,
+  onModeHover: PropTypes.func
 };
 
 ModeButton.propTypes = {
@@ -675,6 +740,10 @@ ModeButton.propTypes = {
       primaryColor: PropTypes.string
     })
   }).isRequired,
+  details: PropTypes.shape({
+    messages: PropTypes.object,
+    validation: PropTypes.object
+  }),
   isActive: PropTypes.bool.isRequired,
   isFocused: PropTypes.bool.isRequired,
   onClick: PropTypes.func.isRequired,
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { useThemeManager } from '../utils/useThemeManager.js';
+import { discoverUserModes, getUserModes, onUserModesChange } from '../utils/userModeLoader.js';
 
 /**
  * ModeSwitchController - Coordinates mode switching between terminal commands and ModeLoader
@@ -67,11 +68,44 @@ class ModeSwitchController {
       'spooky'
     ];
 
+    // Ids and lowercase names the last syncUserModes() added for user modes
+    this.userModeEntries = { ids: [], names: [] };
+
     // Bind methods
     this.switchToMode = this.switchToMode.bind(this);
     this.handleCharacterSwitch = this.handleCharacterSwitch.bind(this);
     this.getStatus = this.getStatus.bind(this);
     this.setModeLoaderRef = this.setModeLoaderRef.bind(this);
+    this.syncUserModes = this.syncUserModes.bind(this);
+
+    this.syncUserModes();
+  }
+
+  /**
+   * Rebuild the user-mode part of the available modes and name maps from the
+   * runtime-discovered user modes. Built-in entries stay; user modes that
+   * were unregistered or renamed since the last sync are dropped.
+   */
+  syncUserModes() {
+    const previous = this.userModeEntries;
+    this.availableModes = this.availableModes.filter(id => !previous.ids.includes(id));
+    previous.ids.forEach(id => delete this.characterDisplayNames[id]);
+    previous.names.forEach(name => delete this.characterNameMap[name]);
+
+    const entries = { ids: [], names: [] };
+    getUserModes().forEach(({ id, name }) => {
+      if (!this.availableModes.includes(id)) {
+        this.availableModes.push(id);
+        this.characterDisplayNames[id] = name;
+        entries.ids.push(id);
+      }
+      const key = name.toLowerCase();
+      if (!this.characterNameMap[key]) {
+        this.characterNameMap[key] = id;
+        entries.names.push(key);
+      }
+    });
+    this.userModeEntries = entries;
   }
 
   /**
@@ -96,7 +130,12 @@ class ModeSwitchController {
       throw new Error('Invalid mode ID provided');
     }
 
-    // Validate mode is available
+    // Validate mode is available, re-scanning for user modes added since the last discovery
+    if (!this.availableModes.includes(modeId)) {
+      await discoverUserModes();
+      this.syncUserModes();
+    }
+
     if (!this.availableModes.includes(modeId)) {
       throw new Error(`Mode "${modeId}" is not available. Available modes: ${this.availableModes.join(', ')}`);
     }
@@ -125,7 +164,7 @@ class ModeSwitchController {
 
       // Apply theme change if themeManager is available
       if (this.themeManager) {
-        await this.themeManager.switchTheme(modeId);
+        await this.themeManager.setMode(modeId);
       }
 
       // Trigger mode change through callback
@@ -197,9 +236,13 @@ class ModeSwitchController {
     // Handle both string and object inputs
     let modeId;
     if (typeof characterInput === 'string') {
-      // Map character name to mode ID
+      this.syncUserModes();
+
+      // Map character name to mode ID (mode IDs are accepted as-is)
       const normalizedName = characterInput.toLowerCase().trim();
-      modeId = this.characterNameMap[normalizedName];
+      modeId = this.availableModes.includes(normalizedName)
+        ? normalizedName
+        : this.characterNameMap[normalizedName];
       
       if (!modeId) {
         // Try partial matching
@@ -376,6 +419,9 @@ const ModeSwitchControllerComponent = ({
   const [loadingState, setLoadingState] = useState('Ready');
   const controllerRef = useRef(controller);
 
+  // Pick up user modes as they are discovered
+  useEffect(() => onUserModesChange(controller.syncUserModes), [controller]);
+
   // Update controller callbacks when props change
   useEffect(() => {
     controller.onModeChange = onModeChange;
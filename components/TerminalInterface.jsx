@@ -2,16 +2,23 @@ import { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { CommandParser } from './CommandParser';
 import CommandExecutorComponent from './CommandExecutor';
+import { getSettingsManager } from '../utils/useSettingsManager';
+import { splitCommands } from '../utils/terminalScript';
+import { isHistoryReference, resolveHistoryReference, searchHistory } from '../utils/commandHistory';
 import { getAccessibilityManager, announce, announceStatus } from '../utils/accessibilityManager';
+import ControlClient from '../utils/controlClient';
 import styles from '../styles/terminal-interface.module.css';
 
 const TerminalInterface = ({ 
   onCharacterSwitch, 
   onMessageControl, 
+  onPlaylistControl,
   currentCharacter, 
   messageStatus,
   getCurrentState,
   onError,
+  ready = true,
+  remoteControl = false,
   className = '' 
 }) => {
   const [isVisible, setIsVisible] = useState(false);
@@ -19,6 +26,8 @@ const TerminalInterface = ({
   const [currentInput, setCurrentInput] = useState('');
   const [commandHistory, setCommandHistory] = useState([]);
   const [historyIndex, setHistoryIndex] = useState(-1);
+  // Ctrl+R search: { query, index, savedInput } while open, null otherwise
+  const [reverseSearch, setReverseSearch] = useState(null);
   const [displayHistory, setDisplayHistory] = useState([]);
 
   const [lastResponse, setLastResponse] = useState('');
@@ -35,7 +44,28 @@ const TerminalInterface = ({
   const historyRef = useRef(null);
   const executorMethodsRef = useRef(null);
   const liveRegionRef = useRef(null);
-  const commandParser = useRef(new CommandParser());
+  const commandParser = useRef(null);
+  if (!commandParser.current) {
+    commandParser.current = new CommandParser({ settingsManager: getSettingsManager() });
+  }
+  const startupScriptRanRef = useRef(false);
+  const commandContextRef = useRef({});
+  commandContextRef.current = { currentCharacter, messageStatus };
+
+  // Load the persisted command history and follow changes (!history clear, other tabs' commands)
+  useEffect(() => {
+    const settingsManager = getSettingsManager();
+    setCommandHistory(settingsManager.getCommandHistory());
+
+    const handleSettingsEvent = (event, data) => {
+      if (event === 'command-history-changed') {
+        setCommandHistory(data);
+        setHistoryIndex(-1);
+      }
+    };
+    settingsManager.addListener(handleSettingsEvent);
+    return () => settingsManager.removeListener(handleSettingsEvent);
+  }, []);
 
   // Initialize accessibility manager and detect preferences
   useEffect(() => {
@@ -152,6 +182,13 @@ const TerminalInterface = ({
   const handleInputChange = (e) => {
     const value = e.target.value;
     setCurrentInput(value);
+    
+    // While searching, the input holds the search text
+    if (reverseSearch) {
+      setReverseSearch({ ...reverseSearch, query: value, index: value ? searchHistory(commandHistory, value) : -1 });
+      return;
+    }
+
     setHistoryIndex(-1); // Reset history navigation
     
     // Keep terminal visible while typing
@@ -162,6 +199,18 @@ const TerminalInterface = ({
 
   // Enhanced keyboard navigation with accessibility support
   const handleKeyDown = (e) => {
+    // Ctrl+R opens the reverse history search, or steps to the next older match
+    if (isVisible && e.ctrlKey && e.key.toLowerCase() === 'r') {
+      e.preventDefault();
+      stepReverseSearch();
+      return;
+    }
+
+    if (isVisible && reverseSearch) {
+      handleReverseSearchKey(e);
+      return;
+    }
+
     // Handle global keyboard shortcuts when terminal is visible
     if (isVisible) {
       switch (e.key) {
@@ -199,6 +248,62 @@ const TerminalInterface = ({
     }
   };
 
+  // Start a reverse search, or move to the next older match of the current query
+  const stepReverseSearch = () => {
+    if (!reverseSearch) {
+      setReverseSearch({ query: '', index: -1, savedInput: currentInput });
+      setCurrentInput('');
+      announceToScreenReader('Reverse history search. Type to search, Enter to run, Escape to cancel.');
+      return;
+    }
+
+    if (!reverseSearch.query) return;
+    const before = reverseSearch.index === -1 ? commandHistory.length : reverseSearch.index;
+    const index = searchHistory(commandHistory, reverseSearch.query, before);
+    if (index === -1) {
+      announceToScreenReader('No older match.');
+      return;
+    }
+    setReverseSearch({ ...reverseSearch, index });
+    announceToScreenReader(`Match: ${commandHistory[index]}`);
+  };
+
+  // Close the reverse search, putting the match (or the saved input) back into the prompt
+  const closeReverseSearch = (acceptMatch) => {
+    const match = reverseSearch.index === -1 ? null : commandHistory[reverseSearch.index];
+    setCurrentInput(acceptMatch && match ? match : reverseSearch.savedInput);
+    setReverseSearch(null);
+    return match;
+  };
+
+  // Keys while the reverse search is open
+  const handleReverseSearchKey = (e) => {
+    switch (e.key) {
+      case 'Enter': {
+        e.preventDefault();
+        const match = closeReverseSearch(true);
+        if (match) {
+          executeCommand(match);
+        }
+        break;
+      }
+      case 'Escape':
+        e.preventDefault();
+        closeReverseSearch(false);
+        break;
+      case 'Tab':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown':
+        // Edit the match before running it
+        e.preventDefault();
+        closeReverseSearch(true);
+        break;
+      default:
+        break;
+    }
+  };
+
   // Enhanced terminal hiding with accessibility announcements
   const hideTerminal = () => {
     setIsVisible(false);
@@ -212,23 +317,35 @@ const TerminalInterface = ({
     }
   };
 
-  // Enhanced tab completion with accessibility announcements
+  // Tab completion for command names and arguments (characters, effect levels, options)
   const handleTabCompletion = () => {
-    const input = currentInput.trim().toLowerCase();
-    if (!input.startsWith('!')) {
+    const input = currentInput.trim();
+    const lastCommand = input.slice(input.lastIndexOf(';') + 1).trim();
+    if (!lastCommand.startsWith('!')) {
       announceToScreenReader('Commands must start with exclamation mark. Type !help for available commands.');
       return;
     }
     
-    const commands = ['!help', '!switch', '!characters', '!status', '!pause', '!resume', '!test', '!clear'];
-    const matches = commands.filter(cmd => cmd.startsWith(input));
+    const matches = commandParser.current.getCompletions(currentInput);
     
     if (matches.length === 1) {
       const completed = matches[0] + ' ';
       setCurrentInput(completed);
       announceToScreenReader(`Command completed to: ${completed}`);
     } else if (matches.length > 1) {
-      const completionText = `Available completions: ${matches.join(', ')}`;
+      // Extend the input to the longest prefix shared by every match
+      let common = matches[0];
+      matches.forEach(match => {
+        while (!match.toLowerCase().startsWith(common.toLowerCase())) {
+          common = common.slice(0, -1);
+        }
+      });
+      if (common.length > currentInput.length) {
+        setCurrentInput(common);
+      }
+
+      const offset = input.lastIndexOf(';') + 1;
+      const completionText = `Available completions: ${matches.map(match => match.slice(offset).trim()).join(', ')}`;
       addToDisplayHistory('info', completionText);
       announceToScreenReader(completionText);
     } else {
@@ -271,25 +388,87 @@ const TerminalInterface = ({
     }, 3000);
   };
 
+  // Show a CommandExecutor result with accessibility announcements
+  const showExecutionResult = (executionResult) => {
+    if (executionResult.success) {
+      const responseType = executionResult.type || 'success';
+      const formattedMessage = formatResponse(executionResult.message, responseType);
+      
+      addToDisplayHistory('response', formattedMessage, {
+        action: executionResult.action,
+        timestamp: new Date()
+      });
+      
+      // Announce success to screen readers
+      announceToScreenReader(`Command executed successfully: ${executionResult.message}`);
+      
+      // Handle special actions
+      if (executionResult.action === 'clear-terminal' && executionResult.clearHistory) {
+        setDisplayHistory([]);
+        announceToScreenReader('Terminal history cleared.');
+      }
+    } else {
+      const errorMessage = formatResponse(executionResult.message, 'error');
+      addToDisplayHistory('error', errorMessage);
+      
+      // Announce error to screen readers
+      announceToScreenReader(`Command failed: ${executionResult.message}`);
+      
+      if (executionResult.suggestion) {
+        addToDisplayHistory('suggestion', executionResult.suggestion);
+        announceToScreenReader(`Suggestion: ${executionResult.suggestion}`);
+      }
+    }
+  };
+
+  // Each command of a script (chained input, alias, startup script) is shown as it runs
+  const showScriptStep = (command, result) => {
+    addToDisplayHistory('command', command);
+    showExecutionResult(result);
+  };
+
   // Execute command through parser and executor
-  const executeCommand = async (input) => {
-    if (!input.trim()) return;
+  const executeCommand = async (typedInput) => {
+    if (!typedInput.trim()) return;
+    let input = typedInput;
+
+    // !<n> / !-<n> are replaced by the command they point at, which is what gets recorded
+    if (isHistoryReference(input)) {
+      const { command, error } = resolveHistoryReference(commandHistory, input);
+      addToDisplayHistory('command', input);
+      setCurrentInput('');
+      if (error) {
+        addToDisplayHistory('error', formatResponse(error, 'error'));
+        addToDisplayHistory('suggestion', 'Type !history to see numbered commands');
+        return;
+      }
+      input = command;
+    }
 
-    // Add to history
-    const newHistory = [...commandHistory, input];
-    setCommandHistory(newHistory);
+    // Add to the persisted history (the listener above updates commandHistory)
+    getSettingsManager().addCommandHistory(input);
     setHistoryIndex(-1);
 
     // Add command to display history
     addToDisplayHistory('command', input);
 
+    // Clear input before running, so typing is not blocked by a long !wait or script
+    setCurrentInput('');
+
     try {
       // Create execution context
       const context = {
         currentCharacter,
-        messageStatus
+        messageStatus,
+        onScriptStep: showScriptStep
       };
 
+      // `;`-chained commands run as a script, one command after another
+      if (splitCommands(input).length > 1 && executorMethodsRef.current?.runScript) {
+        showExecutionResult(await executorMethodsRef.current.runScript(input, context));
+        return;
+      }
+
       // Parse command first
       const parseResult = commandParser.current.parseAndExecute(input, context);
       
@@ -299,44 +478,12 @@ const TerminalInterface = ({
         if (parseResult.suggestion) {
           addToDisplayHistory('suggestion', parseResult.suggestion);
         }
-        setCurrentInput('');
         return;
       }
 
       // Execute through CommandExecutor if available
       if (executorMethodsRef.current && executorMethodsRef.current.execute) {
-        const executionResult = await executorMethodsRef.current.execute(parseResult, context);
-        
-        // Handle execution result with accessibility announcements
-        if (executionResult.success) {
-          const responseType = executionResult.type || 'success';
-          const formattedMessage = formatResponse(executionResult.message, responseType);
-          
-          addToDisplayHistory('response', formattedMessage, {
-            action: executionResult.action,
-            timestamp: new Date()
-          });
-          
-          // Announce success to screen readers
-          announceToScreenReader(`Command executed successfully: ${executionResult.message}`);
-          
-          // Handle special actions
-          if (executionResult.action === 'clear-terminal' && executionResult.clearHistory) {
-            setDisplayHistory([]);
-            announceToScreenReader('Terminal history cleared.');
-          }
-        } else {
-          const errorMessage = formatResponse(executionResult.message, 'error');
-          addToDisplayHistory('error', errorMessage);
-          
-          // Announce error to screen readers
-          announceToScreenReader(`Command failed: ${executionResult.message}`);
-          
-          if (executionResult.suggestion) {
-            addToDisplayHistory('suggestion', executionResult.suggestion);
-            announceToScreenReader(`Suggestion: ${executionResult.suggestion}`);
-          }
-        }
+        showExecutionResult(await executorMethodsRef.current.execute(parseResult, context));
       } else {
         // Fallback to direct execution if executor not available
         addToDisplayHistory('response', formatResponse(parseResult.message, 'info'));
@@ -357,11 +504,59 @@ const TerminalInterface = ({
       announceToScreenReader(errorMessage);
       announceToScreenReader('Please try again or type !help for available commands');
     }
-
-    // Clear input
-    setCurrentInput('');
   };
 
+  // Run the saved startup script (!startup) once the first mode has loaded
+  useEffect(() => {
+    if (!ready || startupScriptRanRef.current) return;
+    startupScriptRanRef.current = true;
+
+    const script = getSettingsManager().getStartupScript();
+    if (!script || !executorMethodsRef.current?.runScript) return;
+
+    addToDisplayHistory('command', '!startup run');
+    executorMethodsRef.current.runScript(script, {
+      currentCharacter,
+      messageStatus,
+      onScriptStep: showScriptStep
+    }).then(showExecutionResult).catch(error => {
+      console.error('Startup script failed:', error);
+      addToDisplayHistory('error', formatResponse(`Startup script failed: ${error.message}`, 'error'));
+    });
+  }, [ready]);
+
+  // Commands from the local control API (/api/control) run through the same
+  // parser and executor as typed ones and show up in the terminal
+  useEffect(() => {
+    if (!remoteControl) return;
+
+    // Only the leading window gets here; it claims the commands once connected
+    const client = new ControlClient({
+      leader: true,
+      execute: async (command, { script }) => {
+        addToDisplayHistory('command', command);
+        const context = { ...commandContextRef.current, onScriptStep: showScriptStep };
+
+        let result;
+        if (script && splitCommands(command).length > 1 && executorMethodsRef.current?.runScript) {
+          result = await executorMethodsRef.current.runScript(command, context);
+        } else {
+          const parseResult = commandParser.current.parseAndExecute(command, context);
+          result = parseResult.success && executorMethodsRef.current?.execute
+            ? await executorMethodsRef.current.execute(parseResult, context)
+            : parseResult;
+        }
+
+        showExecutionResult(result);
+        return result;
+      },
+      onError: (message, error) => console.error(message, error)
+    });
+    client.start();
+
+    return () => client.destroy();
+  }, [remoteControl]);
+
   // Navigate command history
   const navigateHistory = (direction) => {
     if (commandHistory.length === 0) return;
@@ -467,8 +662,8 @@ const TerminalInterface = ({
         }
       }
       
-      // Handle keyboard shortcuts when terminal is visible
-      if (isVisible) {
+      // Handle keyboard shortcuts when terminal is visible (the input handles its own keys)
+      if (isVisible && e.target !== inputRef.current) {
         handleKeyDown(e);
       }
     };
@@ -479,7 +674,7 @@ const TerminalInterface = ({
       document.removeEventListener('keydown', handleGlobalKeyDown);
       clearHideTimeout();
     };
-  }, [isVisible, currentInput]);
+  }, [isVisible, currentInput, reverseSearch, commandHistory]);
 
   // Cleanup timeout on unmount
   useEffect(() => {
@@ -492,8 +687,10 @@ const TerminalInterface = ({
     <CommandExecutorComponent
       onCharacterSwitch={onCharacterSwitch}
       onMessageControl={onMessageControl}
+      onPlaylistControl={onPlaylistControl}
       getCurrentState={getCurrentState || defaultGetCurrentState}
       onError={onError || console.error}
+      commandParser={commandParser.current}
     >
       {(methods) => {
         // Store executor methods for use in executeCommand
@@ -642,6 +839,13 @@ const TerminalInterface = ({
                   </div>
                 )}
                 
+                {reverseSearch && (
+                  <div className={styles.reverseSearch} role="status" aria-live="polite">
+                    (reverse-i-search)&apos;{reverseSearch.query}&apos;: {reverseSearch.index === -1
+                      ? (reverseSearch.query ? 'no match' : '')
+                      : commandHistory[reverseSearch.index]}
+                  </div>
+                )}
                 <div className={styles.terminalPrompt} role="group" aria-label="Command input">
                   <label htmlFor="terminal-input" className={styles.srOnly}>
                     Enter terminal command. Commands start with exclamation mark. Press Tab for completion, F1 for help.
@@ -669,7 +873,8 @@ const TerminalInterface = ({
                     aria-haspopup="listbox"
                   />
                   <div id="terminal-input-help" className={styles.srOnly}>
-                    Available commands: !help, !switch, !characters, !status, !pause, !resume, !test, !clear
+                    Available commands: !help, !switch, !characters, !status, !pause, !resume, !test, !clear.
+                    Tab completes commands and arguments. Ctrl+R searches the command history.
                   </div>
                   <span 
                     className={`${styles.cursor} ${accessibilityPrefs.reducedMotion ? styles.staticCursor : ''}`}
@@ -688,10 +893,13 @@ const TerminalInterface = ({
 TerminalInterface.propTypes = {
   onCharacterSwitch: PropTypes.func.isRequired,
   onMessageControl: PropTypes.func.isRequired,
+  onPlaylistControl: PropTypes.func,
   currentCharacter: PropTypes.string,
   messageStatus: PropTypes.string,
   getCurrentState: PropTypes.func,
   onError: PropTypes.func,
+  ready: PropTypes.bool,
+  remoteControl: PropTypes.bool,
   className: PropTypes.string
 };
 
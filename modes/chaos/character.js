@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef, useCallback, useEffect } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function ChaosCharacter({ onSpeak }) {
   const meshRef = useRef();
@@ -15,27 +19,27 @@ function ChaosCharacter({ onSpeak }) {
   useFrame((state) => {
     if (meshRef.current) {
       // Unpredictable movements
-      meshRef.current.position.x = (Math.random() - 0.5) * 0.2;
-      meshRef.current.position.y = (Math.random() - 0.5) * 0.2;
-      meshRef.current.position.z = (Math.random() - 0.5) * 0.1;
+      meshRef.current.position.x = (random() - 0.5) * 0.2;
+      meshRef.current.position.y = (random() - 0.5) * 0.2;
+      meshRef.current.position.z = (random() - 0.5) * 0.1;
       
       // Chaotic rotation
-      meshRef.current.rotation.x += (Math.random() - 0.5) * 0.1;
-      meshRef.current.rotation.y += (Math.random() - 0.5) * 0.1;
-      meshRef.current.rotation.z += (Math.random() - 0.5) * 0.1;
+      meshRef.current.rotation.x += (random() - 0.5) * 0.1;
+      meshRef.current.rotation.y += (random() - 0.5) * 0.1;
+      meshRef.current.rotation.z += (random() - 0.5) * 0.1;
       
       // Random color glitching
-      const hue = Math.random();
+      const hue = random();
       meshRef.current.material.color.setHSL(hue, 1, 0.6);
       
       // Glitchy speak animation - erratic scaling and movement
       if (speakingRef.current) {
-        const glitchScale = 1 + (Math.random() - 0.5) * 0.4;
+        const glitchScale = 1 + (random() - 0.5) * 0.4;
         meshRef.current.scale.setScalar(glitchScale);
         
         // Extra chaotic movement when speaking
-        meshRef.current.position.x += (Math.random() - 0.5) * 0.3;
-        meshRef.current.position.y += (Math.random() - 0.5) * 0.3;
+        meshRef.current.position.x += (random() - 0.5) * 0.3;
+        meshRef.current.position.y += (random() - 0.5) * 0.3;
       } else {
         meshRef.current.scale.setScalar(1);
       }
@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function ChaosScene({ sceneProps }) {
   const groupRef = useRef();
@@ -8,13 +12,13 @@ function ChaosScene({ sceneProps }) {
   useFrame((state, delta) => {
     if (groupRef.current) {
       // Minimal subtle movement
-      groupRef.current.rotation.x += (Math.random() - 0.5) * delta * 0.1;
-      groupRef.current.rotation.y += (Math.random() - 0.5) * delta * 0.1;
-      groupRef.current.rotation.z += (Math.random() - 0.5) * delta * 0.1;
+      groupRef.current.rotation.x += (random() - 0.5) * delta * 0.1;
+      groupRef.current.rotation.y += (random() - 0.5) * delta * 0.1;
+      groupRef.current.rotation.z += (random() - 0.5) * delta * 0.1;
       
       // Very subtle position jitter
-      groupRef.current.position.x = (Math.random() - 0.5) * 0.01;
-      groupRef.current.position.y = (Math.random() - 0.5) * 0.01;
+      groupRef.current.position.x = (random() - 0.5) * 0.01;
+      groupRef.current.position.y = (random() - 0.5) * 0.01;
     }
     
     // Update each plane with minimal effects
@@ -26,14 +30,14 @@ function ChaosScene({ sceneProps }) {
         plane.material.color.setHSL(hue / 360, 0.8, 0.4);
         
         // Minimal movement
-        plane.position.x += (Math.random() - 0.5) * 0.005;
-        plane.position.y += (Math.random() - 0.5) * 0.005;
-        plane.position.z += (Math.random() - 0.5) * 0.005;
+        plane.position.x += (random() - 0.5) * 0.005;
+        plane.position.y += (random() - 0.5) * 0.005;
+        plane.position.z += (random() - 0.5) * 0.005;
         
         // Gentle rotation
-        plane.rotation.x += (Math.random() - 0.5) * delta * 0.2;
-        plane.rotation.y += (Math.random() - 0.5) * delta * 0.2;
-        plane.rotation.z += (Math.random() - 0.5) * delta * 0.2;
+        plane.rotation.x += (random() - 0.5) * delta * 0.2;
+        plane.rotation.y += (random() - 0.5) * delta * 0.2;
+        plane.rotation.z += (random() - 0.5) * delta * 0.2;
       }
     });
   });
@@ -46,14 +50,14 @@ function ChaosScene({ sceneProps }) {
           key={i}
           ref={(el) => (planeRefs.current[i] = el)}
           position={[
-            (Math.random() - 0.5) * 4,
-            (Math.random() - 0.5) * 4,
-            (Math.random() - 0.5) * 4
+            (random() - 0.5) * 4,
+            (random() - 0.5) * 4,
+            (random() - 0.5) * 4
           ]}
           rotation={[
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
+            random() * Math.PI,
+            random() * Math.PI,
+            random() * Math.PI
           ]}
         >
           <planeGeometry args={[1, 1]} />
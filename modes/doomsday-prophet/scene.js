@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function DoomsdayProphetScene({ sceneProps }) {
   const sphereRef = useRef();
@@ -81,9 +85,9 @@ function DoomsdayProphetScene({ sceneProps }) {
         <mesh 
           key={`debris-${i}`}
           position={[
-            (Math.random() - 0.5) * 8,
+            (random() - 0.5) * 8,
             Math.sin(state.clock?.elapsedTime * 0.2 + i) * 2 + 1,
-            (Math.random() - 0.5) * 8
+            (random() - 0.5) * 8
           ]}
           rotation={[
             state.clock?.elapsedTime * 0.1 + i,
@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function EmotionalDamageScene({ sceneProps }) {
   const lightRef = useRef();
@@ -74,11 +78,11 @@ function EmotionalDamageScene({ sceneProps }) {
         <mesh 
           key={i}
           position={[
-            (Math.random() - 0.5) * 4,
+            (random() - 0.5) * 4,
             -1.9,
-            (Math.random() - 0.5) * 4
+            (random() - 0.5) * 4
           ]}
-          rotation={[-Math.PI / 2, 0, Math.random() * Math.PI]}
+          rotation={[-Math.PI / 2, 0, random() * Math.PI]}
         >
           <planeGeometry args={[0.3, 0.4]} />
           <meshStandardMaterial 
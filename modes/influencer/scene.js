@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function InfluencerScene({ sceneProps }) {
   const sparklesRef = useRef();
@@ -39,9 +43,9 @@ function InfluencerScene({ sceneProps }) {
           <mesh 
             key={i}
             position={[
-              (Math.random() - 0.5) * 10,
+              (random() - 0.5) * 10,
               Math.sin(state.clock?.elapsedTime * 2 + i) * 3,
-              (Math.random() - 0.5) * 10
+              (random() - 0.5) * 10
             ]}
             rotation={[
               state.clock?.elapsedTime * 2 + i,
@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function SpookyScene({ sceneProps }) {
   const fogRef = useRef();
@@ -137,9 +141,9 @@ function SpookyScene({ sceneProps }) {
         <mesh 
           key={`orb-${i}`}
           position={[
-            (Math.random() - 0.5) * 10,
+            (random() - 0.5) * 10,
             Math.sin(state.clock?.elapsedTime * 0.6 + i) * 2 + 1,
-            (Math.random() - 0.5) * 10
+            (random() - 0.5) * 10
           ]}
         >
           <sphereGeometry args={[0.08, 8, 8]} />
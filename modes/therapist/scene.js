@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function TherapistScene({ sceneProps }) {
   const particlesRef = useRef();
@@ -37,9 +41,9 @@ function TherapistScene({ sceneProps }) {
           <mesh 
             key={i}
             position={[
-              (Math.random() - 0.5) * 8,
+              (random() - 0.5) * 8,
               Math.sin(state.clock?.elapsedTime * 0.5 + i) * 2,
-              (Math.random() - 0.5) * 8
+              (random() - 0.5) * 8
             ]}
           >
             <sphereGeometry args={[0.05, 8, 8]} />
@@ -1,5 +1,9 @@
 import { useFrame } from '@react-three/fiber';
 import { useRef } from 'react';
+import { getRandomStream } from '../../utils/seededRandom';
+
+// Seedable so `!seed <n>` replays the same animation
+const random = getRandomStream('scene');
 
 function WholesomeGrandmaScene({ sceneProps }) {
   const fireplaceRef = useRef();
@@ -55,9 +59,9 @@ function WholesomeGrandmaScene({ sceneProps }) {
           <mesh 
             key={i}
             position={[
-              (Math.random() - 0.5) * 6,
+              (random() - 0.5) * 6,
               Math.sin(state.clock?.elapsedTime * 0.5 + i) * 2 + 1,
-              (Math.random() - 0.5) * 6
+              (random() - 0.5) * 6
             ]}
           >
             <sphereGeometry args={[0.03, 6, 6]} />
@@ -0,0 +1,34 @@
+/**
+ * Zen Monk terminal commands
+ *
+ * Registered through registerModeCommands() in utils/modeRegistry.js and
+ * only available while Zen Monk is the active mode.
+ */
+
+// Timer that ends the current meditation; a new !meditate replaces it
+let meditationTimer = null;
+
+const ZenMonkCommands = [
+  {
+    name: 'meditate',
+    description: 'Silence the monk for a few minutes of stillness',
+    params: [
+      { name: 'minutes', type: 'integer', min: 1, max: 60, default: 5, description: 'how long to meditate' }
+    ],
+    examples: ['!meditate', '!meditate 15'],
+    related: ['pause', 'resume'],
+    handler: async ({ minutes }, { controlMessages }) => {
+      clearTimeout(meditationTimer);
+      await controlMessages('pause');
+
+      meditationTimer = setTimeout(() => {
+        meditationTimer = null;
+        controlMessages('resume');
+      }, minutes * 60 * 1000);
+
+      return `🧘 Meditating for ${minutes} minute${minutes === 1 ? '' : 's'}. Messages resume when the bell rings (or type !resume).`;
+    }
+  }
+];
+
+export default ZenMonkCommands;
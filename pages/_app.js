@@ -3,6 +3,10 @@ import Head from 'next/head';
 import TerminalEffects from '../components/TerminalEffects';
 import { ThemeProvider } from '../utils/useThemeManager.js';
 import { initializeAccessibility } from '../utils/accessibilityManager';
+import { initializeSeedFromURL } from '../utils/seededRandom';
+import { loadGlobalConfig as loadGlobalConfigFile } from '../utils/configLoader';
+import WindowSync from '../utils/WindowSync';
+import { getSettingsManager } from '../utils/useSettingsManager';
 import '../styles/globals.css';
 import '../styles/modeThemes.css';
 import '../styles/animations.css';
@@ -67,7 +71,8 @@ const AppContext = React.createContext({
   messagesPaused: false,
   setMessagesPaused: () => {},
   globalConfig: null,
-  setGlobalConfig: () => {}
+  setGlobalConfig: () => {},
+  windowSync: null
 });
 
 // Global State Provider
@@ -76,15 +81,22 @@ function AppProvider({ children }) {
   const [messagesPaused, setMessagesPaused] = useState(false);
   const [globalConfig, setGlobalConfig] = useState(null);
   const [themeTransitioning, setThemeTransitioning] = useState(false);
+  const [windowSync, setWindowSync] = useState(null);
 
   // Load global configuration and initialize accessibility on mount
   useEffect(() => {
+    // ?seed=<n> replays a message/scene sequence (same as the !seed command)
+    initializeSeedFromURL();
+
     const loadGlobalConfig = async () => {
       try {
         // Initialize accessibility manager first
         const accessibilityManager = initializeAccessibility();
         const accessibilityPrefs = accessibilityManager.getPreferences();
         
+        // Schedule rules (quiet hours, focus blocks, bursts) from data/global-config.json
+        const fileConfig = await loadGlobalConfigFile();
+        
         // Default configuration with accessibility preferences
         const defaultConfig = {
           messageFrequency: {
@@ -93,6 +105,7 @@ function AppProvider({ children }) {
           },
           animationSpeed: accessibilityPrefs.reducedMotion ? 0.1 : 1.0,
           theme: 'matrix-green',
+          schedule: fileConfig.schedule,
           accessibility: {
             reducedMotion: accessibilityPrefs.reducedMotion,
             highContrast: accessibilityPrefs.highContrast,
@@ -127,6 +140,37 @@ function AppProvider({ children }) {
     loadGlobalConfig();
   }, []);
 
+  // Share mode, pause state, messages and settings with other open windows
+  useEffect(() => {
+    const sync = new WindowSync({
+      settingsManager: getSettingsManager(),
+      onError: (message, error) => console.error(message, error)
+    });
+
+    sync.addListener((event, data) => {
+      if (event === 'mode-changed') {
+        setCurrentMode(data.mode);
+      } else if (event === 'pause-changed') {
+        setMessagesPaused(data.paused);
+      }
+    });
+    sync.start();
+    setWindowSync(sync);
+
+    return () => {
+      sync.destroy();
+      setWindowSync(null);
+    };
+  }, []);
+
+  useEffect(() => {
+    windowSync?.setMode(currentMode);
+  }, [windowSync, currentMode]);
+
+  useEffect(() => {
+    windowSync?.setPaused(messagesPaused);
+  }, [windowSync, messagesPaused]);
+
   const contextValue = {
     currentMode,
     setCurrentMode,
@@ -135,7 +179,8 @@ function AppProvider({ children }) {
     globalConfig,
     setGlobalConfig,
     themeTransitioning,
-    setThemeTransitioning
+    setThemeTransitioning,
+    windowSync
   };
 
   return (
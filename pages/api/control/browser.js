@@ -0,0 +1,94 @@
+/**
+ * VibeScreen Control API - browser side
+ *
+ * GET opens an event stream for the leading VibeScreen window: a 'session'
+ * event with the session id and secret, then one 'command' event per control
+ * request. POST { session, secret, leader } reports whether the window leads
+ * (only the leader gets commands) and POST { session, secret, requestId,
+ * result } returns the CommandExecutor result.
+ * Answers 204 while the control API is off, which tells EventSource to stop
+ * reconnecting. Windows have no token, so both only accept requests from
+ * this machine and this origin (checkWindowAccess), and posts must carry the
+ * secret of their session.
+ */
+
+import { isControlEnabled, checkWindowAccess, getControlRelay } from '../../../utils/controlServer.js';
+import { toControlResult } from '../../../utils/controlApi.js';
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+export default function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (!isControlEnabled()) {
+    res.status(204).end();
+    return;
+  }
+
+  const access = checkWindowAccess(req);
+  if (!access.ok) {
+    res.status(access.statusCode).json({ status: 'error', error: access.error, message: access.message });
+    return;
+  }
+
+  const relay = getControlRelay();
+
+  if (req.method === 'GET') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // no-transform above keeps compression from buffering events; this does the same for proxies
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const { sessionId, secret } = relay.connect(send);
+    send('session', { session: sessionId, secret });
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_INTERVAL_MS);
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      relay.disconnect(sessionId);
+    });
+    return;
+  }
+
+  if (req.method === 'POST') {
+    const { session, secret, requestId, result, leader } = req.body || {};
+
+    const verified = relay.verify(session, secret);
+    if (verified !== 'ok') {
+      res.status(verified === 'unknown' ? 404 : 403).json(verified === 'unknown'
+        ? { status: 'error', error: 'Not Found', message: 'No such control session' }
+        : { status: 'error', error: 'Forbidden', message: 'Missing or wrong session secret' });
+      return;
+    }
+
+    if (typeof leader === 'boolean') {
+      relay.setLeader(session, leader);
+      res.status(200).json({ status: 'success', leader });
+      return;
+    }
+
+    const accepted = typeof requestId === 'string'
+      && relay.complete(session, requestId, toControlResult(result));
+
+    res.status(accepted ? 200 : 404).json(accepted
+      ? { status: 'success' }
+      : { status: 'error', error: 'Not Found', message: 'No such control request for this session' });
+    return;
+  }
+
+  res.setHeader('Allow', 'GET, POST');
+  res.status(405).json({ status: 'error', error: 'Method Not Allowed', message: `Method ${req.method} is not allowed.` });
+}
+
+// The event stream stays open for as long as the window does
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
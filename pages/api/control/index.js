@@ -0,0 +1,77 @@
+/**
+ * VibeScreen Control API Endpoint
+ *
+ * Local automation endpoint for editor extensions, shell hooks and stream
+ * decks. POST { op } switches mode, shows a message, pauses, resumes, reads
+ * the status or runs any terminal command; the request is executed by the
+ * open VibeScreen window through CommandExecutor (see utils/controlServer.js).
+ * Requires `Authorization: Bearer $VIBESCREEN_CONTROL_TOKEN` and only
+ * answers requests from this machine. No CORS headers on purpose: web pages
+ * must not be able to call it.
+ */
+
+import { buildControlCommand } from '../../../utils/controlApi.js';
+import { checkControlAuth, getControlRelay, RELAY_ERRORS } from '../../../utils/controlServer.js';
+
+export default async function handler(req, res) {
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Request-ID', requestId);
+  res.setHeader('X-API-Version', '1.0');
+
+  const sendError = (statusCode, error, message, details) => {
+    res.status(statusCode).json({
+      error,
+      message,
+      ...(details && { details }),
+      timestamp: new Date().toISOString(),
+      requestId,
+      status: 'error',
+      apiVersion: '1.0'
+    });
+  };
+
+  const auth = checkControlAuth(req);
+  if (!auth.ok) {
+    sendError(auth.statusCode, auth.error, auth.message);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendError(405, 'Method Not Allowed', `Method ${req.method} is not allowed.`);
+    return;
+  }
+
+  const command = buildControlCommand(req.body);
+  if (command.error) {
+    sendError(400, 'Bad Request', command.error);
+    return;
+  }
+
+  try {
+    const outcome = await getControlRelay().dispatch(command);
+    if (!outcome.ok) {
+      const [statusCode, error, message] = RELAY_ERRORS[outcome.reason];
+      sendError(statusCode, error, message);
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] Control ${requestId}: ${command.command} -> ${outcome.result.success ? 'ok' : 'failed'}`);
+
+    // Commands the terminal rejects (unknown mode, bad value) are 422 with the terminal's explanation
+    res.status(outcome.result.success ? 200 : 422).json({
+      command: command.command,
+      result: outcome.result,
+      timestamp: new Date().toISOString(),
+      status: outcome.result.success ? 'success' : 'error',
+      requestId,
+      apiVersion: '1.0'
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Control request ${requestId} failed:`, error);
+    sendError(500, 'Internal Server Error', 'An unexpected error occurred while processing the request.');
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * VibeScreen Developer Events Endpoint
+ *
+ * POST { type, detail? } reports something that happened in the developer's
+ * tools, e.g. { "type": "build.failed", "detail": "src/app.js" }. The open
+ * VibeScreen window runs it as `!react <type> [detail]` and the current
+ * character reacts as its config.json says (see utils/devEvents.js).
+ * scripts/notify.js sends these from build scripts and git hooks. Uses the
+ * control API token and relay (utils/controlServer.js).
+ */
+
+import { normalizeDevEvent } from '../../utils/devEvents.js';
+import { checkControlAuth, getControlRelay, RELAY_ERRORS } from '../../utils/controlServer.js';
+
+export default async function handler(req, res) {
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Request-ID', requestId);
+  res.setHeader('X-API-Version', '1.0');
+
+  const sendError = (statusCode, error, message, details) => {
+    res.status(statusCode).json({
+      error,
+      message,
+      ...(details && { details }),
+      timestamp: new Date().toISOString(),
+      requestId,
+      status: 'error',
+      apiVersion: '1.0'
+    });
+  };
+
+  const auth = checkControlAuth(req);
+  if (!auth.ok) {
+    sendError(auth.statusCode, auth.error, auth.message);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendError(405, 'Method Not Allowed', `Method ${req.method} is not allowed.`);
+    return;
+  }
+
+  const { event, command, error: invalid } = normalizeDevEvent(req.body);
+  if (invalid) {
+    sendError(400, 'Bad Request', invalid);
+    return;
+  }
+
+  try {
+    const outcome = await getControlRelay().dispatch({ command, script: false });
+    if (!outcome.ok) {
+      const [statusCode, relayError, message] = RELAY_ERRORS[outcome.reason];
+      sendError(statusCode, relayError, message);
+      return;
+    }
+
+    console.log(`[${new Date().toISOString()}] Event ${requestId}: ${event.type} -> ${outcome.result.data?.reacted ? 'reacted' : 'no reaction'}`);
+
+    res.status(outcome.result.success ? 200 : 422).json({
+      event,
+      result: outcome.result,
+      timestamp: new Date().toISOString(),
+      status: outcome.result.success ? 'success' : 'error',
+      requestId,
+      apiVersion: '1.0'
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Event request ${requestId} failed:`, error);
+    sendError(500, 'Internal Server Error', 'An unexpected error occurred while processing the event.');
+  }
+}
@@ -3,10 +3,21 @@
  * 
  * Provides mode discovery and metadata retrieval for the frontend.
  * Returns JSON array of all available personality modes with their configuration.
+ * The list comes from a watched index (utils/modeIndex.js) that reloads only
+ * the mode whose files changed; /api/modes/stream pushes those changes.
+ * scripts/build-modes-manifest.js writes the same payload to
+ * public/modes-manifest.json for the static export, which has no API routes.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import { createHash } from 'crypto';
+import { diffModeTrees } from '../../utils/modeSync.js';
+import { normalizeAudioConfig } from '../../utils/AudioEngine.js';
+import { normalizeVoiceConfig } from '../../utils/VoiceNarrator.js';
+import { normalizeReactions } from '../../utils/devEvents.js';
+import { getModeIndex, computeModeRevision } from '../../utils/modeIndex.js';
+import { SCENE_FILE_NAMES } from '../../utils/sceneDescription.js';
 
 // In-memory cache for parsed configuration data
 let modesCache = null;
@@ -25,6 +36,12 @@ const CACHE_TTL_MS = process.env.MODES_CACHE_TTL_MS ?
 const CACHE_ENABLED = process.env.DISABLE_CACHE !== 'true';
 const MAX_CACHE_SIZE = process.env.MAX_CACHE_SIZE ? parseInt(process.env.MAX_CACHE_SIZE, 10) : 1000;
 
+// Watch modes/ instead of rescanning on expiry (MODES_WATCH=false turns it off)
+const WATCH_ENABLED = CACHE_ENABLED && process.env.MODES_WATCH !== 'false';
+
+// Collects what logError reports while validateModeConfig runs with a report
+let activeReport = null;
+
 /**
  * Enhanced error logging with context and file paths
  * @param {string} operation - The operation being performed
@@ -48,6 +65,10 @@ function logError(operation, context, error, level = 'warn') {
   
   const logMessage = `[${timestamp}] ${operation} failed for ${context}: ${error.message}`;
   
+  if (activeReport && (level === 'warn' || level === 'error')) {
+    activeReport[level === 'error' ? 'errors' : 'warnings'].push({ operation, message: error.message });
+  }
+  
   if (level === 'error') {
     console.error(logMessage, errorInfo);
   } else if (level === 'warn') {
@@ -77,10 +98,14 @@ function isCacheValid() {
  * @param {string} reason - Reason for cache invalidation
  */
 function invalidateCache(reason = 'manual') {
-  if (modesCache) {
+  const index = getWatchedModeIndex();
+  if (modesCache || index?.scanned) {
     console.log(`[${new Date().toISOString()}] Cache invalidated: ${reason}`);
     cacheStats.invalidations++;
   }
+  if (index) {
+    index.invalidate();
+  }
   
   modesCache = null;
   cacheTimestamp = null;
@@ -129,16 +154,86 @@ function getCachedModes() {
 }
 
 /**
- * Discovers available modes by scanning the modes directory
+ * The watched mode index, or null when watching is off or failed
+ * @returns {ModeIndex|null} Shared index
+ */
+function getWatchedModeIndex() {
+  if (!WATCH_ENABLED) {
+    return null;
+  }
+
+  const index = getModeIndex({
+    scan: scanModes,
+    load: loadModeConfig,
+    onError: (operation, error) => logError(operation, 'modes/', error, 'warn')
+  });
+  return index.failed ? null : index;
+}
+
+/**
+ * Discovers available modes, from the watched index when available,
+ * otherwise by scanning the modes directory with a TTL cache
  * @returns {Promise<Array>} Array of mode configurations
  */
 async function discoverModes() {
+  const index = getWatchedModeIndex();
+  if (index) {
+    if (index.scanned) {
+      cacheStats.hits++;
+    } else {
+      cacheStats.misses++;
+    }
+    cacheStats.lastAccess = Date.now();
+    return index.getModes();
+  }
+
   // Check cache first for performance optimization
   const cachedModes = getCachedModes();
   if (cachedModes) {
     return cachedModes;
   }
   
+  const modes = await scanModes();
+  
+  // Update cache with discovered modes for performance optimization
+  updateCache(modes);
+  
+  return modes;
+}
+
+/**
+ * ETag for a mode list. A hash of the modes sorted by id, so it changes
+ * whenever any mode does and the API and the build manifest agree on it.
+ * @param {Array} modes - Mode configurations
+ * @returns {string} Quoted ETag
+ */
+function computeModesETag(modes) {
+  const sorted = [...modes].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+  return `"${createHash('sha1').update(JSON.stringify(sorted)).digest('hex').substring(0, 16)}"`;
+}
+
+/**
+ * The part of the /api/modes response that does not depend on the request,
+ * also written as public/modes-manifest.json
+ * @param {Array} modes - Mode configurations
+ * @returns {Object} { modes, etag, timestamp, status, modesFound, apiVersion }
+ */
+function buildModesPayload(modes) {
+  return {
+    modes,
+    etag: computeModesETag(modes),
+    timestamp: new Date().toISOString(),
+    status: 'success',
+    modesFound: modes.length,
+    apiVersion: '1.0'
+  };
+}
+
+/**
+ * Scans every directory in modes/ and loads its configuration
+ * @returns {Promise<Array>} Array of mode configurations
+ */
+async function scanModes() {
   const modesPath = path.join(process.cwd(), 'modes');
   
   try {
@@ -221,9 +316,6 @@ async function discoverModes() {
   
   console.log(`[${new Date().toISOString()}] Successfully loaded ${modes.length} out of ${modeDirectories.length} modes`);
   
-  // Update cache with discovered modes for performance optimization
-  updateCache(modes);
-  
   return modes;
 }
 
@@ -287,6 +379,9 @@ async function loadModeConfig(modeId) {
   // Validate and sanitize the configuration
   try {
     const validatedConfig = validateModeConfig(config, sanitizedModeId, configPath);
+    validatedConfig.declarative = await isDeclarativeMode(sanitizedModeId);
+    // Changes when messages or the scene change too, so the watcher and the ETag notice
+    validatedConfig.revision = await computeModeRevision(path.dirname(configPath));
     return validatedConfig;
   } catch (error) {
     logError('Config validation', configPath, error, 'error');
@@ -294,18 +389,57 @@ async function loadModeConfig(modeId) {
   }
 }
 
+/**
+ * Checks whether a mode is described by a declarative scene.json (or
+ * scene.yaml/scene.yml) instead of hand-written scene.js/character.js
+ * components. Declarative modes are not in the static registry and are
+ * loaded by the client at runtime.
+ * @param {string} modeId - Sanitized mode identifier
+ * @returns {Promise<boolean>} True if the mode ships a scene file and no scene.js
+ */
+async function isDeclarativeMode(modeId) {
+  const modePath = path.join(process.cwd(), 'modes', modeId);
+  const fileExists = async (fileName) => {
+    try {
+      await fs.access(path.join(modePath, fileName));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const [hasComponent, ...descriptions] = await Promise.all([
+    fileExists('scene.js'),
+    ...SCENE_FILE_NAMES.map(fileExists)
+  ]);
+
+  return descriptions.some(Boolean) && !hasComponent;
+}
+
 /**
  * Validates and sanitizes mode configuration data
  * @param {Object} config - Raw configuration object
  * @param {string} modeId - Mode identifier
  * @param {string} configPath - Path to config file for error context
+ * @param {Object} [report] - { warnings: [], errors: [] } that receives every
+ *   problem found as { operation, message } besides it being logged
  * @returns {Object} Validated configuration object
  */
-function validateModeConfig(config, modeId, configPath = '') {
+function validateModeConfig(config, modeId, configPath = '', report = null) {
+  if (report) {
+    const previousReport = activeReport;
+    activeReport = report;
+    try {
+      return validateModeConfig(config, modeId, configPath);
+    } finally {
+      activeReport = previousReport;
+    }
+  }
+  
   // Ensure config is an object with detailed error context
   if (!config || typeof config !== 'object' || Array.isArray(config)) {
     const error = new Error(`Invalid config object type: ${typeof config}${Array.isArray(config) ? ' (array)' : ''}`);
-    logError('Config object validation', `${configPath} (mode: ${modeId})`, error, 'warn');
+    logError('Config object validation', `${configPath} (mode: ${modeId})`, error, 'error');
     config = {};
   }
   
@@ -351,6 +485,18 @@ function validateModeConfig(config, modeId, configPath = '') {
     }
   }
   
+  // Optional preferred side for speech bubbles (MessagePopup falls back to the free sides)
+  const validPopupPositions = ['above', 'below', 'left', 'right', 'overlay'];
+  let popupPosition = null;
+  if (config.popupPosition !== undefined) {
+    if (typeof config.popupPosition === 'string' && validPopupPositions.includes(config.popupPosition.trim())) {
+      popupPosition = config.popupPosition.trim();
+    } else {
+      const error = new Error(`Invalid popupPosition "${config.popupPosition}". Valid options: ${validPopupPositions.join(', ')}`);
+      logError('PopupPosition validation', `${configPath} (mode: ${modeId})`, error, 'warn');
+    }
+  }
+  
   // Validate and sanitize timing fields with comprehensive error reporting
   let minDelaySeconds = 15;
   if (config.minDelaySeconds !== undefined) {
@@ -404,18 +550,24 @@ function validateModeConfig(config, modeId, configPath = '') {
       let totalProb = 0;
       const invalidKeys = [];
       
+      // Custom category keys (e.g. therapist "supportive") are kept; when a mode
+      // declares any, the master categories it omits get no weight
+      const baseKeys = ['cliche', 'exaggeration', 'other'];
+      const customKeys = Object.keys(probs).filter(key => !baseKeys.includes(key) && /^[a-zA-Z][\w-]{0,49}$/.test(key));
+      const defaultFor = key => (customKeys.length > 0 ? 0 : messageProbabilities[key]);
+      
       // Validate each probability value with detailed error reporting
-      ['cliche', 'exaggeration', 'other'].forEach(key => {
+      [...baseKeys, ...customKeys].forEach(key => {
         if (probs[key] !== undefined) {
           if (typeof probs[key] === 'number' && !isNaN(probs[key]) && isFinite(probs[key]) && probs[key] >= 0 && probs[key] <= 1) {
             validProbs[key] = probs[key];
             totalProb += probs[key];
           } else {
             invalidKeys.push(`${key}: ${typeof probs[key]} "${probs[key]}"`);
-            validProbs[key] = messageProbabilities[key]; // Use default
+            validProbs[key] = defaultFor(key); // Use default
           }
         } else {
-          validProbs[key] = messageProbabilities[key]; // Use default
+          validProbs[key] = defaultFor(key); // Use default
         }
       });
       
@@ -466,15 +618,53 @@ function validateModeConfig(config, modeId, configPath = '') {
     }
   }
   
+  // Validate the audio block (ambient bed and speak cue parameters)
+  let audio = null;
+  if (config.audio !== undefined) {
+    const { audio: normalizedAudio, warnings } = normalizeAudioConfig(config.audio);
+    audio = normalizedAudio;
+    if (warnings.length > 0) {
+      const error = new Error(warnings.join('; '));
+      logError('Audio validation', `${configPath} (mode: ${modeId})`, error, 'warn');
+    }
+  }
+  
+  // Validate the voice block (speechSynthesis voice, pitch and rate)
+  let voice = null;
+  if (config.voice !== undefined) {
+    const { voice: normalizedVoice, warnings } = normalizeVoiceConfig(config.voice);
+    voice = normalizedVoice;
+    if (warnings.length > 0) {
+      const error = new Error(warnings.join('; '));
+      logError('Voice validation', `${configPath} (mode: ${modeId})`, error, 'warn');
+    }
+  }
+  
+  // Validate the reactions block (developer events, see utils/devEvents.js)
+  let reactions = null;
+  if (config.reactions !== undefined) {
+    const { reactions: normalizedReactions, warnings } = normalizeReactions(config.reactions);
+    reactions = normalizedReactions;
+    if (warnings.length > 0) {
+      const error = new Error(warnings.join('; '));
+      logError('Reactions validation', `${configPath} (mode: ${modeId})`, error, 'warn');
+    }
+  }
+  
   // Return validated configuration object matching the established schema
   return {
     id: modeId,
     name: name,
     popupStyle: popupStyle,
+    ...(popupPosition && { popupPosition }),
     minDelaySeconds: minDelaySeconds,
     maxDelaySeconds: maxDelaySeconds,
     messageProbabilities: messageProbabilities,
-    sceneProps: sceneProps
+    ...(typeof config.defaultMessageCategory === 'string' && { defaultMessageCategory: config.defaultMessageCategory }),
+    sceneProps: sceneProps,
+    ...(audio && { audio }),
+    ...(voice && { voice }),
+    ...(reactions && { reactions })
   };
 }
 
@@ -560,6 +750,18 @@ function sanitizeSceneProps(sceneProps, modeId, configPath = '') {
   return sanitized;
 }
 
+export {
+  loadModeConfig,
+  isDeclarativeMode,
+  validateModeConfig,
+  invalidateCache,
+  getWatchedModeIndex,
+  scanModes,
+  computeModesETag,
+  buildModesPayload,
+  logError
+};
+
 export default async function handler(req, res) {
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
   const startTime = Date.now();
@@ -612,14 +814,33 @@ export default async function handler(req, res) {
     
     // Handle cache status request
     if (req.query && req.query.cacheStatus === 'true') {
+      // Drift between modes/ and public/modes/ (fix with scripts/sync-modes.js)
+      let modeSync;
+      try {
+        modeSync = await diffModeTrees();
+        if (!modeSync.inSync) {
+          logError('Mode sync check', `${modeSync.modes.length} mode(s) differ between modes/ and public/modes/`, new Error('Mode trees out of sync'), 'warn');
+        }
+      } catch (error) {
+        logError('Mode sync check', 'modes/ vs public/modes/', error, 'warn');
+        modeSync = { inSync: null, error: error.message };
+      }
+
+      const index = getWatchedModeIndex();
       const cacheStatus = {
         enabled: CACHE_ENABLED,
-        valid: isCacheValid(),
+        valid: index ? index.scanned : isCacheValid(),
+        watch: {
+          enabled: WATCH_ENABLED,
+          watching: Boolean(index?.watcher),
+          version: index ? index.version : null
+        },
         stats: cacheStats,
         config: {
           ttlMs: CACHE_TTL_MS,
           maxSizeKB: MAX_CACHE_SIZE
         },
+        modeSync,
         timestamp: new Date().toISOString(),
         requestId,
         status: 'success'
@@ -666,13 +887,11 @@ export default async function handler(req, res) {
     const processingTime = Date.now() - startTime;
     
     // Consistent response format for success (Requirement 5.4)
+    const payload = buildModesPayload(modes);
     const response = {
-      modes,
-      timestamp: new Date().toISOString(),
-      status: 'success',
+      ...payload,
       requestId,
       processingTimeMs: processingTime,
-      modesFound: modes.length,
       cache: CACHE_ENABLED ? {
         enabled: true,
         hits: cacheStats.hits,
@@ -682,16 +901,14 @@ export default async function handler(req, res) {
         ttlMs: CACHE_TTL_MS,
         isHit: processingTime < 10, // Heuristic: cache hits are typically < 10ms
         discoveryTimeMs: discoveryTime
-      } : { enabled: false, discoveryTimeMs: discoveryTime },
-      apiVersion: '1.0'
+      } : { enabled: false, discoveryTimeMs: discoveryTime }
     };
     
     // Add ETag for better caching (Requirement 5.3)
-    const etag = `"${Buffer.from(JSON.stringify(modes)).toString('base64').substring(0, 16)}"`;
-    res.setHeader('ETag', etag);
+    res.setHeader('ETag', payload.etag);
     
     // Handle conditional requests (Requirement 5.3)
-    if (req.headers && req.headers['if-none-match'] === etag) {
+    if (req.headers && req.headers['if-none-match'] === payload.etag) {
       res.status(304).end();
       return;
     }
@@ -0,0 +1,232 @@
+/**
+ * VibeScreen Mode Definition API Endpoint
+ *
+ * Serves the complete definition of a single mode (config, messages and
+ * declarative scene description) so user-defined modes dropped into modes/
+ * can be loaded by the client at runtime without touching the static registry.
+ * PUT uploads a declarative mode into modes/<id>/ and the public/modes/<id>/
+ * copy used by the static export. Uploads need the control API token and only
+ * come from this machine (checkControlAuth in utils/controlServer.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadModeConfig, validateModeConfig, invalidateCache, logError } from '../../modes.js';
+import { validateMessageFile } from '../../../../utils/messageValidation.js';
+import { validateSceneDescription, parseSceneFile, SCENE_FILE_NAMES } from '../../../../utils/sceneDescription.js';
+import { writeJSONAtomic } from '../../../../utils/atomicFile.js';
+import { checkControlAuth } from '../../../../utils/controlServer.js';
+
+const MODE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+/**
+ * Reads and parses a JSON file from a mode directory
+ * @param {string} modeId - Mode identifier
+ * @param {string} fileName - File inside the mode directory
+ * @returns {Promise<*>} Parsed JSON or null if missing/invalid
+ */
+async function readModeJSON(modeId, fileName) {
+  const filePath = path.join(process.cwd(), 'modes', modeId, fileName);
+
+  try {
+    const data = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logError('Mode file reading', filePath, error, 'warn');
+    }
+    return null;
+  }
+}
+
+/**
+ * Reads the scene description of a mode from scene.json, scene.yaml or
+ * scene.yml, whichever is found first
+ * @param {string} modeId - Mode identifier
+ * @returns {Promise<*>} Parsed description or null if missing/invalid
+ */
+async function readSceneDescription(modeId) {
+  for (const fileName of SCENE_FILE_NAMES) {
+    const filePath = path.join(process.cwd(), 'modes', modeId, fileName);
+    try {
+      return parseSceneFile(fileName, await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      logError('Mode file reading', filePath, error, 'warn');
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Builds the definition payload for a mode
+ * @param {string} modeId - Mode identifier
+ * @returns {Promise<Object|null>} Mode definition or null if the mode does not exist
+ */
+async function loadModeDefinition(modeId) {
+  const config = await loadModeConfig(modeId);
+  if (!config) {
+    return null;
+  }
+
+  const [messages, scene] = await Promise.all([
+    readModeJSON(modeId, 'messages.json'),
+    readSceneDescription(modeId)
+  ]);
+
+  return {
+    id: modeId,
+    declarative: config.declarative,
+    config,
+    messages: messages && typeof messages === 'object' ? messages : [],
+    scene: scene && typeof scene === 'object' ? scene : null
+  };
+}
+
+/**
+ * Validates an uploaded mode bundle. The config goes through the same
+ * validateModeConfig() as configs read from disk; its errors reject the
+ * upload and the sanitized config is what gets written.
+ * @param {Object} body - Request body with config, messages and scene
+ * @param {string} modeId - Mode identifier
+ * @returns {Object} { errors, config } - errors is empty when valid
+ */
+function validateUpload(body, modeId) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: ['Request body must be a JSON object with config, messages and scene'], config: null };
+  }
+
+  const report = { warnings: [], errors: [] };
+  const config = validateModeConfig(body.config, modeId, `upload:${modeId}/config.json`, report);
+  errors.push(...report.errors.map(error => `config: ${error.message}`));
+
+  const sceneResult = validateSceneDescription(body.scene);
+  errors.push(...sceneResult.errors.map(error => error.message));
+
+  const messageResult = validateMessageFile(body.messages, 'messages');
+  errors.push(...messageResult.errors);
+
+  return { errors, config };
+}
+
+export default async function handler(req, res) {
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  const modeId = typeof req.query.id === 'string' ? req.query.id : '';
+
+  if (req.method === 'GET' || req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
+  }
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Request-ID', requestId);
+  res.setHeader('X-API-Version', '1.0');
+
+  const sendError = (statusCode, error, message, details) => {
+    res.status(statusCode).json({
+      error,
+      message,
+      ...(details && { details }),
+      timestamp: new Date().toISOString(),
+      requestId,
+      status: 'error',
+      apiVersion: '1.0'
+    });
+  };
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(200).end();
+    return;
+  }
+
+  if (!MODE_ID_PATTERN.test(modeId)) {
+    sendError(400, 'Bad Request', `Invalid mode id "${modeId}". Use lowercase letters, numbers and hyphens.`);
+    return;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const definition = await loadModeDefinition(modeId);
+
+      if (!definition) {
+        sendError(404, 'Not Found', `Mode "${modeId}" does not exist`);
+        return;
+      }
+
+      res.status(200).json({
+        ...definition,
+        timestamp: new Date().toISOString(),
+        status: 'success',
+        requestId,
+        apiVersion: '1.0'
+      });
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      const auth = checkControlAuth(req);
+      if (!auth.ok) {
+        sendError(auth.statusCode, auth.error, auth.message);
+        return;
+      }
+
+      const { errors, config } = validateUpload(req.body, modeId);
+      if (errors.length > 0) {
+        sendError(400, 'Bad Request', 'Mode upload failed validation', errors);
+        return;
+      }
+
+      const modePath = path.join(process.cwd(), 'modes', modeId);
+
+      // Never overwrite hand-written component modes with an upload
+      try {
+        await fs.access(path.join(modePath, 'scene.js'));
+        sendError(409, 'Conflict', `Mode "${modeId}" is a built-in component mode and cannot be replaced by an upload`);
+        return;
+      } catch (error) {
+        // No scene.js - safe to write the declarative files
+      }
+
+      const { messages, scene } = req.body;
+      const files = {
+        'config.json': config,
+        'messages.json': messages,
+        'scene.json': scene
+      };
+
+      // Source first, then the copy the static export and client fallback read
+      for (const modeDir of [modePath, path.join(process.cwd(), 'public', 'modes', modeId)]) {
+        for (const [fileName, content] of Object.entries(files)) {
+          await writeJSONAtomic(path.join(modeDir, fileName), content);
+        }
+        // The uploaded scene.json replaces a YAML description
+        for (const fileName of SCENE_FILE_NAMES.filter(name => !files[name])) {
+          await fs.rm(path.join(modeDir, fileName), { force: true });
+        }
+      }
+
+      invalidateCache(`mode uploaded: ${modeId}`);
+      console.log(`[${new Date().toISOString()}] Mode uploaded ${requestId}: ${modeId}`);
+
+      res.status(201).json({
+        ...(await loadModeDefinition(modeId)),
+        timestamp: new Date().toISOString(),
+        status: 'success',
+        requestId,
+        apiVersion: '1.0'
+      });
+      return;
+    }
+
+    res.setHeader('Allow', 'GET, PUT, OPTIONS');
+    sendError(405, 'Method Not Allowed', `Method ${req.method} is not allowed.`);
+  } catch (error) {
+    logError('Mode definition request', `${req.method} /api/modes/${modeId}/definition (${requestId})`, error, 'error');
+    sendError(500, 'Internal Server Error', 'An unexpected error occurred while processing the request.');
+  }
+}
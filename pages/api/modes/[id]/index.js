@@ -0,0 +1,228 @@
+/**
+ * VibeScreen Mode Bundle API Endpoint
+ *
+ * Everything known about one mode in a single request: the validated config
+ * (the same object /api/modes lists), a summary of its messages, the theme
+ * palette ThemeManager gives it and the warnings and errors validateModeConfig
+ * reported. `?include=config,messages,theme,validation,messageFile` picks the
+ * parts (see utils/modeBundle.js); `messageFile` is the normalized messages
+ * with config.messageFiles merged in, as MessageScheduler uses them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validateModeConfig, isDeclarativeMode, logError } from '../../modes.js';
+import {
+  MESSAGE_FILE_PATTERN,
+  normalizeMessageFile,
+  mergeCategoryFile,
+  buildMessageCategories
+} from '../../../../utils/messageCategories.js';
+import { MODE_BUNDLE_PARTS, DEFAULT_MODE_BUNDLE_PARTS, parseBundleInclude } from '../../../../utils/modeBundle.js';
+import ThemeManager, { DEFAULT_THEME_ID } from '../../../../utils/ThemeManager.js';
+
+const MODE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+// Only used for its built-in palettes; never applied on the server
+let themeCatalog = null;
+
+/**
+ * Reads and parses a JSON file from a mode directory
+ * @param {string} modeId - Mode identifier
+ * @param {string} fileName - File inside the mode directory
+ * @returns {Promise<Object>} { data } when it parsed, { missing: true } or { error }
+ */
+async function readModeJSON(modeId, fileName) {
+  const filePath = path.join(process.cwd(), 'modes', modeId, fileName);
+
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return { missing: true };
+    }
+    throw error;
+  }
+
+  try {
+    return { data: JSON.parse(text) };
+  } catch (error) {
+    return { error: new Error(`${fileName} is not valid JSON: ${error.message}`) };
+  }
+}
+
+/**
+ * Loads messages.json and the files named in config.messageFiles
+ * @param {string} modeId - Mode identifier
+ * @param {Object} rawConfig - config.json as written (messageFiles is not part of the validated config)
+ * @param {Object} validation - { warnings, errors } to report unreadable files to
+ * @returns {Promise<Object>} Normalized message file
+ */
+async function loadMessageFile(modeId, rawConfig, validation) {
+  const messages = await readModeJSON(modeId, 'messages.json');
+  if (messages.error) {
+    validation.errors.push({ operation: 'Messages file', message: messages.error.message });
+  }
+  const messageFile = normalizeMessageFile(messages.data || []);
+
+  const messageFiles = rawConfig?.messageFiles;
+  if (!messageFiles || typeof messageFiles !== 'object') {
+    return messageFile;
+  }
+
+  for (const [category, fileName] of Object.entries(messageFiles)) {
+    if (typeof fileName !== 'string' || !MESSAGE_FILE_PATTERN.test(fileName)) {
+      validation.warnings.push({ operation: 'Message files', message: `"${fileName}" for ${category} is not a .json file in the mode folder` });
+      continue;
+    }
+
+    const file = await readModeJSON(modeId, fileName);
+    if (file.data !== undefined) {
+      mergeCategoryFile(messageFile, category, file.data);
+    } else {
+      validation.warnings.push({ operation: 'Message files', message: file.error ? file.error.message : `${fileName} for ${category} does not exist` });
+    }
+  }
+
+  return messageFile;
+}
+
+/**
+ * Counts a mode's messages per category, as the scheduler will draw them
+ * @param {Object} config - Validated config
+ * @param {Object} messageFile - Normalized message file
+ * @returns {Object} { count, categories: { category: count }, untagged }
+ */
+function summarizeMessages(config, messageFile) {
+  const { categories } = buildMessageCategories(config, messageFile);
+  const counts = Object.fromEntries(Object.entries(categories).map(([category, messages]) => [category, messages.length]));
+
+  return {
+    count: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    categories: counts,
+    untagged: messageFile.untagged.length
+  };
+}
+
+/**
+ * The palette a mode is shown in. Modes without their own palette get the
+ * default one, flagged with `fallback`.
+ * @param {string} modeId - Mode identifier
+ * @returns {Object} { id, fallback, palette }
+ */
+function getModeTheme(modeId) {
+  themeCatalog = themeCatalog || new ThemeManager();
+  const fallback = !themeCatalog.hasTheme(modeId);
+  const themeId = fallback ? DEFAULT_THEME_ID : modeId;
+
+  return { id: themeId, fallback, palette: themeCatalog.getThemeConfig(themeId) };
+}
+
+/**
+ * Builds the bundle for a mode
+ * @param {string} modeId - Mode identifier (already checked against MODE_ID_PATTERN)
+ * @param {string[]} include - Parts to build, from MODE_BUNDLE_PARTS
+ * @returns {Promise<Object|null>} Bundle, or null when the mode has no config.json
+ */
+export async function loadModeBundle(modeId, include = DEFAULT_MODE_BUNDLE_PARTS) {
+  const raw = await readModeJSON(modeId, 'config.json');
+  if (raw.missing) {
+    return null;
+  }
+
+  const configPath = path.join(process.cwd(), 'modes', modeId, 'config.json');
+  const validation = { valid: true, warnings: [], errors: [] };
+  let config = null;
+
+  // A config that does not parse is still reported, so the mode can be fixed
+  if (raw.error) {
+    validation.errors.push({ operation: 'JSON parsing', message: raw.error.message });
+  } else {
+    config = validateModeConfig(raw.data, modeId, configPath, validation);
+    config.declarative = await isDeclarativeMode(modeId);
+  }
+
+  // Unreadable message files are reported too, so validation needs them loaded
+  const messageFile = ['messages', 'messageFile', 'validation'].some(part => include.includes(part))
+    ? await loadMessageFile(modeId, raw.data, validation)
+    : null;
+  validation.valid = validation.errors.length === 0;
+
+  return {
+    id: modeId,
+    include,
+    ...(include.includes('config') && { config }),
+    ...(include.includes('messages') && { messages: summarizeMessages(config || {}, messageFile) }),
+    ...(include.includes('theme') && { theme: getModeTheme(modeId) }),
+    ...(include.includes('validation') && { validation }),
+    ...(include.includes('messageFile') && { messageFile })
+  };
+}
+
+export default async function handler(req, res) {
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  const modeId = typeof req.query.id === 'string' ? req.query.id : '';
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Request-ID', requestId);
+  res.setHeader('X-API-Version', '1.0');
+
+  const sendError = (statusCode, error, message, details) => {
+    res.status(statusCode).json({
+      error,
+      message,
+      ...(details && { details }),
+      timestamp: new Date().toISOString(),
+      requestId,
+      status: 'error',
+      apiVersion: '1.0'
+    });
+  };
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET, OPTIONS');
+    sendError(405, 'Method Not Allowed', `Method ${req.method} is not allowed.`);
+    return;
+  }
+
+  if (!MODE_ID_PATTERN.test(modeId)) {
+    sendError(400, 'Bad Request', `Invalid mode id "${modeId}". Use lowercase letters, numbers and hyphens.`);
+    return;
+  }
+
+  const { include, unknown } = parseBundleInclude(req.query.include);
+  if (unknown.length > 0) {
+    sendError(400, 'Bad Request', `Unknown include: ${unknown.join(', ')}`, [`Valid parts: ${MODE_BUNDLE_PARTS.join(', ')}`]);
+    return;
+  }
+
+  try {
+    const bundle = await loadModeBundle(modeId, include);
+    if (!bundle) {
+      sendError(404, 'Not Found', `Mode "${modeId}" does not exist`);
+      return;
+    }
+
+    res.status(200).json({
+      ...bundle,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      requestId,
+      apiVersion: '1.0'
+    });
+  } catch (error) {
+    logError('Mode bundle request', `GET /api/modes/${modeId} (${requestId})`, error, 'error');
+    sendError(500, 'Internal Server Error', 'An unexpected error occurred while processing the request.');
+  }
+}
@@ -0,0 +1,341 @@
+/**
+ * VibeScreen Mode Messages API Endpoint
+ *
+ * CRUD for the lines in a mode's messages.json so they can be edited from the
+ * in-app message editor. GET lists the messages, POST adds one, PUT replaces
+ * one by index and DELETE removes one. Input is checked with
+ * utils/messageValidation.js and every write goes to modes/<id>/ and the
+ * public/modes/<id>/ copy served to the client, atomically and with a .bak
+ * backup of the previous file. Writes need the control API token and only
+ * come from this machine (checkControlAuth in utils/controlServer.js); only
+ * GET is open to other origins.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadModeConfig, invalidateCache, logError } from '../../modes.js';
+import { validateMessageFile, validateSingleMessage, findDuplicateMessages } from '../../../../utils/messageValidation.js';
+import { writeJSONAtomic } from '../../../../utils/atomicFile.js';
+import { checkControlAuth } from '../../../../utils/controlServer.js';
+
+const MODE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const CATEGORY_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+
+// Writes to the same mode are serialized so concurrent edits cannot interleave
+const writeQueues = new Map();
+
+/**
+ * Error with an HTTP status, thrown while applying an edit
+ */
+class MessageEditError extends Error {
+  constructor(statusCode, error, message, details) {
+    super(message);
+    this.statusCode = statusCode;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+/**
+ * Files that hold a mode's messages: the source under modes/ and, for modes
+ * that ship a static copy, public/modes/
+ * @param {string} modeId - Mode identifier
+ * @returns {Promise<string[]>} Absolute file paths, source first
+ */
+async function getMessageFilePaths(modeId) {
+  const filePaths = [path.join(process.cwd(), 'modes', modeId, 'messages.json')];
+  const publicDir = path.join(process.cwd(), 'public', 'modes', modeId);
+
+  try {
+    await fs.access(publicDir);
+    filePaths.push(path.join(publicDir, 'messages.json'));
+  } catch (error) {
+    // Modes dropped into modes/ by hand have no static copy until the next sync
+  }
+
+  return filePaths;
+}
+
+/**
+ * Reads a mode's messages.json from modes/
+ * @param {string} modeId - Mode identifier
+ * @returns {Promise<Array|Object>} Parsed messages (empty array if the mode has none yet)
+ */
+async function readMessageFile(modeId) {
+  const filePath = path.join(process.cwd(), 'modes', modeId, 'messages.json');
+
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw new MessageEditError(500, 'Internal Server Error', `messages.json for "${modeId}" could not be read: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the editable sections of a messages file
+ * @param {Array|Object} file - Parsed messages.json
+ * @returns {Object[]} [{ category, messages }] where category null is the untagged list
+ */
+function listSections(file) {
+  if (Array.isArray(file)) {
+    return [{ category: null, messages: file }];
+  }
+
+  const sections = Array.isArray(file.messages) ? [{ category: null, messages: file.messages }] : [];
+  Object.entries(file.categories || {}).forEach(([category, messages]) => {
+    sections.push({ category, messages: Array.isArray(messages) ? messages : [] });
+  });
+  return sections;
+}
+
+/**
+ * Builds the response payload for a messages file
+ * @param {string} modeId - Mode identifier
+ * @param {Array|Object} file - Parsed messages.json
+ * @returns {Object} Payload with raw messages, sections, count and validation warnings
+ */
+function buildPayload(modeId, file) {
+  const validation = validateMessageFile(file, 'messages');
+  const sections = listSections(file);
+
+  return {
+    id: modeId,
+    messages: file,
+    sections,
+    categories: Array.isArray(file) ? [] : Object.keys(file.categories || {}),
+    messageCount: sections.reduce((count, section) => count + section.messages.length, 0),
+    warnings: validation.warnings
+  };
+}
+
+/**
+ * Reads the edit parameters from the body, falling back to the query string
+ * (DELETE requests usually carry no body)
+ * @param {Object} req - Request
+ * @returns {Object} { message, category, index, previous }
+ */
+function readEditInput(req) {
+  const source = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : req.query;
+
+  return {
+    message: typeof source.message === 'string' ? source.message.trim() : source.message,
+    category: source.category === undefined || source.category === null || source.category === '' ? null : source.category,
+    index: source.index,
+    previous: source.previous
+  };
+}
+
+/**
+ * Applies an edit to a copy of the messages file
+ * @param {Array|Object} file - Parsed messages.json
+ * @param {string} method - POST, PUT or DELETE
+ * @param {Object} input - Edit parameters from readEditInput
+ * @returns {Object} { file, index } with the updated file and the edited index
+ */
+function applyEdit(file, method, input) {
+  const { message, category, previous } = input;
+
+  if (category !== null && (typeof category !== 'string' || !CATEGORY_PATTERN.test(category))) {
+    throw new MessageEditError(400, 'Bad Request', 'category must use letters, numbers, hyphens and underscores');
+  }
+
+  let updated = JSON.parse(JSON.stringify(file));
+
+  // A category added to a plain list turns the file into the tagged format
+  if (Array.isArray(updated) && category !== null && method === 'POST') {
+    updated = { messages: updated, categories: {} };
+  }
+
+  let section;
+  if (Array.isArray(updated)) {
+    if (category !== null) {
+      throw new MessageEditError(404, 'Not Found', `Category "${category}" does not exist`);
+    }
+    section = updated;
+  } else if (category === null) {
+    if (!Array.isArray(updated.messages)) {
+      if (method !== 'POST') throw new MessageEditError(404, 'Not Found', 'This mode has no untagged messages');
+      updated.messages = [];
+    }
+    section = updated.messages;
+  } else {
+    updated.categories = updated.categories || {};
+    if (!Array.isArray(updated.categories[category])) {
+      if (method !== 'POST') throw new MessageEditError(404, 'Not Found', `Category "${category}" does not exist`);
+      updated.categories[category] = [];
+    }
+    section = updated.categories[category];
+  }
+
+  let index = section.length;
+  if (method !== 'POST') {
+    index = Number(input.index);
+    if (!Number.isInteger(index) || index < 0) {
+      throw new MessageEditError(400, 'Bad Request', 'index must be a non-negative integer');
+    }
+    if (index >= section.length) {
+      throw new MessageEditError(404, 'Not Found', `Message ${index} does not exist`);
+    }
+    // Guard against editing a line that changed since the editor loaded it
+    if (typeof previous === 'string' && section[index] !== previous) {
+      throw new MessageEditError(409, 'Conflict', `Message ${index} was changed by someone else. Reload and try again.`);
+    }
+  }
+
+  if (method === 'DELETE') {
+    section.splice(index, 1);
+
+    // Drop sections that are now empty rather than leaving an invalid empty list
+    if (!Array.isArray(updated) && section.length === 0) {
+      if (category === null) {
+        delete updated.messages;
+      } else {
+        delete updated.categories[category];
+      }
+    }
+    return { file: updated, index };
+  }
+
+  const messageResult = validateSingleMessage(message, index, 'message');
+  if (messageResult.errors.length > 0) {
+    throw new MessageEditError(400, 'Bad Request', 'Message failed validation', messageResult.errors);
+  }
+
+  section[index] = message;
+
+  if (findDuplicateMessages(section).some(duplicate => duplicate.indices.includes(index))) {
+    throw new MessageEditError(409, 'Conflict', `"${message}" is already in this list`);
+  }
+
+  return { file: updated, index };
+}
+
+/**
+ * Writes a messages file to every copy of the mode, one at a time per mode
+ * @param {string} modeId - Mode identifier
+ * @param {Function} task - Async function returning the file to write
+ * @returns {Promise<Object>} Result of the task
+ */
+function withWriteLock(modeId, task) {
+  const previous = writeQueues.get(modeId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+
+  writeQueues.set(modeId, next);
+  next.finally(() => {
+    if (writeQueues.get(modeId) === next) writeQueues.delete(modeId);
+  }).catch(() => {});
+
+  return next;
+}
+
+export default async function handler(req, res) {
+  const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  const modeId = typeof req.query.id === 'string' ? req.query.id : '';
+
+  if (req.method === 'GET' || req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
+  }
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Request-ID', requestId);
+  res.setHeader('X-API-Version', '1.0');
+
+  const sendError = (statusCode, error, message, details) => {
+    res.status(statusCode).json({
+      error,
+      message,
+      ...(details && { details }),
+      timestamp: new Date().toISOString(),
+      requestId,
+      status: 'error',
+      apiVersion: '1.0'
+    });
+  };
+
+  const sendPayload = (statusCode, payload) => {
+    res.status(statusCode).json({
+      ...payload,
+      timestamp: new Date().toISOString(),
+      status: 'success',
+      requestId,
+      apiVersion: '1.0'
+    });
+  };
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Max-Age', '86400');
+    res.status(200).end();
+    return;
+  }
+
+  if (!MODE_ID_PATTERN.test(modeId)) {
+    sendError(400, 'Bad Request', `Invalid mode id "${modeId}". Use lowercase letters, numbers and hyphens.`);
+    return;
+  }
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', 'GET, POST, PUT, DELETE, OPTIONS');
+    sendError(405, 'Method Not Allowed', `Method ${req.method} is not allowed.`);
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    const auth = checkControlAuth(req);
+    if (!auth.ok) {
+      sendError(auth.statusCode, auth.error, auth.message);
+      return;
+    }
+  }
+
+  try {
+    if (!(await loadModeConfig(modeId))) {
+      sendError(404, 'Not Found', `Mode "${modeId}" does not exist`);
+      return;
+    }
+
+    if (req.method === 'GET') {
+      sendPayload(200, buildPayload(modeId, await readMessageFile(modeId)));
+      return;
+    }
+
+    const input = readEditInput(req);
+
+    const result = await withWriteLock(modeId, async () => {
+      const { file, index } = applyEdit(await readMessageFile(modeId), req.method, input);
+
+      const validation = validateMessageFile(file, 'messages');
+      if (!validation.success) {
+        throw new MessageEditError(400, 'Bad Request', 'The edit would leave messages.json invalid', validation.errors);
+      }
+
+      const filePaths = await getMessageFilePaths(modeId);
+      for (const filePath of filePaths) {
+        await writeJSONAtomic(filePath, file);
+      }
+
+      return { file, index, filePaths };
+    });
+
+    invalidateCache(`messages edited: ${modeId}`);
+    console.log(`[${new Date().toISOString()}] Messages ${req.method} ${requestId}: ${modeId} #${result.index} (${result.filePaths.length} file(s))`);
+
+    sendPayload(req.method === 'POST' ? 201 : 200, {
+      ...buildPayload(modeId, result.file),
+      index: result.index,
+      category: input.category
+    });
+  } catch (error) {
+    if (error instanceof MessageEditError) {
+      sendError(error.statusCode, error.error, error.message, error.details);
+      return;
+    }
+
+    logError('Mode messages request', `${req.method} /api/modes/${modeId}/messages (${requestId})`, error, 'error');
+    sendError(500, 'Internal Server Error', 'An unexpected error occurred while processing the request.');
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * VibeScreen Modes Stream
+ *
+ * GET opens an event stream of mode changes while modes are authored: a
+ * 'snapshot' event with { modes, version } on every (re)connect, then one
+ * 'change' event per added, updated or removed mode:
+ *   { type: 'added' | 'updated', modeId, mode, version }
+ *   { type: 'removed', modeId, version }
+ * Modes have the same shape as in /api/modes. Answers 204 when modes/ is not
+ * watched (MODES_WATCH=false or no platform support), which tells
+ * EventSource to stop reconnecting.
+ */
+
+import { getWatchedModeIndex, logError } from '../modes.js';
+
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    res.status(405).json({ status: 'error', error: 'Method Not Allowed', message: `Method ${req.method} is not allowed.` });
+    return;
+  }
+
+  let index = getWatchedModeIndex();
+  if (index) {
+    try {
+      await index.getModes();
+    } catch (error) {
+      logError('Mode stream', '/api/modes/stream', error, 'warn');
+    }
+    index = getWatchedModeIndex(); // The first scan may have found watching unsupported
+  }
+
+  if (!index) {
+    res.status(204).end();
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  send('snapshot', index.getSnapshot());
+  const unsubscribe = index.subscribe(change => send('change', change));
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_INTERVAL_MS);
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+}
+
+// The event stream stays open for as long as the page does
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
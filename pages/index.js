@@ -6,23 +6,125 @@ import TerminalInterface from '../components/TerminalInterface';
 import MessageController from '../components/MessageController';
 import ModeSwitchControllerComponent from '../components/ModeSwitchController';
 import ModeSelectorWithAPI from '../components/ModeSelector';
+import MessageEditor from '../components/MessageEditor';
+import ModeInfoPanel from '../components/ModeInfoPanel';
+import ModePlaylist from '../utils/ModePlaylist';
+import AudioEngine from '../utils/AudioEngine';
+import VoiceNarrator from '../utils/VoiceNarrator';
+import { getSettingsManager } from '../utils/useSettingsManager';
+import { registerModeCommands } from '../utils/modeRegistry';
+import { buildReaction } from '../utils/devEvents';
 
 
 export default function Home() {
-  const { currentMode, globalConfig, setCurrentMode, messagesPaused, setMessagesPaused } = useAppContext();
+  const { currentMode, globalConfig, setCurrentMode, messagesPaused, setMessagesPaused, windowSync } = useAppContext();
   const [mounted, setMounted] = useState(false);
   const [modeComponents, setModeComponents] = useState({});
   const [modeConfig, setModeConfig] = useState({});
   const [speakTrigger, setSpeakTrigger] = useState(0);
+  const [characterReaction, setCharacterReaction] = useState(null);
   const [loadingState, setLoadingState] = useState('Ready');
+  const [messageEditorOpen, setMessageEditorOpen] = useState(false);
+  const [modeInfoOpen, setModeInfoOpen] = useState(false);
+  const [voiceNarrator, setVoiceNarrator] = useState(null);
+  const [isLeaderWindow, setIsLeaderWindow] = useState(false);
   const modeLoaderRef = useRef(null);
   const switchControllerRef = useRef(null);
+  const messageControllerRef = useRef(null);
+  const playlistRef = useRef(null);
+  const audioEngineRef = useRef(null);
 
   // Ensure component is mounted before rendering to prevent hydration issues
   useEffect(() => {
     setMounted(true);
   }, []);
 
+  // Terminal commands shipped by modes (e.g. Zen Monk's !meditate)
+  useEffect(() => {
+    registerModeCommands();
+  }, []);
+
+  // Character playlist (!playlist), switching through ModeSwitchController
+  useEffect(() => {
+    if (!mounted) return;
+
+    const playlist = new ModePlaylist({
+      settingsManager: getSettingsManager(),
+      switchToMode: (mode) => switchControllerRef.current?.switchToMode(mode),
+      onError: (message, error) => handleModeError(error, { action: 'playlist', message })
+    });
+    playlistRef.current = playlist;
+
+    return () => playlist.destroy();
+  }, [mounted]);
+
+  // Only the leading window runs the playlist; the others follow its mode switches
+  useEffect(() => {
+    if (!mounted || !windowSync) return;
+
+    const handleSyncEvent = (event, data) => {
+      if (event === 'leader-changed') {
+        setIsLeaderWindow(data.isLeader);
+        if (data.isLeader) {
+          // Resume a playlist that was playing before a reload or in the old leader
+          playlistRef.current?.refresh();
+        } else {
+          playlistRef.current?.clearTimer();
+        }
+      } else if (event === 'settings-synced' && data.event === 'playlist-changed' && windowSync.isLeader()) {
+        // !playlist typed in another window
+        playlistRef.current?.refresh();
+      }
+    };
+
+    setIsLeaderWindow(windowSync.isLeader());
+    if (windowSync.isLeader()) {
+      playlistRef.current?.refresh();
+    }
+    windowSync.addListener(handleSyncEvent);
+    return () => windowSync.removeListener(handleSyncEvent);
+  }, [mounted, windowSync]);
+
+  // Procedural ambient audio and speak cues, following the audio settings
+  useEffect(() => {
+    if (!mounted) return;
+
+    const audioEngine = new AudioEngine({
+      settingsManager: getSettingsManager(),
+      onError: (message, error) => handleModeError(error, { action: 'audio', message })
+    });
+    audioEngineRef.current = audioEngine;
+
+    return () => {
+      audioEngine.destroy();
+      audioEngineRef.current = null;
+    };
+  }, [mounted]);
+
+  // Optional voice layer that reads messages aloud (!voice on)
+  useEffect(() => {
+    if (!mounted) return;
+
+    const narrator = new VoiceNarrator({
+      settingsManager: getSettingsManager(),
+      onError: (message, error) => handleModeError(error, { action: 'voice', message })
+    });
+    setVoiceNarrator(narrator);
+
+    return () => {
+      narrator.destroy();
+      setVoiceNarrator(null);
+    };
+  }, [mounted]);
+
+  // Switch the ambient bed with the mode once its config has loaded
+  const currentAudioConfig = modeConfig[currentMode]?.audio;
+  useEffect(() => {
+    if (currentMode) {
+      audioEngineRef.current?.setMode(currentMode, currentAudioConfig);
+    }
+  }, [mounted, currentMode, currentAudioConfig]);
+
   // Handle mode changes from ModeLoader
   const handleModeChange = (newMode, components, config) => {
     console.log(`🔄 Mode change requested: ${newMode}`, { hasComponents: !!components, hasConfig: !!config });
@@ -97,7 +199,7 @@ export default function Home() {
   };
 
   // Handle message control from terminal
-  const handleMessageControl = (action) => {
+  const handleMessageControl = (action, data) => {
     console.log('📨 Message control requested:', action);
     switch (action) {
       case 'pause':
@@ -109,11 +211,38 @@ export default function Home() {
       case 'test':
         triggerSpeak();
         break;
+      case 'reschedule':
+        messageControllerRef.current?.reschedule();
+        break;
+      case 'say':
+        messageControllerRef.current?.showMessage(data.text);
+        break;
+      case 'react': {
+        // Developer events (!react, /api/events) use the current mode's reactions block
+        const reaction = buildReaction(modeConfig[currentMode], data.type, data.detail);
+        if (reaction?.text) {
+          // The animation travels with the message so every window plays it
+          messageControllerRef.current?.showMessage({ text: reaction.text, reaction: reaction.animation });
+        } else if (reaction) {
+          setCharacterReaction({ animation: reaction.animation, id: Date.now() });
+        }
+        return reaction;
+      }
       default:
         console.warn('Unknown message control action:', action);
     }
   };
 
+  // Start or stop the playlist after !playlist edits
+  const handlePlaylistControl = async (operation) => {
+    console.log('🎵 Playlist control requested:', operation);
+    // In a following window the leader picks the edit up through WindowSync
+    if (windowSync && !windowSync.isLeader()) return;
+    if (playlistRef.current && (operation === 'start' || operation === 'stop')) {
+      await playlistRef.current.refresh();
+    }
+  };
+
   // Get current application state for terminal
   const getCurrentState = () => {
     const baseState = {
@@ -219,15 +348,29 @@ export default function Home() {
               characterComponent={modeComponents[currentMode]?.character}
               config={modeConfig[currentMode]}
               onSpeak={speakTrigger}
+              onSpeakStart={() => audioEngineRef.current?.playSpeakCue()}
+              speechSource={voiceNarrator}
+              reaction={characterReaction}
               onError={handleModeError}
             />
 
             {/* Message System */}
             <MessageController
+              ref={messageControllerRef}
               currentMode={currentMode}
               globalConfig={globalConfig}
               isPaused={messagesPaused}
+              windowSync={windowSync}
               onError={handleModeError}
+              onMessageShow={(message) => {
+                if (message.reaction) {
+                  setCharacterReaction({ animation: message.reaction, id: message.id });
+                }
+                // One voice is enough when several windows show the same message
+                if (!windowSync || windowSync.isLeader()) {
+                  voiceNarrator?.speak(message.text, message.voice);
+                }
+              }}
               characterPosition={{ x: typeof window !== 'undefined' ? window.innerWidth - 120 : 1200, y: typeof window !== 'undefined' ? window.innerHeight - 120 : 600 }}
             />
 
@@ -235,10 +378,13 @@ export default function Home() {
             <TerminalInterface
               onCharacterSwitch={handleCharacterSwitch}
               onMessageControl={handleMessageControl}
+              onPlaylistControl={handlePlaylistControl}
               currentCharacter={switchController.currentMode}
               messageStatus={messagesPaused ? 'Paused' : 'Active'}
               getCurrentState={getCurrentState}
               onError={handleModeError}
+              ready={Boolean(modeConfig[currentMode])}
+              remoteControl={isLeaderWindow}
             />
 
         {/* Mode Selector - Bottom Navigation */}
@@ -278,6 +424,32 @@ export default function Home() {
             >
               <span aria-hidden="true">💬</span>
             </button>
+            <button 
+              className="control-button" 
+              title="Edit Messages"
+              aria-label="Edit messages for the current mode"
+              aria-expanded={messageEditorOpen}
+              type="button"
+              onClick={() => {
+                setMessageEditorOpen(open => !open);
+                setModeInfoOpen(false);
+              }}
+            >
+              <span aria-hidden="true">✏️</span>
+            </button>
+            <button 
+              className="control-button" 
+              title="Mode Info"
+              aria-label="Show details of the current mode"
+              aria-expanded={modeInfoOpen}
+              type="button"
+              onClick={() => {
+                setModeInfoOpen(open => !open);
+                setMessageEditorOpen(false);
+              }}
+            >
+              <span aria-hidden="true">ℹ️</span>
+            </button>
             <button 
               className="control-button" 
               title="Settings"
@@ -289,6 +461,21 @@ export default function Home() {
           </div>
         </aside>
 
+        {/* Message Editor - edits the current mode's messages.json via the API */}
+        <MessageEditor
+          modeId={currentMode}
+          isOpen={messageEditorOpen}
+          onClose={() => setMessageEditorOpen(false)}
+          onSaved={() => messageControllerRef.current?.reloadMessages()}
+        />
+
+        {/* Mode Info - config, message counts, palette and config problems from /api/modes/[id] */}
+        <ModeInfoPanel
+          modeId={currentMode}
+          isOpen={modeInfoOpen}
+          onClose={() => setModeInfoOpen(false)}
+        />
+
 
             </main>
 
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * VibeScreen Modes Manifest
+ * Writes public/modes-manifest.json: the /api/modes payload (mode list and
+ * ETag) for production builds, which are static exports without API routes.
+ * Runs before every build, after the mode sync.
+ *
+ * Usage:
+ *   node scripts/build-modes-manifest.js           # Write the manifest
+ *   node scripts/build-modes-manifest.js --check   # Exit 1 when it is missing or out of date
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { scanModes, buildModesPayload } from '../pages/api/modes.js';
+import { writeJSONAtomic } from '../utils/atomicFile.js';
+
+const MANIFEST_PATH = path.join(process.cwd(), 'public', 'modes-manifest.json');
+
+const args = process.argv.slice(2);
+
+/**
+ * The manifest currently on disk
+ * @returns {Promise<Object|null>} Parsed manifest, or null when missing or unreadable
+ */
+async function readManifest() {
+  try {
+    return JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+async function main() {
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node scripts/build-modes-manifest.js [--check]');
+    return;
+  }
+
+  const payload = buildModesPayload(await scanModes());
+
+  const relativePath = path.relative(process.cwd(), MANIFEST_PATH);
+  const current = await readManifest();
+
+  if (args.includes('--check')) {
+    if (current?.etag === payload.etag) {
+      console.log(`✅ ${relativePath} is up to date (${payload.modesFound} modes, ETag ${payload.etag})`);
+    } else {
+      console.error(`❌ ${relativePath} is ${current ? 'out of date' : 'missing'}. Run: node scripts/build-modes-manifest.js`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (payload.modesFound === 0) {
+    console.error('❌ No modes found in modes/; not writing an empty manifest');
+    process.exitCode = 1;
+    return;
+  }
+
+  await writeJSONAtomic(MANIFEST_PATH, payload, { backup: false });
+  console.log(`📦 Wrote ${relativePath}: ${payload.modesFound} modes, ETag ${payload.etag}${current?.etag === payload.etag ? ' (unchanged)' : ''}`);
+}
+
+main().catch(error => {
+  console.error('❌ Could not build the modes manifest:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * VibeScreen Mode Generator
+ * Creates a new personality mode from templates and registers it everywhere
+ * the built-in modes are listed, or cleanly removes one again.
+ *
+ * Usage:
+ *   node scripts/create-mode.js "Space Pirate" --primary "#00ccff" [--secondary "#33d6ff"]
+ *        [--background "#001f26"] [--popup overlay|speechBubble] [--id space-pirate] [--dry-run]
+ *   node scripts/create-mode.js --remove space-pirate [--dry-run]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validateModeConfig } from '../pages/api/modes.js';
+import { writeFileAtomic } from '../utils/atomicFile.js';
+import {
+  MODE_FILES,
+  REGISTRATION_FILES,
+  normalizeScaffoldOptions,
+  buildModeFiles,
+  findRegistrations,
+  registerMode,
+  unregisterMode
+} from '../utils/modeScaffold.js';
+
+const root = process.cwd();
+const MODE_DIRS = ['modes', path.join('public', 'modes')];
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {Object} { name, remove, dryRun, help, id, primary, secondary, background, popupStyle }
+ */
+function parseArgs(args) {
+  const parsed = { dryRun: false, help: false };
+  const flags = {
+    '--id': 'id',
+    '--primary': 'primary',
+    '--secondary': 'secondary',
+    '--background': 'background',
+    '--popup': 'popupStyle',
+    '--remove': 'remove'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+
+    if (arg === '--dry-run') {
+      parsed.dryRun = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else if (flags[flag]) {
+      parsed[flags[flag]] = inlineValue !== undefined ? inlineValue : args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      parsed.name = parsed.name ? `${parsed.name} ${arg}` : arg;
+    }
+  }
+
+  return parsed;
+}
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/create-mode.js "<Name>" --primary <#hex> [--secondary <#hex>] [--background <#hex>]
+       [--popup overlay|speechBubble] [--id <mode-id>] [--dry-run]
+  node scripts/create-mode.js --remove <mode-id> [--dry-run]`);
+}
+
+/**
+ * Read the source files that list the built-in modes
+ * @returns {Promise<Object>} Contents keyed like REGISTRATION_FILES
+ */
+async function readSources() {
+  const entries = await Promise.all(
+    Object.entries(REGISTRATION_FILES).map(async ([key, file]) => [key, await fs.readFile(path.join(root, file), 'utf8')])
+  );
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Write back the source files that changed
+ * @param {Object} sources - Original contents
+ * @param {Object} updated - New contents
+ * @param {boolean} dryRun - Only report what would change
+ */
+async function writeSources(sources, updated, dryRun) {
+  for (const [key, file] of Object.entries(REGISTRATION_FILES)) {
+    if (updated[key] === sources[key]) continue;
+    if (!dryRun) {
+      await writeFileAtomic(path.join(root, file), updated[key], { backup: false });
+    }
+    console.log(`  ✅ ${dryRun ? 'Would update' : 'Updated'} ${file}`);
+  }
+}
+
+async function exists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a generated config the same way /api/modes will load it
+ * @param {Object} config - Generated config.json
+ * @param {string} configPath - Path for log context
+ * @returns {string[]} Fields that validateModeConfig had to change
+ */
+function checkConfig(config, configPath) {
+  const validated = validateModeConfig(config, config.id, configPath);
+  return ['name', 'popupStyle', 'minDelaySeconds', 'maxDelaySeconds']
+    .filter(field => validated[field] !== config[field])
+    .concat(Object.keys(config.sceneProps).filter(key => validated.sceneProps[key] !== config.sceneProps[key]).map(key => `sceneProps.${key}`));
+}
+
+async function createMode(args) {
+  const { options, errors } = normalizeScaffoldOptions(args);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const sources = await readSources();
+  const registered = findRegistrations(sources, options.id);
+  const existingDirs = [];
+  for (const dir of MODE_DIRS) {
+    if (await exists(path.join(root, dir, options.id))) existingDirs.push(dir);
+  }
+  if (registered.length > 0 || existingDirs.length > 0) {
+    console.error(`❌ Mode "${options.id}" already exists (${[...existingDirs, ...registered.map(key => REGISTRATION_FILES[key])].join(', ')})`);
+    console.error(`   Pick another --id, or remove it first with --remove ${options.id}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`🧩 ${args.dryRun ? 'Previewing' : 'Creating'} mode "${options.name}" (${options.id})`);
+
+  const files = buildModeFiles(options);
+  const config = JSON.parse(files['config.json']);
+  const changed = checkConfig(config, `modes/${options.id}/config.json`);
+  if (changed.length > 0) {
+    console.error(`❌ validateModeConfig rejected the generated config: ${changed.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  // Register first so a failed edit leaves no orphaned mode folders behind
+  const updated = registerMode(sources, options);
+
+  for (const dir of MODE_DIRS) {
+    const modePath = path.join(root, dir, options.id);
+    if (!args.dryRun) {
+      await fs.mkdir(modePath, { recursive: true });
+      for (const fileName of MODE_FILES) {
+        await fs.writeFile(path.join(modePath, fileName), files[fileName]);
+      }
+    }
+    console.log(`  ✅ ${args.dryRun ? 'Would create' : 'Created'} ${path.join(dir, options.id)}/ (${MODE_FILES.join(', ')})`);
+  }
+
+  await writeSources(sources, updated, args.dryRun);
+
+  if (!args.dryRun) {
+    // Validate what was written, exactly as the modes API will read it
+    const written = JSON.parse(await fs.readFile(path.join(root, 'modes', options.id, 'config.json'), 'utf8'));
+    const issues = checkConfig(written, `modes/${options.id}/config.json`);
+    console.log(issues.length === 0 ? '  ✅ validateModeConfig passed' : `  ⚠️ validateModeConfig changed: ${issues.join(', ')}`);
+  }
+
+  console.log(`\n🎉 ${args.dryRun ? 'Dry run complete' : `Mode "${options.id}" is ready`}. Edit modes/${options.id}/messages.json (or use the ✏️ editor) to give it a voice.`);
+}
+
+async function removeMode(modeId, dryRun) {
+  if (typeof modeId !== 'string' || !/^[a-z0-9][a-z0-9-]{0,49}$/.test(modeId)) {
+    console.error(`❌ Invalid mode id "${modeId}"`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const sources = await readSources();
+  const registered = findRegistrations(sources, modeId);
+  const existingDirs = [];
+  for (const dir of MODE_DIRS) {
+    if (await exists(path.join(root, dir, modeId))) existingDirs.push(dir);
+  }
+
+  if (registered.length === 0 && existingDirs.length === 0) {
+    console.error(`❌ Mode "${modeId}" was not found`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`🗑️ ${dryRun ? 'Previewing removal of' : 'Removing'} mode "${modeId}"`);
+
+  await writeSources(sources, unregisterMode(sources, modeId), dryRun);
+
+  for (const dir of existingDirs) {
+    if (!dryRun) {
+      await fs.rm(path.join(root, dir, modeId), { recursive: true, force: true });
+    }
+    console.log(`  ✅ ${dryRun ? 'Would delete' : 'Deleted'} ${path.join(dir, modeId)}/`);
+  }
+
+  const leftovers = findRegistrations(unregisterMode(sources, modeId), modeId);
+  if (leftovers.length > 0) {
+    console.warn(`  ⚠️ "${modeId}" is still mentioned in ${leftovers.map(key => REGISTRATION_FILES[key]).join(', ')}; remove those lines by hand`);
+  }
+
+  console.log(`\n🎉 ${dryRun ? 'Dry run complete' : `Mode "${modeId}" removed`}.`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help || (!args.name && !args.remove)) {
+    printUsage();
+    return;
+  }
+
+  if (args.remove) {
+    await removeMode(args.remove, args.dryRun);
+  } else {
+    await createMode(args);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
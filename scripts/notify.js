@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * VibeScreen Notify
+ * Sends a developer event (build.failed, tests.passed, commit.pushed, ...)
+ * to the running app so the current character reacts to it. Uses the
+ * control API token from VIBESCREEN_CONTROL_TOKEN.
+ *
+ * Usage:
+ *   node scripts/notify.js <event> [detail...] [--url http://localhost:3000] [--quiet]
+ *   node scripts/notify.js --list
+ *
+ * Examples:
+ *   npm run build && node scripts/notify.js build.passed || node scripts/notify.js build.failed
+ *   node scripts/notify.js commit.pushed "$(git rev-parse --abbrev-ref HEAD)" || true   # in a git hook
+ */
+
+import { DEV_EVENTS } from '../utils/devEvents.js';
+import { CONTROL_TOKEN_ENV } from '../utils/controlServer.js';
+
+const DEFAULT_URL = 'http://localhost:3000';
+const REQUEST_TIMEOUT_MS = 20000;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {Object} { type, detail, url, quiet, list, help }
+ */
+function parseArgs(args) {
+  const parsed = { url: process.env.VIBESCREEN_URL || DEFAULT_URL, quiet: false, list: false, help: false };
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--url') {
+      parsed.url = args[++i];
+    } else if (arg === '--quiet' || arg === '-q') {
+      parsed.quiet = true;
+    } else if (arg === '--list') {
+      parsed.list = true;
+    } else if (arg === '--help' || arg === '-h') {
+      parsed.help = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  parsed.type = positional[0];
+  parsed.detail = positional.slice(1).join(' ');
+  return parsed;
+}
+
+function printUsage() {
+  console.log('Usage: node scripts/notify.js <event> [detail...] [--url http://localhost:3000] [--quiet]');
+  console.log('       node scripts/notify.js --list');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const log = options.quiet ? () => {} : console.log;
+
+  if (options.help) {
+    printUsage();
+    return;
+  }
+
+  if (options.list) {
+    Object.entries(DEV_EVENTS).forEach(([type, description]) => console.log(`  ${type.padEnd(16)} ${description}`));
+    return;
+  }
+
+  if (!options.type) {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const token = process.env[CONTROL_TOKEN_ENV];
+  if (!token) {
+    console.error(`❌ Set ${CONTROL_TOKEN_ENV} to the token the VibeScreen server was started with`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let response;
+  try {
+    response = await fetch(new URL('/api/events', options.url), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ type: options.type, ...(options.detail && { detail: options.detail }) }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    console.error(`❌ Could not reach VibeScreen at ${options.url}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    console.error(`❌ ${options.type}: ${body.message || `${response.status} ${response.statusText}`}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  log(`${body.result.data?.reacted ? '🎭' : '🤷'} ${body.result.message}`);
+}
+
+main();
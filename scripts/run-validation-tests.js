@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * VibeScreen Validation Test Runner
+ * Runs every script in tests/validation/ that uses the shared check helper
+ * (tests/utils/check.js), one at a time, and exits with 1 if any of them fails.
+ * Usage: npm run test:validation [-- <name filter>]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+const VALIDATION_DIR = path.join(process.cwd(), 'tests', 'validation');
+const CHECK_IMPORT = "from '../utils/check.js'";
+const TEST_TIMEOUT_MS = 120000;
+
+const filter = process.argv[2] || '';
+
+const tests = fs.readdirSync(VALIDATION_DIR)
+  .filter(file => file.endsWith('.js') && file.includes(filter))
+  .filter(file => fs.readFileSync(path.join(VALIDATION_DIR, file), 'utf8').includes(CHECK_IMPORT))
+  .sort();
+
+if (tests.length === 0) {
+  console.error(`❌ No validation tests match "${filter}"`);
+  process.exit(1);
+}
+
+console.log(`🧪 Running ${tests.length} validation test(s)\n`);
+
+const failed = [];
+tests.forEach(file => {
+  const started = Date.now();
+  const result = spawnSync(process.execPath, [path.join(VALIDATION_DIR, file)], {
+    encoding: 'utf8',
+    timeout: TEST_TIMEOUT_MS
+  });
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+
+  if (result.status === 0) {
+    console.log(`✅ ${file} (${seconds}s)`);
+    return;
+  }
+
+  failed.push(file);
+  const reason = result.error ? result.error.message : `exit code ${result.status}`;
+  console.log(`❌ ${file} (${seconds}s, ${reason})`);
+  const failedChecks = (result.stdout || '').split('\n').filter(line => line.startsWith('❌'));
+  const output = failedChecks.length > 0 ? failedChecks : (result.stderr || '').trim().split('\n').slice(-10);
+  output.forEach(line => console.log(`   ${line}`));
+});
+
+console.log(failed.length === 0
+  ? `\n🎉 All ${tests.length} validation tests passed!`
+  : `\n❌ ${failed.length} of ${tests.length} validation tests failed: ${failed.join(', ')}`);
+process.exitCode = failed.length === 0 ? 0 : 1;
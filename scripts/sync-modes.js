@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * VibeScreen Mode Sync
+ * Checks that the mode JSON in modes/ and public/modes/ matches, and copies
+ * one side over the other. Runs with --from modes before every build so the
+ * public copy is generated from the source tree.
+ *
+ * Usage:
+ *   node scripts/sync-modes.js                 # Check only; exits 1 on drift
+ *   node scripts/sync-modes.js --from modes    # modes/ is authoritative
+ *   node scripts/sync-modes.js --from public   # public/modes/ is authoritative
+ *   Options: --dry-run, --prune (delete files that only exist on the other side)
+ */
+
+import { diffModeTrees, syncModeTrees, SYNC_SIDES } from '../utils/modeSync.js';
+
+const args = process.argv.slice(2);
+const fromIndex = args.indexOf('--from');
+const from = fromIndex !== -1 ? args[fromIndex + 1] : null;
+const dryRun = args.includes('--dry-run');
+const prune = args.includes('--prune');
+
+/**
+ * Print the drift report
+ * @param {Object} report - Result of diffModeTrees
+ */
+function printReport(report) {
+  const { checked, drifted, missingPublic, missingSource } = report.summary;
+  console.log(`📋 Checked ${checked} mode(s): ${drifted} drifted, ${missingPublic} missing in public/modes, ${missingSource} missing in modes`);
+
+  report.modes.forEach(mode => {
+    console.log(`\n  ⚠️ ${mode.id} (${mode.status})`);
+    mode.files.forEach(entry => {
+      const fields = entry.fields.length > 0
+        ? `: ${entry.fields.join(', ')}${entry.fieldCount > entry.fields.length ? ` (+${entry.fieldCount - entry.fields.length} more)` : ''}`
+        : '';
+      console.log(`     ${entry.file} ${entry.status}${entry.error ? ` (${entry.error})` : ''}${fields}`);
+    });
+  });
+}
+
+async function main() {
+  console.log('🔄 VibeScreen Mode Sync');
+  console.log('='.repeat(40));
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log('Usage: node scripts/sync-modes.js [--from modes|public] [--dry-run] [--prune]');
+    return;
+  }
+
+  if (fromIndex !== -1 && !SYNC_SIDES.includes(from)) {
+    console.error(`❌ --from must be one of: ${SYNC_SIDES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = await diffModeTrees();
+
+  if (report.inSync) {
+    console.log(`✅ modes/ and public/modes/ are in sync (${report.summary.checked} modes)`);
+    return;
+  }
+
+  printReport(report);
+
+  if (!from) {
+    console.log('\n❌ Mode trees are out of sync. Run with --from modes or --from public to fix.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const result = await syncModeTrees({ from, dryRun, prune });
+  const verb = dryRun ? 'Would copy' : 'Copied';
+
+  console.log(`\n🔄 ${from === 'modes' ? 'modes/' : 'public/modes/'} is authoritative`);
+  result.copied.forEach(file => console.log(`  ✅ ${verb} ${file}`));
+  result.removed.forEach(file => console.log(`  🗑️ ${dryRun ? 'Would delete' : 'Deleted'} ${file}`));
+  result.skipped.forEach(({ path, reason }) => console.log(`  ⚠️ Skipped ${path}: ${reason}`));
+
+  if (!dryRun) {
+    const after = await diffModeTrees();
+    console.log(after.inSync ? '\n🎉 Mode trees are in sync' : `\n⚠️ ${after.modes.length} mode(s) still differ (see skipped files above)`);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
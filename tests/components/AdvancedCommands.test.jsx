@@ -4,6 +4,9 @@
  */
 
 import { CommandParser } from '../../components/CommandParser.jsx';
+import { getSeed, clearSeed, normalizeSeed } from '../../utils/seededRandom.js';
+import { registerCommand, unregisterCommand } from '../../utils/commandRegistry.js';
+import ThemeManager, { getCustomThemes } from '../../utils/ThemeManager.js';
 
 describe('Advanced Commands', () => {
   let parser;
@@ -138,6 +141,331 @@ describe('Advanced Commands', () => {
       expect(result.message).toContain('Invalid volume value');
       expect(result.suggestion).toContain('between 0.0 and 1.0');
     });
+
+    test('should turn audio and the ambient bed on and off', () => {
+      let result = parser.parseAndExecute('!audio on', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('audio.enabled')).toBe(true);
+      expect(mockContext.onAudioSettingChanged).toHaveBeenCalledWith('enabled', true);
+
+      result = parser.parseAndExecute('!audio ambient on', mockContext);
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('Ambient sound on');
+      expect(parser.settingsManager.getSetting('audio.ambientEnabled')).toBe(true);
+
+      result = parser.parseAndExecute('!audio', mockContext);
+      expect(result.message).toContain('ambient on');
+    });
+
+    test('should reject unknown audio options', () => {
+      const result = parser.parseAndExecute('!audio loud', mockContext);
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Unknown audio option');
+    });
+  });
+
+  describe('Voice Command', () => {
+    test('should pick a voice by name and reset it', () => {
+      let result = parser.parseAndExecute('!voice set Google UK English Female', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('voice.name')).toBe('Google UK English Female');
+      expect(mockContext.onAudioSettingChanged).toHaveBeenCalledWith('voice.name', 'Google UK English Female');
+
+      result = parser.parseAndExecute('!voice set default', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('voice.name')).toBe('');
+    });
+
+    test('should turn the voice off and report its status', () => {
+      let result = parser.parseAndExecute('!voice off', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('voice.enabled')).toBe(false);
+
+      result = parser.parseAndExecute('!voice', mockContext);
+      expect(result.message).toContain('Voice: off');
+    });
+
+    test('should reject unknown voice options', () => {
+      const result = parser.parseAndExecute('!voice shout', mockContext);
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Unknown voice option');
+    });
+  });
+
+  describe('Say Command', () => {
+    test('should show the text as a message', () => {
+      const result = parser.parseAndExecute('!say Build passed!! Time for lunch', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('show-message');
+      expect(result.data.text).toBe('Build passed!! Time for lunch');
+    });
+
+    test('should require text', () => {
+      const result = parser.parseAndExecute('!say', mockContext);
+
+      expect(result.success).toBe(false);
+      expect(result.suggestion).toContain('!say <text>');
+    });
+
+    test('should allow longer text than other commands', () => {
+      expect(parser.parseAndExecute(`!say ${'a'.repeat(200)}`, mockContext).success).toBe(true);
+      expect(parser.parseAndExecute(`!say ${'a'.repeat(300)}`, mockContext).message).toContain('Command too long');
+    });
+  });
+
+  describe('React Command', () => {
+    test('should pass the event and detail on', () => {
+      const result = parser.parseAndExecute('!react Commit.Pushed feature/login', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('dev-event');
+      expect(result.data).toEqual({ type: 'commit.pushed', detail: 'feature/login' });
+    });
+
+    test('should reject names that are not events', () => {
+      const result = parser.parseAndExecute('!react build', mockContext);
+
+      expect(result.success).toBe(false);
+      expect(result.suggestion).toContain('!react build.failed');
+    });
+
+    test('should complete event names', () => {
+      expect(parser.getCompletions('!react build.f')).toEqual(['!react build.failed']);
+    });
+  });
+
+  describe('Theme Command', () => {
+    afterEach(() => {
+      getCustomThemes().clear();
+    });
+
+    test('should use one theme for every character', () => {
+      const result = parser.parseAndExecute('!theme corporate-ai', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('theme-changed');
+      expect(parser.settingsManager.getSetting('visual.theme')).toBe('corporate-ai');
+    });
+
+    test('should go back to each character\'s colors with mode', () => {
+      parser.parseAndExecute('!theme chaos', mockContext);
+      const result = parser.parseAndExecute('!theme mode', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('visual.theme')).toBe('mode');
+    });
+
+    test('should list custom themes and refuse unknown ones', () => {
+      new ThemeManager().registerTheme('amber-crt', { name: 'Amber CRT', primary: '#ffb000', background: '#1a0f00' });
+
+      expect(parser.parseAndExecute('!theme list', mockContext).message).toContain('Amber CRT (custom)');
+      expect(parser.parseAndExecute('!theme plaid', mockContext).success).toBe(false);
+      expect(parser.getCompletions('!theme amb')).toEqual(['!theme amber-crt']);
+    });
+  });
+
+  describe('Contrast Command', () => {
+    test('should turn high contrast on and off', () => {
+      const result = parser.parseAndExecute('!contrast on', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('accessibility.highContrast')).toBe(true);
+      expect(mockContext.onSettingChanged).toHaveBeenCalledWith('accessibility.highContrast', true);
+
+      parser.parseAndExecute('!contrast off', mockContext);
+      expect(parser.settingsManager.getSetting('accessibility.highContrast')).toBe(false);
+    });
+
+    test('should report the ratios of every theme', () => {
+      const result = parser.parseAndExecute('!contrast report', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('show-contrast');
+      expect(result.message).toContain('zen-monk');
+      expect(result.data.level).toBe('AA');
+      expect(result.data.themes.find(theme => theme.id === 'zen-monk').corrected).toContain('text.primary');
+    });
+  });
+
+  describe('Name Command', () => {
+    afterEach(() => {
+      parser.settingsManager.setSetting('messages.userName', '');
+    });
+
+    test('should store the name used for {user}', () => {
+      const result = parser.parseAndExecute('!name Sam {Lee}', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('name-changed');
+      expect(parser.settingsManager.getSetting('messages.userName')).toBe('Sam Lee');
+    });
+
+    test('should show and clear the name', () => {
+      parser.parseAndExecute('!name Alex', mockContext);
+      expect(parser.parseAndExecute('!name', mockContext).message).toContain('Alex');
+
+      const result = parser.parseAndExecute('!name clear', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getSetting('messages.userName')).toBe('');
+      expect(parser.parseAndExecute('!name', mockContext).message).toContain('friend');
+    });
+  });
+
+  describe('Seed Command', () => {
+    afterEach(() => {
+      clearSeed();
+    });
+
+    test('should set a numeric seed', () => {
+      const result = parser.parseAndExecute('!seed 42', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('set-seed');
+      expect(result.data.seed).toBe(42);
+      expect(getSeed()).toBe(42);
+    });
+
+    test('should show the current seed without arguments', () => {
+      parser.parseAndExecute('!seed 7', mockContext);
+      const result = parser.parseAndExecute('!seed', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('Current seed: 7');
+    });
+
+    test('should clear the seed with off', () => {
+      parser.parseAndExecute('!seed 7', mockContext);
+      const result = parser.parseAndExecute('!seed off', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(getSeed()).toBeNull();
+    });
+
+    test('should hash text seeds the same way as the ?seed= URL param', () => {
+      const result = parser.parseAndExecute('!seed bug-1234', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.data.seed).toBe(normalizeSeed('bug-1234'));
+      expect(result.message).toContain('bug-1234');
+      expect(getSeed()).toBe(normalizeSeed('bug-1234'));
+    });
+
+    test('should keep the case of text seeds', () => {
+      parser.parseAndExecute('!seed Bug-1234', mockContext);
+
+      expect(getSeed()).toBe(normalizeSeed('Bug-1234'));
+      expect(getSeed()).not.toBe(normalizeSeed('bug-1234'));
+    });
+  });
+
+  describe('Schedule Command', () => {
+    afterEach(() => {
+      parser.settingsManager.clearScheduleOverrides();
+    });
+
+    test('should show the schedule without arguments', () => {
+      const result = parser.parseAndExecute('!schedule', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('show-schedule');
+    });
+
+    test('should set quiet hours', () => {
+      const result = parser.parseAndExecute('!schedule quiet 22:00-07:00', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('update-schedule');
+      expect(parser.settingsManager.getScheduleOverrides().quietHours).toEqual([
+        { name: 'quiet', start: '22:00', end: '07:00' }
+      ]);
+    });
+
+    test('should set a focus block with days and multiplier', () => {
+      parser.parseAndExecute('!schedule focus 09:00-12:00 weekdays 0.3', mockContext);
+      
+      const [focus] = parser.settingsManager.getScheduleOverrides().focusBlocks;
+      expect(focus.days).toBe('weekdays');
+      expect(focus.frequencyMultiplier).toBe(0.3);
+    });
+
+    test('should add and remove a mode override for a weekday', () => {
+      parser.parseAndExecute('!schedule mode chaos fri 2', mockContext);
+      expect(parser.settingsManager.getScheduleOverrides().modeOverrides.chaos.fri).toEqual({ frequencyMultiplier: 2 });
+
+      parser.parseAndExecute('!schedule mode chaos fri off', mockContext);
+      expect(parser.settingsManager.getScheduleOverrides().modeOverrides.chaos.fri).toBeNull();
+    });
+
+    test('should reject invalid time ranges', () => {
+      const result = parser.parseAndExecute('!schedule lunch noon', mockContext);
+      
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Invalid time range');
+    });
+
+    test('should reset overrides', () => {
+      parser.parseAndExecute('!schedule off', mockContext);
+      parser.parseAndExecute('!schedule reset', mockContext);
+      
+      expect(parser.settingsManager.getScheduleOverrides()).toEqual({});
+    });
+  });
+
+  describe('Playlist Command', () => {
+    afterEach(() => {
+      parser.settingsManager.setPlaylist({});
+    });
+
+    test('should add characters by name or mode ID with a dwell time', () => {
+      const result = parser.parseAndExecute('!playlist add Zen Monk 15', mockContext);
+      parser.parseAndExecute('!playlist add chaos', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('update-playlist');
+      expect(parser.settingsManager.getPlaylist().entries).toEqual([
+        { mode: 'zen-monk', dwellMinutes: 15 },
+        { mode: 'chaos', dwellMinutes: null }
+      ]);
+    });
+
+    test('should list the playlist', () => {
+      parser.parseAndExecute('!playlist add therapist 5', mockContext);
+      const result = parser.parseAndExecute('!playlist list', mockContext);
+      
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('1. Therapist - 5 min');
+    });
+
+    test('should start and stop the playlist', () => {
+      parser.parseAndExecute('!playlist add chaos', mockContext);
+      const started = parser.parseAndExecute('!playlist start shuffle 20', mockContext);
+      
+      expect(started.data.operation).toBe('start');
+      expect(parser.settingsManager.getPlaylist()).toMatchObject({ active: true, order: 'shuffle', dwellMinutes: 20 });
+
+      const stopped = parser.parseAndExecute('!playlist stop', mockContext);
+      expect(stopped.data.operation).toBe('stop');
+      expect(parser.settingsManager.getPlaylist().active).toBe(false);
+    });
+
+    test('should refuse to start an empty playlist', () => {
+      const result = parser.parseAndExecute('!playlist start', mockContext);
+      
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('empty');
+    });
+
+    test('should remove characters and stop when the playlist empties', () => {
+      parser.parseAndExecute('!playlist add chaos', mockContext);
+      parser.parseAndExecute('!playlist start', mockContext);
+      const result = parser.parseAndExecute('!playlist remove chaos', mockContext);
+      
+      expect(result.data.operation).toBe('stop');
+      expect(parser.settingsManager.getPlaylist().entries).toEqual([]);
+    });
   });
 
   describe('Performance Command', () => {
@@ -267,4 +595,235 @@ describe('Advanced Commands', () => {
       expect(frequency).toBe(45);
     });
   });
-});
\ No newline at end of file
+
+  describe('History Command', () => {
+    beforeEach(() => {
+      localStorage.removeItem('vibescreen-terminal');
+      parser.settingsManager.setCommandHistory(['!status', '!switch chaos', '!pause']);
+    });
+
+    test('should list numbered commands', () => {
+      const result = parser.parseAndExecute('!history', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('2  !switch chaos');
+    });
+
+    test('should run history entries by number', () => {
+      expect(parser.parseAndExecute('!2', mockContext).data.script).toBe('!switch chaos');
+      expect(parser.parseAndExecute('!-1', mockContext).data.script).toBe('!pause');
+      expect(parser.parseAndExecute('!9', mockContext).success).toBe(false);
+    });
+
+    test('should resize and clear the history', () => {
+      let result = parser.parseAndExecute('!history size 2', mockContext);
+      expect(result.message).toContain('last 10 commands');
+
+      result = parser.parseAndExecute('!history clear', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getCommandHistory()).toEqual([]);
+    });
+  });
+
+  describe('Tab Completion', () => {
+    test('should complete command names and arguments', () => {
+      expect(parser.getCompletions('!hel')).toEqual(['!help']);
+      expect(parser.getCompletions('!effects l')).toEqual(['!effects low']);
+      expect(parser.getCompletions('!switch zen')).toEqual(['!switch Zen Monk']);
+      expect(parser.getCompletions('!pause; !audio amb')).toEqual(['!pause; !audio ambient off', '!pause; !audio ambient on']);
+    });
+  });
+
+  describe('Scripting Commands', () => {
+    beforeEach(() => {
+      localStorage.removeItem('vibescreen-terminal');
+    });
+
+    test('should define, list and remove an alias', () => {
+      let result = parser.parseAndExecute('!alias focus = !switch zen monk; !frequency 120', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getAliases()).toEqual({ focus: '!switch zen monk; !frequency 120' });
+
+      result = parser.parseAndExecute('!alias', mockContext);
+      expect(result.message).toContain('!focus = !switch zen monk; !frequency 120');
+
+      result = parser.parseAndExecute('!alias remove focus', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getAliases()).toEqual({});
+    });
+
+    test('should run an alias as a script', () => {
+      parser.parseAndExecute('!alias calm = !switch zen monk; !volume 0.2', mockContext);
+      const result = parser.parseAndExecute('!calm', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('run-script');
+      expect(result.data.script).toBe('!switch zen monk; !volume 0.2');
+    });
+
+    test('should reject aliases that shadow commands or contain non-commands', () => {
+      let result = parser.parseAndExecute('!alias help = !status', mockContext);
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('built-in command');
+
+      result = parser.parseAndExecute('!alias oops = !pause; resume', mockContext);
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('is not a command');
+    });
+
+    test('should validate !wait seconds', () => {
+      expect(parser.parseAndExecute('!wait 2.5', mockContext).data.seconds).toBe(2.5);
+      expect(parser.parseAndExecute('!wait soon', mockContext).success).toBe(false);
+      expect(parser.parseAndExecute('!wait 9999', mockContext).success).toBe(false);
+    });
+
+    test('should save, run and clear the startup script', () => {
+      let result = parser.parseAndExecute('!startup set !switch chaos; !wait 1; !test', mockContext);
+      expect(result.success).toBe(true);
+      expect(parser.settingsManager.getStartupScript()).toBe('!switch chaos; !wait 1; !test');
+
+      result = parser.parseAndExecute('!startup run', mockContext);
+      expect(result.action).toBe('run-script');
+
+      parser.parseAndExecute('!startup clear', mockContext);
+      expect(parser.settingsManager.getStartupScript()).toBe('');
+      expect(parser.parseAndExecute('!startup run', mockContext).success).toBe(false);
+    });
+  });
+
+  describe('Help Command', () => {
+    test('should list every command by category', () => {
+      const result = parser.parseAndExecute('!help', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('Character Control:');
+      Object.keys(parser.commandRegistry).forEach(name => {
+        expect(result.message).toContain(`!${name} `);
+      });
+    });
+
+    test('should show usage, parameters, examples and related commands', () => {
+      const result = parser.parseAndExecute('!help !speed', mockContext);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('Usage: !speed <multiplier>');
+      expect(result.message).toContain('0.1-5.0');
+      expect(result.message).toContain('!speed 1.5');
+      expect(result.message).toContain('Related: !effects, !frequency');
+    });
+
+    test('should suggest commands for unknown help topics', () => {
+      const result = parser.parseAndExecute('!help swich', mockContext);
+
+      expect(result.success).toBe(false);
+      expect(result.suggestion).toContain('!help switch');
+    });
+
+    test('should search commands by fuzzy words', () => {
+      expect(parser.parseAndExecute('!help search sound', mockContext).data.commands).toContain('audio');
+      expect(parser.parseAndExecute('!help search volum', mockContext).data.commands[0]).toBe('volume');
+      expect(parser.parseAndExecute('!help search quiet hours', mockContext).data.commands).toContain('schedule');
+      expect(parser.parseAndExecute('!help search', mockContext).success).toBe(false);
+    });
+
+    test('should complete help topics', () => {
+      expect(parser.getCompletions('!help sp')).toEqual(['!help speed']);
+      expect(parser.getCompletions('!help sea')).toEqual(['!help search']);
+    });
+  });
+
+  describe('Profile Command', () => {
+    beforeEach(() => {
+      localStorage.removeItem('vibescreen-profiles');
+      parser.settingsManager.resetToDefaults();
+    });
+
+    test('should save, list and switch profiles', () => {
+      parser.parseAndExecute('!volume 0.1', mockContext);
+      expect(parser.parseAndExecute('!profile save night', mockContext).success).toBe(true);
+      parser.settingsManager.setSetting('audio.volume', 0.6);
+
+      const diff = parser.parseAndExecute('!profile diff night', mockContext);
+      expect(diff.message).toContain('audio.volume: 0.6 → 0.1');
+
+      const result = parser.parseAndExecute('!profile use night', mockContext);
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('use-profile');
+      expect(parser.settingsManager.getSetting('audio.volume')).toBe(0.1);
+      expect(mockContext.onSettingsImported).toHaveBeenCalled();
+
+      expect(parser.parseAndExecute('!profile', mockContext).message).toContain('night (active)');
+    });
+
+    test('should reject unknown profiles and actions', () => {
+      expect(parser.parseAndExecute('!profile use nope', mockContext).success).toBe(false);
+      expect(parser.parseAndExecute('!profile rename nope', mockContext).success).toBe(false);
+      expect(parser.parseAndExecute('!profile save', mockContext).success).toBe(false);
+    });
+
+    test('should preview imports that change settings', () => {
+      parser.settingsManager.setSetting('audio.volume', 0.9);
+      const configString = parser.parseAndExecute('!export', mockContext).data.configString;
+      parser.settingsManager.resetToDefaults();
+
+      const preview = parser.parseAndExecute(`!import ${configString}`, mockContext);
+      expect(preview.action).toBe('import-preview');
+      expect(preview.message).toContain('audio.volume: 0.3 → 0.9');
+      expect(parser.settingsManager.getSetting('audio.volume')).toBe(0.3);
+
+      expect(parser.parseAndExecute('!import cancel', mockContext).success).toBe(true);
+      expect(parser.parseAndExecute('!import apply', mockContext).success).toBe(false);
+    });
+
+    test('should offer a settings file download', () => {
+      const result = parser.parseAndExecute('!export file', mockContext);
+
+      expect(result.action).toBe('download-settings');
+      expect(JSON.parse(result.data.json).format).toBe('vibescreen-settings');
+    });
+  });
+
+  describe('Registered Commands', () => {
+    beforeEach(() => {
+      registerCommand({
+        name: 'tea',
+        description: 'Brew some tea',
+        params: [
+          { name: 'kind', type: 'enum', values: ['green', 'black'] },
+          { name: 'cups', type: 'integer', min: 1, max: 4, default: 1 }
+        ],
+        handler: jest.fn()
+      });
+    });
+
+    afterEach(() => {
+      unregisterCommand('tea');
+    });
+
+    test('should validate arguments against the schema', () => {
+      const result = parser.parseAndExecute('!tea green 2', mockContext);
+      expect(result.success).toBe(true);
+      expect(result.action).toBe('run-registered-command');
+      expect(result.data).toEqual({ name: 'tea', values: { kind: 'green', cups: 2 } });
+
+      const invalid = parser.parseAndExecute('!tea oolong', mockContext);
+      expect(invalid.success).toBe(false);
+      expect(invalid.message).toContain('one of green, black');
+      expect(invalid.suggestion).toBe('Usage: !tea <green|black> [cups]');
+    });
+
+    test('should suggest, list and complete registered commands', () => {
+      expect(parser.parseAndExecute('!tae', mockContext).suggestion).toContain('!tea');
+      expect(parser.parseAndExecute('!help', mockContext).message).toContain('!tea');
+      expect(parser.parseAndExecute('!help tea', mockContext).message).toContain('Usage: !tea <green|black> [cups]');
+      expect(parser.getCompletions('!te')).toContain('!tea');
+      expect(parser.getCompletions('!tea g')).toEqual(['!tea green']);
+    });
+
+    test('should not let aliases take a registered name', () => {
+      const result = parser.parseAndExecute('!alias tea = !pause', mockContext);
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('registered command');
+    });
+  });
+});
@@ -2,6 +2,8 @@ import React from 'react';
 import { render, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import { CommandExecutor } from '../../components/CommandExecutor';
+import { CommandParser } from '../../components/CommandParser';
+import { registerCommand, unregisterCommand } from '../../utils/commandRegistry';
 
 describe('CommandExecutor', () => {
   let executor;
@@ -127,6 +129,52 @@ describe('CommandExecutor', () => {
       expect(mockOnMessageControl).toHaveBeenCalledWith('test');
     });
 
+    test('passes !say text to message control', async () => {
+      const commandResult = {
+        success: true,
+        message: 'Saying: "Build passed"',
+        action: 'show-message',
+        data: { text: 'Build passed' }
+      };
+
+      const result = await executor.execute(commandResult);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Saying: "Build passed"');
+      expect(mockOnMessageControl).toHaveBeenCalledWith('say', { text: 'Build passed' });
+    });
+
+    test('reports the reaction message control returns for !react', async () => {
+      mockOnMessageControl.mockReturnValueOnce({ key: 'build.failed', text: 'LAG!', animation: 'shake' });
+      const commandResult = {
+        success: true,
+        message: 'Reacting to build.failed',
+        action: 'dev-event',
+        data: { type: 'build.failed', detail: '' }
+      };
+
+      const result = await executor.execute(commandResult);
+
+      expect(mockOnMessageControl).toHaveBeenCalledWith('react', { type: 'build.failed', detail: '' });
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Reacted to build.failed: "LAG!"');
+      expect(result.data).toMatchObject({ event: 'build.failed', reacted: true, animation: 'shake' });
+    });
+
+    test('reports when the mode has no reaction to an event', async () => {
+      const commandResult = {
+        success: true,
+        action: 'dev-event',
+        data: { type: 'lunch.ready', detail: '' }
+      };
+
+      const result = await executor.execute(commandResult);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toContain('no reaction to lunch.ready');
+      expect(result.data.reacted).toBe(false);
+    });
+
     test('handles unknown message control action', async () => {
       const commandResult = {
         success: true,
@@ -373,6 +421,113 @@ describe('CommandExecutor', () => {
     });
   });
 
+  describe('Scripts', () => {
+    let scriptExecutor;
+
+    beforeEach(() => {
+      localStorage.removeItem('vibescreen-terminal');
+      scriptExecutor = new CommandExecutor({
+        onCharacterSwitch: mockOnCharacterSwitch,
+        onMessageControl: mockOnMessageControl,
+        getCurrentState: mockGetCurrentState,
+        onError: mockOnError,
+        commandParser: new CommandParser()
+      });
+    });
+
+    afterEach(() => {
+      scriptExecutor.destroy();
+    });
+
+    test('runs chained commands in order', async () => {
+      const onScriptStep = jest.fn();
+      const result = await scriptExecutor.runScript('!pause; !resume', { onScriptStep });
+
+      expect(result.success).toBe(true);
+      expect(mockOnMessageControl.mock.calls).toEqual([['pause'], ['resume']]);
+      expect(onScriptStep).toHaveBeenCalledTimes(2);
+      expect(onScriptStep.mock.calls[0][0]).toBe('!pause');
+    });
+
+    test('carries on after a failed command', async () => {
+      const result = await scriptExecutor.runScript('!nope; !pause');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('1 failed');
+      expect(mockOnMessageControl).toHaveBeenCalledWith('pause');
+    });
+
+    test('stops aliases that run themselves', async () => {
+      scriptExecutor.commandParser.parseAndExecute('!alias again = !again');
+      const steps = [];
+      const result = await scriptExecutor.runScript('!again', {
+        onScriptStep: (command, stepResult) => steps.push(stepResult)
+      });
+
+      expect(result.success).toBe(false);
+      expect(steps[0].message).toContain('nest');
+    });
+
+    test('releases a pending !wait on destroy', async () => {
+      const waiting = scriptExecutor.execute({ success: true, action: 'wait', data: { seconds: 60 } });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      scriptExecutor.destroy();
+
+      const result = await waiting;
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Wait cancelled');
+    });
+  });
+
+  describe('Registered Commands', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = jest.fn(async ({ minutes }, api) => {
+        await api.controlMessages('pause');
+        return `Resting for ${minutes} minutes`;
+      });
+      registerCommand({
+        name: 'rest',
+        mode: 'zen-monk',
+        params: [{ name: 'minutes', type: 'integer', min: 1, default: 5 }],
+        handler
+      });
+    });
+
+    afterEach(() => {
+      unregisterCommand('rest');
+    });
+
+    test('runs the handler with parsed values', async () => {
+      mockGetCurrentState.mockReturnValue({ currentCharacter: 'zen-monk' });
+      const parseResult = new CommandParser().parseAndExecute('!rest 3');
+      const result = await executor.execute(parseResult);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Resting for 3 minutes');
+      expect(handler.mock.calls[0][0]).toEqual({ minutes: 3 });
+      expect(mockOnMessageControl).toHaveBeenCalledWith('pause');
+    });
+
+    test('only runs mode commands in their mode', async () => {
+      const result = await executor.execute({ success: true, action: 'run-registered-command', data: { name: 'rest', values: { minutes: 5 } } });
+
+      expect(result.success).toBe(false);
+      expect(result.suggestion).toContain('!switch');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('reports handler errors', async () => {
+      mockGetCurrentState.mockReturnValue({ currentCharacter: 'zen-monk' });
+      handler.mockRejectedValueOnce(new Error('bell is missing'));
+      const result = await executor.execute({ success: true, action: 'run-registered-command', data: { name: 'rest', values: { minutes: 5 } } });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('!rest failed: bell is missing');
+    });
+  });
+
   describe('Cleanup', () => {
     test('destroys executor cleanly', () => {
       const queueLength = executor.commandQueue.length;
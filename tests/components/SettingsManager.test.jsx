@@ -304,6 +304,72 @@ describe('SettingsManager', () => {
     });
   });
 
+  describe('Settings Files and Profiles', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new Map();
+      localStorageMock.getItem.mockImplementation(key => (storage.has(key) ? storage.get(key) : null));
+      localStorageMock.setItem.mockImplementation((key, value) => storage.set(key, String(value)));
+      localStorageMock.removeItem.mockImplementation(key => storage.delete(key));
+    });
+
+    afterEach(() => {
+      localStorageMock.getItem.mockReset();
+      localStorageMock.setItem.mockReset();
+      localStorageMock.removeItem.mockReset();
+    });
+
+    test('should migrate 1.0.0 settings to the current schema', () => {
+      const applied = [];
+      const migrated = settingsManager.migrateSettings({ version: '1.0.0', audio: { volume: 0.5 } }, applied);
+
+      expect(migrated.version).toBe(settingsManager.version);
+      expect(migrated.terminal.historySize).toBe(100);
+      expect(applied[0]).toContain('1.0.0 → 1.1.0');
+    });
+
+    test('should preview an import as a field diff before applying it', () => {
+      settingsManager.setSetting('audio.volume', 0.8);
+      const { json } = settingsManager.exportSettingsFile();
+      settingsManager.resetToDefaults();
+
+      const preview = settingsManager.previewImport(json);
+      expect(preview.pending).toBe(true);
+      expect(preview.changes).toEqual([{ path: 'audio.volume', from: 0.3, to: 0.8 }]);
+      expect(settingsManager.getSetting('audio.volume')).toBe(0.3);
+
+      expect(settingsManager.applyPendingImport().success).toBe(true);
+      expect(settingsManager.getSetting('audio.volume')).toBe(0.8);
+    });
+
+    test('should reject edited or truncated settings files', () => {
+      const { json } = settingsManager.exportSettingsFile();
+      const edited = JSON.parse(json);
+      edited.settings.audio.volume = 1;
+
+      expect(settingsManager.previewImport(JSON.stringify(edited)).message).toContain('checksum mismatch');
+      expect(settingsManager.previewImport(json.slice(0, json.length / 2)).success).toBe(false);
+    });
+
+    test('should save, switch and delete profiles', () => {
+      settingsManager.setSetting('audio.volume', 0.1);
+      settingsManager.saveProfile('night');
+      settingsManager.setSetting('audio.volume', 0.6);
+      settingsManager.saveProfile('work');
+
+      const result = settingsManager.useProfile('night');
+      expect(result.success).toBe(true);
+      expect(result.changes).toEqual([{ path: 'audio.volume', from: 0.6, to: 0.1 }]);
+      expect(settingsManager.getSetting('audio.volume')).toBe(0.1);
+      expect(settingsManager.getProfiles().active).toBe('night');
+
+      expect(settingsManager.deleteProfile('night')).toBe(true);
+      expect(settingsManager.getProfiles().active).toBe(null);
+      expect(settingsManager.saveProfile('Bad Name').success).toBe(false);
+    });
+  });
+
   describe('Reset Functionality', () => {
     test('should reset all settings to defaults', () => {
       // Change some settings
@@ -1,6 +1,7 @@
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import TerminalInterface from '../../components/TerminalInterface';
+import { getSettingsManager } from '../../utils/useSettingsManager';
 
 describe('TerminalInterface Component', () => {
   const defaultProps = {
@@ -320,6 +321,66 @@ describe('TerminalInterface Component', () => {
       expect(screen.getByText(/Unknown command/)).toBeInTheDocument();
     });
   });
+
+  describe('Command History', () => {
+    beforeEach(() => {
+      localStorage.removeItem('vibescreen-terminal');
+    });
+
+    const openTerminal = () => {
+      render(<TerminalInterface {...defaultProps} />);
+      fireEvent.click(screen.getByRole('button'));
+      return screen.getByRole('combobox');
+    };
+
+    test('persists commands and re-runs them with !<n>', async () => {
+      const input = openTerminal();
+
+      fireEvent.change(input, { target: { value: '!pause' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      await waitFor(() => {
+        expect(getSettingsManager().getCommandHistory()).toEqual(['!pause']);
+      });
+
+      fireEvent.change(input, { target: { value: '!1' } });
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      await waitFor(() => {
+        expect(defaultProps.onMessageControl).toHaveBeenCalledTimes(2);
+      });
+      expect(getSettingsManager().getCommandHistory()).toEqual(['!pause']);
+    });
+
+    test('finds earlier commands with Ctrl+R', async () => {
+      getSettingsManager().setCommandHistory(['!status', '!pause', '!resume']);
+      const input = openTerminal();
+
+      fireEvent.keyDown(input, { key: 'r', ctrlKey: true });
+      fireEvent.change(input, { target: { value: 'sta' } });
+
+      await waitFor(() => {
+        expect(screen.getByText(/reverse-i-search/)).toHaveTextContent("'sta': !status");
+      });
+
+      fireEvent.keyDown(input, { key: 'Tab' });
+
+      await waitFor(() => {
+        expect(input.value).toBe('!status');
+      });
+    });
+
+    test('completes character names after !switch', async () => {
+      const input = openTerminal();
+
+      fireEvent.change(input, { target: { value: '!switch ze' } });
+      fireEvent.keyDown(input, { key: 'Tab' });
+
+      await waitFor(() => {
+        expect(input.value).toBe('!switch Zen Monk ');
+      });
+    });
+  });
 });
  
  // Accessibility Tests
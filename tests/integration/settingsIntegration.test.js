@@ -62,7 +62,7 @@ describe('Settings Integration Tests', () => {
     localStorageMock.getItem.mockReturnValue(null);
     
     settingsManager = new SettingsManager();
-    commandParser = new CommandParser();
+    commandParser = new CommandParser({ settingsManager });
     commandExecutor = new CommandExecutor({
       settingsManager,
       onCharacterSwitch: jest.fn(),
@@ -223,9 +223,15 @@ describe('Settings Integration Tests', () => {
       settingsManager.resetToDefaults();
       expect(settingsManager.getSetting('audio.volume')).toBe(0.3);
       
-      // Import via command
+      // Import via command: the changes are previewed first
       const parseResult = commandParser.parseAndExecute(`!import ${exportResult.configString}`);
-      const execResult = await commandExecutor.execute(parseResult);
+      const previewResult = await commandExecutor.execute(parseResult);
+      
+      expect(previewResult.success).toBe(true);
+      expect(previewResult.message).toContain('audio.volume: 0.3 → 0.9');
+      expect(settingsManager.getSetting('audio.volume')).toBe(0.3);
+      
+      const execResult = await commandExecutor.execute(commandParser.parseAndExecute('!import apply'));
       
       expect(execResult.success).toBe(true);
       expect(execResult.message).toContain('Configuration imported successfully');
@@ -0,0 +1,88 @@
+/**
+ * Helpers for testing API routes over real HTTP without Next.js: an adapter
+ * for the parts of the Next.js request/response API the routes use, and an
+ * EventSource for Node. Used by the control API, developer event, mode
+ * index and mode bundle tests.
+ */
+
+/**
+ * Wrap an API route with the Next.js helpers it relies on (req.query,
+ * req.body, res.status, res.json)
+ * @param {Function} handler - API route
+ * @param {string} [route] - Dynamic route the handler is mounted on, e.g.
+ *   /api/modes/[id], whose segments are added to req.query
+ */
+export function withNextApi(handler, route = null) {
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    req.query = {};
+    url.searchParams.forEach((value, key) => {
+      req.query[key] = key in req.query ? [].concat(req.query[key], value) : value;
+    });
+    if (route) {
+      const segments = url.pathname.split('/');
+      route.split('/').forEach((segment, i) => {
+        const param = segment.match(/^\[(\w+)\]$/);
+        if (param && segments[i] !== undefined) req.query[param[1]] = decodeURIComponent(segments[i]);
+      });
+    }
+
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    try {
+      req.body = raw ? JSON.parse(raw) : undefined;
+    } catch (error) {
+      req.body = raw;
+    }
+    res.status = (statusCode) => {
+      res.statusCode = statusCode;
+      return res;
+    };
+    res.json = (body) => {
+      if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify(body));
+    };
+    await handler(req, res);
+  };
+}
+
+/**
+ * EventSource for Node, reading the stream with fetch
+ */
+export class FetchEventSource {
+  constructor(url) {
+    this.listeners = {};
+    this.controller = new AbortController();
+    this.read(url).catch(() => {});
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  async read(url) {
+    const response = await fetch(url, { signal: this.controller.signal });
+    this.status = response.status;
+    if (!response.body) return;
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const type = (block.match(/^event: (.*)$/m) || [])[1];
+        const data = (block.match(/^data: (.*)$/m) || [])[1];
+        if (type && data !== undefined) {
+          (this.listeners[type] || []).forEach(listener => listener({ data }));
+        }
+      }
+    }
+  }
+
+  close() {
+    this.controller.abort();
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Check helper shared by the validation scripts in tests/validation/: each
+ * check prints ✅ or ❌ and failures are counted, then reportChecks() prints
+ * the summary and sets the exit code. scripts/run-validation-tests.js runs
+ * every script that uses it (npm run test:validation).
+ */
+
+let failures = 0;
+
+/**
+ * Record one check
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} description - What was checked
+ */
+export function check(condition, description) {
+  console.log(`${condition ? '✅' : '❌'} ${description}`);
+  if (!condition) failures++;
+}
+
+/**
+ * Print the summary line and set process.exitCode
+ * @param {string} passedMessage - Shown when every check passed, e.g. 'Control API tests passed!'
+ * @returns {number} Number of failed checks
+ */
+export function reportChecks(passedMessage) {
+  console.log(failures === 0 ? `\n🎉 ${passedMessage}` : `\n❌ ${failures} check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+  return failures;
+}
+
+export default {
+  check,
+  reportChecks
+};
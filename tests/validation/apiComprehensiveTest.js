@@ -142,7 +142,8 @@ function validateResponseSchema(response, expectedStatus = 'success') {
         }
       });
       
-      const totalProb = probKeys.reduce((sum, key) => sum + (mode.messageProbabilities[key] || 0), 0);
+      // Custom categories (e.g. "supportive") share the probability budget
+      const totalProb = Object.values(mode.messageProbabilities).reduce((sum, value) => sum + (value || 0), 0);
       if (Math.abs(totalProb - 1.0) > 0.01) {
         errors.push(`Mode ${index}.messageProbabilities don't sum to 1.0: ${totalProb}`);
       }
@@ -0,0 +1,125 @@
+/**
+ * Test script for the procedural audio engine
+ *
+ * Checks the config.json `audio` block normalization and, against a recording
+ * fake AudioContext, that playback follows audio.enabled, muted, volume and
+ * ambientEnabled from SettingsManager.
+ * Run with: node tests/validation/audioEngineTest.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import SettingsManager from '../../utils/SettingsManager.js';
+import AudioEngine, { AUDIO_DEFAULTS, normalizeAudioConfig } from '../../utils/AudioEngine.js';
+import { validateModeConfig } from '../../pages/api/modes.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+/**
+ * Minimal AudioContext that records the nodes it creates
+ */
+function createFakeContext() {
+  const param = (value = 0) => ({
+    value,
+    setValueAtTime(next) { this.value = next; },
+    setTargetAtTime(next) { this.value = next; },
+    linearRampToValueAtTime(next) { this.value = next; },
+    exponentialRampToValueAtTime(next) { this.value = next; }
+  });
+  const node = (kind, extra = {}) => {
+    const created = { kind, connect() {}, disconnect() {}, ...extra };
+    context.nodes.push(created);
+    return created;
+  };
+  const source = (kind, extra) => node(kind, {
+    started: false,
+    stopped: false,
+    start() { this.started = true; },
+    stop() { this.stopped = true; },
+    ...extra
+  });
+
+  const context = {
+    nodes: [],
+    state: 'running',
+    currentTime: 0,
+    sampleRate: 100,
+    destination: {},
+    createGain: () => node('gain', { gain: param(1) }),
+    createBiquadFilter: () => node('filter', { type: 'lowpass', frequency: param(350) }),
+    createOscillator: () => source('oscillator', { type: 'sine', frequency: param(440), detune: param(0) }),
+    createBufferSource: () => source('buffer', { loop: false }),
+    createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) }),
+    resume: async () => {},
+    close: async () => { context.state = 'closed'; }
+  };
+  return context;
+}
+
+function testAudioEngine() {
+  console.log('🧪 Testing audio config normalization...\n');
+
+  const defaults = normalizeAudioConfig(undefined);
+  check(JSON.stringify(defaults.audio) === JSON.stringify(AUDIO_DEFAULTS) && defaults.warnings.length === 0, 'Modes without an audio block get the defaults');
+
+  const clamped = normalizeAudioConfig({ ambient: { type: 'kazoo', frequency: 5, voices: 2.6 }, speakCue: { level: 'loud' } });
+  check(clamped.audio.ambient.type === 'drone' && clamped.audio.ambient.frequency === 20 && clamped.audio.ambient.voices === 3, 'Invalid types fall back and numbers are clamped');
+  check(clamped.warnings.length === 3 && clamped.audio.speakCue.level === AUDIO_DEFAULTS.speakCue.level, 'Every rejected field is reported');
+
+  const modeIds = fs.readdirSync(path.join(process.cwd(), 'modes'));
+  const invalidModes = modeIds.filter(modeId => {
+    const config = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'modes', modeId, 'config.json'), 'utf8'));
+    return !config.audio || normalizeAudioConfig(config.audio).warnings.length > 0;
+  });
+  check(invalidModes.length === 0, `Every built-in mode declares valid sounds${invalidModes.length ? ` (not: ${invalidModes.join(', ')})` : ''}`);
+
+  const validated = validateModeConfig({ audio: { ambient: { type: 'noise' } } }, 'audio-test', 'test');
+  check(validated.audio?.ambient.type === 'noise' && !('audio' in validateModeConfig({}, 'audio-test', 'test')), 'validateModeConfig keeps a declared audio block');
+
+  console.log('\n🧪 Testing playback rules...\n');
+
+  const settingsManager = new SettingsManager();
+  let context = null;
+  const engine = new AudioEngine({
+    settingsManager,
+    createContext: () => (context = createFakeContext()),
+    onError: (message, error) => console.error(message, error)
+  });
+  const playing = (kind) => context.nodes.filter(created => created.kind === kind && created.started && !created.stopped);
+
+  engine.setMode('chaos', { ambient: { type: 'glitch' } });
+  check(engine.playSpeakCue() === false && context === null, 'Nothing plays (or is created) while audio is disabled');
+
+  settingsManager.setSetting('audio.enabled', true);
+  check(engine.playSpeakCue() === true && !engine.getStatus().ambientPlaying, 'Speak cues play once audio is enabled; the bed needs ambientEnabled');
+
+  const master = context.nodes[0];
+  settingsManager.setSetting('audio.volume', 0.6);
+  check(master.gain.value === 0.6, 'audio.volume sets the master gain');
+
+  settingsManager.setSetting('audio.ambientEnabled', true);
+  check(engine.getStatus().ambientPlaying && playing('buffer').length === 1 && engine.scheduleTimer !== null, 'Turning on ambientEnabled starts the glitch bed');
+
+  settingsManager.setSetting('audio.muted', true);
+  check(!engine.getStatus().ambientPlaying && master.gain.value === 0 && engine.playSpeakCue() === false, 'Muting silences the master, stops the bed and the cues');
+
+  settingsManager.setSetting('audio.muted', false);
+  engine.setMode('zen-monk', { ambient: { type: 'drone', voices: 3, lfoRate: 0.04 } });
+  check(playing('buffer').length === 0 && playing('oscillator').length === 4 && engine.scheduleTimer === null, 'Switching modes swaps the bed (3 drone voices + LFO)');
+
+  engine.destroy();
+  check(playing('oscillator').length === 0 && context.state === 'closed', 'destroy() stops every source and closes the context');
+
+  settingsManager.setSetting('audio.volume', 0.2);
+  check(master.gain.value === 0.6, 'A destroyed engine ignores further settings changes');
+
+  reportChecks('Audio engine tests passed!');
+}
+
+testAudioEngine();
@@ -0,0 +1,65 @@
+/**
+ * Test script for the generated terminal help
+ *
+ * Checks category grouping, the overview and per-command help layouts and
+ * that registered command schemas are described with their ranges.
+ * Run with: node tests/validation/commandHelpTest.js
+ */
+
+import {
+  HELP_CATEGORIES,
+  DEFAULT_HELP_CATEGORY,
+  groupByCategory,
+  formatHelpOverview,
+  formatCommandHelp,
+  formatSearchResults
+} from '../../utils/commandHelp.js';
+import { normalizeCommandDefinition, describeParam } from '../../utils/commandRegistry.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const commands = [
+  { name: 'tea', description: 'Brew some tea', note: 'Zen Monk only' },
+  { name: 'pause', description: 'Pause messages', category: 'Message Control' },
+  { name: 'switch', description: 'Switch character', category: 'Character Control' },
+  { name: 'history', description: 'Command history', category: 'System' }
+];
+
+function testCommandHelp() {
+  console.log('🧪 Testing the overview...\n');
+
+  const groups = groupByCategory(commands);
+  check(groups.map(group => group.category).join() === `Character Control,Message Control,System,${DEFAULT_HELP_CATEGORY}`, 'Categories follow HELP_CATEGORIES, uncategorized commands go last');
+  check(groupByCategory([{ name: 'x', category: 'Games' }])[0].category === 'Games' && !HELP_CATEGORIES.includes('Games'), 'Unknown categories still get a section');
+
+  const overview = formatHelpOverview(commands);
+  check(overview.startsWith('VibeScreen Terminal Commands:'), 'The overview keeps its title');
+  check(overview.includes('  !tea              - Brew some tea (Zen Monk only)'), 'Lines are aligned and show notes');
+  check(overview.includes('Ctrl+R') && !overview.includes('<cmd>; <cmd>'), 'Tips appear only with their category');
+
+  console.log('\n🧪 Testing command help...\n');
+
+  const meditate = normalizeCommandDefinition({
+    name: 'meditate',
+    description: 'Be still',
+    params: [{ name: 'minutes', type: 'integer', min: 1, max: 60, default: 5 }],
+    examples: ['!meditate 15'],
+    related: ['!pause', 'resume'],
+    handler: () => {}
+  });
+  check(describeParam(meditate.params[0]) === 'whole number 1-60, default 5', 'Number params show their range and default');
+  check(describeParam({ name: 'kind', type: 'enum', values: ['green', 'black'], optional: true, description: 'tea kind' }) === 'green|black, optional - tea kind', 'Enum params list their values');
+
+  const help = formatCommandHelp({
+    ...meditate,
+    params: meditate.params.map(param => ({ name: param.name, description: describeParam(param) }))
+  });
+  check(help.startsWith('Usage: !meditate [minutes]\nBe still'), 'Detailed help starts with usage and description');
+  check(help.includes('Examples:\n  !meditate 15') && help.endsWith('Related: !pause, !resume'), 'Examples and related commands are listed');
+  check(!formatCommandHelp({ name: 'clear', usage: '!clear', description: 'Clear' }).includes('Parameters:'), 'Empty sections are left out');
+
+  check(formatSearchResults('tea', [commands[0]]).startsWith('Commands matching "tea":\n  !tea'), 'Search results list the matches');
+
+  reportChecks('Command help tests passed!');
+}
+
+testCommandHelp();
@@ -0,0 +1,65 @@
+/**
+ * Test script for the persisted terminal command history
+ *
+ * Checks appending with the size limit, Ctrl+R reverse search, `!<n>`
+ * references and that SettingsManager keeps the history across instances.
+ * Run with: node tests/validation/commandHistoryTest.js
+ */
+
+import SettingsManager from '../../utils/SettingsManager.js';
+import {
+  HISTORY_SIZE_RANGE,
+  clampHistorySize,
+  appendHistory,
+  searchHistory,
+  isHistoryReference,
+  resolveHistoryReference
+} from '../../utils/commandHistory.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+function testCommandHistory() {
+  console.log('🧪 Testing history helpers...\n');
+
+  let history = appendHistory([], '!status', 10);
+  history = appendHistory(history, ' !status ', 10);
+  history = appendHistory(history, '', 10);
+  check(JSON.stringify(history) === JSON.stringify(['!status']), 'Blank commands and repeats of the last command are skipped');
+
+  const full = Array.from({ length: 12 }, (_, index) => `!test ${index}`).reduce((list, command) => appendHistory(list, command, 10), []);
+  check(full.length === 10 && full[0] === '!test 2', 'The oldest commands are dropped past the size limit');
+  check(clampHistorySize(3) === HISTORY_SIZE_RANGE.min && clampHistorySize(5000) === HISTORY_SIZE_RANGE.max && clampHistorySize(42.4) === 42, 'Sizes are clamped and rounded');
+
+  const commands = ['!switch chaos', '!status', '!switch zen monk', '!pause'];
+  const newest = searchHistory(commands, 'SWITCH');
+  check(newest === 2 && searchHistory(commands, 'switch', newest) === 0 && searchHistory(commands, 'switch', 0) === -1, 'Reverse search walks from newest to oldest, case-insensitively');
+
+  check(isHistoryReference('!12') && isHistoryReference('!-1') && !isHistoryReference('!1a') && !isHistoryReference('!help'), 'History references are !<n> and !-<n>');
+  check(resolveHistoryReference(commands, '!2').command === '!status' && resolveHistoryReference(commands, '!-1').command === '!pause', '!<n> counts from the oldest entry and !-<n> from the newest');
+  check(Boolean(resolveHistoryReference(commands, '!5').error) && Boolean(resolveHistoryReference([], '!-1').error), 'Out-of-range references are errors');
+
+  console.log('\n🧪 Testing persistence...\n');
+
+  const settingsManager = new SettingsManager();
+  const events = [];
+  settingsManager.addListener((event, data) => events.push({ event, data }));
+  settingsManager.addCommandHistory('!switch zen monk');
+  settingsManager.addCommandHistory('!volume 0.2');
+
+  const reloaded = new SettingsManager();
+  check(JSON.stringify(reloaded.getCommandHistory()) === JSON.stringify(['!switch zen monk', '!volume 0.2']), 'History survives a reload');
+  check(events.filter(entry => entry.event === 'command-history-changed').length === 2, 'Every change is announced to listeners');
+
+  reloaded.setSetting('terminal.historySize', 1);
+  check(reloaded.getSetting('terminal.historySize') === HISTORY_SIZE_RANGE.min, 'terminal.historySize is kept within range');
+
+  reportChecks('Command history tests passed!');
+}
+
+testCommandHistory();
@@ -0,0 +1,96 @@
+/**
+ * Test script for the terminal command registry
+ *
+ * Checks command definition validation, usage lines generated from the
+ * parameter schema, typed argument parsing and completion values, plus the
+ * `!meditate` command Zen Monk ships.
+ * Run with: node tests/validation/commandRegistryTest.js
+ */
+
+import {
+  formatUsage,
+  normalizeCommandDefinition,
+  registerCommand,
+  getRegisteredCommand,
+  getRegisteredCommands,
+  parseCommandArgs,
+  getParamCompletions,
+  onRegistryChange
+} from '../../utils/commandRegistry.js';
+import ZenMonkCommands from '../../modes/zen-monk/commands.js';
+import { check, reportChecks } from '../utils/check.js';
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+const handler = () => {};
+
+function testCommandRegistry() {
+  console.log('🧪 Testing command definitions...\n');
+
+  check(throws(() => normalizeCommandDefinition({ name: '9lives', handler })), 'Command names must start with a letter');
+  check(throws(() => normalizeCommandDefinition({ name: 'tea' })), 'A handler is required');
+  check(throws(() => normalizeCommandDefinition({ name: 'tea', handler, params: [{ name: 'kind', type: 'colour' }] })), 'Unknown parameter types are rejected');
+  check(throws(() => normalizeCommandDefinition({ name: 'tea', handler, params: [{ name: 'kind', type: 'enum' }] })), 'Enums need values');
+  check(throws(() => normalizeCommandDefinition({ name: 'tea', handler, params: [{ name: 'a', rest: true }, { name: 'b' }] })), 'Rest parameters must be last');
+  check(throws(() => normalizeCommandDefinition({ name: 'tea', handler, params: [{ name: 'a', optional: true }, { name: 'b' }] })), 'Required parameters cannot follow optional ones');
+
+  const tea = normalizeCommandDefinition({
+    name: '!Tea',
+    handler,
+    params: [
+      { name: 'kind', type: 'enum', values: ['Green', 'Black'] },
+      { name: 'cups', type: 'integer', min: 1, max: 4, default: 1 }
+    ]
+  });
+  check(tea.name === 'tea' && tea.params[1].optional && tea.params[0].values[0] === 'green', 'Names and enum values are lowercased; defaults make a parameter optional');
+  check(tea.usage === '!tea <green|black> [cups]' && formatUsage('ping', []) === '!ping', 'Usage lines are generated from the schema');
+
+  console.log('\n🧪 Testing argument parsing...\n');
+
+  check(JSON.stringify(parseCommandArgs(tea.params, ['BLACK', '3']).values) === JSON.stringify({ kind: 'black', cups: 3 }), 'Arguments are converted to their types');
+  check(parseCommandArgs(tea.params, ['green']).values.cups === 1, 'Missing optional arguments take their default');
+  check(parseCommandArgs(tea.params, []).error.startsWith('Missing kind'), 'Missing required arguments are reported');
+  check(parseCommandArgs(tea.params, ['green', '5']).error.includes('from 1 to 4'), 'Numbers outside min/max are rejected');
+  check(parseCommandArgs(tea.params, ['green', '1.5']).error.includes('whole number'), 'Integers must be whole');
+  check(parseCommandArgs(tea.params, ['green', '1', 'extra']).error.startsWith('Too many'), 'Extra arguments are rejected');
+
+  const flags = normalizeCommandDefinition({ name: 'flag', handler, params: [{ name: 'on', type: 'boolean' }, { name: 'note', rest: true, optional: true }] });
+  const parsedFlags = parseCommandArgs(flags.params, ['off', 'see', 'you', 'later']);
+  check(parsedFlags.values.on === false && parsedFlags.values.note === 'see you later', 'Booleans accept on/off and rest parameters take the rest of the line');
+
+  const visit = normalizeCommandDefinition({ name: 'visit', handler, params: [{ name: 'who', type: 'character' }] });
+  const resolveCharacter = (input) => (input.toLowerCase() === 'zen monk' ? 'zen-monk' : null);
+  check(parseCommandArgs(visit.params, ['Zen', 'Monk'], { resolveCharacter }).values.who === 'zen-monk', 'Trailing character parameters resolve multi-word names to mode IDs');
+  check(!parseCommandArgs(visit.params, ['Nobody'], { resolveCharacter }).valid, 'Unknown characters are rejected');
+
+  check(JSON.stringify(getParamCompletions(tea.params[0])) === JSON.stringify(['green', 'black']), 'Enums complete to their values');
+  check(getParamCompletions(visit.params[0], { characters: ['Zen Monk'] })[0] === 'Zen Monk' && getParamCompletions(tea.params[1])[0] === '1', 'Characters complete to display names, other types to their default');
+
+  console.log('\n🧪 Testing registration...\n');
+
+  const events = [];
+  const stopListening = onRegistryChange((event, command) => events.push(`${event}:${command.name}`));
+  const unregister = registerCommand({ name: 'tea', handler });
+  check(getRegisteredCommand('tea') !== null && getRegisteredCommands().some(command => command.name === 'tea'), 'Registered commands can be looked up');
+  check(throws(() => registerCommand({ name: 'tea', handler })), 'Registering a taken name throws');
+  unregister();
+  stopListening();
+  check(getRegisteredCommand('tea') === null && events.join() === 'command-registered:tea,command-unregistered:tea', 'Unregistering removes the command and notifies listeners');
+
+  console.log('\n🧪 Testing Zen Monk commands...\n');
+
+  const meditate = normalizeCommandDefinition(ZenMonkCommands.find(command => command.name === 'meditate'));
+  check(meditate.usage === '!meditate [minutes]', '!meditate takes optional minutes');
+  check(parseCommandArgs(meditate.params, []).values.minutes === 5 && !parseCommandArgs(meditate.params, ['61']).valid, 'Meditation defaults to 5 minutes and is capped at 60');
+
+  reportChecks('Command registry tests passed!');
+}
+
+testCommandRegistry();
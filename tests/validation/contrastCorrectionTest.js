@@ -0,0 +1,96 @@
+/**
+ * Test script for contrast correction
+ *
+ * Checks that colours are moved just far enough to reach the WCAG ratio
+ * without changing their hue, that every built-in and shipped custom theme
+ * reaches AA (and AAA with high contrast on) after correction, and that
+ * ThemeManager applies the corrected colours and follows the high contrast
+ * setting.
+ * Run with: node tests/validation/contrastCorrectionTest.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ThemeManager, { normalizeTheme } from '../../utils/ThemeManager.js';
+import SettingsManager from '../../utils/SettingsManager.js';
+import { calculateContrastRatio } from '../../utils/modeThemeValidator.js';
+import { CONTRAST_LEVELS, toHsl, fromHsl, adjustForContrast, measureContrast, correctThemeContrast } from '../../utils/contrastCorrection.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+// Just enough of the DOM for applyTheme
+const properties = new Map();
+const element = () => ({
+  style: { setProperty: (name, value) => properties.set(name, value) },
+  setAttribute: (name, value) => properties.set(`[${name}]`, String(value)),
+  classList: { add: () => {}, remove: () => {} }
+});
+global.document = { documentElement: element(), body: element() };
+
+// Rounding to 8-bit channels moves the hue of near-greys by a few degrees
+const sameHue = (a, b) => Math.abs(toHsl(a).h - toHsl(b).h) < 6;
+
+function testContrastCorrection() {
+  console.log('🧪 Testing color adjustment...\n');
+
+  check(fromHsl(toHsl('#27ae60')) === '#27ae60', 'Colors survive the trip through HSL');
+  check(fromHsl(toHsl('rgba(39, 174, 96, 0.5)')) === 'rgba(39, 174, 96, 0.5)', 'Glow opacity is kept');
+  check(adjustForContrast('#ffffff', '#000000', 4.5) === '#ffffff', 'Passing colors are left alone');
+
+  const adjusted = adjustForContrast('#2c3e50', '#2a4d3a', 4.5);
+  const ratio = calculateContrastRatio(adjusted, '#2a4d3a');
+  check(ratio >= 4.5 && ratio < 4.7, 'Text moves just far enough to reach the ratio');
+  check(sameHue(adjusted, '#2c3e50') && toHsl(adjusted).l > toHsl('#2c3e50').l, 'Dark text on a dark background gets lighter, keeping its hue');
+  check(toHsl(adjustForContrast('#a0a0ff', '#f0f0f0', 4.5)).l < toHsl('#a0a0ff').l, 'Light text on a light background gets darker');
+  check(adjustForContrast('#777777', '#767676', 21) === null, 'Unreachable ratios are reported');
+
+  console.log('\n🧪 Testing themes...\n');
+
+  const themeManager = new ThemeManager();
+  const themesFile = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'public', 'data', 'themes.json'), 'utf8'));
+  const themes = [
+    ...themeManager.getAvailableThemes().map(({ id }) => [id, themeManager.getThemeConfig(id)]),
+    ...Object.entries(themesFile.themes).map(([id, raw]) => [id, normalizeTheme(raw)])
+  ];
+
+  ['AA', 'AAA'].forEach(level => {
+    const shortfalls = themes.flatMap(([id, theme]) => measureContrast(correctThemeContrast(theme, { level }).theme)
+      .filter(row => row.id !== 'inverse' && row.ratio < CONTRAST_LEVELS[level][row.id === 'glow' ? 'graphics' : 'text'])
+      .map(row => `${id} ${row.id} ${row.ratio.toFixed(2)}`));
+    check(shortfalls.length === 0, `Every theme reaches ${level} after correction${shortfalls.length ? ` (${shortfalls.join('; ')})` : ''}`);
+  });
+
+  const zenMonk = themeManager.getThemeConfig('zen-monk');
+  const { theme: corrected, corrections } = correctThemeContrast(zenMonk, { level: 'AAA' });
+  check(corrections.length > 0 && corrections.every(({ from, to }) => toHsl(from).s === 0 || sameHue(from, to)), 'Corrections keep the hue');
+  check(corrected.primary === zenMonk.primary && zenMonk.text.primary === '#2c3e50', 'The mode color and the original theme are untouched');
+
+  const grey = correctThemeContrast({ primary: '#808080', text: { primary: '#888888' }, background: { primary: '#7a7a7a' } }, { level: 'AAA' });
+  check(grey.corrections.some(({ color }) => color === 'background.primary') && calculateContrastRatio(grey.theme.text.primary, grey.theme.background.primary) >= 7, 'The background is deepened when text alone cannot reach the level');
+
+  console.log('\n🧪 Testing ThemeManager...\n');
+
+  const settingsManager = new SettingsManager();
+  const managed = new ThemeManager({ settingsManager });
+  managed.initialize('zen-monk');
+  const applied = properties.get('--active-mode-text-primary');
+  check(applied !== zenMonk.text.primary && calculateContrastRatio(applied, zenMonk.background.primary) >= 4.5, 'applyTheme sets the corrected text color');
+  check(properties.get('[data-contrast-level]') === 'AA' && managed.getStatus().contrastCorrections.length > 0, 'The level and corrections are reported');
+
+  settingsManager.setSetting('accessibility.highContrast', true);
+  const highContrast = properties.get('--active-mode-text-primary');
+  check(calculateContrastRatio(highContrast, properties.get('--active-mode-bg-primary')) >= 7 && properties.get('[data-contrast-level]') === 'AAA', 'Turning high contrast on re-applies the theme at AAA');
+
+  managed.destroy();
+  settingsManager.destroy();
+
+  reportChecks('Contrast correction tests passed!');
+}
+
+testContrastCorrection();
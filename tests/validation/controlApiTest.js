@@ -0,0 +1,198 @@
+/**
+ * Test harness for the local control API
+ *
+ * Serves pages/api/control on a local HTTP server (with the small part of
+ * the Next.js request/response API the routes use), connects a
+ * ControlClient the way the leading browser window does and drives it with
+ * real HTTP requests: token checks, each operation, failed commands,
+ * routing to the leading window, session secrets, DNS rebinding, timeouts
+ * and a window going away.
+ * Run with: node tests/validation/controlApiTest.js
+ */
+
+import http from 'http';
+import controlHandler from '../../pages/api/control/index.js';
+import browserHandler from '../../pages/api/control/browser.js';
+import ControlClient from '../../utils/controlClient.js';
+import { buildControlCommand, toControlResult } from '../../utils/controlApi.js';
+import { checkControlAuth, checkWindowAccess, getControlRelay } from '../../utils/controlServer.js';
+import { withNextApi, FetchEventSource } from '../utils/apiTestServer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const TOKEN = 'test-token-0123456789';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testControlApi() {
+  console.log('🧪 Testing operations...\n');
+
+  check(buildControlCommand({ op: 'switch', mode: ' zen  monk ' }).command === '!switch zen monk', 'switch runs !switch');
+  check(buildControlCommand({ op: 'message', text: 'Build passed!' }).command === '!say Build passed!', 'message runs !say');
+  check(buildControlCommand({ op: 'command', command: '!volume 0.2; !pause' }).script === true, 'Raw commands may be scripts');
+  check(buildControlCommand({ op: 'message' }).error && buildControlCommand({ op: 'reboot' }).error.includes('Unknown op'), 'Incomplete and unknown ops are rejected');
+  check(JSON.stringify(toControlResult({ success: true, message: 'ok', data: { run: () => {} }, extra: 1 })) === '{"success":true,"message":"ok","data":{}}', 'Results are reduced to JSON-safe fields');
+
+  const remote = { socket: { remoteAddress: '192.168.1.20' }, headers: { authorization: `Bearer ${TOKEN}` } };
+  check(checkControlAuth(remote, TOKEN).statusCode === 403, 'Requests from other machines are refused');
+  check(checkWindowAccess(remote).statusCode === 403, 'Windows on other machines are refused');
+  const local = (origin) => ({ socket: { remoteAddress: '127.0.0.1' }, headers: { host: 'localhost:3000', ...(origin && { origin }) } });
+  check(checkWindowAccess(local()).ok && checkWindowAccess(local('http://localhost:3000')).ok, 'Windows of this server are accepted');
+  check(checkWindowAccess(local('https://example.com')).statusCode === 403 && checkWindowAccess(local('null')).statusCode === 403, 'Pages from other origins are refused');
+  const hosted = (host) => ({ socket: { remoteAddress: '127.0.0.1', localPort: 3000 }, headers: { host, origin: `http://${host}` } });
+  check(checkWindowAccess(hosted('127.0.0.1:3000')).ok && checkWindowAccess(hosted('[::1]:3000')).ok, 'Windows at 127.0.0.1 and [::1] are accepted');
+  check(checkWindowAccess(hosted('evil.example:3000')).statusCode === 403, 'Rebound names are refused even when Origin matches Host');
+  check(checkWindowAccess(hosted('localhost:4000')).statusCode === 403, 'Other ports are refused');
+
+  const executed = [];
+  const server = http.createServer((req, res) => {
+    const route = req.url.startsWith('/api/control/browser') ? browserHandler : controlHandler;
+    withNextApi(route)(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch() cannot change Host, which is what a DNS-rebinding page sends
+  const requestWithHost = (host, options = {}) => new Promise((resolve, reject) => {
+    const req = http.request(`${base}/api/control/browser`, { ...options, headers: { ...options.headers, Host: host, Origin: `http://${host}` } }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+  const postWindow = (body, headers = {}) => fetch(`${base}/api/control/browser`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  const control = async (body, token = TOKEN, method = 'POST') => {
+    const response = await fetch(`${base}/api/control`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      ...(method === 'POST' && { body: JSON.stringify(body) })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  console.log('\n🧪 Testing access...\n');
+
+  delete process.env.VIBESCREEN_CONTROL_TOKEN;
+  check((await control({ op: 'status' })).status === 503, 'The API is off without VIBESCREEN_CONTROL_TOKEN');
+  check((await fetch(`${base}/api/control/browser`)).status === 204, 'Windows are told to stop listening while it is off');
+
+  process.env.VIBESCREEN_CONTROL_TOKEN = TOKEN;
+  check((await control({ op: 'status' }, 'wrong-token-0123456789')).status === 401, 'A wrong token is refused');
+  check((await control({ op: 'status' }, null)).status === 401, 'A missing token is refused');
+  check((await control({ op: 'status' })).body.message.includes('No VibeScreen window'), 'Requests fail clearly while no window is open');
+
+  console.log('\n🧪 Testing commands through a window...\n');
+
+  const client = new ControlClient({
+    url: `${base}/api/control/browser`,
+    EventSource: FetchEventSource,
+    onError: () => {},
+    execute: async (command, options) => {
+      executed.push({ command, ...options });
+      if (command === '!wait forever') return new Promise(() => {});
+      if (command.startsWith('!switch nobody')) return { success: false, message: 'Unknown character "nobody"', suggestion: 'Type !characters' };
+      return { success: true, message: `ran ${command}`, action: 'test', data: { currentCharacter: 'zen-monk' } };
+    }
+  });
+  client.start();
+  await sleep(100);
+  check(Boolean(client.session) && /^[0-9a-f]{64}$/.test(client.secret || ''), 'The window gets a session and its secret');
+
+  const switched = await control({ op: 'switch', mode: 'zen-monk' });
+  check(switched.status === 200 && switched.body.result.message === 'ran !switch zen-monk', 'switch runs in the window and returns its result');
+  check(executed[0].command === '!switch zen-monk' && executed[0].script === false, 'Operations run as single commands');
+
+  const status = await control({ op: 'status' });
+  check(status.body.result.data.currentCharacter === 'zen-monk', 'status returns the state data');
+
+  await control({ op: 'message', text: 'Deploy finished; go home' });
+  check(executed[2].command === '!say Deploy finished; go home' && !executed[2].script, 'Messages are not split at ;');
+
+  const failed = await control({ op: 'switch', mode: 'nobody' });
+  check(failed.status === 422 && failed.body.result.suggestion === 'Type !characters', 'Failed commands are 422 with the terminal message');
+
+  check((await control({ op: 'command', command: 'volume 1' })).status === 400, 'Invalid bodies are 400');
+  check((await control(null, TOKEN, 'GET')).status === 405, 'Only POST runs commands');
+
+  console.log('\n🧪 Testing the leading window...\n');
+
+  const followerRan = [];
+  const follower = new ControlClient({
+    url: `${base}/api/control/browser`,
+    EventSource: FetchEventSource,
+    leader: false,
+    onError: () => {},
+    execute: async (command) => {
+      followerRan.push(command);
+      return { success: true, message: `follower ran ${command}` };
+    }
+  });
+  follower.start();
+  await sleep(100);
+  check((await control({ op: 'pause' })).body.result.message === 'ran !pause' && followerRan.length === 0, 'A newer window that does not lead gets no commands');
+
+  follower.setLeader(true);
+  await sleep(50);
+  check((await control({ op: 'resume' })).body.result.message === 'follower ran !resume', 'Commands follow the window that reports the lead');
+
+  follower.setLeader(false);
+  await sleep(50);
+  const leaderless = await control({ op: 'status' });
+  check(leaderless.status === 503 && leaderless.body.message.includes('taken the lead'), 'Without a leader requests fail clearly');
+
+  follower.destroy();
+  await client.reportLeadership();
+  check((await control({ op: 'status' })).status === 200 && executed[executed.length - 1].command === '!status', 'A window can take the lead again');
+
+  check((await postWindow({ session: 'not-a-session', secret: client.secret, leader: true })).status === 404, 'Only connected sessions can take the lead');
+  check((await postWindow({ session: 'not-a-session', secret: client.secret, requestId: 'x', result: { success: true } })).status === 404, 'Results need the session and a pending request');
+
+  console.log('\n🧪 Testing session secrets and rebinding...\n');
+
+  const intruder = new ControlClient({ url: `${base}/api/control/browser`, EventSource: FetchEventSource, leader: false, onError: () => {} });
+  intruder.start();
+  await sleep(100);
+  check(intruder.session && intruder.secret !== client.secret, 'Each session gets its own secret');
+
+  // A local process sends no Origin at all
+  check((await postWindow({ session: client.session, leader: false })).status === 403, 'Posts without the secret are refused');
+  check((await postWindow({ session: client.session, secret: intruder.secret, leader: false })).status === 403, 'Another session\'s secret is refused');
+  check((await postWindow({ session: client.session, secret: '0'.repeat(64), requestId: 'x', result: { success: true } })).status === 403, 'Results with a wrong secret are refused');
+  check((await control({ op: 'status' })).body.result.message === 'ran !status', 'The leading window keeps the commands');
+  intruder.destroy();
+  await sleep(100);
+
+  const windowsBefore = getControlRelay().windows.size;
+  const reboundStream = await requestWithHost('evil.example');
+  check(reboundStream === 403 && getControlRelay().windows.size === windowsBefore, 'Rebound pages cannot open the command stream');
+  const reboundLeader = await requestWithHost(`evil.example:${server.address().port}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ session: client.session, secret: client.secret, leader: false })
+  });
+  check(reboundLeader === 403 && getControlRelay().leader === client.session, 'Rebound pages cannot post even with a secret');
+
+  const foreignPage = { Origin: 'http://evil.example' };
+  const foreignStream = await fetch(`${base}/api/control/browser`, { headers: foreignPage });
+  check(foreignStream.status === 403 && getControlRelay().windows.size === windowsBefore, 'Pages from other origins cannot open the command stream');
+  const foreignResult = await postWindow({ session: client.session, secret: client.secret, requestId: 'x', result: { success: true } }, foreignPage);
+  check(foreignResult.status === 403, 'Pages from other origins cannot post results');
+
+  getControlRelay().timeout = 200;
+  check((await control({ op: 'command', command: '!wait forever' })).status === 504, 'A window that does not answer times out');
+
+  client.destroy();
+  await sleep(100);
+  check((await control({ op: 'pause' })).status === 503, 'Closing the window disconnects it');
+
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+
+  reportChecks('Control API tests passed!');
+}
+
+testControlApi();
@@ -0,0 +1,145 @@
+/**
+ * Test script for developer events
+ *
+ * Checks event validation, how reactions are looked up in a mode's
+ * config.json (exact name, `<group>.*`, `*.<outcome>`, `*`), that every
+ * built-in mode's reactions block is valid, and runs scripts/notify.js
+ * against /api/events on a local server with a window listening.
+ * Run with: node tests/validation/devEventsTest.js
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import eventsHandler from '../../pages/api/events.js';
+import browserHandler from '../../pages/api/control/browser.js';
+import ControlClient from '../../utils/controlClient.js';
+import { validateModeConfig } from '../../pages/api/modes.js';
+import { normalizeDevEvent, normalizeReactions, findReaction, buildReaction } from '../../utils/devEvents.js';
+import { withNextApi, FetchEventSource } from '../utils/apiTestServer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const TOKEN = 'test-token-0123456789';
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const run = promisify(execFile);
+
+/**
+ * Run scripts/notify.js and return its exit code and output
+ */
+async function notify(args, env = {}) {
+  try {
+    const { stdout } = await run(process.execPath, ['scripts/notify.js', ...args], {
+      env: { ...process.env, ...env },
+      timeout: 20000
+    });
+    return { code: 0, output: stdout };
+  } catch (error) {
+    return { code: error.code, output: `${error.stdout}${error.stderr}` };
+  }
+}
+
+async function testDevEvents() {
+  console.log('🧪 Testing events...\n');
+
+  const failed = normalizeDevEvent({ type: ' Build.Failed ', detail: '  src/app.js \n line 3 ' });
+  check(failed.event.type === 'build.failed' && failed.event.detail === 'src/app.js line 3', 'Event names are lowercased and details put on one line');
+  check(failed.command === '!react build.failed src/app.js line 3', 'Events run as !react');
+  check(normalizeDevEvent({ event: 'tests.passed' }).command === '!react tests.passed', '"event" works as well as "type"');
+  check(Boolean(normalizeDevEvent({ type: 'build' }).error) && Boolean(normalizeDevEvent({ type: 'build failed' }).error), 'Names need a dot and no spaces');
+  check(Boolean(normalizeDevEvent({ type: 'build.failed', detail: 42 }).error) && Boolean(normalizeDevEvent(null).error), 'Invalid bodies are rejected');
+
+  const longest = normalizeDevEvent({ type: `a.${'b'.repeat(30)}`, detail: 'x'.repeat(500) });
+  check(longest.command.length <= 100, 'The longest event still fits the terminal command limit');
+
+  console.log('\n🧪 Testing reactions...\n');
+
+  const { reactions, warnings } = normalizeReactions({
+    'build.failed': { messages: ['Broken!'], animation: 'shake' },
+    'build.*': ['Build news'],
+    '*.passed': { animation: 'bounce' },
+    '*': ['Something happened'],
+    'Not A Key': ['x'],
+    'tests.failed': { animation: 'moonwalk' }
+  });
+  check(warnings.length === 3 && !reactions['Not A Key'] && !reactions['tests.failed'], 'Bad keys, animations and empty reactions are reported and dropped');
+  check(findReaction(reactions, 'build.failed').key === 'build.failed', 'An exact name wins');
+  check(findReaction(reactions, 'build.passed').key === 'build.*', 'Then the event group');
+  check(findReaction(reactions, 'tests.passed').key === '*.passed', 'Then the outcome');
+  check(findReaction(reactions, 'commit.pushed').key === '*', 'Then the catch-all');
+  check(findReaction({}, 'commit.pushed') === null, 'Modes without reactions ignore events');
+
+  const config = { reactions: { 'commit.pushed': ['Pushed to {detail}!', 'Pushed!'], 'tests.failed': ['{detail} broke'] } };
+  check(buildReaction(config, 'commit.pushed', 'main', () => 0).text === 'Pushed to main!', '{detail} is filled in');
+  check(buildReaction(config, 'commit.pushed', '', () => 0).text === 'Pushed!', 'Lines quoting {detail} are skipped without one');
+  check(buildReaction(config, 'tests.failed') === null, 'Nothing to say and no animation means no reaction');
+
+  const modesDir = path.join(process.cwd(), 'modes');
+  const modeWarnings = fs.readdirSync(modesDir)
+    .filter(mode => fs.existsSync(path.join(modesDir, mode, 'config.json')))
+    .flatMap(mode => {
+      const modeConfig = JSON.parse(fs.readFileSync(path.join(modesDir, mode, 'config.json'), 'utf8'));
+      return normalizeReactions(modeConfig.reactions).warnings.map(warning => `${mode}: ${warning}`);
+    });
+  check(modeWarnings.length === 0, `Built-in modes have valid reactions${modeWarnings.length ? ` (${modeWarnings.join('; ')})` : ''}`);
+
+  const gamerRage = JSON.parse(fs.readFileSync(path.join(modesDir, 'gamer-rage', 'config.json'), 'utf8'));
+  check(buildReaction(gamerRage, 'build.failed').animation === 'shake', 'Gamer Rage shakes on a failed build');
+  check(Boolean(validateModeConfig(gamerRage, 'gamer-rage').reactions?.['build.failed']), 'The modes API keeps the reactions block');
+
+  console.log('\n🧪 Testing scripts/notify.js...\n');
+
+  const server = http.createServer((req, res) => {
+    const route = req.url.startsWith('/api/control/browser') ? browserHandler : eventsHandler;
+    withNextApi(route)(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const env = { VIBESCREEN_CONTROL_TOKEN: TOKEN, VIBESCREEN_URL: base };
+  process.env.VIBESCREEN_CONTROL_TOKEN = TOKEN;
+
+  check((await notify(['build.failed'], { VIBESCREEN_CONTROL_TOKEN: '' })).code === 1, 'notify needs the token');
+
+  const noWindow = await notify(['build.failed'], env);
+  check(noWindow.code === 1 && noWindow.output.includes('No VibeScreen window'), 'notify fails clearly while no window is open');
+
+  // Stand-in for the leading window: runs !react against Gamer Rage the way the page does
+  const client = new ControlClient({
+    url: `${base}/api/control/browser`,
+    EventSource: FetchEventSource,
+    onError: () => {},
+    execute: async (command) => {
+      const [, type, ...detail] = command.split(' ');
+      const reaction = buildReaction(gamerRage, type, detail.join(' '), () => 0);
+      return {
+        success: true,
+        message: reaction ? `Reacted to ${type}: "${reaction.text}"` : `gamer-rage has no reaction to ${type}`,
+        action: 'dev-event',
+        data: { event: type, reacted: Boolean(reaction) }
+      };
+    }
+  });
+  client.start();
+  await sleep(100);
+
+  const reacted = await notify(['build.failed', 'src/app.js'], env);
+  check(reacted.code === 0 && reacted.output.includes(gamerRage.reactions['build.failed'].messages[0]), 'notify prints the reaction');
+
+  const ignored = await notify(['lunch.ready', '--url', base], { VIBESCREEN_CONTROL_TOKEN: TOKEN });
+  check(ignored.code === 0 && ignored.output.includes('no reaction'), 'Events the mode ignores still succeed');
+
+  const invalid = await notify(['not-an-event'], env);
+  check(invalid.code === 1 && invalid.output.includes('event name'), 'Invalid event names are refused');
+
+  const wrongMethod = await fetch(`${base}/api/events`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+  check(wrongMethod.status === 405, 'Only POST sends events');
+
+  client.destroy();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+
+  reportChecks('Developer event tests passed!');
+}
+
+testDevEvents();
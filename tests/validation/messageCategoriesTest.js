@@ -0,0 +1,153 @@
+/**
+ * Test script for weighted message categories and message templates
+ *
+ * Checks category-tagged message files, per-draw weighted selection that
+ * honours each mode's messageProbabilities (including custom keys such as
+ * therapist "supportive") and display-time template expansion, including
+ * {user} from the messages.userName setting.
+ * Run with: node tests/validation/messageCategoriesTest.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import MessageScheduler from '../../utils/MessageScheduler.js';
+import {
+  normalizeMessageFile,
+  getDefaultCategory,
+  selectWeightedCategory
+} from '../../utils/messageCategories.js';
+import { expandMessageTemplate, buildTemplateContext, normalizeUserName } from '../../utils/messageTemplates.js';
+import SettingsManager from '../../utils/SettingsManager.js';
+import { validateMessageFile } from '../../utils/messageValidation.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+// Serve public/ the way the Next.js static server would
+global.fetch = async (url) => {
+  try {
+    const content = await fs.readFile(path.join(process.cwd(), 'public', url), 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(content) };
+  } catch (error) {
+    return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+  }
+};
+
+/**
+ * Draw categories with evenly spaced random values so shares are exact
+ */
+function drawShares(probabilities, draws = 1000) {
+  const counts = {};
+  for (let i = 0; i < draws; i++) {
+    const category = selectWeightedCategory(probabilities, () => true, () => (i + 0.5) / draws);
+    counts[category] = (counts[category] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(counts).map(([category, count]) => [category, count / draws]));
+}
+
+async function testMessageCategories() {
+  console.log('🧪 Testing category-tagged message files...\n');
+
+  const legacy = normalizeMessageFile(['one', 'two']);
+  check(legacy.untagged.length === 2 && Object.keys(legacy.categories).length === 0, 'Plain arrays are untagged messages');
+
+  const tagged = normalizeMessageFile({
+    categories: { supportive: ['You are valid.'], cliche: ['As an AI...'] },
+    messages: [{ text: 'Tell me more.', category: 'supportive' }, 'Untagged'],
+    weights: { supportive: 1 }
+  });
+  check(tagged.categories.supportive.length === 2, 'Category map and { text, category } entries are merged');
+  check(tagged.untagged.length === 1 && tagged.weights.supportive === 1, 'Untagged entries and weights are kept');
+
+  check(getDefaultCategory({ supportive: 0.7, cliche: 0.2, other: 0.1 }) === 'supportive', 'Untagged therapist messages are "supportive"');
+  check(getDefaultCategory({ exaggeration: 0.5, cliche: 0.3, other: 0.2 }) === 'exaggeration', 'Modes without custom keys use their heaviest category');
+  check(getDefaultCategory({ haiku: 0.6, other: 0.4 }, {}, 'other') === 'other', 'defaultMessageCategory overrides the default');
+
+  const fileCheck = validateMessageFile({ categories: { supportive: ['a message', 42] } }, 'messages.json');
+  check(!fileCheck.success, 'Category files are validated per category');
+  check(validateMessageFile({ categories: {} }).success === false, 'Empty category maps are rejected');
+
+  console.log('\n🧪 Testing weighted category selection...\n');
+
+  const shares = drawShares({ supportive: 0.7, cliche: 0.2, other: 0.1 });
+  check(Math.abs(shares.supportive - 0.7) < 0.01 && Math.abs(shares.cliche - 0.2) < 0.01, 'Draws follow the probabilities');
+
+  const onlyAvailable = selectWeightedCategory({ supportive: 0.9, cliche: 0.1 }, category => category === 'cliche', () => 0);
+  check(onlyAvailable === 'cliche', 'Categories without messages are skipped');
+  check(selectWeightedCategory({}, () => true) === null, 'No categories returns null');
+
+  console.log('\n🧪 Testing MessageScheduler integration...\n');
+
+  const scheduler = new MessageScheduler({ onError: () => {} });
+  await scheduler.loadMasterMessages();
+
+  try {
+    const therapist = await scheduler.loadModeConfig('therapist');
+    check(therapist.messageProbabilities.supportive === 0.7, 'Custom probability keys survive config loading');
+    check(therapist.messageCategories.supportive.length === 30, 'Therapist messages.json is tagged "supportive"');
+
+    scheduler.currentMode = 'therapist';
+    scheduler.currentModeConfig = therapist;
+    const supportive = new Set(therapist.messageCategories.supportive);
+    const draws = 2000;
+    let supportiveCount = 0;
+    for (let i = 0; i < draws; i++) {
+      if (supportive.has(scheduler.selectMessage())) supportiveCount++;
+    }
+    const supportiveShare = supportiveCount / draws;
+    check(Math.abs(supportiveShare - 0.7) < 0.05, `Supportive share per draw is ~70% (${(supportiveShare * 100).toFixed(1)}%)`);
+
+    const zenMonk = await scheduler.loadModeConfig('zen-monk');
+    const haikus = JSON.parse(await fs.readFile(path.join(process.cwd(), 'public/modes/zen-monk/haikus.json'), 'utf8'));
+    check(zenMonk.messageCategories.haiku.length === haikus.length, 'messageFiles loads haikus.json as the "haiku" category');
+    check(zenMonk.messageCategories.other.length === 30, 'Zen Monk messages.json follows defaultMessageCategory');
+
+    const chaos = await scheduler.loadModeConfig('chaos');
+    scheduler.currentModeConfig = chaos;
+    check(scheduler.getCategoryMessages('cliche').length > 0, 'Categories the mode does not supply fall back to master lists');
+
+    console.log('\n🧪 Testing message templates...\n');
+
+    const context = buildTemplateContext({ mode: 'therapist', modeConfig: therapist, streak: 3, user: 'Sam', now: new Date(2024, 0, 1, 9, 5) });
+    const expanded = expandMessageTemplate('{user}, {mode} here. Message {streak} at {time}. {unknown}', context);
+    check(expanded.startsWith('Sam, Therapist here. Message 3 at '), 'Known variables are expanded');
+    check(/09.05/.test(expanded), '{time} is the local time');
+    check(expanded.endsWith('{unknown}'), 'Unknown variables are left untouched');
+    check(buildTemplateContext().user === 'friend', '{user} falls back to "friend"');
+
+    const shown = [];
+    scheduler.onMessageShow = (message) => shown.push(message);
+    scheduler.currentMode = 'therapist';
+    scheduler.currentModeConfig = therapist;
+    scheduler.modeStreak = 0;
+    scheduler.showMessage('Message #{streak} in {mode}');
+    scheduler.showMessage('Message #{streak} in {mode}');
+    check(shown[1]?.text === 'Message #2 in Therapist', 'showMessage expands templates at display time');
+    check(scheduler.messageHistory.includes('Message #{streak} in {mode}'), 'History keeps the raw template for repeat avoidance');
+
+    check(normalizeUserName('  Dr.  {Alex} ') === 'Dr. Alex', 'Names lose braces and extra spaces');
+    const settingsManager = new SettingsManager();
+    check(settingsManager.setSetting('messages.userName', ' Sam  Lee ') && settingsManager.getSetting('messages.userName') === 'Sam Lee', 'messages.userName is stored normalized');
+    scheduler.settingsManager = settingsManager;
+    scheduler.clearAllMessages();
+    scheduler.showMessage('Hi {user}');
+    check(shown.at(-1)?.text === 'Hi Sam Lee', '{user} expands to the configured name');
+    settingsManager.setSetting('messages.userName', '');
+    scheduler.showMessage('Bye {user}');
+    check(shown.at(-1)?.text === 'Bye friend', 'A cleared name goes back to "friend"');
+  } finally {
+    scheduler.destroy();
+  }
+
+  reportChecks('Message category tests passed!');
+}
+
+testMessageCategories().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
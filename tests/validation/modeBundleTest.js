@@ -0,0 +1,140 @@
+/**
+ * Test script for the mode bundle API
+ *
+ * Serves /api/modes/[id] from a copy of modes/ with a few broken modes added
+ * and checks the bundle parts, ?include=, the 400/404/405 answers, that
+ * validateModeConfig problems are reported instead of only logged, and that
+ * MessageScheduler loads the same messages from the API as from the static
+ * files it falls back to.
+ * Run with: node tests/validation/modeBundleTest.js
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import bundleHandler from '../../pages/api/modes/[id]/index.js';
+import MessageScheduler from '../../utils/MessageScheduler.js';
+import { parseBundleInclude, describeModeBundle, DEFAULT_MODE_BUNDLE_PARTS } from '../../utils/modeBundle.js';
+import { withNextApi } from '../utils/apiTestServer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const repoRoot = process.cwd();
+const realFetch = global.fetch;
+
+// A project folder holding Zen Monk as shipped plus modes with problems
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibescreen-bundle-'));
+fs.cpSync(path.join(repoRoot, 'modes', 'zen-monk'), path.join(projectDir, 'modes', 'zen-monk'), { recursive: true });
+
+function writeMode(modeId, files) {
+  fs.mkdirSync(path.join(projectDir, 'modes', modeId), { recursive: true });
+  Object.entries(files).forEach(([fileName, content]) => {
+    fs.writeFileSync(path.join(projectDir, 'modes', modeId, fileName), typeof content === 'string' ? content : JSON.stringify(content));
+  });
+}
+
+writeMode('sloppy', {
+  'config.json': { name: 'Sloppy', popupStyle: 'banner', minDelaySeconds: 1, messageFiles: { rants: 'rants.json' } },
+  'messages.json': ['One', 'Two']
+});
+writeMode('broken', { 'config.json': '{ "name": ' });
+writeMode('no-config', { 'messages.json': ['Orphan'] });
+
+/**
+ * Load a mode through a fresh scheduler with the given fetch
+ */
+async function loadWithScheduler(modeId, fetchImpl) {
+  global.fetch = fetchImpl;
+  const scheduler = new MessageScheduler({ onError: () => {} });
+  try {
+    return await scheduler.loadModeConfig(modeId);
+  } finally {
+    scheduler.destroy();
+    global.fetch = realFetch;
+  }
+}
+
+async function testModeBundle() {
+  console.log('🧪 Testing include selectors...\n');
+
+  check(parseBundleInclude(undefined).include.join() === DEFAULT_MODE_BUNDLE_PARTS.join(), 'No selector means config, messages, theme and validation');
+  check(parseBundleInclude('theme, config').include.join() === 'config,theme', 'Parts come back in a fixed order');
+  check(parseBundleInclude(['config', 'messageFile']).include.join() === 'config,messageFile', 'Repeated parameters are combined');
+  check(parseBundleInclude('config,everything').unknown.join() === 'everything', 'Unknown parts are reported');
+  check(describeModeBundle({ messages: { count: 1, categories: { haiku: 1 } }, validation: { errors: [], warnings: [{}, {}] } }) === '1 message (haiku) · 2 config warnings', 'Bundles are summed up for tooltips');
+
+  console.log('\n🧪 Testing /api/modes/[id]...\n');
+
+  process.chdir(projectDir);
+  const server = http.createServer(withNextApi(bundleHandler, '/api/modes/[id]'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async (url, options) => {
+    const response = await realFetch(`${base}${url}`, options);
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  const zen = await get('/api/modes/zen-monk');
+  check(zen.status === 200 && zen.body.config.name === 'Zen Monk' && zen.body.config.declarative === false, 'The bundle carries the validated config');
+  check(zen.body.messages.categories.haiku === 10 && zen.body.messages.count === Object.values(zen.body.messages.categories).reduce((a, b) => a + b, 0), 'Messages are counted per category, including messageFiles');
+  check(zen.body.theme.id === 'zen-monk' && !zen.body.theme.fallback && /^#/.test(zen.body.theme.palette.primary), 'The theme palette comes from ThemeManager');
+  check(zen.body.validation.valid && zen.body.validation.warnings.some(warning => warning.message.includes('ambientSpeed')), 'Clamped values show up as warnings');
+  check(!('messageFile' in zen.body), 'The full message file is only sent when asked for');
+
+  const sloppy = await get('/api/modes/sloppy');
+  const sloppyWarnings = sloppy.body.validation.warnings.map(warning => warning.operation);
+  check(sloppyWarnings.includes('PopupStyle validation') && sloppyWarnings.includes('MinDelaySeconds validation'), 'validateModeConfig warnings are returned');
+  check(sloppy.body.validation.warnings.some(warning => warning.message.includes('rants.json')), 'Missing message files are reported');
+  check(sloppy.body.validation.valid && sloppy.body.theme.fallback && sloppy.body.theme.id === 'corporate-ai', 'Modes without a palette get the default one');
+
+  const broken = await get('/api/modes/broken');
+  check(broken.status === 200 && broken.body.config === null && !broken.body.validation.valid, 'A config that does not parse is reported as an error');
+
+  const partial = await get('/api/modes/zen-monk?include=theme');
+  check(partial.status === 200 && partial.body.theme && !partial.body.config && !partial.body.messages && !partial.body.validation, '?include= limits the bundle to the parts asked for');
+
+  const withFile = await get('/api/modes/zen-monk?include=config,messageFile');
+  check(withFile.body.messageFile.categories.haiku.length === 10 && withFile.body.messageFile.untagged.length > 0, 'messageFile has the merged, normalized messages');
+
+  check((await get('/api/modes/zen-monk?include=config,secrets')).status === 400, 'Unknown parts are refused');
+  check((await get('/api/modes/Not_A_Mode')).status === 400, 'Invalid ids are refused');
+  check((await get('/api/modes/nope')).status === 404, 'Unknown modes are 404');
+  check((await get('/api/modes/no-config')).status === 404, 'Folders without config.json are 404');
+  check((await get('/api/modes/zen-monk', { method: 'DELETE' })).status === 405, 'Only GET is allowed');
+
+  console.log('\n🧪 Testing MessageScheduler...\n');
+
+  const requested = [];
+  const viaApi = await loadWithScheduler('zen-monk', (url, options) => {
+    requested.push(url);
+    return realFetch(`${base}${url}`, options);
+  });
+  const modeRequests = requested.filter(url => !url.startsWith('/data/master-messages/'));
+  check(modeRequests.length === 1 && modeRequests[0].startsWith('/api/modes/zen-monk?'), 'Modes load with one request to the bundle API');
+
+  // A static export: only public/ exists
+  process.chdir(repoRoot);
+  const staticRequests = [];
+  const viaStatic = await loadWithScheduler('zen-monk', async (url) => {
+    staticRequests.push(url);
+    try {
+      const content = fs.readFileSync(path.join(repoRoot, 'public', url), 'utf8');
+      return { ok: true, status: 200, json: async () => JSON.parse(content) };
+    } catch (error) {
+      return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+    }
+  });
+  check(staticRequests.includes('/modes/zen-monk/config.json'), 'Without the API the static files are used');
+
+  const counts = (modeConfig) => JSON.stringify(Object.fromEntries(Object.entries(modeConfig?.messageCategories || {}).map(([category, messages]) => [category, messages.length])));
+  check(Boolean(viaApi) && counts(viaApi) === counts(viaStatic) && viaApi.messages.length === viaStatic.messages.length, 'Both ways give the scheduler the same messages');
+  check(viaApi.popupStyle === viaStatic.popupStyle && viaApi.minDelaySeconds === viaStatic.minDelaySeconds, 'Both ways give the same settings');
+
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(projectDir, { recursive: true, force: true });
+
+  reportChecks('Mode bundle tests passed!');
+}
+
+testModeBundle();
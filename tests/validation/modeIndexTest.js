@@ -0,0 +1,158 @@
+/**
+ * Test script for the watched mode index
+ *
+ * Builds a modes folder in a temp directory and checks that ModeIndex scans
+ * it once, then reloads only the mode whose files change, announces added,
+ * updated (including message and scene saves) and removed modes, and that
+ * /api/modes/stream delivers a snapshot and those changes to a ModeStream
+ * client.
+ * Run with: node tests/validation/modeIndexTest.js
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ModeIndex, computeModeRevision } from '../../utils/modeIndex.js';
+import ModeStream, { applyModeChange } from '../../utils/modeStream.js';
+import { withNextApi, FetchEventSource } from '../utils/apiTestServer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds (file events take a moment to arrive)
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeoutMs) {
+    await sleep(20);
+  }
+  return condition();
+}
+
+const modesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'vibescreen-modes-'));
+
+function writeMode(modeId, config) {
+  fs.mkdirSync(path.join(modesPath, modeId), { recursive: true });
+  fs.writeFileSync(path.join(modesPath, modeId, 'config.json'), typeof config === 'string' ? config : JSON.stringify(config));
+}
+
+// Stand-ins for loadModeConfig and the full scan in pages/api/modes.js
+const loads = [];
+async function load(modeId) {
+  loads.push(modeId);
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(modesPath, modeId, 'config.json'), 'utf8'));
+    return { id: modeId, name: config.name || modeId, revision: await computeModeRevision(path.join(modesPath, modeId)) };
+  } catch (error) {
+    return null;
+  }
+}
+async function scan() {
+  const modeIds = fs.readdirSync(modesPath, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+  return (await Promise.all(modeIds.map(load))).filter(Boolean);
+}
+
+async function testModeIndex() {
+  console.log('🧪 Testing applyModeChange...\n');
+
+  const list = [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }];
+  check(applyModeChange(list, { type: 'updated', modeId: 'b', mode: { id: 'b', name: 'Bee' } })[1].name === 'Bee', 'Updates replace the mode in place');
+  check(applyModeChange(list, { type: 'added', modeId: 'c', mode: { id: 'c' } }).length === 3, 'New modes are appended');
+  check(applyModeChange(list, { type: 'removed', modeId: 'a' }).map(mode => mode.id).join() === 'b', 'Removed modes are dropped');
+  check(applyModeChange(list, { type: 'removed', modeId: 'zzz' }) === list, 'Unknown removals change nothing');
+
+  console.log('\n🧪 Testing the index...\n');
+
+  writeMode('zen-monk', { name: 'Zen Monk' });
+  writeMode('chaos', { name: 'Chaos' });
+
+  const errors = [];
+  const index = new ModeIndex({ modesPath, scan, load, debounceMs: 50, onError: (operation, error) => errors.push(`${operation}: ${error.message}`) });
+  const changes = [];
+  index.subscribe(change => changes.push(change));
+
+  const modes = await index.getModes();
+  check(modes.length === 2 && changes.length === 0, 'The first request scans every mode without announcing them');
+  check(Boolean(index.watcher) && !index.failed, `modes/ is watched${errors.length ? ` (${errors.join('; ')})` : ''}`);
+
+  loads.length = 0;
+  await index.getModes();
+  check(loads.length === 0, 'Later requests do not touch the disk');
+
+  writeMode('zen-monk', { name: 'Zen Master' });
+  const updated = await waitFor(() => changes.some(change => change.type === 'updated'));
+  check(updated && changes[0].modeId === 'zen-monk' && changes[0].mode.name === 'Zen Master', 'Editing a config announces the updated mode');
+  check(loads.length > 0 && loads.every(modeId => modeId === 'zen-monk'), 'Only the edited mode is loaded again');
+  check((await index.getModes()).find(mode => mode.id === 'zen-monk').name === 'Zen Master', '/api/modes sees the edit');
+
+  changes.length = 0;
+  const revision = (await index.getModes()).find(mode => mode.id === 'zen-monk').revision;
+  fs.writeFileSync(path.join(modesPath, 'zen-monk', 'messages.json'), JSON.stringify(['Breathe.']));
+  check(await waitFor(() => changes.some(change => change.type === 'updated' && change.mode.revision !== revision)), 'Saving messages.json announces the mode as updated');
+  changes.length = 0;
+  fs.writeFileSync(path.join(modesPath, 'zen-monk', 'scene.yaml'), 'scene:\n  objects: []\n');
+  check(await waitFor(() => changes.some(change => change.type === 'updated' && change.modeId === 'zen-monk')), 'Saving a scene file announces the mode as updated');
+  fs.writeFileSync(path.join(modesPath, 'zen-monk', 'messages.json.bak'), '[]');
+  fs.writeFileSync(path.join(modesPath, 'zen-monk', '.messages.json.swp'), '');
+  check(await computeModeRevision(path.join(modesPath, 'zen-monk')) === (await index.getModes()).find(mode => mode.id === 'zen-monk').revision, 'Backups and dotfiles do not change the revision');
+
+  changes.length = 0;
+  writeMode('gamer-rage', { name: 'Gamer Rage' });
+  check(await waitFor(() => changes.some(change => change.type === 'added' && change.modeId === 'gamer-rage')), 'A new mode folder is announced');
+
+  changes.length = 0;
+  writeMode('chaos', '{ "name": ');
+  check(await waitFor(() => changes.some(change => change.type === 'removed' && change.modeId === 'chaos')), 'A config that no longer parses drops the mode');
+  writeMode('chaos', { name: 'Chaos' });
+  check(await waitFor(() => changes.some(change => change.type === 'added' && change.modeId === 'chaos')), 'Fixing it brings the mode back');
+
+  changes.length = 0;
+  fs.rmSync(path.join(modesPath, 'gamer-rage'), { recursive: true });
+  check(await waitFor(() => changes.some(change => change.type === 'removed' && change.modeId === 'gamer-rage')), 'Deleting a mode folder is announced');
+  check(changes.every((change, i) => i === 0 || change.version > changes[i - 1].version), 'Every change has a newer version');
+
+  console.log('\n🧪 Testing /api/modes/stream...\n');
+
+  globalThis.__vibescreenModeIndex = index;
+  const { default: streamHandler } = await import('../../pages/api/modes/stream.js');
+  const server = http.createServer(withNextApi(streamHandler));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/modes/stream`;
+
+  let clientModes = [];
+  const stream = new ModeStream({
+    url,
+    EventSource: FetchEventSource,
+    onSnapshot: modesData => { clientModes = modesData; },
+    onChange: change => { clientModes = applyModeChange(clientModes, change); },
+    onError: () => {}
+  });
+  stream.start();
+
+  check(await waitFor(() => clientModes.length === 2), 'Clients get the current modes when they connect');
+
+  writeMode('influencer', { name: 'Influencer' });
+  check(await waitFor(() => clientModes.some(mode => mode.id === 'influencer')), 'Clients see a new mode without reloading');
+
+  writeMode('chaos', { name: 'Total Chaos' });
+  check(await waitFor(() => clientModes.find(mode => mode.id === 'chaos')?.name === 'Total Chaos'), 'Clients see edits live');
+
+  const wrongMethod = await fetch(url, { method: 'POST' });
+  check(wrongMethod.status === 405, 'Only GET opens the stream');
+
+  index.failed = true;
+  const unwatched = await fetch(url);
+  check(unwatched.status === 204, 'Without a watcher the stream answers 204 so EventSource stops');
+
+  stream.destroy();
+  index.close();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(modesPath, { recursive: true, force: true });
+
+  reportChecks('Mode index tests passed!');
+}
+
+testModeIndex();
@@ -0,0 +1,185 @@
+/**
+ * Test script for the mode messages CRUD endpoint (/api/modes/[id]/messages)
+ *
+ * Creates a throwaway mode in modes/ and public/modes/, then checks that edits
+ * are validated, written to both copies atomically with a .bak backup, and
+ * that concurrent edits and stale edits are handled, and that writes need the
+ * control token from this machine.
+ * Run with: node tests/validation/modeMessagesApiTest.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import messagesHandler from '../../pages/api/modes/[id]/messages.js';
+import { validateMessageFile } from '../../utils/messageValidation.js';
+import { CONTROL_TOKEN_ENV } from '../../utils/controlServer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const TEST_MODE_ID = 'test-messages-mode';
+const TOKEN = 'messages-test-token-0123';
+process.env[CONTROL_TOKEN_ENV] = TOKEN;
+
+const testConfig = {
+  id: TEST_MODE_ID,
+  name: 'Test Messages Mode',
+  popupStyle: 'overlay',
+  minDelaySeconds: 10,
+  maxDelaySeconds: 30,
+  sceneProps: { bgColor: '#000000', primaryColor: '#00ff41' }
+};
+
+const testMessages = [
+  'First line of the test mode.',
+  'Second line of the test mode.',
+  'Third line of the test mode.',
+  'Fourth line of the test mode.',
+  'Fifth line of the test mode.'
+];
+
+const sourceDir = path.join(process.cwd(), 'modes', TEST_MODE_ID);
+const publicDir = path.join(process.cwd(), 'public', 'modes', TEST_MODE_ID);
+
+/**
+ * Mock request and response for testing
+ */
+function createMockReqRes(method = 'GET', query = {}, body = undefined, auth = {}) {
+  const req = {
+    method,
+    query: { id: TEST_MODE_ID, ...query },
+    headers: { authorization: `Bearer ${auth.token ?? TOKEN}` },
+    socket: { remoteAddress: auth.address || '127.0.0.1' },
+    body
+  };
+  const res = {
+    headers: {},
+    statusCode: 200,
+    responseData: null,
+
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.responseData = data; },
+    end() {}
+  };
+
+  return { req, res };
+}
+
+async function call(method, body, query, auth) {
+  const { req, res } = createMockReqRes(method, query, body, auth);
+  await messagesHandler(req, res);
+  return res;
+}
+
+async function readJSON(filePath) {
+  return JSON.parse(await fs.readFile(filePath, 'utf8'));
+}
+
+async function testModeMessagesApi() {
+  console.log('🧪 Testing mode messages API...\n');
+
+  try {
+    for (const dir of [sourceDir, publicDir]) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, 'config.json'), JSON.stringify(testConfig, null, 2));
+      await fs.writeFile(path.join(dir, 'messages.json'), JSON.stringify(testMessages, null, 2));
+    }
+
+    const list = await call('GET');
+    check(list.statusCode === 200 && list.responseData.messageCount === 5, 'GET lists the mode messages');
+    check(list.responseData.sections.length === 1 && list.responseData.sections[0].category === null, 'A plain list is one untagged section');
+
+    const missing = await call('GET', undefined, { id: 'no-such-mode' });
+    check(missing.statusCode === 404, 'Unknown modes return 404');
+
+    console.log('\n🧪 Testing edits...\n');
+
+    const added = await call('POST', { message: '  A brand new line from the editor.  ' });
+    check(added.statusCode === 201 && added.responseData.index === 5, 'POST appends a message');
+
+    const [source, copy] = await Promise.all([
+      readJSON(path.join(sourceDir, 'messages.json')),
+      readJSON(path.join(publicDir, 'messages.json'))
+    ]);
+    check(source[5] === 'A brand new line from the editor.' && JSON.stringify(source) === JSON.stringify(copy), 'Edits are trimmed and written to modes/ and public/modes/');
+
+    const backup = await readJSON(path.join(sourceDir, 'messages.json.bak'));
+    check(JSON.stringify(backup) === JSON.stringify(testMessages), 'The previous file is kept as messages.json.bak');
+
+    const leftovers = (await fs.readdir(sourceDir)).filter(name => name.endsWith('.tmp'));
+    check(leftovers.length === 0, 'No temporary files are left behind');
+
+    const empty = await call('POST', { message: '   ' });
+    check(empty.statusCode === 400 && empty.responseData.details.length > 0, 'Empty messages fail validation');
+
+    const duplicate = await call('POST', { message: 'first line of the test mode.' });
+    check(duplicate.statusCode === 409, 'Duplicate messages are rejected');
+
+    const stale = await call('PUT', { index: 0, message: 'Edited first line.', previous: 'Something else entirely.' });
+    check(stale.statusCode === 409, 'Edits to a line that changed since loading are rejected');
+
+    const edited = await call('PUT', { index: 0, message: 'Edited first line.', previous: testMessages[0] });
+    check(edited.statusCode === 200 && edited.responseData.messages[0] === 'Edited first line.', 'PUT replaces a message by index');
+
+    const outOfRange = await call('PUT', { index: 99, message: 'Nowhere to go.' });
+    check(outOfRange.statusCode === 404, 'PUT to a missing index returns 404');
+
+    const deleted = await call('DELETE', undefined, { index: '1' });
+    check(deleted.statusCode === 200 && !deleted.responseData.messages.includes(testMessages[1]), 'DELETE removes a message (index from the query string)');
+
+    const tagged = await call('POST', { message: 'A line in a new category.', category: 'haiku' });
+    const taggedFile = await readJSON(path.join(publicDir, 'messages.json'));
+    check(tagged.statusCode === 201 && taggedFile.categories.haiku.length === 1 && taggedFile.messages.length === 5, 'A category turns the list into the tagged format');
+    check(validateMessageFile(taggedFile).success, 'The written file passes validateMessageFile');
+
+    const badCategory = await call('POST', { message: 'Bad category name.', category: '../escape' });
+    check(badCategory.statusCode === 400, 'Invalid category names are rejected');
+
+    await call('DELETE', { index: 0, category: 'haiku' });
+    check(!(await readJSON(path.join(sourceDir, 'messages.json'))).categories.haiku, 'Deleting the last line of a category removes the category');
+
+    const concurrent = await Promise.all(
+      ['Concurrent line one.', 'Concurrent line two.', 'Concurrent line three.'].map(message => call('POST', { message }))
+    );
+    const afterConcurrent = await readJSON(path.join(sourceDir, 'messages.json'));
+    check(concurrent.every(res => res.statusCode === 201) && afterConcurrent.messages.filter(m => m.startsWith('Concurrent')).length === 3, 'Concurrent edits are serialized without losing writes');
+
+    const patch = await call('PATCH', { message: 'Nope.' });
+    check(patch.statusCode === 405, 'Unsupported methods return 405');
+
+    console.log('\n🧪 Testing write access...\n');
+
+    const before = await fs.readFile(path.join(sourceDir, 'messages.json'), 'utf8');
+    const wrongToken = await call('POST', { message: 'Written without the token.' }, undefined, { token: 'not-the-token' });
+    check(wrongToken.statusCode === 401, 'Writes with a wrong token are rejected with 401');
+    const noToken = await call('DELETE', { index: 0 }, undefined, { token: '' });
+    check(noToken.statusCode === 401, 'Writes without a token are rejected with 401');
+    const remote = await call('PUT', { index: 0, message: 'Written from the LAN.' }, undefined, { address: '192.168.1.20' });
+    check(remote.statusCode === 403, 'Writes from another machine are rejected with 403');
+    check([wrongToken, noToken, remote].every(res => !('Access-Control-Allow-Origin' in res.headers)), 'Rejected writes send no CORS headers');
+    check(await fs.readFile(path.join(sourceDir, 'messages.json'), 'utf8') === before, 'Rejected writes leave messages.json alone');
+
+    delete process.env[CONTROL_TOKEN_ENV];
+    const disabled = await call('POST', { message: 'Written while the control API is off.' });
+    check(disabled.statusCode === 503, 'Writes are refused while no control token is configured');
+    const readable = await call('GET', undefined, undefined, { token: '', address: '192.168.1.20' });
+    check(readable.statusCode === 200 && readable.headers['Access-Control-Allow-Origin'] === '*', 'GET stays open without a token');
+    process.env[CONTROL_TOKEN_ENV] = TOKEN;
+
+    const preflight = await call('OPTIONS');
+    check(preflight.headers['Access-Control-Allow-Methods'] === 'GET, OPTIONS', 'Preflights only allow GET from other origins');
+
+    await fs.writeFile(path.join(sourceDir, 'messages.json'), JSON.stringify(['Only line left.']));
+    const lastLine = await call('DELETE', { index: 0 });
+    check(lastLine.statusCode === 400 && JSON.parse(await fs.readFile(path.join(sourceDir, 'messages.json'), 'utf8')).length === 1, 'An edit that would leave the file invalid is not written');
+  } finally {
+    await fs.rm(sourceDir, { recursive: true, force: true });
+    await fs.rm(publicDir, { recursive: true, force: true });
+  }
+
+  reportChecks('Mode messages API tests passed!');
+}
+
+testModeMessagesApi().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
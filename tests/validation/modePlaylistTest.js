@@ -0,0 +1,131 @@
+/**
+ * Test script for the automatic mode rotation playlist
+ *
+ * Checks ordered and shuffled cycles, per-mode dwell times, persistence
+ * through SettingsManager across a reload (including the remaining dwell
+ * time) and skipping modes that fail to load.
+ * Run with: node tests/validation/modePlaylistTest.js
+ */
+
+import SettingsManager from '../../utils/SettingsManager.js';
+import ModePlaylist, {
+  normalizePlaylist,
+  advancePlaylist,
+  getDwellMinutes
+} from '../../utils/ModePlaylist.js';
+import { createSeededRandom } from '../../utils/seededRandom.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+const entries = [
+  { mode: 'zen-monk', dwellMinutes: 15 },
+  { mode: 'chaos' },
+  { mode: 'therapist' }
+];
+
+/**
+ * Play a playlist for a number of switches
+ */
+function playSequence(playlist, count, random) {
+  const modes = [];
+  let state = playlist;
+  for (let i = 0; i < count; i++) {
+    const next = advancePlaylist(state, random);
+    modes.push(next.mode);
+    state = next.playlist;
+  }
+  return { modes, state };
+}
+
+async function testModePlaylist() {
+  console.log('🧪 Testing playlist order...\n');
+
+  const ordered = normalizePlaylist({ entries, active: true });
+  check(JSON.stringify(playSequence(ordered, 4).modes) === '["zen-monk","chaos","therapist","zen-monk"]', 'Ordered playlist loops in order');
+  check(getDwellMinutes(ordered, 'zen-monk') === 15 && getDwellMinutes(ordered, 'chaos') === 10, 'Per-mode dwell time falls back to the playlist default');
+
+  const shuffled = normalizePlaylist({ entries, order: 'shuffle', active: true });
+  const { modes: shuffledModes } = playSequence(shuffled, 30, createSeededRandom(7));
+  const cycles = [...Array(10).keys()].map(i => shuffledModes.slice(i * 3, i * 3 + 3));
+  check(cycles.every(cycle => new Set(cycle).size === 3), 'Shuffled playlist plays every mode once per cycle');
+  check(shuffledModes.every((mode, i) => i === 0 || mode !== shuffledModes[i - 1]), 'Shuffled cycles never repeat a mode back-to-back');
+
+  const { state: midway } = playSequence(ordered, 2);
+  const edited = { ...midway, entries: [...entries, { mode: 'spooky' }] };
+  check(advancePlaylist(edited).mode === 'therapist', 'Adding an entry continues after the current mode');
+
+  check(normalizePlaylist({ entries: [], active: true }).active === false, 'An empty playlist cannot be active');
+  check(normalizePlaylist({ entries: [{ mode: 'chaos', dwellMinutes: -5 }] }).entries[0].dwellMinutes === null, 'Invalid dwell times are dropped');
+
+  console.log('\n🧪 Testing playlist runtime...\n');
+
+  const settingsManager = new SettingsManager();
+  settingsManager.setPlaylist({ entries, order: 'ordered', active: true, queue: [], position: -1 });
+
+  const switched = [];
+  const timers = [];
+  const realSetTimeout = global.setTimeout;
+  const realClearTimeout = global.clearTimeout;
+  global.setTimeout = (callback, ms) => {
+    timers.push({ callback, ms });
+    return timers.length;
+  };
+  global.clearTimeout = () => {};
+
+  try {
+    const playlist = new ModePlaylist({
+      settingsManager,
+      switchToMode: async (mode) => {
+        if (mode === 'chaos') throw new Error('failed to load');
+        switched.push(mode);
+      },
+      onError: () => {}
+    });
+
+    await playlist.refresh();
+    check(switched[0] === 'zen-monk' && timers[0].ms === 15 * 60 * 1000, 'Starting switches to the first mode and waits its dwell time');
+    check(settingsManager.getPlaylist().nextSwitchAt === playlist.getStatus().nextSwitchAt, 'The switch time is stored with the playlist');
+
+    await timers[0].callback();
+    check(timers[1].ms === 10 * 60 * 1000 && playlist.getStatus().currentMode === 'chaos', 'A mode that fails to load does not stall the playlist');
+
+    await timers[1].callback();
+    check(switched[1] === 'therapist', 'The playlist advances through ModeSwitchController.switchToMode');
+
+    // Simulate a reload: a new runtime resumes the stored position
+    const reloaded = new ModePlaylist({ settingsManager, switchToMode: async (mode) => switched.push(mode) });
+    await reloaded.refresh();
+    check(switched[2] === 'therapist', 'An active playlist resumes its current mode after a reload');
+
+    // The reload happened a minute before the stored switch time
+    settingsManager.setPlaylist({ ...settingsManager.getPlaylist(), nextSwitchAt: Date.now() + 60 * 1000 });
+    await reloaded.refresh();
+    const resumedMs = timers[timers.length - 1].ms;
+    check(switched[3] === 'therapist' && resumedMs > 55 * 1000 && resumedMs <= 60 * 1000, 'A reload keeps the remaining dwell time instead of starting it again');
+
+    settingsManager.setPlaylist({ ...settingsManager.getPlaylist(), nextSwitchAt: Date.now() - 1000 });
+    await reloaded.refresh();
+    check(switched[4] === 'zen-monk' && timers[timers.length - 1].ms === 15 * 60 * 1000, 'A switch time that passed while no window played moves on at once');
+
+    settingsManager.setPlaylist({ ...settingsManager.getPlaylist(), active: false });
+    const timerCount = timers.length;
+    await reloaded.refresh();
+    check(timers.length === timerCount && reloaded.getStatus().active === false, 'A stopped playlist schedules nothing');
+  } finally {
+    global.setTimeout = realSetTimeout;
+    global.clearTimeout = realClearTimeout;
+  }
+
+  reportChecks('Mode playlist tests passed!');
+}
+
+testModePlaylist().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
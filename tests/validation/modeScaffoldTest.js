@@ -0,0 +1,76 @@
+/**
+ * Test script for the mode generator (scripts/create-mode.js)
+ *
+ * Runs the scaffolding helpers against in-memory copies of the real source
+ * files: a generated mode must pass validateModeConfig, appear in every
+ * registration file, and --remove must restore the files byte for byte.
+ * Run with: node tests/validation/modeScaffoldTest.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { validateModeConfig } from '../../pages/api/modes.js';
+import { validateMessageFile } from '../../utils/messageValidation.js';
+import {
+  REGISTRATION_FILES,
+  toModeId,
+  normalizeScaffoldOptions,
+  buildModeFiles,
+  buildThemeConfig,
+  findRegistrations,
+  registerMode,
+  unregisterMode
+} from '../../utils/modeScaffold.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const sources = Object.fromEntries(
+  Object.entries(REGISTRATION_FILES).map(([key, file]) => [key, fs.readFileSync(path.join(process.cwd(), file), 'utf8')])
+);
+
+function testModeScaffold() {
+  console.log('🧪 Testing generator options...\n');
+
+  check(toModeId("  Captain's Log 2000! ") === 'captains-log-2000', 'Names become mode ids');
+
+  const { errors: badErrors } = normalizeScaffoldOptions({ name: 'Broken', primary: 'blue', popupStyle: 'banner' });
+  check(badErrors.length === 2, 'Invalid colours and popup styles are rejected');
+
+  const { options, errors } = normalizeScaffoldOptions({ name: "Space Pirate's Cove", primary: '#0CF', popupStyle: 'speechBubble' });
+  check(errors.length === 0 && options.id === 'space-pirates-cove' && options.prefix === 'SpacePiratesCove', 'Valid options get an id and component prefix');
+  check(options.primary === '#00ccff' && /^#[0-9a-f]{6}$/.test(options.secondary) && /^#[0-9a-f]{6}$/.test(options.background), 'Colours are normalized and missing ones derived');
+
+  console.log('\n🧪 Testing generated files...\n');
+
+  const files = buildModeFiles(options);
+  const config = JSON.parse(files['config.json']);
+  const validated = validateModeConfig(config, options.id, 'generated');
+  check(validated.name === config.name && validated.popupStyle === 'speechBubble' && validated.sceneProps.primaryColor === '#00ccff', 'Generated config passes validateModeConfig unchanged');
+  check(validateMessageFile(JSON.parse(files['messages.json'])).success, 'Generated messages pass validateMessageFile');
+  check(/function SpacePiratesCoveScene\(/.test(files['scene.js']) && /export default SpacePiratesCoveCharacter;/.test(files['character.js']), 'Scene and character components are named after the mode');
+
+  const theme = buildThemeConfig(options);
+  check(theme.primaryLight !== theme.primary && theme.glow === 'rgba(0, 204, 255, 0.5)', 'Theme colours are derived from the primary colour');
+
+  console.log('\n🧪 Testing registration...\n');
+
+  check(findRegistrations(sources, options.id).length === 0, 'The test mode is not registered yet');
+
+  const registered = registerMode(sources, options);
+  check(findRegistrations(registered, options.id).length === Object.keys(REGISTRATION_FILES).length, 'Every registration file mentions the new mode');
+  check(registered.registry.includes("import SpacePiratesCoveScene from '../modes/space-pirates-cove/scene.js';") && registered.registry.includes('    messages: SpacePiratesCoveMessages\n  }\n};'), 'modeRegistry.js imports and maps the components');
+  check(registered.themeManager.includes("name: 'Space Pirate\\'s Cove'"), 'ThemeManager names are escaped');
+  check(registered.themeCss.includes('.mode-button[data-mode="space-pirates-cove"] {\n  --mode-color: #00ccff;'), 'modeThemes.css gets the mode button variables');
+  check(/'space pirate\\'s cove': 'space-pirates-cove',\n\s*\n\s*\/\/ Partial matches/.test(registered.commandParser), 'CommandParser full names stay ahead of partial matches');
+  check(registered.switchController.includes("      'spooky',\n      'space-pirates-cove'\n    ];"), 'ModeSwitchController lists the mode as available');
+
+  const removed = unregisterMode(registered, options.id);
+  check(Object.keys(sources).every(key => removed[key] === sources[key]), '--remove restores every file byte for byte');
+
+  const withoutSpooky = unregisterMode(sources, 'spooky');
+  check(findRegistrations(withoutSpooky, 'spooky').length === 0, 'An existing mode can be unregistered');
+  check(withoutSpooky.registry.includes("    messages: WholesomeGrandmaMessages\n  }\n};"), 'The previous registry entry loses its trailing comma');
+
+  reportChecks('Mode scaffold tests passed!');
+}
+
+testModeScaffold();
@@ -0,0 +1,133 @@
+/**
+ * Test script for the modes/ vs public/modes/ consistency check
+ *
+ * Builds both trees in a temporary directory, drifts them in different ways
+ * and checks the field-level report, syncing in both directions, pruning and
+ * the modeSync block of /api/modes?cacheStatus=true.
+ * Run with: node tests/validation/modeSyncTest.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import modesHandler from '../../pages/api/modes.js';
+import { diffJSON, diffModeTrees, syncModeTrees } from '../../utils/modeSync.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const config = {
+  id: 'sync-test',
+  name: 'Sync Test',
+  popupStyle: 'overlay',
+  minDelaySeconds: 10,
+  maxDelaySeconds: 30,
+  sceneProps: { bgColor: '#000000', primaryColor: '#00ff41' }
+};
+const messages = ['One line.', 'Two lines.', 'Three lines.'];
+
+async function writeJSON(root, tree, modeId, file, data) {
+  const dir = path.join(root, tree, modeId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, file), JSON.stringify(data, null, 2));
+}
+
+async function readJSON(root, tree, modeId, file) {
+  return JSON.parse(await fs.readFile(path.join(root, tree, modeId, file), 'utf8'));
+}
+
+/**
+ * Mock request and response for testing
+ */
+function createMockReqRes(query = {}) {
+  const req = { method: 'GET', query, headers: {} };
+  const res = {
+    headers: {},
+    statusCode: 200,
+    responseData: null,
+
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.responseData = data; },
+    end() {}
+  };
+
+  return { req, res };
+}
+
+async function testModeSync() {
+  console.log('🧪 Testing field diffs...\n');
+
+  check(diffJSON(config, config).length === 0, 'Identical values have no differences');
+  check(JSON.stringify(diffJSON(config, { ...config, sceneProps: { ...config.sceneProps, bgColor: '#111111' }, extra: 1 })) === '["sceneProps.bgColor","extra"]', 'Nested and added fields are reported by path');
+  check(JSON.stringify(diffJSON(messages, [...messages.slice(0, 2), 'Changed.', 'Added.'])) === '["[2]","[3]"]', 'Array differences are reported by index');
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'vibescreen-sync-'));
+  const publicTree = path.join('public', 'modes');
+
+  try {
+    for (const tree of ['modes', publicTree]) {
+      await writeJSON(root, tree, 'sync-test', 'config.json', config);
+      await writeJSON(root, tree, 'sync-test', 'messages.json', messages);
+    }
+
+    console.log('\n🧪 Testing tree diffs...\n');
+
+    const clean = await diffModeTrees({ root });
+    check(clean.inSync && clean.summary.checked === 1, 'Matching trees are in sync');
+
+    await writeJSON(root, publicTree, 'sync-test', 'config.json', { ...config, minDelaySeconds: 5 });
+    await fs.writeFile(path.join(root, 'modes', 'sync-test', 'messages.json'), JSON.stringify(messages));
+    await writeJSON(root, 'modes', 'new-mode', 'config.json', { ...config, id: 'new-mode' });
+    await writeJSON(root, publicTree, 'gone-mode', 'config.json', { ...config, id: 'gone-mode' });
+
+    const drifted = await diffModeTrees({ root });
+    const syncTest = drifted.modes.find(mode => mode.id === 'sync-test');
+    const configEntry = syncTest?.files.find(entry => entry.file === 'config.json');
+    check(!drifted.inSync && configEntry?.status === 'drifted' && configEntry.fields[0] === 'minDelaySeconds', 'Drifted fields are reported per file');
+    check(syncTest?.files.find(entry => entry.file === 'messages.json')?.status === 'formatting', 'Formatting-only differences are reported separately');
+    check(drifted.summary.missingPublic === 1 && drifted.summary.missingSource === 1, 'Modes missing on either side are counted');
+
+    console.log('\n🧪 Testing sync...\n');
+
+    const preview = await syncModeTrees({ root, from: 'modes', dryRun: true });
+    check(preview.copied.length === 3 && (await readJSON(root, publicTree, 'sync-test', 'config.json')).minDelaySeconds === 5, 'A dry run changes nothing');
+
+    const fromModes = await syncModeTrees({ root, from: 'modes' });
+    check((await readJSON(root, publicTree, 'sync-test', 'config.json')).minDelaySeconds === 10, 'Syncing from modes/ overwrites the public copy');
+    check((await readJSON(root, publicTree, 'new-mode', 'config.json')).id === 'new-mode', 'Syncing from modes/ generates missing public copies');
+    check(fromModes.skipped.length === 1 && (await diffModeTrees({ root })).summary.missingSource === 1, 'Public-only modes are kept unless pruning');
+
+    const backup = JSON.parse(await fs.readFile(path.join(root, publicTree, 'sync-test', 'config.json.bak'), 'utf8'));
+    check(backup.minDelaySeconds === 5, 'Overwritten files are backed up');
+
+    await syncModeTrees({ root, from: 'modes', prune: true });
+    const pruned = await diffModeTrees({ root });
+    check(pruned.inSync && !(await fs.readdir(path.join(root, publicTree))).includes('gone-mode'), 'Pruning removes modes that only exist in public/modes');
+
+    await writeJSON(root, publicTree, 'sync-test', 'messages.json', [...messages, 'Added in public.']);
+    await syncModeTrees({ root, from: 'public' });
+    check((await readJSON(root, 'modes', 'sync-test', 'messages.json')).length === 4, 'Syncing from public/modes copies the other way');
+
+    await fs.writeFile(path.join(root, 'modes', 'sync-test', 'scene.yaml'), 'scene:\n  objects: []\n');
+    const yamlDrift = await diffModeTrees({ root });
+    check(yamlDrift.modes[0]?.files.some(entry => entry.file === 'scene.yaml' && entry.status === 'missing-public'), 'YAML scene files are compared too');
+    await syncModeTrees({ root, from: 'modes' });
+    check((await diffModeTrees({ root })).inSync, 'YAML scene files are copied to public/modes');
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+
+  console.log('\n🧪 Testing /api/modes?cacheStatus=true...\n');
+
+  const { req, res } = createMockReqRes({ cacheStatus: 'true' });
+  await modesHandler(req, res);
+  const modeSync = res.responseData?.modeSync;
+  check(res.statusCode === 200 && modeSync && typeof modeSync.inSync === 'boolean' && modeSync.summary.checked > 0, 'cacheStatus reports the mode sync state');
+  check(modeSync?.inSync === true, 'The repository trees are in sync');
+
+  reportChecks('Mode sync tests passed!');
+}
+
+testModeSync().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
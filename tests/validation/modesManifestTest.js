@@ -0,0 +1,147 @@
+/**
+ * Test script for the static-export mode manifest
+ *
+ * Builds public/modes-manifest.json with scripts/build-modes-manifest.js in a
+ * temporary project and checks that it matches /api/modes (modes and ETag),
+ * that both change together when a mode is edited, and that fetchModes reads
+ * the API on the dev server and the manifest in a static export, including
+ * user mode discovery and unchanged lists.
+ * Run with: node tests/validation/modesManifestTest.js
+ */
+
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fetchModes, MODES_MANIFEST_URL } from '../../utils/modeCatalog.js';
+import { discoverUserModes, getUserModes } from '../../utils/userModeLoader.js';
+import { withNextApi } from '../utils/apiTestServer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const run = promisify(execFile);
+const repoRoot = process.cwd();
+const script = path.join(repoRoot, 'scripts', 'build-modes-manifest.js');
+
+// A project with two built-in modes and a declarative user mode
+const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vibescreen-manifest-'));
+const manifestPath = path.join(projectDir, 'public', 'modes-manifest.json');
+['zen-monk', 'chaos'].forEach(modeId => {
+  fs.cpSync(path.join(repoRoot, 'modes', modeId), path.join(projectDir, 'modes', modeId), { recursive: true });
+});
+fs.mkdirSync(path.join(projectDir, 'modes', 'desk-plant'));
+fs.writeFileSync(path.join(projectDir, 'modes', 'desk-plant', 'config.json'), JSON.stringify({ name: 'Desk Plant' }));
+fs.writeFileSync(path.join(projectDir, 'modes', 'desk-plant', 'scene.json'), JSON.stringify({ scene: { objects: [] } }));
+
+/**
+ * Run the manifest script in the test project
+ */
+async function buildManifest(args = []) {
+  try {
+    const { stdout } = await run(process.execPath, [script, ...args], { cwd: projectDir, timeout: 20000 });
+    return { code: 0, output: stdout };
+  } catch (error) {
+    return { code: error.code, output: `${error.stdout}${error.stderr}` };
+  }
+}
+
+const readManifest = () => JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+const byId = (modes) => JSON.stringify([...modes].sort((a, b) => a.id.localeCompare(b.id)));
+
+/**
+ * fetch for a static export: files under public/, no API routes
+ */
+function staticFetch(requests = []) {
+  return async (url) => {
+    requests.push(url);
+    try {
+      const content = fs.readFileSync(path.join(projectDir, 'public', url), 'utf8');
+      return { ok: true, status: 200, headers: new Headers(), json: async () => JSON.parse(content) };
+    } catch (error) {
+      return { ok: false, status: 404, headers: new Headers(), json: async () => { throw new SyntaxError('Unexpected token <'); } };
+    }
+  };
+}
+
+async function testModesManifest() {
+  console.log('🧪 Testing the manifest build...\n');
+
+  const built = await buildManifest();
+  check(built.code === 0 && fs.existsSync(manifestPath), `The script writes public/modes-manifest.json${built.code ? ` (${built.output.trim()})` : ''}`);
+
+  const manifest = readManifest();
+  check(manifest.modesFound === 3 && manifest.status === 'success' && manifest.apiVersion === '1.0', 'The manifest has the /api/modes payload fields');
+  check(manifest.modes.find(mode => mode.id === 'desk-plant')?.declarative === true, 'User modes keep their declarative flag');
+  check((await buildManifest(['--check'])).code === 0, '--check passes right after a build');
+
+  console.log('\n🧪 Testing against /api/modes...\n');
+
+  process.chdir(projectDir);
+  process.env.MODES_WATCH = 'false';
+  const { default: modesHandler } = await import('../../pages/api/modes.js');
+  const server = http.createServer(withNextApi(modesHandler));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  // The dev server: API routes plus the files under public/
+  const serverFetch = (requests = []) => (url, options) => {
+    requests.push(url);
+    return url.startsWith('/api/') ? fetch(`${base}${url}`, options) : staticFetch()(url);
+  };
+
+  const apiResponse = await fetch(`${base}/api/modes`);
+  const apiBody = await apiResponse.json();
+  check(apiResponse.headers.get('ETag') === manifest.etag && apiBody.etag === manifest.etag, 'The API sends the same ETag as the manifest');
+  check(byId(apiBody.modes) === byId(manifest.modes), 'The API lists the same modes');
+  check((await fetch(`${base}/api/modes`, { headers: { 'If-None-Match': manifest.etag } })).status === 304, "The manifest's ETag revalidates against the API");
+
+  const configPath = path.join(projectDir, 'modes', 'chaos', 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(fs.readFileSync(configPath, 'utf8')), name: 'Total Chaos' }));
+  const edited = await (await fetch(`${base}/api/modes?invalidateCache=true`)).json();
+  check(edited.etag !== manifest.etag, 'Editing a mode changes the ETag');
+  check((await buildManifest(['--check'])).code === 1, '--check fails while the manifest is out of date');
+  await buildManifest();
+  check(readManifest().etag === edited.etag, 'Rebuilding brings the manifest back in line with the API');
+
+  console.log('\n🧪 Testing fetchModes...\n');
+
+  const devRequests = [];
+  const dev = await fetchModes({ fetch: serverFetch(devRequests), preferManifest: false });
+  check(dev.source === 'api' && dev.modes.length === 3 && devRequests.length === 1, 'The dev server answers from the API');
+
+  const unchanged = await fetchModes({ fetch: serverFetch(), preferManifest: false, etag: dev.etag });
+  check(unchanged.notModified && unchanged.modes === null, 'An unchanged API list comes back as notModified');
+
+  const staticRequests = [];
+  const exported = await fetchModes({ fetch: staticFetch(staticRequests), preferManifest: true });
+  check(exported.source === 'manifest' && staticRequests.join() === MODES_MANIFEST_URL, 'The static export reads only the manifest');
+  check(byId(exported.modes) === byId(dev.modes) && exported.etag === dev.etag, 'Both sources give the same modes and ETag');
+
+  const fallback = await fetchModes({ fetch: staticFetch(), preferManifest: false });
+  check(fallback.source === 'manifest', 'Without the API the manifest is used');
+
+  const cached = await fetchModes({ fetch: staticFetch(), preferManifest: true, etag: dev.etag });
+  check(cached.notModified && cached.source === 'manifest', 'An unchanged manifest comes back as notModified');
+
+  fs.rmSync(manifestPath);
+  let missing = null;
+  try {
+    await fetchModes({ fetch: staticFetch(), preferManifest: true });
+  } catch (error) {
+    missing = error;
+  }
+  check(Boolean(missing) && missing.message.includes(MODES_MANIFEST_URL), 'With neither source the error names what was tried');
+
+  await buildManifest();
+  const userModes = await discoverUserModes({ fetch: staticFetch(), preferManifest: true });
+  check(userModes.some(mode => mode.id === 'desk-plant') && getUserModes().length === 1, 'User modes are discovered from the manifest');
+
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  process.chdir(repoRoot);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+
+  reportChecks('Modes manifest tests passed!');
+}
+
+testModesManifest();
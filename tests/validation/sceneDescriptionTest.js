@@ -0,0 +1,139 @@
+/**
+ * Test script for the declarative scene description DSL
+ *
+ * Checks scene.json validation (directly and through ComponentInterfaceValidator),
+ * YAML scene files and the behaviour transform math used by the generic renderer.
+ * Run with: node tests/validation/sceneDescriptionTest.js
+ */
+
+import { validateSceneDescription, computeTransform, resolveMaterial, parseSceneFile, isSceneFile } from '../../utils/sceneDescription.js';
+import { ComponentInterfaceValidator } from '../../utils/componentInterfaceValidator.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const validDescription = {
+  version: 1,
+  scene: {
+    lights: [{ type: 'point', position: [5, 5, 5], color: '#ff00ff', intensity: 1.2 }],
+    objects: [
+      {
+        type: 'torus',
+        position: [0, 0, -2],
+        material: { type: 'standard', color: '#ff00ff', emissive: '#330033', wireframe: true },
+        behaviours: [{ type: 'spin', speed: [0, 0.5, 0] }, { type: 'pulse', amplitude: 0.1 }]
+      },
+      {
+        type: 'group',
+        children: [{ type: 'box', color: '#00ffff', behaviours: [{ type: 'orbit', radius: 2, axis: 'y' }] }]
+      }
+    ]
+  },
+  character: {
+    objects: [{ type: 'sphere', scale: 0.8, behaviours: [{ type: 'speak-scale', scale: 1.3 }, { type: 'jitter', amount: 0.02 }] }]
+  }
+};
+
+console.log('🧪 Testing scene description validation...\n');
+
+const validResult = validateSceneDescription(validDescription);
+check(validResult.valid, 'Valid description passes');
+check(validResult.objectCount === 4, 'Object count includes group children');
+
+const invalidResult = validateSceneDescription({
+  scene: {
+    lights: [{ type: 'laser' }],
+    objects: [
+      { type: 'teapot' },
+      { type: 'box', position: [0, 0], material: { type: 'glass', color: 'not a color!' } },
+      { type: 'sphere', behaviours: [{ type: 'wobble' }, { type: 'orbit', axis: 'w', radius: 'big' }] }
+    ]
+  },
+  character: { objects: 'sphere' }
+});
+const errorTypes = invalidResult.errors.map(error => error.type);
+check(!invalidResult.valid, 'Invalid description fails');
+check(errorTypes.includes('UNKNOWN_LIGHT'), 'Unknown light type is reported');
+check(errorTypes.includes('UNKNOWN_PRIMITIVE'), 'Unknown primitive is reported');
+check(errorTypes.includes('INVALID_VECTOR'), 'Malformed vector is reported');
+check(errorTypes.includes('UNKNOWN_MATERIAL'), 'Unknown material is reported');
+check(errorTypes.includes('INVALID_COLOR'), 'Invalid color is reported');
+check(errorTypes.includes('UNKNOWN_BEHAVIOUR'), 'Unknown behaviour is reported');
+check(errorTypes.includes('INVALID_BEHAVIOUR_PARAM'), 'Invalid behaviour parameter is reported');
+check(errorTypes.includes('MISSING_OBJECTS'), 'Non-array objects is reported');
+check(invalidResult.errors.every(error => error.message && error.guidance), 'Every error carries a message and guidance');
+
+const warningResult = validateSceneDescription({
+  scene: { objects: [{ type: 'box', behaviours: [{ type: 'speak-scale' }] }] }
+});
+const warningTypes = warningResult.warnings.map(warning => warning.type);
+check(warningResult.valid, 'Warnings alone do not fail validation');
+check(warningTypes.includes('SPEAK_SCALE_OUTSIDE_CHARACTER'), 'speak-scale outside the character is a warning');
+check(warningTypes.includes('MISSING_SECTION'), 'Missing character section is a warning');
+
+console.log('\n🧪 Testing YAML scene files...\n');
+
+const yamlDescription = `version: 1
+scene:
+  lights:
+    - { type: point, position: [5, 5, 5], color: "#ff00ff", intensity: 1.2 }
+  objects:
+    - type: torus
+      position: [0, 0, -2]
+      material: { type: standard, color: "#ff00ff", emissive: "#330033", wireframe: true }
+      behaviours:
+        - { type: spin, speed: [0, 0.5, 0] }
+        - { type: pulse, amplitude: 0.1 }
+    - type: group
+      children:
+        - { type: box, color: "#00ffff", behaviours: [{ type: orbit, radius: 2, axis: y }] }
+character:
+  objects:
+    - type: sphere
+      scale: 0.8
+      behaviours: [{ type: speak-scale, scale: 1.3 }, { type: jitter, amount: 0.02 }]
+`;
+check(JSON.stringify(parseSceneFile('scene.yaml', yamlDescription)) === JSON.stringify(validDescription), 'scene.yaml parses to the same description as scene.json');
+check(validateSceneDescription(parseSceneFile('scene.yml', yamlDescription)).valid, 'A YAML description validates');
+check(isSceneFile('scene.yml') && isSceneFile('scene.json') && !isSceneFile('scene.js'), 'scene.json, scene.yaml and scene.yml are scene files');
+check(parseSceneFile('scene.yaml', 'created: 2024-01-01').created === '2024-01-01', 'YAML keeps plain JSON values (no dates)');
+let yamlError = null;
+try {
+  parseSceneFile('scene.yaml', 'scene: [unclosed');
+} catch (error) {
+  yamlError = error;
+}
+check(Boolean(yamlError) && yamlError.message.includes('scene.yaml'), 'Broken YAML throws an error that names the file');
+
+console.log('\n🧪 Testing ComponentInterfaceValidator integration...\n');
+
+const validator = new ComponentInterfaceValidator({ logLevel: 'error' });
+const structure = validator.validateModeStructure('test-dsl-mode', {
+  scene: function TestDslModeScene({ sceneProps }) { return sceneProps; },
+  character: function TestDslModeCharacter({ onSpeak }) { return onSpeak; },
+  config: { popupStyle: 'overlay', minDelaySeconds: 5, maxDelaySeconds: 15 },
+  sceneDescription: { scene: { objects: [{ type: 'teapot' }] }, character: { objects: [] } }
+});
+check(!structure.valid, 'Mode structure with an invalid scene description fails');
+check(Boolean(structure.components.sceneDescription), 'Scene description result is reported per component');
+
+console.log('\n🧪 Testing behaviour transforms...\n');
+
+const orbiting = computeTransform({ position: [1, 0, 0], behaviours: [{ type: 'orbit', radius: 2, speed: 1 }] }, { time: 0 });
+check(orbiting.position[0] === 3 && orbiting.position[2] === 0, 'Orbit offsets position around the base position');
+
+const pulsing = computeTransform({ behaviours: [{ type: 'pulse', amplitude: 0.5, speed: 1 }] }, { time: Math.PI / 2 });
+check(Math.abs(pulsing.scale[0] - 1.5) < 1e-9, 'Pulse scales by 1 + amplitude at its peak');
+
+const spinning = computeTransform({ behaviours: [{ type: 'spin', speed: 2 }] }, { time: 1.5, speedMultiplier: 2 });
+check(spinning.rotation[1] === 6 && spinning.rotation[0] === 0, 'Scalar spin rotates around y using the speed multiplier');
+
+const jittered = computeTransform({ behaviours: [{ type: 'jitter', amount: 0.1 }] }, { random: () => 1 });
+check(Math.abs(jittered.position[0] - 0.1) < 1e-9, 'Jitter uses the injected random source');
+
+const idle = computeTransform({ behaviours: [{ type: 'speak-scale', scale: 2, speed: 1 }] }, { time: Math.PI / 2, speaking: false });
+const speaking = computeTransform({ behaviours: [{ type: 'speak-scale', scale: 2, speed: 1 }] }, { time: Math.PI / 2, speaking: true });
+check(idle.scale[0] === 1 && speaking.scale[0] === 2, 'speak-scale only applies while speaking');
+
+const shorthand = resolveMaterial({ color: '#123456', wireframe: true, opacity: 0.5 });
+check(shorthand.type === 'standard' && shorthand.color === '#123456' && shorthand.transparent, 'Color/wireframe/opacity shorthand resolves to a standard material');
+
+reportChecks('Scene description tests passed!');
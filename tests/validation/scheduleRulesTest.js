@@ -0,0 +1,146 @@
+/**
+ * Test script for schedule rules (quiet hours, focus blocks, bursts and
+ * per-mode weekday overrides) and their effect on MessageScheduler cadence.
+ * Run with: node tests/validation/scheduleRulesTest.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import MessageScheduler from '../../utils/MessageScheduler.js';
+import SettingsManager from '../../utils/SettingsManager.js';
+import { validateAndSanitizeConfig, validateConfigStructure } from '../../utils/configValidation.js';
+import {
+  parseDays,
+  parseTimeRange,
+  normalizeSchedule,
+  mergeSchedules,
+  isWindowActive,
+  evaluateSchedule
+} from '../../utils/scheduleRules.js';
+import { check, reportChecks } from '../utils/check.js';
+
+// Master messages are not needed here
+global.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) });
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+// 2024-06-07 is a Friday, 2024-06-08 a Saturday
+const at = (day, time) => new Date(`2024-06-${day}T${time}:00`);
+
+const fileConfig = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'data', 'global-config.json'), 'utf8'));
+
+// The example schedule from the README
+const exampleSchedule = {
+  enabled: true,
+  quietHours: [{ name: 'night', start: '22:00', end: '07:00' }],
+  focusBlocks: [{ name: 'morning focus', start: '09:00', end: '12:00', days: 'weekdays', frequencyMultiplier: 0.3 }],
+  bursts: [{ name: 'lunch', start: '12:00', end: '13:00', frequencyMultiplier: 3 }],
+  modeOverrides: {
+    'zen-monk': { weekends: { frequencyMultiplier: 0.5 } },
+    chaos: { fri: { frequencyMultiplier: 2 } }
+  }
+};
+
+async function testScheduleRules() {
+  console.log('🧪 Testing schedule parsing...\n');
+
+  check(JSON.stringify(parseDays('weekdays')) === '[1,2,3,4,5]' && JSON.stringify(parseDays('sat,Sunday')) === '[0,6]', 'Day groups and names parse');
+  check(parseDays('someday') === null && parseTimeRange('25:00-07:00') === null, 'Invalid days and times are rejected');
+
+  const { schedule: shippedSchedule, errors: fileErrors } = normalizeSchedule(fileConfig.schedule);
+  check(fileErrors.length === 0, 'global-config.json schedule is valid');
+  const shippedEffects = ['07', '08'].flatMap(day => ['00:30', '10:00', '12:30', '23:00'].map(time => evaluateSchedule(shippedSchedule, { mode: 'chaos', now: at(day, time) })));
+  check(shippedEffects.every(effect => !effect.quiet && effect.frequencyMultiplier === 1), 'The shipped schedule leaves the cadence alone');
+
+  const { schedule: example, errors: exampleErrors } = normalizeSchedule(exampleSchedule);
+  check(exampleErrors.length === 0, 'The README example schedule is valid');
+  check(validateAndSanitizeConfig({ ...fileConfig, schedule: exampleSchedule }).schedule.quietHours.length === example.quietHours.length, 'configValidation keeps the schedule block');
+
+  const { schedule: broken, errors } = normalizeSchedule({ quietHours: [{ start: '9am', end: '10:00' }], bursts: 'lunch' });
+  check(broken.quietHours.length === 0 && errors.length === 2, 'Invalid rules are dropped and reported');
+  check(validateConfigStructure({ schedule: { focusBlocks: [{}] } }).warnings.some(w => w.includes('focusBlocks')), 'Config validation warns about invalid rules');
+
+  console.log('\n🧪 Testing rule evaluation...\n');
+
+  const night = { start: '22:00', end: '07:00', days: 'daily' };
+  check(isWindowActive(night, at('07', '23:30')) && isWindowActive(night, at('08', '06:59')) && !isWindowActive(night, at('08', '07:00')), 'Quiet hours wrap past midnight');
+
+  const weekdayNight = { start: '22:00', end: '07:00', days: 'fri' };
+  check(isWindowActive(weekdayNight, at('08', '02:00')) && !isWindowActive(weekdayNight, at('08', '23:00')), 'Wrapped windows belong to the day they start on');
+
+  const quiet = evaluateSchedule(example, { now: at('07', '23:00') });
+  check(quiet.quiet && quiet.resumeAt.getTime() === at('08', '07:00').getTime(), 'Quiet hours resume at the window end');
+
+  const focus = evaluateSchedule(example, { now: at('07', '10:00') });
+  check(!focus.quiet && focus.frequencyMultiplier === 0.3, 'Focus block lowers the message frequency on weekdays');
+  check(evaluateSchedule(example, { now: at('08', '10:00') }).frequencyMultiplier === 1, 'Weekday focus block is inactive on Saturday');
+  check(evaluateSchedule(example, { now: at('08', '12:30') }).frequencyMultiplier === 3, 'Lunch burst raises the message frequency');
+
+  check(evaluateSchedule(example, { mode: 'chaos', now: at('07', '15:00') }).frequencyMultiplier === 2, 'Mode override applies on its weekday');
+  check(evaluateSchedule(example, { mode: 'chaos', now: at('08', '15:00') }).frequencyMultiplier === 1, 'Mode override is ignored on other days');
+
+  const dayOff = normalizeSchedule({ modeOverrides: { chaos: { weekends: { frequencyMultiplier: 2 }, sat: { quiet: true } } } }).schedule;
+  const satChaos = evaluateSchedule(dayOff, { mode: 'chaos', now: at('08', '15:00') });
+  check(satChaos.quiet && satChaos.resumeAt.getTime() === at('09', '00:00').getTime(), 'Single-day override wins over a day group');
+
+  const off = mergeSchedules(exampleSchedule, { enabled: false });
+  check(evaluateSchedule(normalizeSchedule(off).schedule, { now: at('07', '23:00') }).quiet === false, 'Disabled schedule never goes quiet');
+
+  const merged = mergeSchedules(exampleSchedule, { modeOverrides: { chaos: { fri: null }, 'zen-monk': { mon: { quiet: true } } } });
+  check(!merged.modeOverrides.chaos.fri && merged.modeOverrides['zen-monk'].weekends && merged.modeOverrides['zen-monk'].mon, 'Overrides merge per mode and day; null removes');
+
+  console.log('\n🧪 Testing MessageScheduler cadence...\n');
+
+  const settingsManager = new SettingsManager();
+  let now = at('07', '23:00');
+  const scheduler = new MessageScheduler({
+    onError: () => {},
+    globalConfig: { schedule: exampleSchedule },
+    settingsManager,
+    random: () => 0.5,
+    now: () => now
+  });
+
+  const delays = [];
+  const realSetTimeout = global.setTimeout;
+  global.setTimeout = (callback, ms) => {
+    delays.push(ms);
+    return realSetTimeout(() => {}, 0);
+  };
+
+  try {
+    scheduler.currentMode = 'corporate-ai';
+    scheduler.currentModeConfig = { minDelaySeconds: 20, maxDelaySeconds: 40, messages: ['hi'] };
+
+    scheduler.scheduleNext();
+    check(delays.pop() === at('08', '07:00').getTime() - now.getTime(), 'Quiet hours wait until they end instead of scheduling a message');
+
+    now = at('08', '15:00');
+    scheduler.scheduleNext();
+    check(delays.pop() === 30000, 'Normal cadence uses the mode delay window');
+
+    now = at('08', '12:15');
+    scheduler.scheduleNext();
+    check(delays.pop() === 10000, 'Lunch burst shortens the delay');
+
+    settingsManager.setScheduleOverrides({ enabled: false });
+    scheduler.scheduleNext();
+    check(delays.pop() === 30000, '!schedule overrides from SettingsManager apply to the scheduler');
+  } finally {
+    global.setTimeout = realSetTimeout;
+    settingsManager.clearScheduleOverrides();
+    scheduler.destroy();
+  }
+
+  reportChecks('Schedule rules tests passed!');
+}
+
+testScheduleRules().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
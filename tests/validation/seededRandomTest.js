@@ -0,0 +1,121 @@
+/**
+ * Test script for the seedable random service
+ *
+ * Checks that the same seed replays the same random streams and the same
+ * MessageScheduler message/delay sequence, and that named streams are
+ * independent of each other.
+ * Run with: node tests/validation/seededRandomTest.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import MessageScheduler from '../../utils/MessageScheduler.js';
+import {
+  setSeed,
+  clearSeed,
+  getSeed,
+  normalizeSeed,
+  getRandomStream,
+  shuffle,
+  initializeSeedFromURL
+} from '../../utils/seededRandom.js';
+import { check, reportChecks } from '../utils/check.js';
+
+// Serve public/ the way the Next.js static server would
+global.fetch = async (url) => {
+  try {
+    const content = await fs.readFile(path.join(process.cwd(), 'public', url), 'utf8');
+    return { ok: true, status: 200, json: async () => JSON.parse(content) };
+  } catch (error) {
+    return { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+  }
+};
+
+const take = (stream, count) => Array.from({ length: count }, () => stream());
+
+/**
+ * Record the next messages and delays the scheduler would produce
+ */
+function recordSequence(scheduler, count) {
+  const sequence = [];
+  for (let i = 0; i < count; i++) {
+    const message = scheduler.selectMessage();
+    scheduler.messageHistory.push(message);
+    sequence.push(`${message}@${scheduler.random().toFixed(6)}`);
+  }
+  return sequence;
+}
+
+async function testSeededRandom() {
+  console.log('🧪 Testing seeded random streams...\n');
+
+  const stream = getRandomStream('test');
+  const other = getRandomStream('other');
+
+  setSeed(42);
+  const first = take(stream, 10);
+  setSeed(42);
+  const interleaved = [];
+  for (let i = 0; i < 10; i++) {
+    interleaved.push(stream());
+    other(); // Consuming another stream must not shift this one
+  }
+  check(JSON.stringify(first) === JSON.stringify(interleaved), 'Same seed replays the same stream, independent of other streams');
+  check(first.every(value => value >= 0 && value < 1), 'Values are in [0, 1)');
+
+  setSeed(43);
+  check(JSON.stringify(take(stream, 10)) !== JSON.stringify(first), 'Different seeds produce different sequences');
+
+  check(normalizeSeed('123') === 123 && normalizeSeed(123) === 123, 'Numeric strings and numbers normalize to the same seed');
+  check(normalizeSeed('bug-1234') === normalizeSeed('bug-1234') && normalizeSeed('') === null, 'Text seeds hash consistently; empty seeds are rejected');
+
+  setSeed(7);
+  const shuffledA = shuffle([1, 2, 3, 4, 5, 6, 7, 8], stream);
+  setSeed(7);
+  const shuffledB = shuffle([1, 2, 3, 4, 5, 6, 7, 8], stream);
+  check(JSON.stringify(shuffledA) === JSON.stringify(shuffledB), 'Shuffles replay for the same seed');
+
+  check(initializeSeedFromURL('?mode=chaos&seed=99') === 99 && getSeed() === 99, '?seed= URL parameter sets the seed');
+  check(initializeSeedFromURL('?seed=bug-1234') === normalizeSeed('bug-1234') && setSeed('bug-1234') === getSeed(), 'Text seeds from the URL and !seed give the same seed');
+
+  clearSeed();
+  check(getSeed() === null && stream() !== stream(), 'Clearing the seed falls back to Math.random');
+
+  console.log('\n🧪 Testing MessageScheduler replay...\n');
+
+  const scheduler = new MessageScheduler({ onError: () => {} });
+  await scheduler.loadMasterMessages();
+
+  try {
+    scheduler.currentMode = 'therapist';
+    scheduler.currentModeConfig = await scheduler.loadModeConfig('therapist');
+
+    setSeed(1234);
+    const runA = recordSequence(scheduler, 25);
+    setSeed(1234);
+    check(scheduler.messageHistory.length === 0, 'Setting the seed resets the repeat history');
+    const runB = recordSequence(scheduler, 25);
+
+    check(JSON.stringify(runA) === JSON.stringify(runB), 'Same seed replays an identical message and delay sequence');
+
+    setSeed(4321);
+    const runC = recordSequence(scheduler, 25);
+    check(JSON.stringify(runA) !== JSON.stringify(runC), 'A different seed gives a different message sequence');
+
+    setSeed(1234);
+    const picksA = scheduler.selectRandomMessages(scheduler.currentModeConfig.messages, 5);
+    setSeed(1234);
+    const picksB = scheduler.selectRandomMessages(scheduler.currentModeConfig.messages, 5);
+    check(JSON.stringify(picksA) === JSON.stringify(picksB), 'selectRandomMessages replays for the same seed');
+  } finally {
+    scheduler.destroy();
+    clearSeed();
+  }
+
+  reportChecks('Seeded random tests passed!');
+}
+
+testSeededRandom().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
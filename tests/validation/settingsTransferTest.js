@@ -0,0 +1,86 @@
+/**
+ * Test script for settings files, migrations and profiles
+ *
+ * Checks the checksummed export format, that edited or truncated files are
+ * rejected, field diffs, 1.0.0 export migration and named profiles.
+ * Run with: node tests/validation/settingsTransferTest.js
+ */
+
+import SettingsManager from '../../utils/SettingsManager.js';
+import {
+  canonicalJson,
+  computeChecksum,
+  createSettingsFile,
+  readSettingsFile,
+  encodeBase64,
+  compareVersions,
+  diffSettings,
+  formatSettingsDiff
+} from '../../utils/settingsTransfer.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+function testSettingsTransfer() {
+  console.log('🧪 Testing settings files...\n');
+
+  check(canonicalJson({ b: 1, a: { d: 2, c: 3 } }) === '{"a":{"c":3,"d":2},"b":1}', 'Canonical JSON sorts keys at every level');
+  check(computeChecksum('vibescreen') === computeChecksum('vibescreen') && computeChecksum('vibescreen') !== computeChecksum('vibescreem'), 'Checksums are stable and change with the content');
+
+  const file = createSettingsFile({ schemaVersion: '1.1.0', settings: { audio: { volume: 0.5 } }, profile: 'night' });
+  const json = JSON.stringify(file, null, 2);
+  const read = readSettingsFile(json);
+  check(read.valid && read.profile === 'night' && read.settings.audio.volume === 0.5, 'A settings file reads back');
+  check(readSettingsFile(encodeBase64(JSON.stringify(file))).valid, 'Base64 export strings read back');
+  const unicode = createSettingsFile({ schemaVersion: '1.1.0', settings: { general: { userName: 'Zoë 🎉' } } });
+  check(readSettingsFile(encodeBase64(JSON.stringify(unicode))).settings?.general?.userName === 'Zoë 🎉', 'Base64 export strings keep non-Latin-1 text');
+
+  const edited = JSON.parse(json);
+  edited.settings.audio.volume = 1;
+  check(readSettingsFile(JSON.stringify(edited)).error.includes('checksum'), 'Edited files fail the checksum');
+  check(!readSettingsFile(json.slice(0, -20)).valid, 'Truncated files are rejected');
+  check(!readSettingsFile(JSON.stringify({ ...file, checksum: undefined })).valid, 'Files without a checksum are rejected');
+
+  check(compareVersions('1.10.0', '1.9.0') > 0 && compareVersions('1.1', '1.1.0') === 0, 'Versions compare numerically');
+
+  const changes = diffSettings({ audio: { volume: 0.3, muted: false } }, { audio: { volume: 0.8, muted: false }, voice: { name: 'Daniel' } });
+  check(JSON.stringify(changes.map(change => change.path)) === '["audio.volume","voice.name"]', 'Diffs list changed leaf fields only');
+  check(formatSettingsDiff(changes).includes('voice.name: (none) → "Daniel"'), 'Diff lines show old and new values');
+
+  console.log('\n🧪 Testing migrations and imports...\n');
+
+  const settingsManager = new SettingsManager();
+  const legacy = btoa(JSON.stringify({ version: '1.0.0', timestamp: 1, settings: { audio: { volume: 0.5 }, visual: { effectsIntensity: 'low' } } }));
+  const preview = settingsManager.previewImport(legacy);
+  check(preview.success && preview.pending && preview.message.includes('Migrated 1.0.0 → 1.1.0'), '1.0.0 export strings are migrated and previewed');
+  check(settingsManager.getSetting('audio.volume') === 0.3, 'Previews do not change settings');
+  check(settingsManager.applyPendingImport().success && settingsManager.getSetting('visual.effectsIntensity') === 'low', '!import apply applies the preview');
+
+  const future = createSettingsFile({ schemaVersion: '9.0.0', settings: {} });
+  check(settingsManager.previewImport(JSON.stringify(future)).message.includes('newer'), 'Files from a newer schema are refused');
+
+  console.log('\n🧪 Testing profiles...\n');
+
+  settingsManager.saveProfile('stream');
+  settingsManager.setSetting('audio.volume', 0.9);
+  const switched = settingsManager.useProfile('stream');
+  check(switched.success && settingsManager.getSetting('audio.volume') === 0.5, 'Switching profiles restores their settings');
+  check(new SettingsManager().getProfiles().active === 'stream', 'Profiles and the active one survive a reload');
+
+  const exported = settingsManager.exportSettingsFile('stream');
+  check(exported.filename.startsWith('vibescreen-settings-stream-') && readSettingsFile(exported.json).profile === 'stream', 'Profiles export as named settings files');
+
+  settingsManager.deleteProfile('stream');
+  check(settingsManager.importConfig(exported.json).success && settingsManager.getProfiles().profiles.stream !== undefined, 'Importing a profile file saves the profile again');
+
+  settingsManager.destroy();
+
+  reportChecks('Settings transfer tests passed!');
+}
+
+testSettingsTransfer();
@@ -356,7 +356,7 @@ test.test('Should provide system information', () => {
   test.assert(systemInfo.hasOwnProperty('performance'), 'Should have performance info');
   test.assert(systemInfo.hasOwnProperty('settings'), 'Should have settings info');
   
-  test.assertEqual(systemInfo.version, '1.0.0', 'Should have correct version');
+  test.assertEqual(systemInfo.version, '1.1.0', 'Should have correct version');
   test.assert(systemInfo.settings.totalSize > 0, 'Should have settings size info');
   
   settingsManager.destroy();
@@ -0,0 +1,43 @@
+/**
+ * Test script for the terminal scripting helpers
+ *
+ * Checks how `;`-chained input is split, that `!alias` and `!startup set`
+ * keep their script bodies whole, and alias/script validation.
+ * Run with: node tests/validation/terminalScriptTest.js
+ */
+
+import {
+  MAX_SCRIPT_COMMANDS,
+  splitCommands,
+  validateScript,
+  parseAliasDefinition,
+  isValidAliasName
+} from '../../utils/terminalScript.js';
+import { check, reportChecks } from '../utils/check.js';
+
+function testTerminalScript() {
+  console.log('🧪 Testing command splitting...\n');
+
+  check(JSON.stringify(splitCommands(' !pause ;; !wait 2;!resume; ')) === JSON.stringify(['!pause', '!wait 2', '!resume']), 'Commands are split on ; and trimmed, empty ones dropped');
+  check(splitCommands('!help').length === 1 && splitCommands('   ').length === 0, 'Single commands and blank input');
+
+  const alias = splitCommands('!volume 0.2; !alias focus = !switch zen monk; !frequency 120');
+  check(alias.length === 2 && alias[1] === '!alias focus = !switch zen monk; !frequency 120', '!alias definitions keep the rest of the line');
+  check(splitCommands('!startup set !switch chaos; !test').length === 1, '!startup set keeps the rest of the line');
+  check(splitCommands('!alias; !startup; !help').length === 3, 'Plain !alias and !startup are still chainable');
+
+  console.log('\n🧪 Testing alias and script validation...\n');
+
+  check(JSON.stringify(parseAliasDefinition('focus = !switch zen monk; !frequency 120')) === JSON.stringify({ name: 'focus', script: '!switch zen monk; !frequency 120' }), 'Alias definitions are parsed into name and script');
+  check(parseAliasDefinition('!Calm=!pause')?.name === 'calm' && parseAliasDefinition('focus') === null, 'Names are lowercased without !, and a missing = is not a definition');
+  check(isValidAliasName('focus-mode') && !isValidAliasName('9lives') && !isValidAliasName('a b'), 'Alias names use letters, digits and dashes');
+
+  check(validateScript('!pause; !resume').valid, 'A list of commands is a valid script');
+  check(validateScript('!pause; resume').error.includes('"resume"'), 'Words without ! are reported');
+  check(!validateScript(' ; ').valid, 'Empty scripts are rejected');
+  check(!validateScript(Array(MAX_SCRIPT_COMMANDS + 1).fill('!test').join(';')).valid, `Scripts over ${MAX_SCRIPT_COMMANDS} commands are rejected`);
+
+  reportChecks('Terminal script tests passed!');
+}
+
+testTerminalScript();
@@ -0,0 +1,82 @@
+/**
+ * Test script for theme selection
+ *
+ * Checks that themes are independent of modes: `visual.theme` puts one
+ * theme on every mode and 'mode' goes back to each mode's palette, custom
+ * themes from public/data/themes.json are completed and registered, and
+ * illegible or clashing custom themes are rejected. Also runs !theme.
+ * Run with: node tests/validation/themeSelectionTest.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import ThemeManager, { normalizeTheme, getCustomThemes, FOLLOW_MODE_THEME } from '../../utils/ThemeManager.js';
+import SettingsManager from '../../utils/SettingsManager.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+// Just enough of the DOM for applyTheme
+const properties = new Map();
+const element = () => ({
+  style: { setProperty: (name, value) => properties.set(name, value) },
+  setAttribute: (name, value) => properties.set(`[${name}]`, String(value)),
+  classList: { add: () => {}, remove: () => {} }
+});
+global.document = { documentElement: element(), body: element() };
+
+const themesFile = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'public', 'data', 'themes.json'), 'utf8'));
+global.fetch = async () => ({ ok: true, json: async () => themesFile });
+
+async function testThemeSelection() {
+  console.log('🧪 Testing custom themes...\n');
+
+  const settingsManager = new SettingsManager();
+  const themeManager = new ThemeManager({ settingsManager, transitionDuration: 1 });
+  themeManager.initialize('zen-monk');
+  check(themeManager.currentTheme === 'zen-monk' && settingsManager.getSetting('visual.theme') === FOLLOW_MODE_THEME, 'By default each mode uses its own palette');
+
+  const { loaded, rejected } = await themeManager.loadCustomThemes();
+  check(rejected.length === 0 && loaded.length === Object.keys(themesFile.themes).length, 'The shipped custom themes all load');
+  check(themeManager.getAvailableThemes().some(theme => theme.id === 'amber-crt' && theme.custom), 'Custom themes are listed next to the built-in ones');
+
+  const completed = normalizeTheme({ name: 'Minimal', primary: '#3399ff' });
+  check(completed.primaryDark && completed.glow && completed.text.primary === '#3399ff' && completed.background.primary === '#000000', 'Missing colors are derived from primary');
+
+  const illegible = themeManager.registerTheme('murky', { name: 'Murky', primary: '#222222', background: '#111111' });
+  check(!illegible.valid && illegible.errors.some(error => error.includes('contrast')) && !themeManager.hasTheme('murky'), 'Illegible custom themes are rejected');
+  check(!themeManager.registerTheme('chaos', { name: 'Mine', primary: '#ffffff' }).valid, 'Built-in themes cannot be replaced');
+  check(!themeManager.registerTheme('Bad Id', { name: 'x', primary: '#ffffff' }).valid, 'Theme ids must be lowercase with hyphens');
+  check(!themeManager.registerTheme('broken', { name: 'Broken', primary: 'blue-ish' }).valid, 'Invalid colors are rejected');
+  check(themeManager.validateTheme('zen-monk').valid, 'Built-in palettes are only warned about');
+  check(Math.abs(themeManager.calculateContrastRatio('#000000', '#ffffff') - 21) < 0.01, 'Contrast uses the WCAG formula');
+
+  console.log('\n🧪 Testing theme selection...\n');
+
+  settingsManager.setSetting('visual.theme', 'corporate-ai');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  check(themeManager.currentTheme === 'corporate-ai', 'Choosing a theme applies it right away');
+  await themeManager.setMode('zen-monk', { immediate: true });
+  check(themeManager.currentTheme === 'corporate-ai' && themeManager.currentMode === 'zen-monk', 'Zen Monk keeps the chosen Corporate AI theme');
+  check(properties.get('--active-mode-color') === themeManager.getThemeConfig('corporate-ai').primary, 'The CSS variables come from the chosen theme');
+
+  settingsManager.setSetting('visual.theme', FOLLOW_MODE_THEME);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  check(themeManager.currentTheme === 'zen-monk', "'mode' goes back to the mode's palette");
+
+  settingsManager.setSetting('visual.theme', 'no-such-theme');
+  check(themeManager.resolveThemeId('chaos') === 'chaos', 'An unknown chosen theme falls back to the mode');
+
+  themeManager.destroy();
+  settingsManager.destroy();
+  getCustomThemes().clear();
+
+  reportChecks('Theme selection tests passed!');
+}
+
+testThemeSelection();
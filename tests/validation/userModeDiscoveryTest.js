@@ -0,0 +1,220 @@
+/**
+ * Test script to verify runtime discovery of user-defined (declarative) modes
+ *
+ * Drops a declarative mode folder into modes/, then checks that /api/modes
+ * flags it as declarative and /api/modes/[id]/definition serves its files
+ * (with the scene in scene.json and in scene.yaml),
+ * then uploads one with PUT, which needs the control token, rejects invalid
+ * configs and writes the validated config to both modes/ and public/modes/. Also checks that user modes whose files change or
+ * disappear are reported stale, so their built components get rebuilt, and
+ * that a stream snapshot registers and unregisters user modes to match.
+ * Run with: node tests/validation/userModeDiscoveryTest.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import modesHandler from '../../pages/api/modes.js';
+import definitionHandler from '../../pages/api/modes/[id]/definition.js';
+import yaml from 'js-yaml';
+import { CONTROL_TOKEN_ENV } from '../../utils/controlServer.js';
+import { registerUserMode, unregisterUserMode, discoverUserModes, onUserModeStale, syncUserModes, isUserMode } from '../../utils/userModeLoader.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const TEST_MODE_ID = 'test-user-mode';
+const UPLOAD_MODE_ID = 'test-uploaded-mode';
+const TOKEN = 'upload-test-token-0123';
+process.env[CONTROL_TOKEN_ENV] = TOKEN;
+
+const testConfig = {
+  id: TEST_MODE_ID,
+  name: 'Test User Mode',
+  popupStyle: 'overlay',
+  minDelaySeconds: 10,
+  maxDelaySeconds: 30,
+  sceneProps: { bgColor: '#000000', primaryColor: '#ff00ff' }
+};
+
+const testMessages = [
+  'Hello from a mode that was never imported.',
+  'No rebuild required for this one.',
+  'Declarative characters are people too.',
+  'I live in a JSON file and I like it.',
+  'The registry does not know my name.'
+];
+
+const testScene = {
+  scene: { objects: [{ type: 'torus', position: [0, 0, -2], color: '#ff00ff', wireframe: true }] },
+  character: { objects: [{ type: 'sphere', scale: 0.8 }] }
+};
+
+/**
+ * Mock request and response for testing
+ */
+function createMockReqRes(method = 'GET', query = {}, body = undefined, auth = {}) {
+  const req = {
+    method,
+    query,
+    headers: { authorization: `Bearer ${auth.token ?? TOKEN}` },
+    socket: { remoteAddress: auth.address || '127.0.0.1' },
+    body
+  };
+  const res = {
+    headers: {},
+    statusCode: 200,
+    responseData: null,
+
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.responseData = data; },
+    end() {}
+  };
+
+  return { req, res };
+}
+
+async function testUserModeDiscovery() {
+  console.log('🧪 Testing user-defined mode discovery...\n');
+
+  const modePath = path.join(process.cwd(), 'modes', TEST_MODE_ID);
+  const uploadPaths = [
+    path.join(process.cwd(), 'modes', UPLOAD_MODE_ID),
+    path.join(process.cwd(), 'public', 'modes', UPLOAD_MODE_ID)
+  ];
+  const upload = { config: { ...testConfig, name: 'Uploaded Mode', minDelaySeconds: 1, unknownField: true }, messages: testMessages, scene: testScene };
+
+  try {
+    // Drop a declarative mode folder into modes/
+    await fs.mkdir(modePath, { recursive: true });
+    await fs.writeFile(path.join(modePath, 'config.json'), JSON.stringify(testConfig, null, 2));
+    await fs.writeFile(path.join(modePath, 'messages.json'), JSON.stringify(testMessages, null, 2));
+    await fs.writeFile(path.join(modePath, 'scene.json'), JSON.stringify(testScene, null, 2));
+
+    // Discovery via /api/modes
+    const discovery = createMockReqRes('GET', { invalidateCache: 'true' });
+    await modesHandler(discovery.req, discovery.res);
+
+    const modes = discovery.res.responseData?.modes || [];
+    const userMode = modes.find(mode => mode.id === TEST_MODE_ID);
+    const builtInMode = modes.find(mode => mode.id === 'chaos');
+
+    check(discovery.res.statusCode === 200, '/api/modes responds with 200');
+    check(Boolean(userMode), 'Dropped-in mode is discovered');
+    check(userMode?.declarative === true, 'Dropped-in mode is flagged as declarative');
+    check(builtInMode?.declarative === false, 'Built-in component modes are not flagged as declarative');
+
+    // Definition via /api/modes/[id]/definition
+    const definition = createMockReqRes('GET', { id: TEST_MODE_ID });
+    await definitionHandler(definition.req, definition.res);
+
+    check(definition.res.statusCode === 200, 'Definition endpoint responds with 200');
+    check(definition.res.responseData?.messages?.length === testMessages.length, 'Definition includes messages');
+    check(definition.res.responseData?.scene?.scene?.objects?.length === 1, 'Definition includes scene description');
+    check(definition.res.responseData?.config?.name === testConfig.name, 'Definition includes validated config');
+
+    // The same mode with its scene in YAML
+    await fs.rm(path.join(modePath, 'scene.json'));
+    await fs.writeFile(path.join(modePath, 'scene.yaml'), yaml.dump(testScene));
+    const yamlDiscovery = createMockReqRes('GET', { invalidateCache: 'true' });
+    await modesHandler(yamlDiscovery.req, yamlDiscovery.res);
+    check(yamlDiscovery.res.responseData?.modes?.find(mode => mode.id === TEST_MODE_ID)?.declarative === true, 'A mode with scene.yaml is flagged as declarative');
+    const revisionOf = (response) => response.res.responseData?.modes?.find(mode => mode.id === TEST_MODE_ID)?.revision;
+    check(Boolean(revisionOf(discovery)) && revisionOf(yamlDiscovery) !== revisionOf(discovery), 'Scene edits change the mode revision and so the list');
+
+    const yamlDefinition = createMockReqRes('GET', { id: TEST_MODE_ID });
+    await definitionHandler(yamlDefinition.req, yamlDefinition.res);
+    check(JSON.stringify(yamlDefinition.res.responseData?.scene) === JSON.stringify(testScene), 'Definition serves the scene from scene.yaml');
+
+    // Unknown mode
+    const missing = createMockReqRes('GET', { id: 'does-not-exist' });
+    await definitionHandler(missing.req, missing.res);
+    check(missing.res.statusCode === 404, 'Unknown mode returns 404');
+
+    // Path traversal attempt
+    const traversal = createMockReqRes('GET', { id: '../pages' });
+    await definitionHandler(traversal.req, traversal.res);
+    check(traversal.res.statusCode === 400, 'Invalid mode id returns 400');
+
+    // Uploads must not replace built-in component modes
+    const overwrite = createMockReqRes('PUT', { id: 'chaos' }, {
+      config: testConfig,
+      messages: testMessages,
+      scene: testScene
+    });
+    await definitionHandler(overwrite.req, overwrite.res);
+    check(overwrite.res.statusCode === 409, 'Upload over a built-in mode is rejected with 409');
+
+    // Uploads need the control token from this machine
+    const wrongToken = createMockReqRes('PUT', { id: UPLOAD_MODE_ID }, upload, { token: 'not-the-token' });
+    await definitionHandler(wrongToken.req, wrongToken.res);
+    check(wrongToken.res.statusCode === 401, 'Upload with a wrong token is rejected with 401');
+
+    const remote = createMockReqRes('PUT', { id: UPLOAD_MODE_ID }, upload, { address: '10.0.0.7' });
+    await definitionHandler(remote.req, remote.res);
+    check(remote.res.statusCode === 403, 'Upload from another machine is rejected with 403');
+    check([wrongToken, remote].every(({ res }) => !('Access-Control-Allow-Origin' in res.headers)), 'Rejected uploads send no CORS headers');
+
+    const badConfig = createMockReqRes('PUT', { id: UPLOAD_MODE_ID }, { ...upload, config: ['not', 'an', 'object'] });
+    await definitionHandler(badConfig.req, badConfig.res);
+    check(badConfig.res.statusCode === 400 && badConfig.res.responseData?.details?.some(detail => detail.startsWith('config: ')), 'Upload with an invalid config is rejected with 400 and the config errors');
+
+    const written = await Promise.all(uploadPaths.map(dir => fs.access(dir).then(() => true, () => false)));
+    check(written.every(exists => !exists), 'Rejected uploads write nothing');
+
+    const preflight = createMockReqRes('OPTIONS', { id: UPLOAD_MODE_ID });
+    await definitionHandler(preflight.req, preflight.res);
+    check(preflight.res.headers['Access-Control-Allow-Methods'] === 'GET, OPTIONS', 'Preflights do not allow PUT from other origins');
+
+    // Accepted uploads land in both trees
+    const uploaded = createMockReqRes('PUT', { id: UPLOAD_MODE_ID }, upload);
+    await definitionHandler(uploaded.req, uploaded.res);
+    check(uploaded.res.statusCode === 201 && uploaded.res.responseData?.config?.name === 'Uploaded Mode', 'Upload with the token is accepted');
+
+    const [source, copy] = await Promise.all(uploadPaths.map(async dir => Promise.all(
+      ['config.json', 'messages.json', 'scene.json'].map(file => fs.readFile(path.join(dir, file), 'utf8'))
+    )));
+    check(source.join() === copy.join() && JSON.parse(copy[0]).id === UPLOAD_MODE_ID, 'Uploads are written to modes/ and public/modes/');
+    const writtenConfig = JSON.parse(source[0]);
+    check(writtenConfig.minDelaySeconds === 5 && !('unknownField' in writtenConfig), 'Uploads write the validated config');
+
+    // Stale components after edits and removals
+    const stale = [];
+    const stopListening = onUserModeStale((modeId, { removed }) => stale.push(`${modeId}:${removed ? 'removed' : 'changed'}`));
+
+    registerUserMode({ ...testConfig, declarative: true });
+    registerUserMode({ ...testConfig, declarative: true });
+    check(stale.length === 0, 'Registering a mode again unchanged keeps its components');
+    registerUserMode({ ...testConfig, name: 'Renamed', declarative: true });
+    check(stale.join() === `${TEST_MODE_ID}:changed`, 'An updated user mode is reported stale');
+    unregisterUserMode(TEST_MODE_ID);
+    check(stale.pop() === `${TEST_MODE_ID}:removed`, 'A removed user mode is reported stale');
+
+    const listed = (modes) => async () => ({ ok: true, status: 200, headers: new Headers(), json: async () => ({ modes }) });
+    stale.length = 0;
+    await discoverUserModes({ fetch: listed([{ ...testConfig, declarative: true }]), preferManifest: false });
+    await discoverUserModes({ fetch: listed([{ ...testConfig, declarative: true }]), preferManifest: false });
+    check(stale.length === 0, 'Rediscovering an unchanged mode keeps its components');
+    await discoverUserModes({ fetch: listed([{ ...testConfig, maxDelaySeconds: 60, declarative: true }]), preferManifest: false });
+    check(stale.join() === `${TEST_MODE_ID}:changed`, 'Discovery reports modes that changed');
+    await discoverUserModes({ fetch: listed([]), preferManifest: false });
+    check(stale.pop() === `${TEST_MODE_ID}:removed`, 'Discovery reports modes whose folders are gone');
+
+    // A stream snapshot replaces the whole list
+    syncUserModes([{ id: 'chaos', declarative: false }, { ...testConfig, declarative: true }]);
+    check(isUserMode(TEST_MODE_ID) && !isUserMode('chaos'), 'A snapshot registers the declarative modes it lists');
+    syncUserModes([{ id: 'chaos', declarative: false }]);
+    check(!isUserMode(TEST_MODE_ID) && stale.pop() === `${TEST_MODE_ID}:removed`, 'A snapshot unregisters user modes it no longer lists');
+    stopListening();
+
+  } finally {
+    await fs.rm(modePath, { recursive: true, force: true });
+    await Promise.all(uploadPaths.map(dir => fs.rm(dir, { recursive: true, force: true })));
+    console.log(`\n🧹 Cleaned up test mode: ${TEST_MODE_ID}`);
+  }
+
+  reportChecks('User mode discovery tests passed!');
+}
+
+testUserModeDiscovery().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
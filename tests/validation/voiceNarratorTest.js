@@ -0,0 +1,130 @@
+/**
+ * Test script for the speechSynthesis voice layer
+ *
+ * Checks the config.json `voice` block normalization, voice selection and,
+ * against a fake synthesizer, that speech follows voice.enabled, audio.muted
+ * and the !voice set override, and that word boundaries reach listeners.
+ * Run with: node tests/validation/voiceNarratorTest.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import SettingsManager from '../../utils/SettingsManager.js';
+import VoiceNarrator, { VOICE_DEFAULTS, normalizeVoiceConfig, findVoice } from '../../utils/VoiceNarrator.js';
+import { validateModeConfig } from '../../pages/api/modes.js';
+import { check, reportChecks } from '../utils/check.js';
+
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+const VOICES = [
+  { name: 'Samantha', lang: 'en-US', localService: true },
+  { name: 'Daniel', lang: 'en-GB', localService: true },
+  { name: 'Google Deutsch', lang: 'de-DE', localService: false }
+];
+
+/**
+ * Minimal speechSynthesis that records utterances without speaking them
+ */
+function createFakeSynth() {
+  return {
+    spoken: [],
+    speaking: false,
+    cancelled: 0,
+    getVoices: () => VOICES,
+    speak(utterance) {
+      this.spoken.push(utterance);
+      this.speaking = true;
+      utterance.onstart?.();
+    },
+    cancel() {
+      this.cancelled++;
+      this.speaking = false;
+      const utterance = this.spoken[this.spoken.length - 1];
+      utterance?.onerror?.({ error: 'interrupted' });
+    }
+  };
+}
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testVoiceNarrator() {
+  console.log('🧪 Testing voice config normalization...\n');
+
+  const defaults = normalizeVoiceConfig(undefined);
+  check(JSON.stringify(defaults.voice) === JSON.stringify(VOICE_DEFAULTS) && defaults.warnings.length === 0, 'Modes without a voice block get the defaults');
+
+  const clamped = normalizeVoiceConfig({ name: 'Daniel', lang: 'english', pitch: 3, rate: 'fast' });
+  check(clamped.voice.name[0] === 'Daniel' && clamped.voice.lang === 'en-US' && clamped.voice.pitch === 2, 'A single name becomes a list; bad values fall back or are clamped');
+  check(clamped.warnings.length === 3 && clamped.voice.rate === VOICE_DEFAULTS.rate, 'Every rejected field is reported');
+
+  check(findVoice(VOICES, ['Missing', 'daniel'], 'en-US')?.name === 'Daniel', 'Preferred names are tried in order, case-insensitively');
+  check(findVoice(VOICES, [], 'de-AT')?.name === 'Google Deutsch' && findVoice(VOICES, [], 'ja-JP') === null, 'Without a named match the language decides, else the browser default');
+
+  const modeIds = fs.readdirSync(path.join(process.cwd(), 'modes'));
+  const invalidModes = modeIds.filter(modeId => {
+    const config = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'modes', modeId, 'config.json'), 'utf8'));
+    return !config.voice || normalizeVoiceConfig(config.voice).warnings.length > 0;
+  });
+  check(invalidModes.length === 0, `Every built-in mode declares a valid voice${invalidModes.length ? ` (not: ${invalidModes.join(', ')})` : ''}`);
+
+  const validated = validateModeConfig({ voice: { name: 'Daniel', pitch: 0.5 } }, 'voice-test', 'test');
+  check(validated.voice?.pitch === 0.5 && !('voice' in validateModeConfig({}, 'voice-test', 'test')), 'validateModeConfig keeps a declared voice block');
+
+  console.log('\n🧪 Testing speech rules...\n');
+
+  const settingsManager = new SettingsManager();
+  const synth = createFakeSynth();
+  const narrator = new VoiceNarrator({
+    settingsManager,
+    synth,
+    Utterance: FakeUtterance,
+    onError: (message, error) => console.error(message, error)
+  });
+  const events = [];
+  narrator.addListener((event, data) => events.push({ event, data }));
+
+  check(narrator.speak('hello there', { name: ['Daniel'] }) === false && synth.spoken.length === 0, 'Nothing is spoken while voice is disabled');
+
+  settingsManager.setSetting('voice.enabled', true);
+  settingsManager.setSetting('audio.volume', 0.4);
+  narrator.speak('hello there', { name: ['Daniel'], pitch: 0.7, rate: 0.8 });
+  const first = synth.spoken[0];
+  check(first?.voice?.name === 'Daniel' && first.pitch === 0.7 && first.rate === 0.8 && first.volume === 0.4, 'The mode voice, pitch, rate and audio.volume are applied');
+
+  first.onboundary({ name: 'word', charIndex: 6, charLength: 5 });
+  first.onboundary({ name: 'sentence', charIndex: 0, charLength: 11 });
+  check(events.filter(entry => entry.event === 'boundary').length === 1 && events[0].event === 'start', 'Word boundaries reach listeners; sentence boundaries do not');
+
+  settingsManager.setSetting('voice.name', 'samantha');
+  narrator.speak('next message', { name: ['Daniel'] });
+  check(synth.spoken[1]?.voice?.name === 'Samantha' && synth.cancelled === 1, '!voice set overrides the mode voice and interrupts the previous message');
+
+  settingsManager.setSetting('audio.muted', true);
+  check(synth.cancelled === 2 && narrator.currentUtterance === null && events[events.length - 1].event === 'end', 'Muting stops the message being spoken');
+  check(narrator.speak('muted', {}) === false, 'Nothing is spoken while muted');
+
+  settingsManager.setSetting('audio.muted', false);
+  events.length = 0;
+  narrator.speak('one two three four five', { rate: 2 });
+  await wait(1000);
+  const estimated = events.filter(entry => entry.event === 'boundary' && entry.data.estimated);
+  check(estimated.length >= 1, 'Voices without boundary events get estimated word boundaries');
+
+  narrator.destroy();
+  check(narrator.fallbackTimer === null && narrator.listeners.size === 0, 'destroy() stops speech and the boundary estimate');
+
+  reportChecks('Voice narrator tests passed!');
+}
+
+testVoiceNarrator();
@@ -0,0 +1,143 @@
+/**
+ * Test script for multi-window sync
+ *
+ * Runs several WindowSync instances over Node's BroadcastChannel (the same
+ * API browsers use between tabs) and checks leader election, that a new
+ * window adopts the running mode, that mode, pause, messages and settings
+ * reach the other windows without echoing back, and that the next window
+ * takes over when the leader closes or goes silent.
+ * Run with: node tests/validation/windowSyncTest.js
+ */
+
+import WindowSync, { electLeader } from '../../utils/WindowSync.js';
+import SettingsManager from '../../utils/SettingsManager.js';
+import MessageScheduler from '../../utils/MessageScheduler.js';
+import { check, reportChecks } from '../utils/check.js';
+
+// One localStorage shared by every window, like tabs of the same origin
+const storage = new Map();
+global.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+global.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const TIMING = { heartbeatInterval: 30, leaderTimeout: 150, joinTimeout: 60 };
+
+/**
+ * Open a window on the test channel and record its sync events
+ */
+async function openWindow(id, settingsManager = null) {
+  await sleep(5); // Distinct start times, oldest first
+  const sync = new WindowSync({ ...TIMING, id, channelName: 'vibescreen-sync-test', settingsManager, onError: () => {} });
+  sync.events = [];
+  sync.addListener((event, data) => sync.events.push({ event, data }));
+  sync.start();
+  return sync;
+}
+
+const eventsOf = (sync, name) => sync.events.filter(entry => entry.event === name).map(entry => entry.data);
+
+async function testWindowSync() {
+  console.log('🧪 Testing leader election...\n');
+
+  check(electLeader([{ id: 'b', startedAt: 2 }, { id: 'a', startedAt: 1 }]) === 'a', 'The oldest window leads');
+  check(electLeader([{ id: 'b', startedAt: 1 }, { id: 'a', startedAt: 1 }]) === 'a', 'Ties go to the lowest id');
+  check(electLeader([]) === null, 'No windows, no leader');
+
+  const settingsA = new SettingsManager();
+  const settingsB = new SettingsManager();
+
+  const first = await openWindow('first', settingsA);
+  first.setMode('zen-monk');
+  check(!first.isLeader(), 'A window does not lead before it has joined');
+  await sleep(100);
+  check(first.isLeader() && first.getStatus().windows === 1, 'A window on its own leads after joining');
+
+  const second = await openWindow('second', settingsB);
+  second.setMode('corporate-ai');
+  await sleep(100);
+  check(!second.isLeader() && second.leaderId === 'first', 'A newer window follows the existing leader');
+  check(first.getStatus().windows === 2, 'The leader counts the new window');
+  check(eventsOf(second, 'mode-changed').some(data => data.mode === 'zen-monk'), 'A new window adopts the running mode');
+  check(eventsOf(first, 'mode-changed').length === 0, "A new window's own default mode is not pushed to the others");
+
+  console.log('\n🧪 Testing broadcasts...\n');
+
+  second.setMode('rockstar');
+  second.setPaused(true);
+  await sleep(20);
+  check(eventsOf(first, 'mode-changed').some(data => data.mode === 'rockstar'), 'Mode switches reach the other windows');
+  check(eventsOf(first, 'pause-changed').some(data => data.paused === true), 'Pausing reaches the other windows');
+
+  first.broadcastMessage({ id: 'msg-1', text: 'Synergy achieved.' });
+  second.broadcastMessage({ id: 'msg-2', text: 'Not the leader.' });
+  await sleep(20);
+  check(eventsOf(second, 'message').some(message => message.id === 'msg-1'), "The leader's messages reach the other windows");
+  check(eventsOf(first, 'message').length === 0, 'Followers do not broadcast messages');
+
+  second.forwardMessage('Stand-up in 5 minutes');
+  await sleep(20);
+  check(eventsOf(first, 'say').some(data => data.text === 'Stand-up in 5 minutes'), "A follower's !say is handed to the leader");
+
+  second.forwardMessage({ text: 'LAG!', reaction: 'shake' });
+  await sleep(20);
+  check(eventsOf(first, 'say').some(data => data.text === 'LAG!' && data.reaction === 'shake'), "A follower's !react keeps its animation");
+
+  settingsA.setSetting('audio.volume', 0.7);
+  await sleep(20);
+  check(settingsB.getSetting('audio.volume') === 0.7, 'Setting changes are replayed in the other windows');
+  check(eventsOf(first, 'settings-synced').length === 0, 'Replayed settings are not echoed back');
+
+  const aliasEvents = [];
+  settingsA.addListener(event => aliasEvents.push(event));
+  settingsB.setAliases({ standup: '!switch corporate-ai; !pause' });
+  await sleep(20);
+  check(aliasEvents.includes('aliases-changed') && settingsA.getAliases().standup !== undefined, 'Store changes notify the other windows');
+
+  console.log('\n🧪 Testing takeover...\n');
+
+  const third = await openWindow('third');
+  await sleep(100);
+  first.destroy();
+  await sleep(20);
+  check(second.isLeader() && eventsOf(second, 'leader-changed').some(data => data.isLeader), 'The next oldest window takes over when the leader closes');
+  check(!third.isLeader(), 'Only one window leads after a takeover');
+
+  // Simulate a frozen leader: no goodbye, no more heartbeats
+  clearInterval(second.heartbeatTimer);
+  second.channel.onmessage = null;
+  await sleep(250);
+  check(third.isLeader(), 'A silent leader is replaced after the timeout');
+  second.destroy();
+  third.destroy();
+
+  console.log('\n🧪 Testing follower schedulers...\n');
+
+  const shown = [];
+  const scheduler = new MessageScheduler({ onError: () => {}, onMessageShow: message => shown.push(message) });
+  scheduler.currentMode = 'zen-monk';
+  scheduler.currentModeConfig = { minDelaySeconds: 60, maxDelaySeconds: 60, messages: ['Breathe.'] };
+  scheduler.scheduleNext();
+  scheduler.setFollower(true);
+  check(scheduler.currentTimeout === null && scheduler.getStatus().isFollower, 'Followers cancel their own schedule');
+  scheduler.resume();
+  check(scheduler.currentTimeout === null, 'Resuming a follower does not schedule messages');
+
+  scheduler.showRemoteMessage({ id: 'msg-3', text: 'Breathe.', duration: 5000, stackPosition: 2 });
+  scheduler.showRemoteMessage({ id: 'msg-3', text: 'Breathe.', duration: 5000 });
+  check(shown.length === 1 && shown[0].text === 'Breathe.' && shown[0].stackPosition === 0, 'Remote messages are shown once, stacked locally');
+
+  scheduler.setFollower(false);
+  check(scheduler.currentTimeout !== null, 'A new leader starts scheduling');
+  scheduler.destroy();
+
+  settingsA.destroy();
+  settingsB.destroy();
+
+  reportChecks('Window sync tests passed!');
+}
+
+testWindowSync();
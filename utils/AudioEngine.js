@@ -0,0 +1,493 @@
+/**
+ * AudioEngine Class
+ *
+ * Web Audio subsystem behind `!audio`, `!volume` and `!mute`. Every sound is
+ * generated procedurally: each mode declares an ambient bed (drone, noise,
+ * glitch or pulse) and a short speak cue in the `audio` block of its
+ * config.json. Playback follows the SettingsManager audio settings: nothing
+ * plays unless `audio.enabled` is on and `audio.muted` is off, the bed also
+ * needs `audio.ambientEnabled`, and `audio.volume` sets the master gain.
+ */
+
+import { getRandomStream } from './seededRandom.js';
+
+export const AMBIENT_TYPES = ['drone', 'noise', 'glitch', 'pulse'];
+export const WAVEFORMS = ['sine', 'triangle', 'sawtooth', 'square'];
+
+export const AUDIO_DEFAULTS = {
+  ambient: {
+    type: 'drone',
+    waveform: 'sine',
+    frequency: 110,
+    voices: 2,
+    detune: 6,
+    filterFrequency: 800,
+    lfoRate: 0.05,
+    rate: 2,
+    level: 0.4
+  },
+  speakCue: {
+    waveform: 'sine',
+    frequency: 660,
+    endFrequency: 880,
+    duration: 0.12,
+    level: 0.4
+  }
+};
+
+// [min, max] for every numeric parameter
+const RANGES = {
+  frequency: [20, 2000],
+  endFrequency: [20, 4000],
+  voices: [1, 6],
+  detune: [0, 100],
+  filterFrequency: [40, 12000],
+  lfoRate: [0, 5],
+  rate: [0.1, 20],
+  level: [0, 1],
+  duration: [0.02, 2]
+};
+
+// How far ahead glitch and pulse envelopes are scheduled
+const SCHEDULE_INTERVAL_MS = 100;
+const SCHEDULE_AHEAD_SECONDS = 0.3;
+const FADE_SECONDS = 0.6;
+
+/**
+ * Normalize one block of sound parameters against its defaults
+ * @param {*} block - Raw parameters
+ * @param {Object} defaults - Defaults for the block
+ * @param {string} name - Block name for warnings
+ * @param {string[]} warnings - Collected warnings
+ * @returns {Object} Parameters with every field set
+ */
+function normalizeBlock(block, defaults, name, warnings) {
+  if (block === undefined) return { ...defaults };
+  if (!block || typeof block !== 'object' || Array.isArray(block)) {
+    warnings.push(`audio.${name} must be an object`);
+    return { ...defaults };
+  }
+
+  const normalized = { ...defaults };
+  Object.keys(defaults).forEach(key => {
+    const value = block[key];
+    if (value === undefined) return;
+
+    if (key === 'type' || key === 'waveform') {
+      const allowed = key === 'type' ? AMBIENT_TYPES : WAVEFORMS;
+      if (allowed.includes(value)) {
+        normalized[key] = value;
+      } else {
+        warnings.push(`audio.${name}.${key} "${value}" is not one of: ${allowed.join(', ')}`);
+      }
+      return;
+    }
+
+    if (typeof value !== 'number' || !isFinite(value)) {
+      warnings.push(`audio.${name}.${key} must be a number`);
+      return;
+    }
+
+    const [min, max] = RANGES[key];
+    const number = key === 'voices' ? Math.round(value) : value;
+    normalized[key] = Math.max(min, Math.min(max, number));
+    if (normalized[key] !== number) {
+      warnings.push(`audio.${name}.${key} ${value} clamped to [${min}, ${max}]`);
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Normalize the `audio` block of a mode config. Missing fields fall back to
+ * AUDIO_DEFAULTS so modes without an audio block still get a gentle drone.
+ * @param {*} audio - Raw `audio` block from config.json
+ * @returns {Object} { audio: { ambient, speakCue }, warnings }
+ */
+export function normalizeAudioConfig(audio) {
+  const warnings = [];
+  const source = audio === undefined ? {} : audio;
+
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { audio: normalizeAudioConfig({}).audio, warnings: ['audio must be an object'] };
+  }
+
+  return {
+    audio: {
+      ambient: normalizeBlock(source.ambient, AUDIO_DEFAULTS.ambient, 'ambient', warnings),
+      speakCue: normalizeBlock(source.speakCue, AUDIO_DEFAULTS.speakCue, 'speakCue', warnings)
+    },
+    warnings
+  };
+}
+
+/**
+ * Create a looping white noise source
+ * @param {AudioContext} context - Audio context
+ * @param {Function} random - Random source
+ * @returns {AudioBufferSourceNode} Started noise source
+ */
+function createNoiseSource(context, random) {
+  const length = context.sampleRate * 2;
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    data[i] = random() * 2 - 1;
+  }
+
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.loop = true;
+  source.start();
+  return source;
+}
+
+/**
+ * Modulate an AudioParam with a slow sine LFO
+ * @param {AudioContext} context - Audio context
+ * @param {AudioParam} param - Parameter to modulate
+ * @param {number} rate - LFO rate in Hz
+ * @param {number} depth - Modulation depth in the parameter's units
+ * @returns {OscillatorNode|null} Started LFO (null when rate is 0)
+ */
+function createLFO(context, param, rate, depth) {
+  if (!rate) return null;
+
+  const lfo = context.createOscillator();
+  const lfoGain = context.createGain();
+  lfo.frequency.value = rate;
+  lfoGain.gain.value = depth;
+  lfo.connect(lfoGain);
+  lfoGain.connect(param);
+  lfo.start();
+  return lfo;
+}
+
+/**
+ * Build the ambient bed for a mode
+ * @param {AudioContext} context - Audio context
+ * @param {AudioNode} destination - Node to play into
+ * @param {Object} params - Normalized ambient parameters
+ * @param {Function} random - Random source
+ * @returns {Object} { sources: AudioScheduledSourceNode[], output: GainNode, schedule: Function|null }
+ */
+function buildAmbient(context, destination, params, random) {
+  const output = context.createGain();
+  const filter = context.createBiquadFilter();
+  // Glitch bursts and pulse beats are gain envelopes between filter and output
+  const envelope = params.type === 'glitch' || params.type === 'pulse' ? context.createGain() : null;
+  const sources = [];
+  let schedule = null;
+
+  output.gain.value = 0;
+  filter.type = params.type === 'glitch' ? 'bandpass' : 'lowpass';
+  filter.frequency.value = params.filterFrequency;
+  if (envelope) {
+    envelope.gain.value = 0;
+    filter.connect(envelope);
+    envelope.connect(output);
+  } else {
+    filter.connect(output);
+  }
+  output.connect(destination);
+
+  if (params.type === 'drone' || params.type === 'pulse') {
+    const voices = params.type === 'drone' ? params.voices : 1;
+    for (let i = 0; i < voices; i++) {
+      const oscillator = context.createOscillator();
+      oscillator.type = params.waveform;
+      oscillator.frequency.value = params.frequency;
+      // Spread the voices evenly across +/- detune cents
+      oscillator.detune.value = voices > 1 ? params.detune * ((2 * i) / (voices - 1) - 1) : 0;
+      oscillator.connect(filter);
+      oscillator.start();
+      sources.push(oscillator);
+    }
+  } else {
+    const noise = createNoiseSource(context, random);
+    noise.connect(filter);
+    sources.push(noise);
+  }
+
+  if (!envelope) {
+    const lfo = createLFO(context, filter.frequency, params.lfoRate, params.filterFrequency * 0.5);
+    if (lfo) sources.push(lfo);
+  } else {
+    let nextTime = context.currentTime;
+    schedule = () => {
+      // Timers are throttled in background tabs; skip beats that were missed
+      nextTime = Math.max(nextTime, context.currentTime);
+      while (nextTime < context.currentTime + SCHEDULE_AHEAD_SECONDS) {
+        const gain = envelope.gain;
+        if (params.type === 'pulse') {
+          const beat = 1 / params.rate;
+          gain.setValueAtTime(0, nextTime);
+          gain.linearRampToValueAtTime(1, nextTime + 0.01);
+          gain.exponentialRampToValueAtTime(0.001, nextTime + beat * 0.8);
+          nextTime += beat;
+        } else {
+          // Short noise bursts at random intervals around `rate` per second
+          const length = 0.02 + random() * 0.08;
+          filter.frequency.setValueAtTime(params.filterFrequency * (0.5 + random()), nextTime);
+          gain.setValueAtTime(0.2 + random() * 0.8, nextTime);
+          gain.setValueAtTime(0, nextTime + length);
+          nextTime += length + (random() * 2) / params.rate;
+        }
+      }
+    };
+  }
+
+  return { sources, output, schedule };
+}
+
+class AudioEngine {
+  constructor(options = {}) {
+    this.settingsManager = options.settingsManager;
+    this.createContext = options.createContext || (() => {
+      const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+      return AudioContextClass ? new AudioContextClass() : null;
+    });
+    this.onError = options.onError || console.error;
+    this.random = options.random || getRandomStream('audio');
+
+    this.context = null;
+    this.masterGain = null;
+    this.ambient = null;
+    this.scheduleTimer = null;
+    this.modeId = null;
+    this.audio = normalizeAudioConfig({}).audio;
+
+    this.handleSettingsEvent = this.handleSettingsEvent.bind(this);
+    this.resumeContext = this.resumeContext.bind(this);
+
+    if (this.settingsManager) {
+      this.settingsManager.addListener(this.handleSettingsEvent);
+    }
+  }
+
+  /**
+   * Read the audio settings
+   * @returns {Object} { enabled, muted, volume, ambientEnabled }
+   */
+  getSettings() {
+    const audio = this.settingsManager?.getSetting('audio') || {};
+    return {
+      enabled: audio.enabled === true,
+      muted: audio.muted === true,
+      volume: typeof audio.volume === 'number' ? audio.volume : 0,
+      ambientEnabled: audio.ambientEnabled === true
+    };
+  }
+
+  /**
+   * Whether any sound may play right now
+   * @returns {boolean} True when audio is enabled, unmuted and audible
+   */
+  isAudible() {
+    const { enabled, muted, volume } = this.getSettings();
+    return enabled && !muted && volume > 0;
+  }
+
+  /**
+   * Create the audio context on first use. Browsers keep it suspended until
+   * the page gets a user gesture, so resume on the next click or key press.
+   * @returns {AudioContext|null} Context, or null without Web Audio support
+   */
+  ensureContext() {
+    if (this.context) return this.context;
+
+    try {
+      this.context = this.createContext();
+    } catch (error) {
+      this.onError('Could not create audio context', error);
+      this.context = null;
+    }
+    if (!this.context) return null;
+
+    this.masterGain = this.context.createGain();
+    this.masterGain.gain.value = 0;
+    this.masterGain.connect(this.context.destination);
+
+    if (this.context.state === 'suspended' && typeof window !== 'undefined') {
+      window.addEventListener('pointerdown', this.resumeContext);
+      window.addEventListener('keydown', this.resumeContext);
+    }
+
+    return this.context;
+  }
+
+  /**
+   * Resume a suspended context after a user gesture
+   */
+  resumeContext() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pointerdown', this.resumeContext);
+      window.removeEventListener('keydown', this.resumeContext);
+    }
+    if (this.context?.state === 'suspended') {
+      this.context.resume().catch(error => this.onError('Could not resume audio', error));
+    }
+  }
+
+  /**
+   * Use a mode's sounds
+   * @param {string} modeId - Mode identifier
+   * @param {Object} audioConfig - `audio` block from the mode config
+   */
+  setMode(modeId, audioConfig) {
+    const { audio, warnings } = normalizeAudioConfig(audioConfig);
+    if (warnings.length > 0) {
+      console.warn(`⚠️ Audio config for ${modeId}: ${warnings.join('; ')}`);
+    }
+
+    const changed = modeId !== this.modeId || JSON.stringify(audio) !== JSON.stringify(this.audio);
+    this.modeId = modeId;
+    this.audio = audio;
+
+    if (changed) {
+      this.stopAmbient();
+      this.refresh();
+    }
+  }
+
+  /**
+   * Apply the current settings: master volume, and start or stop the bed
+   */
+  refresh() {
+    const audible = this.isAudible();
+    if (!audible && !this.context) return;
+
+    const context = this.ensureContext();
+    if (!context) return;
+
+    const { volume, ambientEnabled } = this.getSettings();
+    this.masterGain.gain.setTargetAtTime(audible ? volume : 0, context.currentTime, 0.05);
+
+    if (audible && ambientEnabled && this.modeId) {
+      this.startAmbient();
+    } else {
+      this.stopAmbient();
+    }
+  }
+
+  /**
+   * Start the current mode's ambient bed (no-op if it is already playing)
+   */
+  startAmbient() {
+    if (this.ambient || !this.context) return;
+
+    try {
+      const params = this.audio.ambient;
+      this.ambient = buildAmbient(this.context, this.masterGain, params, this.random);
+      this.ambient.output.gain.setTargetAtTime(params.level, this.context.currentTime, FADE_SECONDS / 3);
+
+      if (this.ambient.schedule) {
+        this.ambient.schedule();
+        this.scheduleTimer = setInterval(this.ambient.schedule, SCHEDULE_INTERVAL_MS);
+      }
+      console.log(`🔊 Ambient bed started for ${this.modeId} (${params.type})`);
+    } catch (error) {
+      this.ambient = null;
+      this.onError(`Could not start ambient audio for ${this.modeId}`, error);
+    }
+  }
+
+  /**
+   * Fade out and stop the ambient bed
+   */
+  stopAmbient() {
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+    if (!this.ambient || !this.context) return;
+
+    const { sources, output } = this.ambient;
+    const stopAt = this.context.currentTime + FADE_SECONDS;
+    output.gain.setTargetAtTime(0, this.context.currentTime, FADE_SECONDS / 3);
+    sources.forEach(source => source.stop(stopAt));
+    this.ambient = null;
+  }
+
+  /**
+   * Play the current mode's speak cue
+   * @returns {boolean} True if the cue was played
+   */
+  playSpeakCue() {
+    if (!this.isAudible()) return false;
+
+    const context = this.ensureContext();
+    if (!context) return false;
+
+    try {
+      const cue = this.audio.speakCue;
+      const start = context.currentTime;
+      const end = start + cue.duration;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+
+      oscillator.type = cue.waveform;
+      oscillator.frequency.setValueAtTime(cue.frequency, start);
+      oscillator.frequency.exponentialRampToValueAtTime(cue.endFrequency, end);
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(cue.level, start + Math.min(0.01, cue.duration / 4));
+      gain.gain.exponentialRampToValueAtTime(0.0001, end);
+
+      oscillator.connect(gain);
+      gain.connect(this.masterGain);
+      oscillator.start(start);
+      oscillator.stop(end + 0.05);
+      return true;
+    } catch (error) {
+      this.onError(`Could not play speak cue for ${this.modeId}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * React to SettingsManager changes
+   * @param {string} event - Settings event
+   * @param {*} data - Event data
+   */
+  handleSettingsEvent(event, data) {
+    if (event === 'setting-changed' && !String(data?.path).startsWith('audio')) return;
+    if (!['setting-changed', 'settings-imported', 'settings-reset', 'settings-bulk-updated'].includes(event)) return;
+    this.refresh();
+  }
+
+  /**
+   * Get audio status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    return {
+      ...this.getSettings(),
+      contextState: this.context?.state || 'not-started',
+      modeId: this.modeId,
+      ambientPlaying: Boolean(this.ambient),
+      ambientType: this.audio.ambient.type
+    };
+  }
+
+  /**
+   * Stop all sound and release the audio context
+   */
+  destroy() {
+    this.stopAmbient();
+    if (this.settingsManager) {
+      this.settingsManager.removeListener(this.handleSettingsEvent);
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pointerdown', this.resumeContext);
+      window.removeEventListener('keydown', this.resumeContext);
+    }
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+      this.masterGain = null;
+    }
+  }
+}
+
+export default AudioEngine;
@@ -5,6 +5,21 @@
  * Manages message queues, random selection, and pause/resume functionality.
  */
 
+import { fetchModeDefinition } from './userModeLoader.js';
+import { fetchModeBundle } from './modeBundle.js';
+import {
+  MASTER_CATEGORY_SOURCES,
+  MESSAGE_FILE_PATTERN,
+  normalizeMessageFile,
+  mergeCategoryFile,
+  buildMessageCategories,
+  selectWeightedCategory
+} from './messageCategories.js';
+import { buildTemplateContext, expandMessageTemplate } from './messageTemplates.js';
+import { getRandomStream, getSeed, shuffle, onSeedChange } from './seededRandom.js';
+import { createRotationState, normalizeRotationState, drawFromBag } from './messageRotation.js';
+import { normalizeSchedule, mergeSchedules, evaluateSchedule } from './scheduleRules.js';
+
 class MessageScheduler {
   constructor(options = {}) {
     // Configuration
@@ -12,15 +27,27 @@ class MessageScheduler {
     this.onMessageShow = options.onMessageShow || (() => {});
     this.onError = options.onError || console.error;
     
+    // Seedable random source (see utils/seededRandom.js) so sequences can be replayed
+    this.random = options.random || getRandomStream('messages');
+    
+    // Shuffle-bag rotation, persisted per mode when a SettingsManager is given
+    this.settingsManager = options.settingsManager || null;
+    this.rotation = createRotationState();
+    
+    // Clock for schedule rules (quiet hours, focus blocks, bursts)
+    this.now = options.now || (() => new Date());
+    
     // Enhanced state management for stacking and cleanup
     this.activeMessages = new Map(); // Changed to Map for better tracking
     this.messageQueue = [];
     this.isPaused = false;
+    this.isFollower = false; // Another window's scheduler picks the messages (utils/WindowSync.js)
     this.currentMode = null;
     this.currentModeConfig = null;
     this.currentTimeout = null;
     this.messageHistory = [];
     this.maxHistorySize = 10;
+    this.modeStreak = 0; // Messages shown in a row for the current mode ({streak})
     this.maxConcurrentMessages = 3;
     
     // Message lifecycle management
@@ -44,6 +71,10 @@ class MessageScheduler {
     this.scheduleNext = this.scheduleNext.bind(this);
     this.showMessage = this.showMessage.bind(this);
     this.cleanup = this.cleanup.bind(this);
+    this.handleSeedChange = this.handleSeedChange.bind(this);
+    
+    // Replay from a clean state whenever the seed changes
+    this.unsubscribeSeed = onSeedChange(this.handleSeedChange);
     
     // Initialize
     this.loadMasterMessages();
@@ -83,64 +114,118 @@ class MessageScheduler {
     if (!mode) return null;
     
     try {
-      // Load mode configuration
-      const configResponse = await fetch(`/modes/${mode}/config.json`);
-      if (!configResponse.ok) {
-        throw new Error(`Failed to load config for mode: ${mode}`);
+      // The mode bundle API validates the config and merges its message files in one request
+      const bundle = await fetchModeBundle(mode, { include: ['config', 'messageFile'] });
+      if (bundle?.config && bundle.messageFile) {
+        return this.prepareModeConfig(mode, bundle.config, bundle.messageFile);
       }
-      const config = await configResponse.json();
       
-      // Try to load mode-specific messages first
-      let messages = [];
-      try {
-        const messagesResponse = await fetch(`/modes/${mode}/messages.json`);
-        if (messagesResponse.ok) {
-          messages = await messagesResponse.json();
-        }
-      } catch (error) {
-        // If no mode-specific messages, generate from master lists
-        messages = this.generateMessagesFromMaster(config);
-      }
-      
-      // Cache the messages
-      this.messageCache.set(mode, messages);
-      
-      return {
-        ...config,
-        messages: messages
-      };
+      return await this.loadStaticModeConfig(mode);
     } catch (error) {
       this.onError(`Failed to load mode config: ${mode}`, error);
       return null;
     }
   }
 
+  /**
+   * Load a mode from the copies under public/modes/ (static exports have no API)
+   */
+  async loadStaticModeConfig(mode) {
+    // Load mode configuration
+    const configResponse = await fetch(`/modes/${mode}/config.json`);
+    if (!configResponse.ok) {
+      // User-defined modes only live under modes/ and are served by the definition API
+      const definition = await fetchModeDefinition(mode);
+      return this.prepareModeConfig(mode, definition.config, normalizeMessageFile(definition.messages));
+    }
+    const config = await configResponse.json();
+    
+    // Try to load mode-specific messages first
+    let messageFile = normalizeMessageFile([]);
+    try {
+      const messagesResponse = await fetch(`/modes/${mode}/messages.json`);
+      if (messagesResponse.ok) {
+        messageFile = normalizeMessageFile(await messagesResponse.json());
+      }
+    } catch (error) {
+      // If no mode-specific messages, categories fall back to the master lists
+      console.warn(`No messages.json for mode: ${mode}, using master lists`);
+    }
+    
+    await this.loadCategoryFiles(mode, config, messageFile);
+    
+    return this.prepareModeConfig(mode, config, messageFile);
+  }
+
+  /**
+   * Load extra category-tagged message files declared in config.messageFiles,
+   * e.g. { "haiku": "haikus.json" }, into the normalized message file
+   */
+  async loadCategoryFiles(mode, config, messageFile) {
+    const messageFiles = config.messageFiles;
+    if (!messageFiles || typeof messageFiles !== 'object') return;
+    
+    for (const [category, fileName] of Object.entries(messageFiles)) {
+      if (typeof fileName !== 'string' || !MESSAGE_FILE_PATTERN.test(fileName)) continue;
+      
+      try {
+        const response = await fetch(`/modes/${mode}/${fileName}`);
+        if (!response.ok) continue;
+        
+        mergeCategoryFile(messageFile, category, await response.json());
+      } catch (error) {
+        console.warn(`Failed to load ${fileName} for mode: ${mode}`, error);
+      }
+    }
+  }
+
+  /**
+   * Resolve category weights and tagged messages, cache them and build the
+   * config used by the scheduler
+   */
+  prepareModeConfig(mode, config, messageFile) {
+    const { probabilities, categories } = buildMessageCategories(config, messageFile);
+    const messages = Object.values(categories).flat();
+    
+    // Cache the messages
+    this.messageCache.set(mode, messages);
+    
+    return {
+      ...config,
+      messageProbabilities: probabilities,
+      messageCategories: categories,
+      messages: messages
+    };
+  }
+
+  /**
+   * Get the messages available for a category: the mode's own tagged
+   * messages, or the matching master list for cliche/exaggeration/other
+   */
+  getCategoryMessages(category) {
+    const tagged = this.currentModeConfig?.messageCategories?.[category];
+    if (tagged && tagged.length > 0) {
+      return tagged;
+    }
+    
+    const masterType = MASTER_CATEGORY_SOURCES[category];
+    return (masterType && this.masterMessages.get(masterType)) || [];
+  }
+
   /**
    * Generate messages from master lists based on mode probabilities
    */
   generateMessagesFromMaster(config) {
     const messages = [];
-    const probabilities = config.messageProbabilities || {
-      cliche: 0.6,
-      exaggeration: 0.2,
-      other: 0.2
-    };
-    
-    // Get messages from each category based on probabilities
-    const clicheMessages = this.masterMessages.get('cliche-ai-phrases') || [];
-    const exaggerationMessages = this.masterMessages.get('funny-exaggerations') || [];
-    const otherMessages = this.masterMessages.get('cliche-ai-things') || [];
+    const { probabilities } = buildMessageCategories(config, normalizeMessageFile([]));
+    const total = Object.values(probabilities).reduce((sum, weight) => sum + weight, 0) || 1;
     
     // Calculate message counts based on probabilities (target ~20-30 messages per mode)
     const totalMessages = 25;
-    const clicheCount = Math.floor(totalMessages * probabilities.cliche);
-    const exaggerationCount = Math.floor(totalMessages * probabilities.exaggeration);
-    const otherCount = totalMessages - clicheCount - exaggerationCount;
-    
-    // Randomly select messages from each category
-    messages.push(...this.selectRandomMessages(clicheMessages, clicheCount));
-    messages.push(...this.selectRandomMessages(exaggerationMessages, exaggerationCount));
-    messages.push(...this.selectRandomMessages(otherMessages, otherCount));
+    Object.entries(MASTER_CATEGORY_SOURCES).forEach(([category, masterType]) => {
+      const count = Math.round(totalMessages * (probabilities[category] || 0) / total);
+      messages.push(...this.selectRandomMessages(this.masterMessages.get(masterType) || [], count));
+    });
     
     return messages;
   }
@@ -151,7 +236,7 @@ class MessageScheduler {
   selectRandomMessages(messageArray, count) {
     if (!messageArray || messageArray.length === 0) return [];
     
-    const shuffled = [...messageArray].sort(() => Math.random() - 0.5);
+    const shuffled = shuffle(messageArray, this.random);
     return shuffled.slice(0, Math.min(count, shuffled.length));
   }
 
@@ -177,11 +262,13 @@ class MessageScheduler {
     this.currentMode = mode;
     this.currentModeConfig = modeConfig;
     this.isPaused = false;
+    this.rotation = this.loadRotation(mode);
     
     // Enhanced cleanup for mode switching
     this.clearAllMessages();
     this.messageQueue = [];
     this.messageHistory = [];
+    this.modeStreak = 0;
     this.nextStackPosition = 0;
     
     // Start scheduling
@@ -237,19 +324,32 @@ class MessageScheduler {
   }
 
   /**
-   * Schedule the next message based on mode timing configuration
+   * Schedule the next message based on mode timing configuration and the
+   * schedule rules in effect
    */
   scheduleNext() {
-    if (this.isPaused || !this.currentModeConfig) {
+    if (this.isPaused || this.isFollower || !this.currentModeConfig) {
+      return;
+    }
+    
+    const schedule = this.evaluateSchedule();
+    if (schedule.quiet) {
+      // Check again once the quiet period is over
+      const wait = Math.max(1000, schedule.resumeAt.getTime() - this.now().getTime());
+      this.currentTimeout = setTimeout(this.scheduleNext, wait);
+      console.log(`🔕 Quiet period, messages resume at ${schedule.resumeAt.toLocaleTimeString()}`);
       return;
     }
     
     // Get timing configuration
-    const minDelay = this.currentModeConfig.minDelaySeconds || this.globalConfig.defaultMinDelaySeconds || 15;
-    const maxDelay = this.currentModeConfig.maxDelaySeconds || this.globalConfig.defaultMaxDelaySeconds || 45;
+    const minDelay = schedule.minDelaySeconds || this.currentModeConfig.minDelaySeconds || this.globalConfig.defaultMinDelaySeconds || 15;
+    const maxDelay = Math.max(
+      minDelay,
+      schedule.maxDelaySeconds || this.currentModeConfig.maxDelaySeconds || this.globalConfig.defaultMaxDelaySeconds || 45
+    );
     
-    // Calculate random delay within range
-    const delay = Math.random() * (maxDelay - minDelay) + minDelay;
+    // Calculate random delay within range, scaled by focus blocks and bursts
+    const delay = (this.random() * (maxDelay - minDelay) + minDelay) / schedule.frequencyMultiplier;
     
     // Apply global animation speed multiplier
     const speedMultiplier = this.globalConfig.animationSpeedMultiplier || 1.0;
@@ -261,15 +361,67 @@ class MessageScheduler {
     
     // Schedule next message
     this.currentTimeout = setTimeout(() => {
-      this.showMessage();
+      // Quiet hours may have started while waiting
+      if (!this.evaluateSchedule().quiet) {
+        this.showMessage();
+      }
       this.scheduleNext(); // Schedule the next one
     }, adjustedDelay * 1000);
     
     console.log(`Next message scheduled in ${adjustedDelay.toFixed(1)} seconds`);
   }
 
+  /**
+   * Hand scheduling to another window, or take it back
+   * @param {boolean} follower - True while another window leads
+   */
+  setFollower(follower) {
+    if (this.isFollower === Boolean(follower)) return;
+    this.isFollower = Boolean(follower);
+    
+    if (this.isFollower) {
+      if (this.currentTimeout) {
+        clearTimeout(this.currentTimeout);
+        this.currentTimeout = null;
+      }
+    } else if (!this.currentTimeout) {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Effective schedule: the `schedule` block from global-config.json with
+   * any `!schedule` overrides on top
+   * @returns {Object} Normalized schedule
+   */
+  getSchedule() {
+    const overrides = this.settingsManager ? this.settingsManager.getScheduleOverrides() : null;
+    return normalizeSchedule(mergeSchedules(this.globalConfig.schedule, overrides)).schedule;
+  }
+
+  /**
+   * Evaluate the schedule rules for the current mode
+   * @returns {Object} Schedule evaluation (see utils/scheduleRules.js)
+   */
+  evaluateSchedule() {
+    return evaluateSchedule(this.getSchedule(), { mode: this.currentMode, now: this.now() });
+  }
+
+  /**
+   * Replace the pending timer so new schedule rules or seeds apply right away
+   */
+  reschedule() {
+    if (this.currentTimeout && !this.isPaused && this.currentModeConfig) {
+      clearTimeout(this.currentTimeout);
+      this.currentTimeout = null;
+      this.scheduleNext();
+    }
+  }
+
   /**
    * Show a message immediately with enhanced stacking management
+   * @param {string|Object} [forceMessage] - Text to show instead of a scheduled pick,
+   *   or { text, reaction } to play a character reaction with it (!react)
    */
   showMessage(forceMessage = null) {
     if (!this.currentModeConfig) {
@@ -291,7 +443,9 @@ class MessageScheduler {
     }
     
     // Select message
-    const message = forceMessage || this.selectMessage();
+    const selected = forceMessage || this.selectMessage();
+    const message = typeof selected === 'object' && selected !== null ? selected.text : selected;
+    const reaction = typeof selected === 'object' && selected !== null ? selected.reaction : null;
     if (!message) {
       console.warn('No message available to show');
       return;
@@ -300,18 +454,29 @@ class MessageScheduler {
     // Calculate stack position to prevent overlapping
     const stackPosition = this.calculateStackPosition();
     
+    // Expand template variables at display time; history keeps the raw template
+    this.modeStreak++;
+    const text = expandMessageTemplate(message, buildTemplateContext({
+      mode: this.currentMode,
+      modeConfig: this.currentModeConfig,
+      streak: this.modeStreak,
+      user: this.settingsManager?.getSetting('messages.userName')
+    }));
+    
     // Create enhanced message object with stacking info
     const messageObj = {
       id: `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      text: message,
+      text: text,
       mode: this.currentMode,
       position: this.currentModeConfig.popupPosition || 'overlay',
       style: this.currentModeConfig.popupStyle || 'overlay',
       animationType: this.currentModeConfig.animationType || 'normal',
+      voice: this.currentModeConfig.voice,
       duration: this.calculateMessageDuration(),
       timestamp: Date.now(),
       stackPosition: stackPosition,
-      stackOffset: this.calculateStackOffset(stackPosition)
+      stackOffset: this.calculateStackOffset(stackPosition),
+      ...(reaction && { reaction })
     };
     
     // Add to active messages with full tracking
@@ -334,29 +499,80 @@ class MessageScheduler {
     // Show the message
     this.onMessageShow(messageObj);
     
-    console.log(`Showing message: "${message.substring(0, 50)}..." at stack position ${stackPosition}`);
+    console.log(`Showing message: "${text.substring(0, 50)}..." at stack position ${stackPosition}`);
   }
 
   /**
-   * Select a random message from the current mode's messages
+   * Select a message for the current mode: draw a category weighted by the
+   * mode's messageProbabilities, then the next message from that category's
+   * shuffle bag so every message is shown once before any repeats
    */
   selectMessage() {
-    const messages = this.currentModeConfig.messages || [];
+    const category = selectWeightedCategory(
+      this.currentModeConfig.messageProbabilities,
+      (key) => this.getCategoryMessages(key).length > 0,
+      this.random
+    );
+    const messages = category ? this.getCategoryMessages(category) : (this.currentModeConfig.messages || []);
     if (messages.length === 0) {
       return null;
     }
     
-    // Filter out recently shown messages to avoid repetition
-    const availableMessages = messages.filter(msg => 
-      !this.messageHistory.slice(-Math.min(5, messages.length / 2)).includes(msg)
+    const bagKey = category || '_all';
+    const draw = drawFromBag(
+      messages,
+      this.rotation.categories[bagKey] || [],
+      this.random,
+      this.rotation.lastShown
     );
     
-    // If all messages were recent, use all messages
-    const messagePool = availableMessages.length > 0 ? availableMessages : messages;
+    this.rotation.categories[bagKey] = draw.seen;
+    this.rotation.lastShown = draw.key;
+    this.saveRotation();
     
-    // Select random message
-    const randomIndex = Math.floor(Math.random() * messagePool.length);
-    return messagePool[randomIndex];
+    return draw.message;
+  }
+
+  /**
+   * Load the persisted rotation for a mode. While a seed is set every mode
+   * starts a fresh rotation, so `?seed=` after a reload and a mode switch
+   * under `!seed` replay the same sequence whatever was stored before.
+   * @param {string} mode - Mode identifier
+   * @returns {Object} Rotation state
+   */
+  loadRotation(mode) {
+    if (!this.settingsManager || getSeed() !== null) {
+      return createRotationState();
+    }
+    return normalizeRotationState(this.settingsManager.getMessageRotation(mode));
+  }
+
+  /**
+   * Persist the current mode's rotation
+   */
+  saveRotation() {
+    if (this.settingsManager && this.currentMode) {
+      this.settingsManager.setMessageRotation(this.currentMode, this.rotation);
+    }
+  }
+
+  /**
+   * Start a fresh rotation for the current mode
+   */
+  resetRotation() {
+    this.rotation = createRotationState();
+    this.saveRotation();
+  }
+
+  /**
+   * Reset repeat history and rotation, and reschedule when the random seed changes so the
+   * same seed replays the same sequence
+   */
+  handleSeedChange() {
+    this.messageHistory = [];
+    this.modeStreak = 0;
+    this.resetRotation();
+    this.reschedule();
   }
 
   /**
@@ -374,6 +590,31 @@ class MessageScheduler {
     return (baseDuration * accessibilityMultiplier) / speedMultiplier;
   }
 
+  /**
+   * Show a message picked by the leading window's scheduler
+   * @param {Object} message - Message object as broadcast by the leader
+   */
+  showRemoteMessage(message) {
+    if (!message || !message.id || this.activeMessages.has(message.id)) return;
+    
+    // Stack positions are per window; text, timing and style come from the leader
+    const stackPosition = this.calculateStackPosition();
+    const messageObj = {
+      ...message,
+      stackPosition: stackPosition,
+      stackOffset: this.calculateStackOffset(stackPosition)
+    };
+    
+    this.activeMessages.set(messageObj.id, messageObj);
+    this.messageStackPositions.set(messageObj.id, stackPosition);
+    this.scheduleMessageCleanup(messageObj.id, messageObj.duration);
+    
+    this.stats.messagesShown++;
+    this.stats.lastMessageTime = Date.now();
+    
+    this.onMessageShow(messageObj);
+  }
+
   /**
    * Test popup - show a message immediately
    */
@@ -416,6 +657,7 @@ class MessageScheduler {
     return {
       isRunning: !this.isPaused && this.currentMode !== null,
       isPaused: this.isPaused,
+      isFollower: this.isFollower,
       currentMode: this.currentMode,
       activeMessages: this.activeMessages.size,
       messageHistory: this.messageHistory.length,
@@ -578,6 +820,7 @@ class MessageScheduler {
    * Cleanup and destroy scheduler with enhanced memory management
    */
   destroy() {
+    this.unsubscribeSeed();
     this.stop();
     this.clearAllMessages();
     this.messageCache.clear();
@@ -0,0 +1,228 @@
+/**
+ * ModePlaylist Class
+ *
+ * Rotates personality modes automatically for all-day second-monitor use.
+ * The playlist (an ordered or shuffled list of modes with a dwell time per
+ * mode) is stored through SettingsManager and edited with `!playlist`;
+ * transitions go through ModeSwitchController.switchToMode. The time of the
+ * next switch is stored with it, so a reload or a new leading window keeps
+ * the current mode's remaining dwell time instead of starting it again.
+ */
+
+import { getRandomStream, shuffle } from './seededRandom.js';
+
+export const PLAYLIST_ORDERS = ['ordered', 'shuffle'];
+export const DEFAULT_DWELL_MINUTES = 10;
+export const MIN_DWELL_MINUTES = 1;
+export const MAX_DWELL_MINUTES = 24 * 60;
+
+/**
+ * Clamp a dwell time
+ * @param {*} value - Dwell time in minutes
+ * @returns {number|null} Dwell time or null if invalid
+ */
+export function sanitizeDwell(value) {
+  const minutes = parseFloat(value);
+  if (isNaN(minutes) || minutes <= 0) return null;
+  return Math.max(MIN_DWELL_MINUTES, Math.min(MAX_DWELL_MINUTES, minutes));
+}
+
+/**
+ * Normalize a stored playlist
+ * @param {*} playlist - Stored playlist
+ * @returns {Object} { entries: [{ mode, dwellMinutes }], order, dwellMinutes, active, queue, position, nextSwitchAt }
+ */
+export function normalizePlaylist(playlist) {
+  const source = playlist && typeof playlist === 'object' ? playlist : {};
+  const entries = Array.isArray(source.entries)
+    ? source.entries
+      .filter(entry => entry && typeof entry.mode === 'string')
+      .map(entry => ({ mode: entry.mode, dwellMinutes: sanitizeDwell(entry.dwellMinutes) }))
+    : [];
+
+  return {
+    entries,
+    order: PLAYLIST_ORDERS.includes(source.order) ? source.order : 'ordered',
+    dwellMinutes: sanitizeDwell(source.dwellMinutes) || DEFAULT_DWELL_MINUTES,
+    active: source.active === true && entries.length > 0,
+    queue: Array.isArray(source.queue) ? source.queue.filter(mode => typeof mode === 'string') : [],
+    position: Number.isInteger(source.position) ? source.position : -1,
+    nextSwitchAt: Number.isFinite(source.nextSwitchAt) ? source.nextSwitchAt : null
+  };
+}
+
+/**
+ * Advance to the next mode. A cycle plays every entry once; shuffled cycles
+ * are reshuffled without repeating the last mode back-to-back.
+ * @param {Object} playlist - Normalized playlist
+ * @param {Function} random - Random source
+ * @returns {Object} { mode, playlist } where playlist has the new queue/position
+ */
+export function advancePlaylist(playlist, random = Math.random) {
+  const modes = playlist.entries.map(entry => entry.mode);
+  if (modes.length === 0) {
+    return { mode: null, playlist };
+  }
+
+  let { queue, position } = playlist;
+  const queueMatches = queue.length === modes.length && modes.every(mode => queue.includes(mode));
+  position += 1;
+
+  if (!queueMatches || position >= queue.length) {
+    const last = queue[position - 1];
+    if (playlist.order === 'shuffle') {
+      queue = shuffle(modes, random);
+      if (queue.length > 1 && queue[0] === last) {
+        queue = [...queue.slice(1), queue[0]];
+      }
+      position = 0;
+    } else {
+      // Continue after the last mode played when entries were edited
+      queue = modes;
+      position = (modes.indexOf(last) + 1) % modes.length;
+    }
+  }
+
+  return { mode: queue[position], playlist: { ...playlist, queue, position } };
+}
+
+/**
+ * Dwell time for a mode
+ * @param {Object} playlist - Normalized playlist
+ * @param {string} mode - Mode identifier
+ * @returns {number} Minutes
+ */
+export function getDwellMinutes(playlist, mode) {
+  const entry = playlist.entries.find(item => item.mode === mode);
+  return (entry && entry.dwellMinutes) || playlist.dwellMinutes;
+}
+
+class ModePlaylist {
+  constructor(options = {}) {
+    this.settingsManager = options.settingsManager;
+    this.switchToMode = options.switchToMode || (async () => {});
+    this.onChange = options.onChange || (() => {});
+    this.onError = options.onError || console.error;
+    this.random = options.random || getRandomStream('playlist');
+
+    this.timeout = null;
+    this.nextSwitchAt = null;
+    this.currentMode = null;
+
+    this.advance = this.advance.bind(this);
+  }
+
+  /**
+   * Read the stored playlist
+   * @returns {Object} Normalized playlist
+   */
+  getPlaylist() {
+    return normalizePlaylist(this.settingsManager.getPlaylist());
+  }
+
+  /**
+   * Pick up a start or stop. A started playlist (position -1) switches to its
+   * first entry; an active one resumes its current entry until the stored
+   * switch time, e.g. after a reload, or moves on if that time has passed.
+   * Edits to the entries apply at the next switch.
+   */
+  async refresh() {
+    this.clearTimer();
+
+    const playlist = this.getPlaylist();
+    if (!playlist.active) {
+      this.currentMode = null;
+      this.onChange(this.getStatus());
+      return;
+    }
+
+    const due = playlist.nextSwitchAt !== null && playlist.nextSwitchAt <= Date.now();
+    if (playlist.position < 0 || !playlist.queue[playlist.position] || due) {
+      await this.advance();
+      return;
+    }
+
+    await this.playMode(playlist, playlist.queue[playlist.position], playlist.nextSwitchAt);
+  }
+
+  /**
+   * Switch to the next mode in the playlist
+   */
+  async advance() {
+    this.clearTimer();
+
+    const stored = this.getPlaylist();
+    if (!stored.active) return;
+
+    const { mode, playlist } = advancePlaylist(stored, this.random);
+    if (!mode) return;
+
+    // No switch time until the mode is on screen
+    this.settingsManager.setPlaylist({ ...playlist, nextSwitchAt: null });
+    await this.playMode(playlist, mode);
+  }
+
+  /**
+   * Switch to a mode and wait its dwell time
+   * @param {Object} playlist - Normalized playlist
+   * @param {string} mode - Mode identifier
+   * @param {number|null} resumeAt - Stored switch time when resuming, null to start a new dwell
+   */
+  async playMode(playlist, mode, resumeAt = null) {
+    this.currentMode = mode;
+
+    try {
+      await this.switchToMode(mode);
+      console.log(`🎵 Playlist: ${mode} for ${getDwellMinutes(playlist, mode)} min`);
+    } catch (error) {
+      // Skip modes that fail to load (e.g. a removed user mode) instead of stalling
+      this.onError(`Playlist could not switch to ${mode}`, error);
+    }
+
+    let dwellMs = getDwellMinutes(playlist, mode) * 60 * 1000;
+    if (resumeAt === null) {
+      this.nextSwitchAt = Date.now() + dwellMs;
+      this.settingsManager.setPlaylist({ ...this.getPlaylist(), nextSwitchAt: this.nextSwitchAt });
+    } else {
+      this.nextSwitchAt = resumeAt;
+      dwellMs = Math.max(0, resumeAt - Date.now());
+    }
+    this.timeout = setTimeout(this.advance, dwellMs);
+    this.onChange(this.getStatus());
+  }
+
+  /**
+   * Clear the pending switch
+   */
+  clearTimer() {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+    this.nextSwitchAt = null;
+  }
+
+  /**
+   * Get playlist status
+   * @returns {Object} Status
+   */
+  getStatus() {
+    const playlist = this.getPlaylist();
+    return {
+      active: playlist.active,
+      currentMode: this.currentMode,
+      nextSwitchAt: this.nextSwitchAt,
+      entries: playlist.entries.length,
+      order: playlist.order
+    };
+  }
+
+  /**
+   * Stop timers
+   */
+  destroy() {
+    this.clearTimer();
+  }
+}
+
+export default ModePlaylist;
@@ -2,10 +2,47 @@
  * SettingsManager - Comprehensive settings management system for VibeScreen
  * Handles user preferences, persistence, export/import, and validation
  */
+
+import { DEFAULT_HISTORY_SIZE, HISTORY_SIZE_RANGE, appendHistory } from './commandHistory.js';
+import {
+  createSettingsFile,
+  readSettingsFile,
+  encodeBase64,
+  compareVersions,
+  diffSettings,
+  formatSettingsDiff,
+  isValidProfileName
+} from './settingsTransfer.js';
+import { normalizeUserName } from './messageTemplates.js';
+
+// Schema migrations, oldest first. Each step upgrades settings saved (or
+// exported) by version `from`; migrateSettings chains them up to the current
+// version. Bump SettingsManager.version and add a step when the schema changes.
+const SETTINGS_MIGRATIONS = [
+  {
+    from: '1.0.0',
+    to: '1.1.0',
+    description: 'added voice and terminal history settings',
+    migrate: (settings, defaults) => ({
+      ...settings,
+      voice: { ...defaults.voice, ...settings.voice },
+      terminal: { ...defaults.terminal, ...settings.terminal }
+    })
+  }
+];
+
+const MAX_PROFILES = 20;
+
 class SettingsManager {
   constructor() {
     this.storageKey = 'vibescreen-settings';
-    this.version = '1.0.0';
+    this.rotationStorageKey = 'vibescreen-message-rotation';
+    this.scheduleStorageKey = 'vibescreen-schedule';
+    this.playlistStorageKey = 'vibescreen-playlist';
+    this.terminalStorageKey = 'vibescreen-terminal';
+    this.profilesStorageKey = 'vibescreen-profiles';
+    this.version = '1.1.0';
+    this.pendingImport = null; // Previewed import waiting for !import apply
     this.settings = this.loadSettings();
     this.listeners = new Set();
     
@@ -34,18 +71,24 @@ class SettingsManager {
         ambientEnabled: false,
         muted: false
       },
+      voice: {
+        enabled: false,
+        name: '' // Voice chosen with !voice set; empty uses each mode's voice
+      },
       visual: {
         effectsIntensity: 'medium', // 'high', 'medium', 'low', 'off'
         animationSpeed: 1.0,
         scanLinesEnabled: true,
         phosphorGlowEnabled: true,
-        reducedMotion: false
+        reducedMotion: false,
+        theme: 'mode' // Theme chosen with !theme; 'mode' uses each mode's own palette
       },
       messages: {
         frequency: 30, // seconds
         pauseOnInactivity: false,
         showTimestamps: false,
-        paused: false
+        paused: false,
+        userName: '' // Name for {user} in messages, set with !name; empty uses "friend"
       },
       accessibility: {
         highContrast: false,
@@ -53,6 +96,9 @@ class SettingsManager {
         largerText: false,
         screenReaderSupport: true
       },
+      terminal: {
+        historySize: DEFAULT_HISTORY_SIZE // Commands kept in the persisted terminal history
+      },
       advanced: {
         performanceMode: 'full', // 'full', 'optimized', 'minimal'
         debugMode: false,
@@ -94,9 +140,10 @@ class SettingsManager {
   /**
    * Migrate settings from older versions
    * @param {Object} settings - Settings to migrate
+   * @param {string[]} [applied] - Receives a description of each migration step run
    * @returns {Object} Migrated settings
    */
-  migrateSettings(settings) {
+  migrateSettings(settings, applied = []) {
     if (!settings.version) {
       // Migrate from pre-versioned settings
       settings.version = '1.0.0';
@@ -110,7 +157,15 @@ class SettingsManager {
       });
     }
     
-    return settings;
+    let migrated = settings;
+    SETTINGS_MIGRATIONS.forEach(migration => {
+      if (migrated.version === migration.from) {
+        migrated = { ...migration.migrate(migrated, this.getDefaults()), version: migration.to };
+        applied.push(`${migration.from} → ${migration.to}: ${migration.description}`);
+      }
+    });
+    
+    return migrated;
   }
 
   /**
@@ -164,7 +219,8 @@ class SettingsManager {
     const ranges = {
       volume: { min: 0, max: 1 },
       animationSpeed: { min: 0.1, max: 5.0 },
-      frequency: { min: 5, max: 300 }
+      frequency: { min: 5, max: 300 },
+      historySize: HISTORY_SIZE_RANGE
     };
 
     const range = ranges[key];
@@ -192,6 +248,15 @@ class SettingsManager {
     if (allowed && !allowed.includes(value)) {
       return defaultValue;
     }
+
+    if (key === 'userName') {
+      return normalizeUserName(value);
+    }
+
+    // Theme ids are checked against the loaded themes when applied
+    if (key === 'theme' && !/^[a-z][a-z0-9-]{0,39}$/.test(value)) {
+      return defaultValue;
+    }
     
     return value;
   }
@@ -371,24 +436,55 @@ class SettingsManager {
   }
 
   /**
-   * Export current configuration as base64 string
+   * Settings worth moving between browsers: everything except the
+   * per-browser `system` section
+   * @param {Object} [settings] - Settings (defaults to the current ones)
+   * @returns {Object} Portable settings sections
+   */
+  getPortableSettings(settings = this.settings) {
+    const { version, system, ...portable } = settings;
+    return JSON.parse(JSON.stringify(portable));
+  }
+
+  /**
+   * Build a settings file for the current settings or a saved profile
+   * @param {string} [profileName] - Profile to export
+   * @returns {Object} { success, filename, json, document } or { success: false, message }
+   */
+  exportSettingsFile(profileName = null) {
+    let settings = this.getPortableSettings();
+    if (profileName) {
+      const profile = this.getProfileSettings(profileName);
+      if (!profile.success) return profile;
+      settings = profile.settings;
+    }
+
+    const document = createSettingsFile({ schemaVersion: this.version, settings, profile: profileName });
+    const date = document.exportedAt.slice(0, 10);
+    return {
+      success: true,
+      document,
+      json: JSON.stringify(document, null, 2),
+      filename: `vibescreen-settings${profileName ? `-${profileName}` : ''}-${date}.json`
+    };
+  }
+
+  /**
+   * Export current configuration as a checksummed base64 string
    * @returns {Object} Export result with success status and data
    */
   exportConfig() {
     try {
-      const exportData = {
-        version: this.version,
-        timestamp: Date.now(),
-        settings: this.settings
-      };
-      
-      const configString = btoa(JSON.stringify(exportData));
-      const message = `Configuration exported successfully!\n\nUse this command to import:\n!import ${configString}`;
+      const file = this.exportSettingsFile();
+      const configString = encodeBase64(JSON.stringify(file.document));
+      const message = `Configuration exported successfully!\n\nUse this command to import:\n!import ${configString}\n\nOr download it as a file with !export file`;
       
       return { 
         success: true, 
         message,
         configString,
+        json: file.json,
+        filename: file.filename,
         size: configString.length
       };
     } catch (error) {
@@ -400,9 +496,73 @@ class SettingsManager {
   }
 
   /**
-   * Import configuration from base64 string
-   * @param {string} configString - Base64 encoded configuration
-   * @returns {Object} Import result with success status and message
+   * Read, check and migrate a settings file or export string without applying it
+   * @param {string} input - JSON file contents or `!export` string
+   * @returns {Object} { success, settings, changes, profile, migrations, fromVersion } or { success: false, message }
+   */
+  readImport(input) {
+    const file = readSettingsFile(input);
+    if (!file.valid) {
+      return { success: false, message: `Import failed: ${file.error}` };
+    }
+    if (compareVersions(file.schemaVersion, this.version) > 0) {
+      return {
+        success: false,
+        message: `Import failed: settings schema ${file.schemaVersion} is newer than this VibeScreen (${this.version}); update first`
+      };
+    }
+
+    const migrations = [];
+    const migrated = this.migrateSettings({ ...file.settings, version: file.schemaVersion }, migrations);
+    const settings = this.getPortableSettings(this.validateSettings(migrated));
+
+    return {
+      success: true,
+      settings,
+      changes: diffSettings(this.getPortableSettings(), settings),
+      profile: file.profile && isValidProfileName(file.profile) ? file.profile : null,
+      migrations,
+      fromVersion: file.schemaVersion,
+      legacy: file.legacy
+    };
+  }
+
+  /**
+   * Describe an import for the terminal: migrations and the field diff
+   * @param {Object} read - Result of readImport
+   * @returns {string} Message lines
+   */
+  describeImport(read) {
+    const lines = [];
+    if (read.legacy) {
+      lines.push(`Old export format (v${read.fromVersion}, no checksum)`);
+    }
+    if (read.migrations.length > 0) {
+      lines.push(`Migrated ${read.migrations.join('; ')}`);
+    }
+    lines.push(read.changes.length === 0
+      ? 'No settings changed.'
+      : `${read.changes.length} setting${read.changes.length === 1 ? '' : 's'} changed:\n${formatSettingsDiff(read.changes)}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Replace the portable settings, keeping this browser's system section
+   * @param {Object} settings - Validated portable settings
+   * @returns {boolean} Success status
+   */
+  applyPortableSettings(settings) {
+    this.settings = { ...this.getDefaults(), ...settings, version: this.version, system: this.settings.system };
+    const saved = this.saveSettings();
+    this.applyAllSettings();
+    this.notifyListeners('settings-imported', this.settings);
+    return saved;
+  }
+
+  /**
+   * Import configuration straight away
+   * @param {string} configString - `!export` string or settings file contents
+   * @returns {Object} Import result with success status, message and changes
    */
   importConfig(configString) {
     try {
@@ -413,39 +573,24 @@ class SettingsManager {
         };
       }
 
-      const decoded = JSON.parse(atob(configString));
-      
-      // Validate import data structure
-      if (!decoded.settings || !decoded.version) {
-        return { 
-          success: false, 
-          message: 'Invalid configuration format' 
-        };
-      }
-
-      // Version compatibility check
-      if (decoded.version !== this.version) {
-        console.warn(`Importing from different version: ${decoded.version} -> ${this.version}`);
-      }
+      const read = this.readImport(configString);
+      if (!read.success) return read;
 
-      // Validate and merge settings
-      const validated = this.validateSettings(decoded.settings);
-      this.settings = { ...this.getDefaults(), ...validated };
-      
-      // Save imported settings
-      const saved = this.saveSettings();
+      const saved = this.applyPortableSettings(read.settings);
       if (!saved) {
         return { 
           success: false, 
           message: 'Failed to save imported configuration' 
         };
       }
-
-      this.notifyListeners('settings-imported', this.settings);
+      if (read.profile) {
+        this.saveProfile(read.profile);
+      }
       
       return { 
         success: true, 
-        message: 'Configuration imported successfully!' 
+        message: `Configuration imported successfully! ${this.describeImport(read)}`,
+        changes: read.changes
       };
     } catch (error) {
       return { 
@@ -455,6 +600,167 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Check an import and keep it for applyPendingImport(). Imports that
+   * change nothing are applied straight away.
+   * @param {string} input - `!export` string or settings file contents
+   * @returns {Object} { success, message, changes, pending }
+   */
+  previewImport(input) {
+    this.pendingImport = null;
+    const read = this.readImport(input);
+    if (!read.success) return read;
+
+    if (read.changes.length === 0) {
+      return { ...this.importConfig(input), pending: false };
+    }
+
+    this.pendingImport = read;
+    const profileNote = read.profile ? ` and saved as profile "${read.profile}"` : '';
+    return {
+      success: true,
+      message: `Import preview: ${this.describeImport(read)}\n\nType !import apply to apply${profileNote}, or !import cancel`,
+      changes: read.changes,
+      pending: true
+    };
+  }
+
+  /**
+   * Apply the import checked by previewImport()
+   * @returns {Object} Import result
+   */
+  applyPendingImport() {
+    const read = this.pendingImport;
+    if (!read) {
+      return { success: false, message: 'No import waiting to be applied' };
+    }
+
+    this.pendingImport = null;
+    if (!this.applyPortableSettings(read.settings)) {
+      return { success: false, message: 'Failed to save imported configuration' };
+    }
+    if (read.profile) {
+      this.saveProfile(read.profile);
+    }
+    return {
+      success: true,
+      message: `Configuration imported successfully! ${read.changes.length} setting${read.changes.length === 1 ? '' : 's'} changed.`,
+      changes: read.changes
+    };
+  }
+
+  /**
+   * Drop the import checked by previewImport()
+   * @returns {boolean} True if an import was waiting
+   */
+  cancelPendingImport() {
+    const hadPending = Boolean(this.pendingImport);
+    this.pendingImport = null;
+    return hadPending;
+  }
+
+  /**
+   * Get saved settings profiles
+   * @returns {Object} { active, profiles: { name: { schemaVersion, savedAt, settings } } }
+   */
+  getProfiles() {
+    const store = this.loadStore(this.profilesStorageKey);
+    const profiles = store.profiles && typeof store.profiles === 'object' ? store.profiles : {};
+    return { active: profiles[store.active] ? store.active : null, profiles };
+  }
+
+  /**
+   * Read a profile, migrated and validated for this version
+   * @param {string} name - Profile name
+   * @returns {Object} { success, settings, migrations } or { success: false, message }
+   */
+  getProfileSettings(name) {
+    const { profiles } = this.getProfiles();
+    const profile = profiles[name];
+    if (!profile || !profile.settings) {
+      const names = Object.keys(profiles);
+      return {
+        success: false,
+        message: `No profile named "${name}"${names.length ? ` (saved: ${names.join(', ')})` : ''}`
+      };
+    }
+
+    const migrations = [];
+    const migrated = this.migrateSettings({ ...profile.settings, version: profile.schemaVersion || '1.0.0' }, migrations);
+    return { success: true, settings: this.getPortableSettings(this.validateSettings(migrated)), migrations };
+  }
+
+  /**
+   * Save the current settings as a named profile (replacing one with the same name)
+   * @param {string} name - Profile name
+   * @returns {Object} Result with success status and message
+   */
+  saveProfile(name) {
+    if (!isValidProfileName(name)) {
+      return { success: false, message: `Invalid profile name "${name}": use letters, digits and dashes, starting with a letter` };
+    }
+
+    const { profiles } = this.getProfiles();
+    if (!profiles[name] && Object.keys(profiles).length >= MAX_PROFILES) {
+      return { success: false, message: `You can keep up to ${MAX_PROFILES} profiles; delete one first` };
+    }
+
+    const next = {
+      active: name,
+      profiles: {
+        ...profiles,
+        [name]: { schemaVersion: this.version, savedAt: Date.now(), settings: this.getPortableSettings() }
+      }
+    };
+    if (!this.saveStore(this.profilesStorageKey, next)) {
+      return { success: false, message: 'Failed to save profile' };
+    }
+
+    this.notifyListeners('profiles-changed', next);
+    return { success: true, message: `Saved current settings as profile "${name}"` };
+  }
+
+  /**
+   * Switch to a saved profile
+   * @param {string} name - Profile name
+   * @returns {Object} Result with success status, message and changes
+   */
+  useProfile(name) {
+    const profile = this.getProfileSettings(name);
+    if (!profile.success) return profile;
+
+    const changes = diffSettings(this.getPortableSettings(), profile.settings);
+    if (!this.applyPortableSettings(profile.settings)) {
+      return { success: false, message: 'Failed to save profile settings' };
+    }
+
+    const store = this.getProfiles();
+    this.saveStore(this.profilesStorageKey, { ...store, active: name });
+    this.notifyListeners('profiles-changed', { ...store, active: name });
+
+    return {
+      success: true,
+      message: `Switched to profile "${name}" (${changes.length} setting${changes.length === 1 ? '' : 's'} changed)`,
+      changes
+    };
+  }
+
+  /**
+   * Delete a saved profile
+   * @param {string} name - Profile name
+   * @returns {boolean} True if the profile existed
+   */
+  deleteProfile(name) {
+    const { active, profiles } = this.getProfiles();
+    if (!profiles[name]) return false;
+
+    const { [name]: removed, ...rest } = profiles;
+    const next = { active: active === name ? null : active, profiles: rest };
+    this.saveStore(this.profilesStorageKey, next);
+    this.notifyListeners('profiles-changed', next);
+    return true;
+  }
+
   /**
    * Reset all settings to defaults
    * @returns {Object} Reset result
@@ -484,6 +790,204 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Read a store kept under its own localStorage key. Stores are re-read on
+   * every call so several SettingsManager instances never overwrite each
+   * other's data (unlike the main settings object, which is cached).
+   * @param {string} storageKey - localStorage key
+   * @returns {Object} Stored object (empty when missing or corrupt)
+   */
+  loadStore(storageKey) {
+    try {
+      const stored = localStorage.getItem(storageKey);
+      const parsed = stored ? JSON.parse(stored) : {};
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+      console.warn(`Failed to load ${storageKey}, starting fresh:`, error);
+      return {};
+    }
+  }
+
+  /**
+   * Write a store under its own localStorage key
+   * @param {string} storageKey - localStorage key
+   * @param {Object|null} value - Object to store, or null to remove the key
+   * @returns {boolean} Success status
+   */
+  saveStore(storageKey, value) {
+    try {
+      if (value === null) {
+        localStorage.removeItem(storageKey);
+      } else {
+        localStorage.setItem(storageKey, JSON.stringify(value));
+      }
+      return true;
+    } catch (error) {
+      console.error(`Failed to save ${storageKey}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the persisted message rotation for a mode
+   * @param {string} modeId - Mode identifier
+   * @returns {Object|null} Rotation state or null if none is stored
+   */
+  getMessageRotation(modeId) {
+    return this.loadStore(this.rotationStorageKey)[modeId] || null;
+  }
+
+  /**
+   * Persist the message rotation for a mode
+   * @param {string} modeId - Mode identifier
+   * @param {Object} state - Rotation state
+   * @returns {boolean} Success status
+   */
+  setMessageRotation(modeId, state) {
+    const rotations = this.loadStore(this.rotationStorageKey);
+    rotations[modeId] = { ...state, updatedAt: Date.now() };
+    return this.saveStore(this.rotationStorageKey, rotations);
+  }
+
+  /**
+   * Clear the message rotation for one mode, or for all modes
+   * @param {string} [modeId] - Mode identifier (omit to clear everything)
+   * @returns {boolean} Success status
+   */
+  clearMessageRotation(modeId) {
+    let saved;
+    if (!modeId) {
+      saved = this.saveStore(this.rotationStorageKey, null);
+    } else {
+      const rotations = this.loadStore(this.rotationStorageKey);
+      delete rotations[modeId];
+      saved = this.saveStore(this.rotationStorageKey, rotations);
+    }
+    this.notifyListeners('message-rotation-cleared', { modeId: modeId || null });
+    return saved;
+  }
+
+  /**
+   * Get the `!schedule` overrides layered on top of global-config.json
+   * @returns {Object} Schedule overrides (empty when none are set)
+   */
+  getScheduleOverrides() {
+    return this.loadStore(this.scheduleStorageKey);
+  }
+
+  /**
+   * Persist `!schedule` overrides
+   * @param {Object} overrides - Schedule overrides
+   * @returns {boolean} Success status
+   */
+  setScheduleOverrides(overrides) {
+    const saved = this.saveStore(this.scheduleStorageKey, overrides);
+    this.notifyListeners('schedule-changed', overrides);
+    return saved;
+  }
+
+  /**
+   * Drop `!schedule` overrides so global-config.json applies again
+   * @returns {boolean} Success status
+   */
+  clearScheduleOverrides() {
+    const saved = this.saveStore(this.scheduleStorageKey, null);
+    this.notifyListeners('schedule-changed', {});
+    return saved;
+  }
+
+  /**
+   * Get the mode playlist
+   * @returns {Object} Stored playlist (empty when none is set)
+   */
+  getPlaylist() {
+    return this.loadStore(this.playlistStorageKey);
+  }
+
+  /**
+   * Persist the mode playlist
+   * @param {Object} playlist - Playlist state
+   * @returns {boolean} Success status
+   */
+  setPlaylist(playlist) {
+    const saved = this.saveStore(this.playlistStorageKey, playlist);
+    this.notifyListeners('playlist-changed', playlist);
+    return saved;
+  }
+
+  /**
+   * Get the terminal command history
+   * @returns {string[]} Commands, oldest first
+   */
+  getCommandHistory() {
+    const { history } = this.loadStore(this.terminalStorageKey);
+    return Array.isArray(history) ? history.filter(command => typeof command === 'string') : [];
+  }
+
+  /**
+   * Persist the terminal command history, trimmed to terminal.historySize
+   * @param {string[]} history - Commands, oldest first
+   * @returns {string[]} Saved history
+   */
+  setCommandHistory(history) {
+    const trimmed = history.slice(-Math.round(this.getSetting('terminal.historySize') || DEFAULT_HISTORY_SIZE));
+    const store = this.loadStore(this.terminalStorageKey);
+    this.saveStore(this.terminalStorageKey, { ...store, history: trimmed });
+    this.notifyListeners('command-history-changed', trimmed);
+    return trimmed;
+  }
+
+  /**
+   * Add a command to the terminal history
+   * @param {string} command - Command as typed
+   * @returns {string[]} Saved history
+   */
+  addCommandHistory(command) {
+    return this.setCommandHistory(appendHistory(this.getCommandHistory(), command, this.getSetting('terminal.historySize')));
+  }
+
+  /**
+   * Get the terminal aliases (`!alias`)
+   * @returns {Object} Alias name -> `;`-separated commands
+   */
+  getAliases() {
+    const { aliases } = this.loadStore(this.terminalStorageKey);
+    return aliases && typeof aliases === 'object' && !Array.isArray(aliases) ? aliases : {};
+  }
+
+  /**
+   * Persist the terminal aliases
+   * @param {Object} aliases - Alias name -> `;`-separated commands
+   * @returns {boolean} Success status
+   */
+  setAliases(aliases) {
+    const store = this.loadStore(this.terminalStorageKey);
+    const saved = this.saveStore(this.terminalStorageKey, { ...store, aliases });
+    this.notifyListeners('aliases-changed', aliases);
+    return saved;
+  }
+
+  /**
+   * Get the script run after the app loads (`!startup`)
+   * @returns {string} `;`-separated commands (empty when none is set)
+   */
+  getStartupScript() {
+    const { startupScript } = this.loadStore(this.terminalStorageKey);
+    return typeof startupScript === 'string' ? startupScript : '';
+  }
+
+  /**
+   * Persist the startup script
+   * @param {string} script - `;`-separated commands, or '' to remove it
+   * @returns {boolean} Success status
+   */
+  setStartupScript(script) {
+    const store = this.loadStore(this.terminalStorageKey);
+    const saved = this.saveStore(this.terminalStorageKey, { ...store, startupScript: script });
+    this.notifyListeners('startup-script-changed', script);
+    return saved;
+  }
+
   /**
    * Start performance monitoring
    */
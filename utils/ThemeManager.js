@@ -1,16 +1,101 @@
 /**
  * ThemeManager - Dynamic theming system for VibeScreen
- * Handles mode-specific color schemes, smooth transitions, and CSS custom property updates
+ * Handles color schemes, smooth transitions, and CSS custom property updates.
+ * Every mode has a palette of the same id, used while the `visual.theme`
+ * setting is 'mode'; `!theme <id>` picks any built-in or custom theme for
+ * all modes. Custom themes are read at runtime from public/data/themes.json
+ * and must pass validateTheme, legible contrast included. Whatever the
+ * theme, applyTheme corrects its text and glow colours to WCAG AA (AAA with
+ * high contrast on) before setting the CSS variables.
  */
 
+import { calculateContrastRatio as wcagContrastRatio } from './modeThemeValidator.js';
+import { normalizeHex, mixHex, hexToRgba } from './hexColor.js';
+import { correctThemeContrast } from './contrastCorrection.js';
+
+export const DEFAULT_THEME_ID = 'corporate-ai';
+export const FOLLOW_MODE_THEME = 'mode';
+export const CUSTOM_THEMES_URL = '/data/themes.json';
+
+// WCAG AA: body text, and large text / interface elements
+export const MIN_TEXT_CONTRAST = 4.5;
+export const MIN_ACCENT_CONTRAST = 3;
+
+const THEME_ID_PATTERN = /^[a-z][a-z0-9-]{0,39}$/;
+
+// Custom themes are shared by every ThemeManager (and the terminal's !theme)
+const customThemes = new Map();
+let customThemesRequest = null;
+
+/**
+ * Complete a hand-written theme: colours left out are derived from
+ * `primary`, the background and the text colour
+ * @param {Object} raw - Theme from themes.json
+ * @returns {Object} Theme with every property ThemeManager applies
+ */
+export function normalizeTheme(raw = {}) {
+  const primary = normalizeHex(raw.primary) || raw.primary;
+  const hex = normalizeHex(primary);
+  const background = normalizeHex(raw.background?.primary ?? raw.background) || raw.background?.primary || '#000000';
+  const textPrimary = raw.text?.primary || primary;
+  const derive = (value, make) => value || (hex ? make(hex) : undefined);
+
+  const primaryLight = derive(raw.primaryLight, color => mixHex(color, '#ffffff', 0.3));
+  const contrast = derive(raw.contrast, color => (
+    wcagContrastRatio(color, '#000000') >= wcagContrastRatio(color, '#ffffff') ? '#000000' : '#ffffff'
+  ));
+
+  return {
+    name: typeof raw.name === 'string' ? raw.name.trim() : raw.name,
+    primary,
+    primaryLight,
+    primaryDark: derive(raw.primaryDark, color => mixHex(color, '#000000', 0.25)),
+    secondary: raw.secondary || primaryLight,
+    accent: derive(raw.accent, color => mixHex(color, '#ffffff', 0.6)),
+    contrast,
+    background: {
+      primary: background,
+      secondary: derive(raw.background?.secondary, color => hexToRgba(color, 0.1)),
+      overlay: derive(raw.background?.overlay, color => hexToRgba(color, 0.05))
+    },
+    text: {
+      primary: textPrimary,
+      secondary: raw.text?.secondary || (normalizeHex(textPrimary) && normalizeHex(background)
+        ? mixHex(normalizeHex(textPrimary), normalizeHex(background), 0.3)
+        : textPrimary),
+      inverse: raw.text?.inverse || contrast
+    },
+    glow: derive(raw.glow, color => hexToRgba(color, 0.5)),
+    effects: {
+      scanLines: true,
+      phosphorGlow: true,
+      crtEffect: true,
+      intensity: 0.7,
+      ...(raw.effects && typeof raw.effects === 'object' && raw.effects)
+    }
+  };
+}
+
+/**
+ * Themes loaded from themes.json
+ * @returns {Map} Theme id -> theme
+ */
+export function getCustomThemes() {
+  return customThemes;
+}
+
 class ThemeManager {
   constructor(options = {}) {
     this.onThemeChange = options.onThemeChange || (() => {});
     this.onTransitionStart = options.onTransitionStart || (() => {});
     this.onTransitionEnd = options.onTransitionEnd || (() => {});
+    this.settingsManager = options.settingsManager || null;
     
     // Current state
-    this.currentTheme = options.initialTheme || 'corporate-ai';
+    this.currentTheme = options.initialTheme || DEFAULT_THEME_ID;
+    this.currentMode = this.currentTheme; // Mode whose palette is used while the theme follows the mode
+    this.appliedTheme = null; // Theme whose CSS variables are set (leads currentTheme during a transition)
+    this.contrastCorrections = []; // Colours applyTheme changed to reach the contrast level
     this.isTransitioning = false;
     this.transitionDuration = options.transitionDuration || 600;
     this.transitionEasing = options.transitionEasing || 'cubic-bezier(0.4, 0, 0.2, 1)';
@@ -26,6 +111,12 @@ class ThemeManager {
     this.switchTheme = this.switchTheme.bind(this);
     this.getThemeConfig = this.getThemeConfig.bind(this);
     this.validateTheme = this.validateTheme.bind(this);
+    this.handleSettingsEvent = this.handleSettingsEvent.bind(this);
+
+    // Follow !theme (and the same setting changed in another window)
+    if (this.settingsManager) {
+      this.settingsManager.addListener(this.handleSettingsEvent);
+    }
   }
 
   /**
@@ -341,18 +432,161 @@ class ThemeManager {
   }
 
   /**
-   * Get theme configuration for a specific mode
+   * Get theme configuration by id (a mode's palette or a custom theme)
    */
   getThemeConfig(themeId) {
-    return this.themeConfigurations[themeId] || this.themeConfigurations['corporate-ai'];
+    return this.themeConfigurations[themeId] || customThemes.get(themeId) || this.themeConfigurations[DEFAULT_THEME_ID];
+  }
+
+  /**
+   * Whether a theme id is known
+   * @param {string} themeId - Theme id
+   * @returns {boolean} True for built-in and loaded custom themes
+   */
+  hasTheme(themeId) {
+    return Boolean(this.themeConfigurations[themeId] || customThemes.has(themeId));
+  }
+
+  /**
+   * The theme chosen with !theme, or null while themes follow the mode
+   * @returns {string|null} Theme id
+   */
+  getSelectedTheme() {
+    const selected = this.settingsManager?.getSetting('visual.theme');
+    return selected && selected !== FOLLOW_MODE_THEME ? selected : null;
+  }
+
+  /**
+   * The theme to show for a mode: the selected theme when there is one,
+   * otherwise the mode's own palette
+   * @param {string} modeId - Mode id
+   * @returns {string} Theme id
+   */
+  resolveThemeId(modeId = this.currentMode) {
+    const selected = this.getSelectedTheme();
+    if (selected && this.hasTheme(selected)) return selected;
+    return this.hasTheme(modeId) ? modeId : DEFAULT_THEME_ID;
+  }
+
+  /**
+   * Show the theme for a newly active mode
+   * @param {string} modeId - Mode id
+   * @param {Object} options - switchTheme options
+   * @returns {Promise<boolean>} Success status
+   */
+  setMode(modeId, options = {}) {
+    this.currentMode = modeId;
+    return this.switchTheme(this.resolveThemeId(modeId), options);
+  }
+
+  /**
+   * Re-apply the theme when the theme setting changes
+   * @param {string} event - SettingsManager event
+   * @param {*} data - Event data
+   */
+  handleSettingsEvent(event, data) {
+    const path = event === 'setting-changed' ? data?.path : null;
+    const replaced = event === 'settings-imported' || event === 'settings-reset';
+
+    if (path === 'visual.theme' || replaced) {
+      const themeId = this.resolveThemeId();
+      if (themeId !== this.currentTheme) {
+        this.switchTheme(themeId, { immediate: replaced });
+        return;
+      }
+    }
+
+    // Same theme, possibly a different contrast level
+    if (path === 'accessibility.highContrast' || replaced) {
+      this.applyTheme(this.appliedTheme || this.currentTheme, { immediate: true });
+    }
+  }
+
+  /**
+   * WCAG level themes are corrected to
+   * @returns {string} 'AAA' with high contrast on, otherwise 'AA'
+   */
+  getContrastLevel() {
+    return this.settingsManager?.getSetting('accessibility.highContrast') ? 'AAA' : 'AA';
+  }
+
+  /**
+   * A theme as applyTheme shows it: contrast corrected to the current level
+   * @param {string} themeId - Theme id
+   * @returns {Object} { theme, corrections, level }
+   */
+  getDisplayTheme(themeId) {
+    const level = this.getContrastLevel();
+    return { ...correctThemeContrast(this.getThemeConfig(themeId), { level }), level };
+  }
+
+  /**
+   * Validate and add a custom theme
+   * @param {string} themeId - Theme id (lowercase letters, numbers and hyphens)
+   * @param {Object} rawTheme - Theme from themes.json
+   * @returns {Object} validateTheme result, with the reason in `errors` when rejected
+   */
+  registerTheme(themeId, rawTheme) {
+    if (!THEME_ID_PATTERN.test(themeId)) {
+      return { valid: false, errors: [`Invalid theme id "${themeId}". Use lowercase letters, numbers and hyphens.`], warnings: [] };
+    }
+    if (this.themeConfigurations[themeId]) {
+      return { valid: false, errors: [`"${themeId}" is a built-in theme and cannot be replaced`], warnings: [] };
+    }
+    if (!rawTheme || typeof rawTheme !== 'object' || Array.isArray(rawTheme)) {
+      return { valid: false, errors: ['A theme must be an object with at least "name" and "primary"'], warnings: [] };
+    }
+
+    const theme = normalizeTheme(rawTheme);
+    const validation = this.validateTheme(theme, { strict: true });
+    if (validation.valid) {
+      customThemes.set(themeId, theme);
+    }
+    return validation;
+  }
+
+  /**
+   * Load custom themes from themes.json (fetched once and shared)
+   * @param {string} url - Themes file
+   * @returns {Promise<Object>} { loaded: string[], rejected: [{ id, errors }] }
+   */
+  async loadCustomThemes(url = CUSTOM_THEMES_URL) {
+    if (!customThemesRequest) {
+      customThemesRequest = fetch(url)
+        .then(response => (response.ok ? response.json() : {}))
+        .catch(() => ({}));
+    }
+
+    const file = await customThemesRequest;
+    const definitions = file && typeof file.themes === 'object' ? file.themes : {};
+    const result = { loaded: [], rejected: [] };
+
+    Object.entries(definitions || {}).forEach(([themeId, rawTheme]) => {
+      const validation = this.registerTheme(themeId, rawTheme);
+      if (validation.valid) {
+        result.loaded.push(themeId);
+      } else {
+        result.rejected.push({ id: themeId, errors: validation.errors });
+        console.warn(`🎨 Custom theme "${themeId}" rejected: ${validation.errors.join('; ')}`);
+      }
+    });
+
+    // A custom theme picked in an earlier session can only be shown now
+    if (this.getSelectedTheme() && this.resolveThemeId() !== this.currentTheme) {
+      await this.switchTheme(this.resolveThemeId(), { immediate: true });
+    }
+
+    return result;
   }
 
   /**
    * Apply theme to the document root
    */
   applyTheme(themeId, options = {}) {
-    const theme = this.getThemeConfig(themeId);
+    const { theme, corrections, level } = this.getDisplayTheme(themeId);
     const root = document.documentElement;
+    this.appliedTheme = themeId;
+    this.contrastCorrections = corrections;
     const immediate = options.immediate || false;
 
     // Set transition duration if not immediate
@@ -389,6 +623,8 @@ class ThemeManager {
     // Apply mode-specific data attributes for CSS targeting
     document.body.setAttribute('data-theme', themeId);
     document.body.setAttribute('data-theme-name', theme.name);
+    document.body.setAttribute('data-contrast-level', level);
+    document.body.setAttribute('data-contrast-corrected', corrections.length > 0);
 
     // Apply effect flags as data attributes
     Object.keys(theme.effects).forEach(effect => {
@@ -419,7 +655,7 @@ class ThemeManager {
       return true;
     }
 
-    if (!this.themeConfigurations[newThemeId]) {
+    if (!this.hasTheme(newThemeId)) {
       console.error(`Theme not found: ${newThemeId}`);
       return false;
     }
@@ -487,9 +723,13 @@ class ThemeManager {
 
   /**
    * Validate theme configuration
+   * @param {string|Object} themeId - Theme id, or a theme object to check before registering it
+   * @param {Object} options - { strict }: illegible contrast is an error instead of a warning
    */
-  validateTheme(themeId) {
-    const theme = this.themeConfigurations[themeId];
+  validateTheme(themeId, options = {}) {
+    const theme = typeof themeId === 'object' && themeId !== null
+      ? themeId
+      : this.themeConfigurations[themeId] || customThemes.get(themeId);
     if (!theme) {
       return { valid: false, errors: [`Theme "${themeId}" not found`] };
     }
@@ -513,14 +753,33 @@ class ThemeManager {
       }
     });
 
-    // Check contrast ratios (simplified)
+    // Check contrast ratios
     if (theme.primary && theme.contrast) {
       const contrastRatio = this.calculateContrastRatio(theme.primary, theme.contrast);
-      if (contrastRatio < 4.5) {
+      if (contrastRatio < MIN_TEXT_CONTRAST) {
         warnings.push(`Low contrast ratio between primary and contrast colors: ${contrastRatio.toFixed(2)}`);
       }
     }
 
+    // Text and the mode colour must be readable on the background. Built-in
+    // palettes only warn; custom themes are rejected (strict)
+    const background = theme.background?.primary;
+    if (background && !this.isValidColor(background)) {
+      errors.push(`Invalid color format for background.primary: ${background}`);
+    } else if (background) {
+      const legibility = [
+        ['text.primary', theme.text?.primary, MIN_TEXT_CONTRAST],
+        ['primary', theme.primary, MIN_ACCENT_CONTRAST]
+      ];
+      legibility.forEach(([prop, color, minimum]) => {
+        if (!color || !this.isValidColor(color)) return;
+        const ratio = this.calculateContrastRatio(color, background);
+        if (ratio < minimum) {
+          (options.strict ? errors : warnings).push(`${prop} is hard to read on background.primary: contrast ${ratio.toFixed(2)}, needs ${minimum}`);
+        }
+      });
+    }
+
     return {
       valid: errors.length === 0,
       errors,
@@ -539,28 +798,10 @@ class ThemeManager {
   }
 
   /**
-   * Calculate contrast ratio between two colors (simplified)
+   * Calculate the WCAG contrast ratio between two colors (1-21)
    */
   calculateContrastRatio(color1, color2) {
-    // This is a simplified implementation
-    // In a real application, you'd use a proper color library
-    const getLuminance = (color) => {
-      if (color.startsWith('#')) {
-        const hex = color.slice(1);
-        const r = parseInt(hex.substr(0, 2), 16) / 255;
-        const g = parseInt(hex.substr(2, 2), 16) / 255;
-        const b = parseInt(hex.substr(4, 2), 16) / 255;
-        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-      }
-      return 0.5; // Fallback
-    };
-
-    const l1 = getLuminance(color1);
-    const l2 = getLuminance(color2);
-    const lighter = Math.max(l1, l2);
-    const darker = Math.min(l1, l2);
-    
-    return (lighter + 0.05) / (darker + 0.05);
+    return wcagContrastRatio(color1, color2);
   }
 
   /**
@@ -570,8 +811,11 @@ class ThemeManager {
     return {
       currentTheme: this.currentTheme,
       currentThemeName: this.getThemeConfig(this.currentTheme).name,
+      selectedTheme: this.getSelectedTheme(),
+      contrastLevel: this.getContrastLevel(),
+      contrastCorrections: this.contrastCorrections,
       isTransitioning: this.isTransitioning,
-      availableThemes: Object.keys(this.themeConfigurations),
+      availableThemes: this.getAvailableThemes().map(theme => theme.id),
       transitionDuration: this.transitionDuration,
       themeHistory: this.themeHistory.slice(0, 3)
     };
@@ -581,27 +825,44 @@ class ThemeManager {
    * Get all available themes
    */
   getAvailableThemes() {
-    return Object.keys(this.themeConfigurations).map(id => ({
+    const builtIn = Object.keys(this.themeConfigurations).map(id => ({
       id,
       name: this.themeConfigurations[id].name,
       primary: this.themeConfigurations[id].primary
     }));
+    const custom = [...customThemes.entries()].map(([id, theme]) => ({
+      id,
+      name: theme.name,
+      primary: theme.primary,
+      custom: true
+    }));
+    return [...builtIn, ...custom];
   }
 
   /**
-   * Initialize theme on page load
+   * Initialize theme on page load for the starting mode
    */
-  initialize(themeId = 'corporate-ai') {
-    this.currentTheme = themeId;
-    this.applyTheme(themeId, { immediate: true });
-    console.log(`🎨 ThemeManager initialized with theme: ${themeId}`);
+  initialize(modeId = DEFAULT_THEME_ID) {
+    this.currentMode = modeId;
+    this.currentTheme = this.resolveThemeId(modeId);
+    this.applyTheme(this.currentTheme, { immediate: true });
+    console.log(`🎨 ThemeManager initialized with theme: ${this.currentTheme}`);
   }
 
   /**
    * Reset to default theme
    */
   reset() {
-    return this.switchTheme('corporate-ai', { immediate: true });
+    return this.switchTheme(DEFAULT_THEME_ID, { immediate: true });
+  }
+
+  /**
+   * Stop following the theme setting
+   */
+  destroy() {
+    if (this.settingsManager) {
+      this.settingsManager.removeListener(this.handleSettingsEvent);
+    }
   }
 
   /**
@@ -0,0 +1,331 @@
+/**
+ * VoiceNarrator Class
+ *
+ * Optional voice layer that reads scheduled messages aloud with the browser
+ * speechSynthesis API (offline voices where the OS provides them). Each mode
+ * sets its voice, pitch and rate in the `voice` block of its config.json;
+ * `!voice set <name>` overrides the voice for every mode. Speech follows the
+ * `voice.enabled` setting and the existing `audio.muted` / `audio.volume`
+ * settings. Listeners get 'start', 'boundary' and 'end' events so the
+ * character can move its mouth on every spoken word.
+ */
+
+export const VOICE_DEFAULTS = {
+  name: [],
+  lang: 'en-US',
+  pitch: 1,
+  rate: 1
+};
+
+// Ranges accepted by SpeechSynthesisUtterance
+const RANGES = {
+  pitch: [0, 2],
+  rate: [0.1, 10]
+};
+
+// Spoken words per minute at rate 1, used when a voice fires no boundary events
+const WORDS_PER_MINUTE = 170;
+const BOUNDARY_FALLBACK_DELAY_MS = 600;
+
+/**
+ * Normalize the `voice` block of a mode config
+ * @param {*} voice - Raw `voice` block from config.json
+ * @returns {Object} { voice: { name: string[], lang, pitch, rate }, warnings }
+ */
+export function normalizeVoiceConfig(voice) {
+  const warnings = [];
+  const normalized = { ...VOICE_DEFAULTS, name: [] };
+  if (voice === undefined) return { voice: normalized, warnings };
+
+  if (!voice || typeof voice !== 'object' || Array.isArray(voice)) {
+    return { voice: normalized, warnings: ['voice must be an object'] };
+  }
+
+  if (voice.name !== undefined) {
+    const names = Array.isArray(voice.name) ? voice.name : [voice.name];
+    normalized.name = names.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim());
+    if (normalized.name.length !== names.length) {
+      warnings.push('voice.name must be a voice name or a list of names');
+    }
+  }
+
+  if (voice.lang !== undefined) {
+    if (typeof voice.lang === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(voice.lang)) {
+      normalized.lang = voice.lang;
+    } else {
+      warnings.push(`voice.lang "${voice.lang}" is not a language tag like en-US`);
+    }
+  }
+
+  Object.entries(RANGES).forEach(([key, [min, max]]) => {
+    const value = voice[key];
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !isFinite(value)) {
+      warnings.push(`voice.${key} must be a number`);
+      return;
+    }
+    normalized[key] = Math.max(min, Math.min(max, value));
+    if (normalized[key] !== value) {
+      warnings.push(`voice.${key} ${value} clamped to [${min}, ${max}]`);
+    }
+  });
+
+  return { voice: normalized, warnings };
+}
+
+/**
+ * Find an installed voice by name: exact match first, then partial
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {string} name - Voice name, e.g. "samantha"
+ * @returns {SpeechSynthesisVoice|null} Voice or null
+ */
+export function findVoiceByName(voices, name) {
+  const wanted = name.toLowerCase();
+  return voices.find(voice => voice.name.toLowerCase() === wanted)
+    || voices.find(voice => voice.name.toLowerCase().includes(wanted))
+    || null;
+}
+
+/**
+ * Pick a voice: the first preferred name that is installed, otherwise the
+ * first voice for the language
+ * @param {SpeechSynthesisVoice[]} voices - Installed voices
+ * @param {string[]} names - Preferred voice names, best first
+ * @param {string} lang - Language tag
+ * @returns {SpeechSynthesisVoice|null} Voice, or null for the browser default
+ */
+export function findVoice(voices, names = [], lang = VOICE_DEFAULTS.lang) {
+  for (const name of names) {
+    const match = findVoiceByName(voices, name);
+    if (match) return match;
+  }
+
+  const language = lang.toLowerCase();
+  return voices.find(voice => voice.lang?.toLowerCase() === language)
+    || voices.find(voice => voice.lang?.toLowerCase().startsWith(language.split('-')[0]))
+    || null;
+}
+
+/**
+ * Get the browser speech synthesizer
+ * @returns {SpeechSynthesis|null} Synthesizer, or null where unsupported
+ */
+export function getSpeechSynthesis() {
+  if (typeof window === 'undefined' || !window.speechSynthesis || !window.SpeechSynthesisUtterance) {
+    return null;
+  }
+  return window.speechSynthesis;
+}
+
+class VoiceNarrator {
+  constructor(options = {}) {
+    this.settingsManager = options.settingsManager;
+    this.synth = options.synth !== undefined ? options.synth : getSpeechSynthesis();
+    this.Utterance = options.Utterance || (typeof window !== 'undefined' ? window.SpeechSynthesisUtterance : null);
+    this.onError = options.onError || console.error;
+
+    this.listeners = new Set();
+    this.currentUtterance = null;
+    this.fallbackTimer = null;
+
+    this.handleSettingsEvent = this.handleSettingsEvent.bind(this);
+    if (this.settingsManager) {
+      this.settingsManager.addListener(this.handleSettingsEvent);
+    }
+  }
+
+  /**
+   * Whether speechSynthesis is available
+   * @returns {boolean} True if messages can be spoken
+   */
+  isSupported() {
+    return Boolean(this.synth && this.Utterance);
+  }
+
+  /**
+   * Whether messages should be spoken right now
+   * @returns {boolean} True when voice is on and audio is not muted
+   */
+  isEnabled() {
+    return this.isSupported()
+      && this.settingsManager?.getSetting('voice.enabled') === true
+      && this.settingsManager?.getSetting('audio.muted') !== true;
+  }
+
+  /**
+   * List the installed voices. Some browsers load them asynchronously, so
+   * the list can be empty until the synthesizer fires 'voiceschanged'.
+   * @returns {SpeechSynthesisVoice[]} Voices
+   */
+  getVoices() {
+    return this.isSupported() ? this.synth.getVoices() : [];
+  }
+
+  /**
+   * Speak a message, interrupting any message still being spoken
+   * @param {string} text - Message text
+   * @param {Object} voiceConfig - `voice` block from the mode config
+   * @returns {boolean} True if speech was started
+   */
+  speak(text, voiceConfig) {
+    if (!this.isEnabled() || typeof text !== 'string' || !text.trim()) return false;
+
+    const { voice: params } = normalizeVoiceConfig(voiceConfig);
+    const override = this.settingsManager.getSetting('voice.name');
+    const names = override ? [override, ...params.name] : params.name;
+
+    try {
+      this.stop();
+
+      const utterance = new this.Utterance(text);
+      const voice = findVoice(this.getVoices(), names, params.lang);
+      if (voice) utterance.voice = voice;
+      utterance.lang = voice?.lang || params.lang;
+      utterance.pitch = params.pitch;
+      utterance.rate = params.rate;
+      utterance.volume = this.settingsManager.getSetting('audio.volume') ?? 1;
+
+      let boundaries = 0;
+      utterance.onstart = () => {
+        this.notifyListeners('start', { text });
+        this.startBoundaryFallback(utterance, text, params.rate, () => boundaries);
+      };
+      utterance.onboundary = (event) => {
+        if (event.name && event.name !== 'word') return;
+        boundaries++;
+        this.notifyListeners('boundary', { charIndex: event.charIndex, charLength: event.charLength });
+      };
+      utterance.onend = () => this.finish(utterance);
+      utterance.onerror = (event) => {
+        // Cancelling for the next message or a mute is not an error
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+          this.onError('Speech synthesis failed', event.error);
+        }
+        this.finish(utterance);
+      };
+
+      this.currentUtterance = utterance;
+      this.synth.speak(utterance);
+      return true;
+    } catch (error) {
+      this.onError('Could not speak message', error);
+      return false;
+    }
+  }
+
+  /**
+   * Fake word boundaries for voices that never fire them (many network
+   * voices), estimated from the speaking rate
+   * @param {SpeechSynthesisUtterance} utterance - Utterance being spoken
+   * @param {string} text - Spoken text
+   * @param {number} rate - Speaking rate
+   * @param {Function} countBoundaries - Returns the real boundary count so far
+   */
+  startBoundaryFallback(utterance, text, rate, countBoundaries) {
+    this.clearBoundaryFallback();
+
+    const words = text.match(/\S+/g) || [];
+    const intervalMs = 60000 / (WORDS_PER_MINUTE * rate);
+    let index = 0;
+
+    this.fallbackTimer = setTimeout(() => {
+      if (countBoundaries() > 0 || this.currentUtterance !== utterance) return;
+
+      this.fallbackTimer = setInterval(() => {
+        if (this.currentUtterance !== utterance || index >= words.length) {
+          this.clearBoundaryFallback();
+          return;
+        }
+        this.notifyListeners('boundary', { charIndex: null, charLength: words[index].length, estimated: true });
+        index++;
+      }, intervalMs);
+    }, BOUNDARY_FALLBACK_DELAY_MS);
+  }
+
+  /**
+   * Stop estimated boundaries
+   */
+  clearBoundaryFallback() {
+    if (this.fallbackTimer) {
+      clearTimeout(this.fallbackTimer);
+      clearInterval(this.fallbackTimer);
+      this.fallbackTimer = null;
+    }
+  }
+
+  /**
+   * Mark an utterance as finished
+   * @param {SpeechSynthesisUtterance} utterance - Finished utterance
+   */
+  finish(utterance) {
+    if (this.currentUtterance !== utterance) return;
+    this.currentUtterance = null;
+    this.clearBoundaryFallback();
+    this.notifyListeners('end', {});
+  }
+
+  /**
+   * Stop speaking
+   */
+  stop() {
+    const utterance = this.currentUtterance;
+    if (this.isSupported() && (utterance || this.synth.speaking)) {
+      this.synth.cancel();
+    }
+    if (utterance) this.finish(utterance);
+  }
+
+  /**
+   * Stop speaking when voice is turned off or audio is muted
+   * @param {string} event - Settings event
+   */
+  handleSettingsEvent(event) {
+    if (['setting-changed', 'settings-imported', 'settings-reset', 'settings-bulk-updated'].includes(event) && !this.isEnabled()) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Add speech event listener
+   * @param {Function} listener - Called with (event, data)
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove speech event listener
+   * @param {Function} listener - Callback function
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners of a speech event
+   * @param {string} event - 'start', 'boundary' or 'end'
+   * @param {Object} data - Event data
+   */
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Voice listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Stop speaking and detach from settings
+   */
+  destroy() {
+    this.stop();
+    this.listeners.clear();
+    if (this.settingsManager) {
+      this.settingsManager.removeListener(this.handleSettingsEvent);
+    }
+  }
+}
+
+export default VoiceNarrator;
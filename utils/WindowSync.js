@@ -0,0 +1,421 @@
+/**
+ * WindowSync Class
+ *
+ * Keeps several VibeScreen windows of the same browser in step over a
+ * BroadcastChannel. Windows announce themselves with heartbeats and the
+ * oldest live window is elected leader: only its MessageScheduler picks
+ * messages, which it broadcasts so every window shows the same popup at the
+ * same time. Mode switches and pause/resume from any window are applied
+ * everywhere, and SettingsManager changes are replayed in the other windows
+ * so settings listeners (audio, voice, terminal, playlist) react as if the
+ * change had been made locally. When the leader closes or stops sending
+ * heartbeats the next oldest window takes over.
+ */
+
+export const SYNC_CHANNEL_NAME = 'vibescreen-sync';
+
+export const SYNC_DEFAULTS = {
+  heartbeatInterval: 1000,
+  leaderTimeout: 5000,
+  joinTimeout: 400
+};
+
+// SettingsManager events for stores that are read from localStorage on
+// every access; other windows only need the event to refresh
+const STORE_EVENTS = [
+  'aliases-changed',
+  'startup-script-changed',
+  'schedule-changed',
+  'playlist-changed',
+  'profiles-changed'
+];
+
+/**
+ * Open a BroadcastChannel where the browser supports it
+ * @param {string} name - Channel name
+ * @returns {BroadcastChannel|null} Channel, or null where unsupported
+ */
+export function openBroadcastChannel(name) {
+  if (typeof BroadcastChannel === 'undefined') return null;
+  return new BroadcastChannel(name);
+}
+
+/**
+ * Elect the leader among the live windows: the oldest one, ties broken by id
+ * @param {Object[]} windows - [{ id, startedAt }]
+ * @returns {string|null} Leader id, or null without windows
+ */
+export function electLeader(windows) {
+  const [leader] = [...windows].sort((a, b) => a.startedAt - b.startedAt || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  return leader ? leader.id : null;
+}
+
+class WindowSync {
+  constructor(options = {}) {
+    this.settingsManager = options.settingsManager || null;
+    this.onError = options.onError || console.error;
+    this.channelName = options.channelName || SYNC_CHANNEL_NAME;
+    this.createChannel = options.createChannel || openBroadcastChannel;
+    this.now = options.now || (() => Date.now());
+    this.heartbeatInterval = options.heartbeatInterval || SYNC_DEFAULTS.heartbeatInterval;
+    this.leaderTimeout = options.leaderTimeout || SYNC_DEFAULTS.leaderTimeout;
+    this.joinTimeout = options.joinTimeout || SYNC_DEFAULTS.joinTimeout;
+
+    this.id = options.id || `${this.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+    this.startedAt = this.now();
+    this.channel = null;
+    this.peers = new Map(); // id -> { startedAt, lastSeen }
+    this.leaderId = null;
+    this.joined = false;
+    this.state = { mode: null, paused: false };
+    this.applyingRemote = false;
+
+    this.listeners = new Set();
+    this.heartbeatTimer = null;
+    this.joinTimer = null;
+
+    this.handleChannelMessage = this.handleChannelMessage.bind(this);
+    this.handleSettingsEvent = this.handleSettingsEvent.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
+  }
+
+  /**
+   * Join the other windows. Until the join period is over this window
+   * neither leads nor broadcasts its own mode, so a new window adopts the
+   * running state instead of overriding it.
+   */
+  start() {
+    if (this.channel || this.joined) return;
+
+    try {
+      this.channel = this.createChannel(this.channelName);
+    } catch (error) {
+      this.onError('Window sync unavailable', error);
+      this.channel = null;
+    }
+
+    // Without BroadcastChannel every window simply runs on its own
+    if (!this.channel) {
+      this.finishJoin();
+      return;
+    }
+
+    this.channel.onmessage = this.handleChannelMessage;
+    if (this.settingsManager) {
+      this.settingsManager.addListener(this.handleSettingsEvent);
+    }
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    this.post('hello');
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+    this.joinTimer = setTimeout(() => this.finishJoin(), this.joinTimeout);
+  }
+
+  /**
+   * End the join period and hold the first election
+   */
+  finishJoin() {
+    clearTimeout(this.joinTimer);
+    this.joinTimer = null;
+    this.joined = true;
+    this.updateLeader();
+  }
+
+  /**
+   * Whether this window owns message scheduling
+   * @returns {boolean} True for the leader (or a window on its own)
+   */
+  isLeader() {
+    return this.joined && this.leaderId === this.id;
+  }
+
+  /**
+   * Current sync status
+   * @returns {Object} { enabled, id, isLeader, leaderId, windows }
+   */
+  getStatus() {
+    return {
+      enabled: Boolean(this.channel),
+      id: this.id,
+      isLeader: this.isLeader(),
+      leaderId: this.leaderId,
+      windows: this.peers.size + 1
+    };
+  }
+
+  /**
+   * Record the local mode and switch the other windows to it
+   * @param {string|null} mode - Mode id
+   */
+  setMode(mode) {
+    if (!mode || mode === this.state.mode) return;
+    this.state.mode = mode;
+    if (this.joined) this.post('mode', { mode });
+  }
+
+  /**
+   * Record the local pause state and apply it in the other windows
+   * @param {boolean} paused - Whether messages are paused
+   */
+  setPaused(paused) {
+    if (Boolean(paused) === this.state.paused) return;
+    this.state.paused = Boolean(paused);
+    if (this.joined) this.post('pause', { paused: this.state.paused });
+  }
+
+  /**
+   * Show a message the leader's scheduler picked in every other window
+   * @param {Object} message - Message object from MessageScheduler
+   */
+  broadcastMessage(message) {
+    if (this.isLeader()) {
+      this.post('message', { message });
+    }
+  }
+
+  /**
+   * Ask the leader to show a message (`!say` or `!react` typed in a following window)
+   * @param {string|Object} message - Message text, or { text, reaction }
+   */
+  forwardMessage(message) {
+    const { text, reaction } = typeof message === 'string' ? { text: message } : message;
+    this.post('say', { text, ...(reaction && { reaction }) });
+  }
+
+  /**
+   * Send a heartbeat and drop windows that stopped sending theirs
+   */
+  heartbeat() {
+    this.post('heartbeat');
+
+    const cutoff = this.now() - this.leaderTimeout;
+    let changed = false;
+    this.peers.forEach((peer, id) => {
+      if (peer.lastSeen < cutoff) {
+        this.peers.delete(id);
+        changed = true;
+      }
+    });
+    if (changed) this.updateLeader();
+  }
+
+  /**
+   * Re-run the election and announce a change of leader
+   */
+  updateLeader() {
+    if (!this.joined) return;
+
+    const windows = [{ id: this.id, startedAt: this.startedAt }];
+    this.peers.forEach((peer, id) => windows.push({ id, startedAt: peer.startedAt }));
+    const leaderId = electLeader(windows);
+    if (leaderId === this.leaderId) return;
+
+    this.leaderId = leaderId;
+    this.notifyListeners('leader-changed', { leaderId, isLeader: this.isLeader() });
+
+    // A new leader's state is the one everybody follows from now on
+    if (this.isLeader() && this.peers.size > 0) {
+      this.post('state', { mode: this.state.mode, paused: this.state.paused });
+    }
+  }
+
+  /**
+   * Post a sync message to the other windows
+   * @param {string} type - Message type
+   * @param {Object} [data] - Payload
+   */
+  post(type, data = {}) {
+    if (!this.channel) return;
+    try {
+      this.channel.postMessage({ ...data, type, from: this.id, startedAt: this.startedAt });
+    } catch (error) {
+      this.onError(`Failed to send ${type} to other windows`, error);
+    }
+  }
+
+  /**
+   * Handle a message from another window
+   * @param {MessageEvent} event - Channel event
+   */
+  handleChannelMessage(event) {
+    const data = event && event.data;
+    if (!data || typeof data !== 'object' || !data.type || data.from === this.id) return;
+
+    if (data.type === 'goodbye') {
+      this.peers.delete(data.from);
+      this.updateLeader();
+      return;
+    }
+
+    const known = this.peers.has(data.from);
+    this.peers.set(data.from, { startedAt: data.startedAt, lastSeen: this.now() });
+    if (!known) this.updateLeader();
+
+    switch (data.type) {
+      case 'hello':
+        // Let the newcomer count us, and catch it up if we lead
+        this.post('heartbeat');
+        if (this.isLeader()) this.post('state', { mode: this.state.mode, paused: this.state.paused });
+        break;
+      case 'state':
+        this.applyRemoteMode(data.mode);
+        this.applyRemotePause(data.paused);
+        if (!this.joined) this.finishJoin();
+        break;
+      case 'mode':
+        this.applyRemoteMode(data.mode);
+        break;
+      case 'pause':
+        this.applyRemotePause(data.paused);
+        break;
+      case 'message':
+        if (data.message) this.notifyListeners('message', data.message);
+        break;
+      case 'say':
+        if (this.isLeader() && typeof data.text === 'string') {
+          this.notifyListeners('say', { text: data.text, ...(typeof data.reaction === 'string' && { reaction: data.reaction }) });
+        }
+        break;
+      case 'setting':
+      case 'settings':
+      case 'store':
+        this.applyRemoteSettings(data);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Switch to a mode chosen in another window
+   * @param {string} mode - Mode id
+   */
+  applyRemoteMode(mode) {
+    if (!mode || mode === this.state.mode) return;
+    this.state.mode = mode;
+    this.notifyListeners('mode-changed', { mode });
+  }
+
+  /**
+   * Pause or resume because another window did
+   * @param {boolean} paused - Whether messages are paused
+   */
+  applyRemotePause(paused) {
+    if (typeof paused !== 'boolean' || paused === this.state.paused) return;
+    this.state.paused = paused;
+    this.notifyListeners('pause-changed', { paused });
+  }
+
+  /**
+   * Replay a settings change from another window without echoing it back
+   * @param {Object} data - 'setting', 'settings' or 'store' message
+   */
+  applyRemoteSettings(data) {
+    if (!this.settingsManager) return;
+
+    this.applyingRemote = true;
+    try {
+      if (data.type === 'setting') {
+        this.settingsManager.setSetting(data.path, data.value);
+      } else if (data.type === 'settings') {
+        this.settingsManager.applyPortableSettings(data.settings);
+      } else if (STORE_EVENTS.includes(data.event)) {
+        this.settingsManager.notifyListeners(data.event, data.data);
+      } else {
+        return;
+      }
+      this.notifyListeners('settings-synced', { event: data.event || (data.type === 'setting' ? 'setting-changed' : 'settings-imported') });
+    } catch (error) {
+      this.onError('Failed to apply settings from another window', error);
+    } finally {
+      this.applyingRemote = false;
+    }
+  }
+
+  /**
+   * Forward local settings changes to the other windows
+   * @param {string} event - Settings event
+   * @param {*} data - Event data
+   */
+  handleSettingsEvent(event, data) {
+    if (this.applyingRemote) return;
+
+    if (event === 'setting-changed') {
+      this.post('setting', { path: data.path, value: data.value });
+    } else if (event === 'settings-imported' || event === 'settings-reset') {
+      this.post('settings', { settings: this.settingsManager.getPortableSettings() });
+    } else if (STORE_EVENTS.includes(event)) {
+      this.post('store', { event, data });
+    }
+  }
+
+  /**
+   * Hand over leadership right away when the window closes
+   */
+  handlePageHide() {
+    this.post('goodbye');
+  }
+
+  /**
+   * Add sync event listener
+   * @param {Function} listener - Called with (event, data)
+   */
+  addListener(listener) {
+    this.listeners.add(listener);
+  }
+
+  /**
+   * Remove sync event listener
+   * @param {Function} listener - Callback function
+   */
+  removeListener(listener) {
+    this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify all listeners of a sync event
+   * @param {string} event - 'leader-changed', 'mode-changed', 'pause-changed', 'message', 'say' or 'settings-synced'
+   * @param {*} data - Event data
+   */
+  notifyListeners(event, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, data);
+      } catch (error) {
+        console.error('Window sync listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Leave the other windows and release the channel
+   */
+  destroy() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.joinTimer);
+    this.heartbeatTimer = null;
+    this.joinTimer = null;
+
+    if (this.channel) {
+      this.post('goodbye');
+      this.channel.onmessage = null;
+      this.channel.close();
+      this.channel = null;
+    }
+    if (this.settingsManager) {
+      this.settingsManager.removeListener(this.handleSettingsEvent);
+    }
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.handlePageHide);
+    }
+
+    this.peers.clear();
+    this.listeners.clear();
+    this.joined = false;
+    this.leaderId = null;
+  }
+}
+
+export default WindowSync;
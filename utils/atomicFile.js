@@ -0,0 +1,71 @@
+/**
+ * Atomic file writes for server-side code (API routes and scripts)
+ *
+ * Content is written to a temporary file next to the target and renamed over
+ * it, so readers never see a half-written JSON file. The previous version is
+ * kept as <file>.bak.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Path of the backup kept for a file
+ * @param {string} filePath - Target file
+ * @returns {string} Backup path
+ */
+export function getBackupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+/**
+ * Write a file atomically, keeping a backup of the previous content
+ * @param {string} filePath - Target file
+ * @param {string} content - New content
+ * @param {Object} options - { backup: keep <file>.bak (default true) }
+ * @returns {Promise<Object>} { path, backupPath } (backupPath is null when there was nothing to back up)
+ */
+export async function writeFileAtomic(filePath, content, { backup = true } = {}) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+  let backupPath = null;
+
+  await fs.mkdir(directory, { recursive: true });
+
+  try {
+    await fs.writeFile(tempPath, content, 'utf8');
+
+    if (backup) {
+      try {
+        await fs.copyFile(filePath, getBackupPath(filePath));
+        backupPath = getBackupPath(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  return { path: filePath, backupPath };
+}
+
+/**
+ * Write pretty-printed JSON atomically
+ * @param {string} filePath - Target file
+ * @param {*} data - JSON-serializable data
+ * @param {Object} options - Passed to writeFileAtomic
+ * @returns {Promise<Object>} { path, backupPath }
+ */
+export async function writeJSONAtomic(filePath, data, options) {
+  return writeFileAtomic(filePath, JSON.stringify(data, null, 2), options);
+}
+
+export default {
+  getBackupPath,
+  writeFileAtomic,
+  writeJSONAtomic
+};
@@ -0,0 +1,130 @@
+/**
+ * Terminal help formatting
+ *
+ * Builds `!help` output from command metadata (description, usage,
+ * category, params, examples, related) so the help text always matches
+ * the commands CommandParser actually accepts, built-in or registered.
+ */
+
+// Help sections in display order; commands without a known category go last
+export const HELP_CATEGORIES = [
+  'Character Control',
+  'Message Control',
+  'Customization',
+  'Configuration',
+  'System',
+  'Scripting'
+];
+
+export const DEFAULT_HELP_CATEGORY = 'Mode & Plugin Commands';
+
+// Terminal features that are not commands but belong in the overview
+export const HELP_TIPS = {
+  System: [
+    { label: '!<n> / !-<n>', description: 'Run history entry n / the nth last command' },
+    { label: 'Ctrl+R', description: 'Search the command history' }
+  ],
+  Scripting: [
+    { label: '<cmd>; <cmd>', description: 'Run several commands in a row' }
+  ]
+};
+
+const LABEL_WIDTH = 17;
+
+/**
+ * Group commands by help category in display order
+ * @param {Object[]} commands - Help entries { name, description, category }
+ * @returns {Object[]} [{ category, commands }] without empty categories
+ */
+export function groupByCategory(commands) {
+  const categories = [...HELP_CATEGORIES];
+  commands.forEach(command => {
+    const category = command.category || DEFAULT_HELP_CATEGORY;
+    if (!categories.includes(category)) categories.push(category);
+  });
+
+  return categories
+    .map(category => ({
+      category,
+      commands: commands.filter(command => (command.category || DEFAULT_HELP_CATEGORY) === category)
+    }))
+    .filter(group => group.commands.length > 0);
+}
+
+/**
+ * One aligned help line
+ * @param {string} label - Left column
+ * @param {string} description - Right column
+ * @returns {string} Indented line
+ */
+export function formatHelpLine(label, description) {
+  return `  ${label.padEnd(LABEL_WIDTH)} - ${description}`;
+}
+
+/**
+ * The `!help` overview: every command grouped by category
+ * @param {Object[]} commands - Help entries { name, description, category, note? }
+ * @returns {string} Help text
+ */
+export function formatHelpOverview(commands) {
+  const sections = groupByCategory(commands).map(({ category, commands: entries }) => {
+    const lines = entries.map(command => formatHelpLine(`!${command.name}`, `${command.description}${command.note ? ` (${command.note})` : ''}`));
+    (HELP_TIPS[category] || []).forEach(tip => lines.push(formatHelpLine(tip.label, tip.description)));
+    return `${category}:\n${lines.join('\n')}`;
+  });
+
+  return `VibeScreen Terminal Commands:
+
+${sections.join('\n\n')}
+
+Type !help <command> for usage and examples, or !help search <term> to find a command.`;
+}
+
+/**
+ * Detailed help for one command (`!help <command>`)
+ * @param {Object} command - Help entry { name, usage, description, category, note?, params?, examples?, related? }
+ * @returns {string} Help text
+ */
+export function formatCommandHelp(command) {
+  const lines = [
+    `Usage: ${command.usage}`,
+    `${command.description}${command.note ? ` (${command.note})` : ''}`,
+    `Category: ${command.category || DEFAULT_HELP_CATEGORY}`
+  ];
+
+  if (command.params && command.params.length > 0) {
+    lines.push('', 'Parameters:');
+    command.params.forEach(param => lines.push(formatHelpLine(param.name, param.description)));
+  }
+  if (command.examples && command.examples.length > 0) {
+    lines.push('', 'Examples:');
+    command.examples.forEach(example => lines.push(`  ${example}`));
+  }
+  if (command.related && command.related.length > 0) {
+    lines.push('', `Related: ${command.related.map(name => `!${name}`).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Results of `!help search <term>`
+ * @param {string} term - Search term
+ * @param {Object[]} matches - Help entries, best match first
+ * @returns {string} Help text
+ */
+export function formatSearchResults(term, matches) {
+  const lines = matches.map(command => formatHelpLine(`!${command.name}`, command.description));
+  return `Commands matching "${term}":\n${lines.join('\n')}\n\nType !help <command> for details.`;
+}
+
+export default {
+  HELP_CATEGORIES,
+  DEFAULT_HELP_CATEGORY,
+  HELP_TIPS,
+  groupByCategory,
+  formatHelpLine,
+  formatHelpOverview,
+  formatCommandHelp,
+  formatSearchResults
+};
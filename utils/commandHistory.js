@@ -0,0 +1,91 @@
+/**
+ * Terminal command history helpers
+ *
+ * Pure functions behind the persisted terminal history: appending with a
+ * size limit, Ctrl+R reverse search and `!<n>` / `!-<n>` references.
+ * SettingsManager stores the list; TerminalInterface and CommandParser
+ * use these helpers to read it.
+ */
+
+export const DEFAULT_HISTORY_SIZE = 100;
+export const HISTORY_SIZE_RANGE = { min: 10, max: 1000 };
+
+/**
+ * Clamp a history size to the allowed range
+ * @param {*} size - Requested size
+ * @returns {number} Whole number within HISTORY_SIZE_RANGE
+ */
+export function clampHistorySize(size) {
+  const value = Number(size);
+  if (!isFinite(value)) return DEFAULT_HISTORY_SIZE;
+  return Math.max(HISTORY_SIZE_RANGE.min, Math.min(HISTORY_SIZE_RANGE.max, Math.round(value)));
+}
+
+/**
+ * Add a command to the end of the history, skipping blanks and repeats of
+ * the previous command, and drop the oldest entries past the size limit
+ * @param {string[]} history - Commands, oldest first
+ * @param {string} command - Command to add
+ * @param {number} size - Maximum number of entries
+ * @returns {string[]} New history
+ */
+export function appendHistory(history, command, size = DEFAULT_HISTORY_SIZE) {
+  const trimmed = typeof command === 'string' ? command.trim() : '';
+  const next = trimmed && history[history.length - 1] !== trimmed ? [...history, trimmed] : [...history];
+  return next.slice(-clampHistorySize(size));
+}
+
+/**
+ * Reverse search: find the newest entry before `before` that contains the query
+ * @param {string[]} history - Commands, oldest first
+ * @param {string} query - Text to look for (case-insensitive)
+ * @param {number} [before] - Search entries older than this index
+ * @returns {number} Index of the match, or -1
+ */
+export function searchHistory(history, query, before = history.length) {
+  const wanted = query.toLowerCase();
+  for (let index = Math.min(before, history.length) - 1; index >= 0; index--) {
+    if (history[index].toLowerCase().includes(wanted)) return index;
+  }
+  return -1;
+}
+
+/**
+ * Whether input is a history reference such as `!12` or `!-2`
+ * @param {string} input - Terminal input
+ * @returns {boolean} True for history references
+ */
+export function isHistoryReference(input) {
+  return /^!-?\d+$/.test(input.trim());
+}
+
+/**
+ * Look up a history reference: `!<n>` is entry n as listed by !history,
+ * `!-<n>` is the nth most recent command
+ * @param {string[]} history - Commands, oldest first
+ * @param {string} input - History reference
+ * @returns {Object} { command } or { error }
+ */
+export function resolveHistoryReference(history, input) {
+  const number = parseInt(input.trim().slice(1), 10);
+  const index = number < 0 ? history.length + number : number - 1;
+
+  if (number === 0 || index < 0 || index >= history.length) {
+    return {
+      error: history.length === 0
+        ? 'Command history is empty'
+        : `No command ${number} in history (1-${history.length}, or -1 for the last one)`
+    };
+  }
+  return { command: history[index] };
+}
+
+export default {
+  DEFAULT_HISTORY_SIZE,
+  HISTORY_SIZE_RANGE,
+  clampHistorySize,
+  appendHistory,
+  searchHistory,
+  isHistoryReference,
+  resolveHistoryReference
+};
@@ -0,0 +1,337 @@
+/**
+ * Command Registry - public API for adding terminal commands
+ *
+ * Third-party code and modes call registerCommand() with a typed parameter
+ * schema. CommandParser reads the schema to validate arguments, suggest
+ * similar commands, build !help and tab-complete arguments; CommandExecutor
+ * runs the handler with the parsed values. Built-in commands always take
+ * precedence over registered ones with the same name.
+ *
+ * @example
+ * registerCommand({
+ *   name: 'meditate',
+ *   description: 'Pause messages for a while',
+ *   params: [{ name: 'minutes', type: 'integer', min: 1, max: 60, default: 5 }],
+ *   handler: async ({ minutes }, api) => {
+ *     await api.controlMessages('pause');
+ *     return `Meditating for ${minutes} minutes`;
+ *   }
+ * });
+ */
+
+export const PARAM_TYPES = ['string', 'number', 'integer', 'boolean', 'enum', 'character'];
+
+const BOOLEAN_VALUES = {
+  on: true, true: true, yes: true, 1: true,
+  off: false, false: false, no: false, 0: false
+};
+
+const registry = new Map();
+const listeners = new Set();
+
+/**
+ * Check and normalize one parameter schema
+ * @param {Object} param - { name, type, description?, optional?, default?, rest?, min?, max?, values? }
+ * @param {number} index - Position in the params list
+ * @param {number} count - Number of params
+ * @returns {Object} Normalized parameter
+ */
+function normalizeParam(param, index, count) {
+  if (!param || typeof param !== 'object' || typeof param.name !== 'string' || !param.name) {
+    throw new Error(`params[${index}] needs a name`);
+  }
+  const type = param.type || 'string';
+  if (!PARAM_TYPES.includes(type)) {
+    throw new Error(`params[${index}] (${param.name}) has unknown type "${type}"; use one of ${PARAM_TYPES.join(', ')}`);
+  }
+  if (type === 'enum' && (!Array.isArray(param.values) || param.values.length === 0)) {
+    throw new Error(`params[${index}] (${param.name}) is an enum without values`);
+  }
+  if (param.rest && index !== count - 1) {
+    throw new Error(`params[${index}] (${param.name}) takes the rest of the line, so it must be last`);
+  }
+
+  return {
+    ...param,
+    type,
+    description: param.description || '',
+    optional: Boolean(param.optional) || param.default !== undefined,
+    // A character name can have spaces, so a trailing character param takes the rest of the line
+    rest: Boolean(param.rest) || (type === 'character' && index === count - 1),
+    values: type === 'enum' ? param.values.map(value => String(value).toLowerCase()) : undefined
+  };
+}
+
+/**
+ * Build a usage line from the parameter schema
+ * @param {string} name - Command name
+ * @param {Object[]} params - Normalized parameters
+ * @returns {string} Usage, e.g. "!meditate [minutes]"
+ */
+export function formatUsage(name, params) {
+  const parts = params.map(param => {
+    const label = param.type === 'enum' ? param.values.join('|') : param.name;
+    return param.optional ? `[${label}]` : `<${label}>`;
+  });
+  return [`!${name}`, ...parts].join(' ');
+}
+
+/**
+ * Check and normalize a command definition
+ * @param {Object} definition - { name, description?, usage?, params?, handler, mode?, category?, examples?, related? }
+ * @returns {Object} Normalized command
+ */
+export function normalizeCommandDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Command definition must be an object');
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name.replace(/^!/, '').toLowerCase() : '';
+  if (!/^[a-z][a-z0-9-]{0,29}$/.test(name)) {
+    throw new Error(`Invalid command name "${definition.name}": use letters, digits and dashes, starting with a letter`);
+  }
+  if (typeof definition.handler !== 'function') {
+    throw new Error(`Command !${name} needs a handler function`);
+  }
+
+  const rawParams = definition.params || [];
+  if (!Array.isArray(rawParams)) {
+    throw new Error(`Command !${name}: params must be an array`);
+  }
+  const params = rawParams.map((param, index) => normalizeParam(param, index, rawParams.length));
+  const firstOptional = params.findIndex(param => param.optional);
+  if (firstOptional !== -1 && params.slice(firstOptional).some(param => !param.optional)) {
+    throw new Error(`Command !${name}: required params cannot follow optional ones`);
+  }
+
+  return {
+    name,
+    description: definition.description || '',
+    usage: definition.usage || formatUsage(name, params),
+    params,
+    handler: definition.handler,
+    mode: definition.mode || null,
+    category: definition.category || null,
+    examples: Array.isArray(definition.examples) ? definition.examples : [],
+    related: Array.isArray(definition.related) ? definition.related.map(related => related.replace(/^!/, '')) : []
+  };
+}
+
+/**
+ * Register a terminal command
+ * @param {Object} definition - { name, description?, usage?, params?, handler(values, api), mode?, category?, examples?, related? }
+ *   `mode` limits the command to one active mode (set for commands shipped by modes).
+ * @returns {Function} Call to unregister the command
+ * @throws {Error} If the definition is invalid or the name is taken
+ */
+export function registerCommand(definition) {
+  const command = normalizeCommandDefinition(definition);
+  if (registry.has(command.name)) {
+    throw new Error(`Command !${command.name} is already registered`);
+  }
+
+  registry.set(command.name, command);
+  notify('command-registered', command);
+  return () => unregisterCommand(command.name);
+}
+
+/**
+ * Remove a registered command
+ * @param {string} name - Command name
+ * @returns {boolean} True if a command was removed
+ */
+export function unregisterCommand(name) {
+  const key = name.replace(/^!/, '').toLowerCase();
+  const command = registry.get(key);
+  if (!command) return false;
+  registry.delete(key);
+  notify('command-unregistered', command);
+  return true;
+}
+
+/**
+ * Get a registered command
+ * @param {string} name - Command name without !
+ * @returns {Object|null} Normalized command
+ */
+export function getRegisteredCommand(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * List registered commands
+ * @returns {Object[]} Normalized commands sorted by name
+ */
+export function getRegisteredCommands() {
+  return [...registry.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Convert one argument string to its parameter type
+ * @param {Object} param - Normalized parameter
+ * @param {string} raw - Argument as typed
+ * @param {Object} options - { resolveCharacter(input) -> mode ID or null }
+ * @returns {Object} { value } or { error }
+ */
+function convertArgument(param, raw, options) {
+  const invalid = (expected) => ({ error: `Invalid ${param.name} "${raw}": expected ${expected}` });
+  const range = () => {
+    if (param.min !== undefined && param.max !== undefined) return ` from ${param.min} to ${param.max}`;
+    if (param.min !== undefined) return ` of at least ${param.min}`;
+    if (param.max !== undefined) return ` of at most ${param.max}`;
+    return '';
+  };
+
+  switch (param.type) {
+    case 'number':
+    case 'integer': {
+      const value = Number(raw);
+      const whole = param.type === 'integer';
+      const expected = `${whole ? 'a whole number' : 'a number'}${range()}`;
+      if (raw === '' || !isFinite(value) || (whole && !Number.isInteger(value))) return invalid(expected);
+      if ((param.min !== undefined && value < param.min) || (param.max !== undefined && value > param.max)) return invalid(expected);
+      return { value };
+    }
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[raw.toLowerCase()];
+      return value === undefined ? invalid('on or off') : { value };
+    }
+    case 'enum': {
+      const value = raw.toLowerCase();
+      return param.values.includes(value) ? { value } : invalid(`one of ${param.values.join(', ')}`);
+    }
+    case 'character': {
+      const value = options.resolveCharacter ? options.resolveCharacter(raw) : raw;
+      return value ? { value } : invalid('a character name (type !characters)');
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Parse typed arguments against a parameter schema
+ * @param {Object[]} params - Normalized parameters
+ * @param {string[]} args - Whitespace-split arguments
+ * @param {Object} [options] - { resolveCharacter }
+ * @returns {Object} { valid, values } or { valid: false, error }
+ */
+export function parseCommandArgs(params, args, options = {}) {
+  const required = params.filter(param => !param.optional).length;
+  const takesRest = params.length > 0 && params[params.length - 1].rest;
+
+  if (args.length < required) {
+    const missing = params[args.length];
+    return { valid: false, error: `Missing ${missing.name}${missing.description ? ` (${missing.description})` : ''}` };
+  }
+  if (!takesRest && args.length > params.length) {
+    return { valid: false, error: `Too many arguments (expected at most ${params.length})` };
+  }
+
+  const values = {};
+  for (let index = 0; index < params.length; index++) {
+    const param = params[index];
+    const raw = param.rest ? args.slice(index).join(' ') : args[index];
+
+    if (raw === undefined || raw === '') {
+      values[param.name] = param.default;
+      continue;
+    }
+
+    const converted = convertArgument(param, raw, options);
+    if (converted.error) return { valid: false, error: converted.error };
+    values[param.name] = converted.value;
+  }
+
+  return { valid: true, values };
+}
+
+/**
+ * Describe a parameter for !help: its type, range and default
+ * @param {Object} param - Normalized parameter
+ * @returns {string} e.g. "whole number 1-60, default 5 - how long to meditate"
+ */
+export function describeParam(param) {
+  let kind;
+  switch (param.type) {
+    case 'integer':
+    case 'number': {
+      kind = param.type === 'integer' ? 'whole number' : 'number';
+      if (param.min !== undefined && param.max !== undefined) kind += ` ${param.min}-${param.max}`;
+      else if (param.min !== undefined) kind += ` >= ${param.min}`;
+      else if (param.max !== undefined) kind += ` <= ${param.max}`;
+      break;
+    }
+    case 'boolean':
+      kind = 'on|off';
+      break;
+    case 'enum':
+      kind = param.values.join('|');
+      break;
+    case 'character':
+      kind = 'character name';
+      break;
+    default:
+      kind = param.rest ? 'text' : 'word';
+  }
+
+  const extras = [];
+  if (param.default !== undefined) extras.push(`default ${param.default}`);
+  else if (param.optional) extras.push('optional');
+
+  const summary = [kind, ...extras].join(', ');
+  return param.description ? `${summary} - ${param.description}` : summary;
+}
+
+/**
+ * Argument values tab completion can offer for one parameter
+ * @param {Object} param - Normalized parameter
+ * @param {Object} [options] - { characters: display names }
+ * @returns {string[]} Completion values
+ */
+export function getParamCompletions(param, options = {}) {
+  switch (param.type) {
+    case 'enum':
+      return param.values;
+    case 'boolean':
+      return ['on', 'off'];
+    case 'character':
+      return options.characters || [];
+    default:
+      return param.default !== undefined ? [String(param.default)] : [];
+  }
+}
+
+/**
+ * Listen for registrations ('command-registered' / 'command-unregistered')
+ * @param {Function} listener - Called with (event, command)
+ * @returns {Function} Call to stop listening
+ */
+export function onRegistryChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(event, command) {
+  listeners.forEach(listener => {
+    try {
+      listener(event, command);
+    } catch (error) {
+      console.error('Command registry listener error:', error);
+    }
+  });
+}
+
+export default {
+  PARAM_TYPES,
+  formatUsage,
+  normalizeCommandDefinition,
+  registerCommand,
+  unregisterCommand,
+  getRegisteredCommand,
+  getRegisteredCommands,
+  parseCommandArgs,
+  describeParam,
+  getParamCompletions,
+  onRegistryChange
+};
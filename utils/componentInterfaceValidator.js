@@ -5,6 +5,8 @@
  * Provides detailed error reporting and guidance for fixing component issues.
  */
 
+import { validateSceneDescription as validateSceneDescriptionDSL } from './sceneDescription.js';
+
 /**
  * Component validation schemas defining required exports and interfaces
  */
@@ -34,6 +36,11 @@ export const COMPONENT_VALIDATION_SCHEMAS = {
     requiredFields: [], // Messages can be either array or object with messages field
     optionalFields: ['messages', 'categories', 'weights', 'metadata'],
     description: 'Messages array or object containing personality-appropriate text content'
+  },
+  sceneDescription: {
+    requiredFields: [], // Either section may be omitted; an empty one is rendered
+    optionalFields: ['version', 'scene', 'character'],
+    description: 'Declarative scene.json/scene.yaml describing scene and character primitives, materials, lights and behaviours'
   }
 };
 
@@ -150,6 +157,17 @@ export class ComponentInterfaceValidator {
         });
       }
 
+      // Validate declarative scene description for user-defined modes
+      if (components.sceneDescription) {
+        const descriptionResult = this.validateSceneDescription(components.sceneDescription, modeId);
+        results.components.sceneDescription = descriptionResult;
+        if (!descriptionResult.valid) {
+          results.valid = false;
+          results.errors.push(...descriptionResult.errors);
+        }
+        results.warnings.push(...descriptionResult.warnings);
+      }
+
       // Store validation results
       this.validationResults.set(modeId, results);
 
@@ -277,13 +295,20 @@ export class ComponentInterfaceValidator {
     
     if (Array.isArray(messages)) {
       messageArray = messages;
+    } else if (messages.categories && typeof messages.categories === 'object' && !Array.isArray(messages.categories)) {
+      // Category-tagged messages: { categories: { supportive: [...] }, messages?: [...] }
+      messageArray = [
+        ...(Array.isArray(messages.messages) ? messages.messages : []),
+        ...Object.values(messages.categories).flatMap(category => (Array.isArray(category) ? category : []))
+      ];
+      result.checks.categories = Object.keys(messages.categories);
     } else if (messages.messages && Array.isArray(messages.messages)) {
       messageArray = messages.messages;
     } else {
       result.errors.push({
         type: 'INVALID_MESSAGES_FORMAT',
-        message: 'Messages must be an array or an object with a messages array property',
-        guidance: 'Use either ["message1", "message2"] or {"messages": ["message1", "message2"]}'
+        message: 'Messages must be an array, an object with a messages array property or a categories map',
+        guidance: 'Use ["message1", "message2"], {"messages": ["message1", "message2"]} or {"categories": {"supportive": ["message1"]}}'
       });
       result.valid = false;
       return result;
@@ -331,6 +356,23 @@ export class ComponentInterfaceValidator {
     return result;
   }
 
+  /**
+   * Validate a declarative scene description (scene.json or scene.yaml)
+   */
+  validateSceneDescription(description, modeId) {
+    const dslResult = validateSceneDescriptionDSL(description);
+
+    return {
+      type: 'sceneDescription',
+      valid: dslResult.valid,
+      errors: dslResult.errors,
+      warnings: dslResult.warnings,
+      checks: {
+        objectCount: dslResult.objectCount
+      }
+    };
+  }
+
   /**
    * Check if component exists and is not null/undefined
    */
@@ -716,6 +758,14 @@ export const validateComponent = (component, type, modeId, options = {}) => {
   return validator.validateComponent(component, type, modeId);
 };
 
+/**
+ * Validate a declarative scene description quickly
+ */
+export const validateSceneDescription = (description, modeId, options = {}) => {
+  const validator = createValidator(options);
+  return validator.validateSceneDescription(description, modeId);
+};
+
 /**
  * Validate a complete mode structure quickly
  */
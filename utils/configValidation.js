@@ -3,6 +3,8 @@
  * Ensures all configuration values are within acceptable ranges and types
  */
 
+import { normalizeSchedule } from './scheduleRules.js';
+
 /**
  * Validates and sanitizes global configuration object
  * @param {Object} config - Raw configuration object
@@ -36,6 +38,7 @@ export function validateAndSanitizeConfig(config) {
     messageCategories: sanitizeMessageCategories(config.messageCategories),
     accessibility: sanitizeAccessibility(config.accessibility),
     userPreferences: sanitizeUserPreferences(config.userPreferences),
+    schedule: normalizeSchedule(config.schedule).schedule,
     validation: config.validation || {}
   };
 
@@ -223,6 +226,11 @@ export function validateConfigStructure(config) {
     }
   }
 
+  // Invalid schedule rules are dropped, not fatal
+  if (config.schedule !== undefined) {
+    warnings.push(...normalizeSchedule(config.schedule).errors);
+  }
+
   return {
     success: errors.length === 0,
     errors,
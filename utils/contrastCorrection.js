@@ -0,0 +1,208 @@
+/**
+ * Contrast Correction
+ *
+ * Makes a theme legible before ThemeManager.applyTheme sets its CSS
+ * variables. Text, the muted text, the inverse text on the mode colour and
+ * the glow are moved lighter or darker until they reach the WCAG level, and
+ * the background is deepened when no text colour could reach it. Hue and
+ * saturation are kept, so Zen Monk stays green and Chaos stays purple. The
+ * mode colour itself is never changed; text on it that cannot reach the
+ * level gets the better of black and white.
+ *
+ * Themes are corrected to AA (4.5:1 for text, 3:1 for the glow). With high
+ * contrast enabled (`!contrast on` or the system preference) they are
+ * corrected to AAA (7:1 and 4.5:1).
+ */
+
+import { calculateContrastRatio, parseColor } from './modeThemeValidator.js';
+
+export const CONTRAST_LEVELS = {
+  AA: { text: 4.5, graphics: 3 },
+  AAA: { text: 7, graphics: 4.5 }
+};
+
+// Colours checked against the background (or, for text.inverse, the mode colour)
+export const CONTRAST_PAIRS = [
+  { id: 'text', label: 'text', color: 'text.primary', against: 'background.primary', kind: 'text' },
+  { id: 'muted', label: 'muted text', color: 'text.secondary', against: 'background.primary', kind: 'text' },
+  { id: 'inverse', label: 'text on mode color', color: 'text.inverse', against: 'primary', kind: 'text' },
+  { id: 'glow', label: 'glow', color: 'glow', against: 'background.primary', kind: 'graphics' }
+];
+
+// How far the background moves per attempt when text cannot reach the level
+const BACKGROUND_STEP = 0.04;
+
+const getPath = (theme, path) => path.split('.').reduce((value, key) => value?.[key], theme);
+
+function setPath(theme, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => object[key], theme);
+  parent[last] = value;
+}
+
+/**
+ * Convert a colour to hue, saturation and lightness
+ * @param {string} color - Hex or rgb()/rgba() colour
+ * @returns {Object|null} { h, s, l, alpha } with h in degrees, the rest 0-1
+ */
+export function toHsl(color) {
+  const rgb = parseColor(color);
+  if (!rgb) return null;
+
+  const alphaMatch = color.match(/rgba\([^)]*,\s*([\d.]+)\s*\)/);
+  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(value => value / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const delta = max - min;
+
+  let h = 0;
+  let s = 0;
+  if (delta > 0) {
+    s = delta / (1 - Math.abs(2 * l - 1));
+    if (max === r) h = 60 * (((g - b) / delta) % 6);
+    else if (max === g) h = 60 * ((b - r) / delta + 2);
+    else h = 60 * ((r - g) / delta + 4);
+  }
+
+  return { h: (h + 360) % 360, s, l, alpha: alphaMatch ? Number(alphaMatch[1]) : 1 };
+}
+
+/**
+ * Convert hue, saturation and lightness back to a colour
+ * @param {Object} hsl - { h, s, l, alpha }
+ * @returns {string} #rrggbb, or rgba() when alpha is below 1
+ */
+export function fromHsl({ h, s, l, alpha = 1 }) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0]
+    : h < 120 ? [x, c, 0]
+      : h < 180 ? [0, c, x]
+        : h < 240 ? [0, x, c]
+          : h < 300 ? [x, 0, c]
+            : [c, 0, x];
+  const channels = [r, g, b].map(value => Math.round((value + m) * 255));
+
+  return alpha < 1
+    ? `rgba(${channels.join(', ')}, ${alpha})`
+    : `#${channels.map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Change a colour's lightness, keeping its hue, until it reaches a contrast
+ * ratio against another colour. Moves away from the other colour first and
+ * changes the lightness as little as possible.
+ * @param {string} color - Colour to adjust
+ * @param {string} against - Colour it is read against
+ * @param {number} minimum - Contrast ratio to reach
+ * @returns {string|null} The colour (unchanged when it already passes), or null when no lightness reaches the ratio
+ */
+export function adjustForContrast(color, against, minimum) {
+  if (calculateContrastRatio(color, against) >= minimum) return color;
+
+  const hsl = toHsl(color);
+  const background = toHsl(against);
+  if (!hsl || !background) return null;
+
+  const directions = hsl.l >= background.l ? [1, 0] : [0, 1];
+  for (const extreme of directions) {
+    if (calculateContrastRatio(fromHsl({ ...hsl, l: extreme }), against) < minimum) continue;
+
+    // The ratio grows steadily towards the extreme, so halve the gap
+    let passing = extreme;
+    let failing = hsl.l;
+    for (let i = 0; i < 20; i++) {
+      const middle = (passing + failing) / 2;
+      if (calculateContrastRatio(fromHsl({ ...hsl, l: middle }), against) >= minimum) passing = middle;
+      else failing = middle;
+    }
+    return fromHsl({ ...hsl, l: passing });
+  }
+
+  return null;
+}
+
+/**
+ * Contrast ratios of a theme
+ * @param {Object} theme - Theme from ThemeManager
+ * @returns {Object[]} [{ id, label, color, against, ratio, level }] with level 'AAA', 'AA' or null
+ */
+export function measureContrast(theme) {
+  return CONTRAST_PAIRS
+    .map(pair => {
+      const color = getPath(theme, pair.color);
+      const against = getPath(theme, pair.against);
+      if (!parseColor(color) || !parseColor(against)) return null;
+
+      const ratio = calculateContrastRatio(color, against);
+      const level = ['AAA', 'AA'].find(name => ratio >= CONTRAST_LEVELS[name][pair.kind]) || null;
+      return { id: pair.id, label: pair.label, color, against, ratio, level };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Correct a theme so every pair reaches a WCAG level
+ * @param {Object} theme - Theme from ThemeManager (not modified)
+ * @param {Object} options - { level: 'AA' | 'AAA' }
+ * @returns {Object} { theme, corrections: [{ color, from, to }] }
+ */
+export function correctThemeContrast(theme, options = {}) {
+  const level = CONTRAST_LEVELS[options.level] || CONTRAST_LEVELS.AA;
+  const corrected = {
+    ...theme,
+    background: { ...theme.background },
+    text: { ...theme.text }
+  };
+
+  // Deepen the background (towards black or white, whichever is closer)
+  // until every text colour can be adjusted against it
+  const solve = () => CONTRAST_PAIRS.map(pair => {
+    const color = getPath(corrected, pair.color);
+    const against = getPath(corrected, pair.against);
+    if (!parseColor(color) || !parseColor(against)) return { pair, value: color };
+    return { pair, value: adjustForContrast(color, against, level[pair.kind]) };
+  });
+
+  const blocked = results => results.some(result => result.value === null && result.pair.against === 'background.primary');
+  let results = solve();
+  const background = toHsl(corrected.background.primary);
+  while (background && blocked(results)) {
+    background.l = background.l < 0.5
+      ? Math.max(0, background.l - BACKGROUND_STEP)
+      : Math.min(1, background.l + BACKGROUND_STEP);
+    corrected.background.primary = fromHsl(background);
+    results = solve();
+    if (background.l === 0 || background.l === 1) break;
+  }
+
+  // Text on the mode colour cannot move the mode colour; use the best of black and white
+  results.forEach(({ pair, value }) => {
+    const color = getPath(corrected, pair.color);
+    const hsl = value ? null : toHsl(color);
+    const against = getPath(corrected, pair.against);
+    const best = hsl && [0, 1]
+      .map(l => fromHsl({ ...hsl, l }))
+      .reduce((a, b) => (calculateContrastRatio(a, against) >= calculateContrastRatio(b, against) ? a : b));
+    if (value || best) setPath(corrected, pair.color, value || best);
+  });
+
+  const corrections = ['background.primary', ...CONTRAST_PAIRS.map(pair => pair.color)]
+    .filter(path => getPath(corrected, path) !== getPath(theme, path))
+    .map(path => ({ color: path, from: getPath(theme, path), to: getPath(corrected, path) }));
+
+  return { theme: corrections.length > 0 ? corrected : theme, corrections };
+}
+
+export default {
+  CONTRAST_LEVELS,
+  CONTRAST_PAIRS,
+  toHsl,
+  fromHsl,
+  adjustForContrast,
+  measureContrast,
+  correctThemeContrast
+};
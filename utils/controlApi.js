@@ -0,0 +1,128 @@
+/**
+ * Control API operations
+ *
+ * Maps requests to the local control endpoint (`POST /api/control`) onto
+ * terminal commands, so editor extensions, shell hooks and stream decks
+ * drive VibeScreen through exactly the same CommandParser/CommandExecutor
+ * path as typed commands. Shared by the API route and the browser client.
+ * Also keeps the token the in-app editors send with their writes.
+ */
+
+export const CONTROL_OPERATIONS = ['switch', 'message', 'pause', 'resume', 'status', 'command'];
+
+// Per-tab, so the token is asked for again in a new browser session
+export const CONTROL_TOKEN_STORAGE_KEY = 'vibescreen-control-token';
+
+/**
+ * Turn a control request body into the terminal command to run
+ * @param {Object} body - { op, mode?, text?, command? }
+ * @returns {Object} { command, script } or { error }
+ */
+export function buildControlCommand(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object with an "op" field' };
+  }
+
+  const text = (value) => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : '');
+
+  switch (body.op) {
+    case 'switch':
+      return text(body.mode)
+        ? { command: `!switch ${text(body.mode)}`, script: false }
+        : { error: 'switch needs a "mode", e.g. { "op": "switch", "mode": "zen-monk" }' };
+
+    case 'message':
+      return text(body.text)
+        ? { command: `!say ${text(body.text)}`, script: false }
+        : { error: 'message needs a "text"' };
+
+    case 'pause':
+    case 'resume':
+    case 'status':
+      return { command: `!${body.op}`, script: false };
+
+    case 'command': {
+      // Any terminal input, including `;`-chained scripts
+      const command = typeof body.command === 'string' ? body.command.trim() : '';
+      return command.startsWith('!')
+        ? { command, script: true }
+        : { error: 'command must be terminal input starting with !, e.g. "!volume 0.2"' };
+    }
+
+    default:
+      return { error: `Unknown op "${body.op}". Use one of: ${CONTROL_OPERATIONS.join(', ')}` };
+  }
+}
+
+/**
+ * The JSON-safe part of an executor result
+ * @param {Object} result - Result from CommandExecutor
+ * @returns {Object} { success, message, suggestion?, action?, data? }
+ */
+export function toControlResult(result) {
+  const source = result && typeof result === 'object' ? result : {};
+  const controlResult = {
+    success: Boolean(source.success),
+    message: typeof source.message === 'string' ? source.message : ''
+  };
+
+  if (source.suggestion) controlResult.suggestion = String(source.suggestion);
+  if (source.action) controlResult.action = String(source.action);
+  if (source.data !== undefined) {
+    try {
+      controlResult.data = JSON.parse(JSON.stringify(source.data));
+    } catch (error) {
+      // Leave out data that cannot be sent (e.g. circular references)
+    }
+  }
+
+  return controlResult;
+}
+
+/**
+ * The control token entered in this tab for editing modes
+ * @returns {string} Token, or '' when none was entered
+ */
+export function getSessionControlToken() {
+  try {
+    return (typeof sessionStorage !== 'undefined' && sessionStorage.getItem(CONTROL_TOKEN_STORAGE_KEY)) || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Remember the control token for this tab
+ * @param {string} token - VIBESCREEN_CONTROL_TOKEN, or '' to forget it
+ */
+export function setSessionControlToken(token) {
+  try {
+    if (typeof sessionStorage === 'undefined') return;
+    if (token) {
+      sessionStorage.setItem(CONTROL_TOKEN_STORAGE_KEY, token);
+    } else {
+      sessionStorage.removeItem(CONTROL_TOKEN_STORAGE_KEY);
+    }
+  } catch (error) {
+    // Storage can be disabled; the token then has to be entered again
+  }
+}
+
+/**
+ * Headers for a write to the mode authoring APIs
+ * @returns {Object} Authorization header, or {} without a token
+ */
+export function getControlAuthHeaders() {
+  const token = getSessionControlToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+export default {
+  CONTROL_OPERATIONS,
+  CONTROL_TOKEN_STORAGE_KEY,
+  buildControlCommand,
+  toControlResult,
+  getSessionControlToken,
+  setSessionControlToken,
+  getControlAuthHeaders
+};
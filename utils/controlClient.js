@@ -0,0 +1,131 @@
+/**
+ * ControlClient Class
+ *
+ * Browser half of the local control API. Listens on the
+ * `/api/control/browser` event stream, runs each command it receives with
+ * the given `execute` function (the terminal's CommandExecutor) and posts
+ * the result back. Only the leading window connects (utils/WindowSync.js)
+ * and it reports its leadership once it has a session, so the server sends
+ * each command to exactly that window and the others follow through the sync.
+ * Static exports have no API routes; the stream then fails once and the
+ * client stays idle.
+ */
+
+import { toControlResult } from './controlApi.js';
+
+export const CONTROL_STREAM_URL = '/api/control/browser';
+
+class ControlClient {
+  constructor(options = {}) {
+    this.execute = options.execute || (async () => ({ success: false, message: 'Commands are not available' }));
+    this.url = options.url || CONTROL_STREAM_URL;
+    this.EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+    this.fetch = options.fetch || ((...args) => fetch(...args));
+    this.onError = options.onError || console.error;
+    this.leader = options.leader ?? true;
+
+    this.source = null;
+    this.session = null;
+    this.secret = null;
+
+    this.handleSession = this.handleSession.bind(this);
+    this.handleCommand = this.handleCommand.bind(this);
+  }
+
+  /**
+   * Start listening for control commands
+   */
+  start() {
+    if (this.source || !this.EventSource) return;
+
+    this.source = new this.EventSource(this.url);
+    this.source.addEventListener('session', this.handleSession);
+    this.source.addEventListener('command', this.handleCommand);
+  }
+
+  /**
+   * Remember the session id and secret the server expects with every post
+   * @param {MessageEvent} event - 'session' event
+   */
+  handleSession(event) {
+    try {
+      ({ session: this.session, secret: this.secret } = JSON.parse(event.data));
+    } catch (error) {
+      this.onError('Invalid control session event', error);
+      return;
+    }
+    this.reportLeadership();
+  }
+
+  /**
+   * Change whether this window leads and tell the server
+   * @param {boolean} isLeader - Whether the window now leads
+   */
+  setLeader(isLeader) {
+    if (this.leader === isLeader) return;
+    this.leader = isLeader;
+    this.reportLeadership();
+  }
+
+  /**
+   * Tell the server whether this window should get the commands
+   */
+  async reportLeadership() {
+    if (!this.session) return;
+
+    try {
+      await this.fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session: this.session, secret: this.secret, leader: this.leader })
+      });
+    } catch (error) {
+      this.onError('Failed to report control leadership', error);
+    }
+  }
+
+  /**
+   * Run a command from the control API and post its result
+   * @param {MessageEvent} event - 'command' event with { requestId, command, script }
+   */
+  async handleCommand(event) {
+    let request;
+    try {
+      request = JSON.parse(event.data);
+    } catch (error) {
+      this.onError('Invalid control command event', error);
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.execute(request.command, { script: Boolean(request.script) });
+    } catch (error) {
+      result = { success: false, message: `Command failed: ${error.message}` };
+    }
+
+    try {
+      await this.fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ session: this.session, secret: this.secret, requestId: request.requestId, result: toControlResult(result) })
+      });
+    } catch (error) {
+      this.onError('Failed to send control result', error);
+    }
+  }
+
+  /**
+   * Stop listening and close the stream
+   */
+  destroy() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.session = null;
+    this.secret = null;
+  }
+}
+
+export default ControlClient;
@@ -0,0 +1,288 @@
+/**
+ * Control API server side
+ *
+ * The terminal runs in the browser, so the control endpoint cannot execute
+ * commands itself. ControlRelay hands each request to the VibeScreen window
+ * listening on `/api/control/browser` (an event stream) and waits for the
+ * window to post back the CommandExecutor result. Also checks the shared
+ * token from VIBESCREEN_CONTROL_TOKEN, and that windows connect from this
+ * machine and prove their session with its secret. Server-only (uses
+ * node:crypto).
+ */
+
+import { randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+
+export const CONTROL_TOKEN_ENV = 'VIBESCREEN_CONTROL_TOKEN';
+export const MIN_TOKEN_LENGTH = 12;
+export const DEFAULT_CONTROL_TIMEOUT_MS = 15000;
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+const DEFAULT_PORT = 3000;
+
+// HTTP status, error and message for each ControlRelay.dispatch() failure
+export const RELAY_ERRORS = {
+  'no-window': [503, 'Service Unavailable', 'No VibeScreen window is open. Open the app in a browser first.'],
+  'no-leader': [503, 'Service Unavailable', 'No VibeScreen window has taken the lead yet. Try again in a moment.'],
+  timeout: [504, 'Gateway Timeout', 'The VibeScreen window did not answer in time.'],
+  disconnected: [502, 'Bad Gateway', 'The VibeScreen window closed before the command finished.']
+};
+
+/**
+ * Whether a request comes from this machine
+ * @param {string} address - req.socket.remoteAddress
+ * @returns {boolean} True for loopback addresses
+ */
+export function isLoopbackAddress(address) {
+  return LOOPBACK_ADDRESSES.includes(address) || /^(::ffff:)?127\./.test(address || '');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} supplied - Value from the request
+ * @param {string} expected - Value it must match
+ * @returns {boolean} True if they are equal
+ */
+function safeEqual(supplied, expected) {
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Whether a Host header names this server on a local address. A page on
+ * another site that resolves its name to 127.0.0.1 (DNS rebinding) still
+ * sends its own name here.
+ * @param {string} host - Host header
+ * @param {number|string} port - Port the server listens on
+ * @returns {boolean} True for localhost, 127.0.0.1 or [::1] with that port
+ */
+function isLocalHost(host, port) {
+  let url;
+  try {
+    url = new URL(`http://${host}`);
+  } catch (error) {
+    return false;
+  }
+  return LOCAL_HOSTNAMES.includes(url.hostname) && (url.port || '80') === String(port);
+}
+
+/**
+ * Check the control token on a request
+ * @param {Object} req - API request
+ * @param {string} [token] - Expected token (defaults to VIBESCREEN_CONTROL_TOKEN)
+ * @returns {Object} { ok: true } or { ok: false, statusCode, error, message }
+ */
+export function checkControlAuth(req, token = process.env[CONTROL_TOKEN_ENV]) {
+  if (!token) {
+    return { ok: false, statusCode: 503, error: 'Service Unavailable', message: `The control API is off. Set ${CONTROL_TOKEN_ENV} and restart the server.` };
+  }
+  if (token.length < MIN_TOKEN_LENGTH) {
+    return { ok: false, statusCode: 503, error: 'Service Unavailable', message: `${CONTROL_TOKEN_ENV} must be at least ${MIN_TOKEN_LENGTH} characters.` };
+  }
+  if (!isLoopbackAddress(req.socket?.remoteAddress)) {
+    return { ok: false, statusCode: 403, error: 'Forbidden', message: 'The control API only accepts requests from this machine.' };
+  }
+
+  const header = req.headers?.authorization || '';
+  if (!safeEqual(header.startsWith('Bearer ') ? header.slice(7).trim() : '', token)) {
+    return { ok: false, statusCode: 401, error: 'Unauthorized', message: 'Missing or wrong token. Send "Authorization: Bearer <token>".' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Check a request from a VibeScreen window to the relay. Windows cannot send
+ * the token, so they must run on this machine and come from the app itself:
+ * the Host must be a local name with the server's port, and a page from
+ * another origin (which browsers mark with an Origin header) must not
+ * receive commands or post results. Posts also need the session secret
+ * (ControlRelay.verify()).
+ * @param {Object} req - API request
+ * @returns {Object} { ok: true } or { ok: false, statusCode, error, message }
+ */
+export function checkWindowAccess(req) {
+  if (!isLoopbackAddress(req.socket?.remoteAddress)) {
+    return { ok: false, statusCode: 403, error: 'Forbidden', message: 'The control API only accepts windows on this machine.' };
+  }
+
+  const port = req.socket?.localPort || process.env.PORT || DEFAULT_PORT;
+  if (!isLocalHost(req.headers?.host || '', port)) {
+    return { ok: false, statusCode: 403, error: 'Forbidden', message: `The control API only accepts windows opened at localhost:${port}, 127.0.0.1:${port} or [::1]:${port}.` };
+  }
+
+  const origin = req.headers?.origin;
+  if (origin) {
+    let originHost = null;
+    try {
+      originHost = new URL(origin).host;
+    } catch (error) {
+      // "null" and other opaque origins never match
+    }
+    if (originHost !== req.headers.host) {
+      return { ok: false, statusCode: 403, error: 'Forbidden', message: 'The control API only accepts windows of this VibeScreen server.' };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Whether the control API is switched on
+ * @returns {boolean} True when a usable token is configured
+ */
+export function isControlEnabled() {
+  const token = process.env[CONTROL_TOKEN_ENV];
+  return Boolean(token && token.length >= MIN_TOKEN_LENGTH);
+}
+
+export class ControlRelay {
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_CONTROL_TIMEOUT_MS;
+    this.windows = new Map(); // sessionId -> { send(event, data), secret }
+    this.leader = null; // sessionId of the window that reported it leads
+    this.pending = new Map(); // requestId -> { sessionId, resolve, timer }
+  }
+
+  /**
+   * Register a browser window's event stream
+   * @param {Function} send - Called with (event, data) to push to the window
+   * @returns {Object} { sessionId, secret } the window must quote in every post
+   */
+  connect(send) {
+    const sessionId = randomUUID();
+    const secret = randomBytes(32).toString('hex');
+    this.windows.set(sessionId, { send, secret });
+    return { sessionId, secret };
+  }
+
+  /**
+   * Check a window's session id and secret. Only the window's own event
+   * stream ever saw the secret, so another client cannot act for it.
+   * @param {string} sessionId - Session id from connect()
+   * @param {string} secret - Secret from connect()
+   * @returns {string} 'ok', 'unknown' for no such session or 'forbidden' for a wrong secret
+   */
+  verify(sessionId, secret) {
+    const entry = typeof sessionId === 'string' && this.windows.get(sessionId);
+    if (!entry) return 'unknown';
+    return typeof secret === 'string' && safeEqual(secret, entry.secret) ? 'ok' : 'forbidden';
+  }
+
+  /**
+   * Forget a window and fail the requests it was running
+   * @param {string} sessionId - Session id from connect()
+   */
+  disconnect(sessionId) {
+    this.windows.delete(sessionId);
+    if (this.leader === sessionId) {
+      this.leader = null;
+    }
+    this.pending.forEach((request, requestId) => {
+      if (request.sessionId === sessionId) {
+        this.settle(requestId, { ok: false, reason: 'disconnected' });
+      }
+    });
+  }
+
+  /**
+   * Record a window's WindowSync leadership. The last window to report that
+   * it leads gets the commands; one that steps down stops getting them.
+   * @param {string} sessionId - Session id from connect()
+   * @param {boolean} isLeader - Whether the window now leads
+   * @returns {boolean} False for unknown sessions
+   */
+  setLeader(sessionId, isLeader) {
+    if (!this.windows.has(sessionId)) return false;
+    if (isLeader) {
+      this.leader = sessionId;
+    } else if (this.leader === sessionId) {
+      this.leader = null;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a window is listening
+   * @returns {boolean} True if commands can be delivered
+   */
+  hasWindow() {
+    return this.windows.size > 0;
+  }
+
+  /**
+   * Run a command in the leading window (see utils/WindowSync.js and
+   * setLeader()) and wait for its result
+   * @param {Object} command - { command, script } from buildControlCommand()
+   * @returns {Promise<Object>} { ok: true, result } or { ok: false, reason: 'no-window'|'no-leader'|'timeout'|'disconnected' }
+   */
+  dispatch(command) {
+    if (!this.hasWindow()) {
+      return Promise.resolve({ ok: false, reason: 'no-window' });
+    }
+    const sessionId = this.leader;
+    if (!sessionId) {
+      return Promise.resolve({ ok: false, reason: 'no-leader' });
+    }
+
+    const requestId = randomUUID();
+    return new Promise(resolve => {
+      const timer = setTimeout(() => this.settle(requestId, { ok: false, reason: 'timeout' }), this.timeout);
+      this.pending.set(requestId, { sessionId, resolve, timer });
+      this.windows.get(sessionId).send('command', { requestId, ...command });
+    });
+  }
+
+  /**
+   * Accept a result posted by a window
+   * @param {string} sessionId - Session id of the posting window
+   * @param {string} requestId - Request id from the 'command' event
+   * @param {Object} result - Control result
+   * @returns {boolean} False for unknown requests or another window's request
+   */
+  complete(sessionId, requestId, result) {
+    const request = this.pending.get(requestId);
+    if (!request || request.sessionId !== sessionId) return false;
+    this.settle(requestId, { ok: true, result });
+    return true;
+  }
+
+  /**
+   * Resolve a pending request
+   * @param {string} requestId - Request id
+   * @param {Object} outcome - Value for dispatch()
+   */
+  settle(requestId, outcome) {
+    const request = this.pending.get(requestId);
+    if (!request) return;
+    clearTimeout(request.timer);
+    this.pending.delete(requestId);
+    request.resolve(outcome);
+  }
+}
+
+/**
+ * The relay shared by the API routes. Kept on globalThis because Next.js
+ * bundles each route separately and reloads them in development.
+ * @returns {ControlRelay} Shared relay
+ */
+export function getControlRelay() {
+  if (!globalThis.__vibescreenControlRelay) {
+    globalThis.__vibescreenControlRelay = new ControlRelay();
+  }
+  return globalThis.__vibescreenControlRelay;
+}
+
+export default {
+  CONTROL_TOKEN_ENV,
+  MIN_TOKEN_LENGTH,
+  DEFAULT_CONTROL_TIMEOUT_MS,
+  RELAY_ERRORS,
+  isLoopbackAddress,
+  checkControlAuth,
+  checkWindowAccess,
+  isControlEnabled,
+  ControlRelay,
+  getControlRelay
+};
@@ -0,0 +1,200 @@
+/**
+ * Developer Events
+ *
+ * Events from the developer's tools (`build.failed`, `tests.passed`,
+ * `commit.pushed`, ...) arrive on `POST /api/events`, usually from
+ * scripts/notify.js in a build script or git hook. The leading window runs
+ * them as `!react <event> [detail]`, and the current mode answers with the
+ * matching entry of the `reactions` block in its config.json:
+ *
+ *   "reactions": {
+ *     "build.failed": { "messages": ["Who wrote this? Oh. You."], "animation": "shake" },
+ *     "tests.*": ["Tests again?"],
+ *     "*.passed": { "messages": ["Green!"], "animation": "bounce" },
+ *     "*": { "animation": "pulse" }
+ *   }
+ *
+ * Keys are event names, `<group>.*`, `*.<outcome>` or `*`; the most
+ * specific key wins.
+ * Messages may use `{detail}` for the text sent with the event (a branch
+ * name, a failing test) as well as the usual template variables.
+ */
+
+import { getRandomStream } from './seededRandom.js';
+
+// Events the CLI and tab completion offer; any dotted lowercase name is accepted
+export const DEV_EVENTS = {
+  'build.started': 'a build started',
+  'build.failed': 'a build failed',
+  'build.passed': 'a build finished without errors',
+  'tests.failed': 'tests failed',
+  'tests.passed': 'all tests passed',
+  'commit.created': 'a commit was made',
+  'commit.pushed': 'commits were pushed',
+  'deploy.failed': 'a deploy failed',
+  'deploy.finished': 'a deploy finished'
+};
+
+// Motions CharacterHost can play around any character
+export const REACTION_ANIMATIONS = ['shake', 'bounce', 'spin', 'pulse', 'slump'];
+export const REACTION_DURATION_MS = 1600;
+
+// Sized so `!react <event> <detail>` fits the terminal's 100 character limit
+export const MAX_EVENT_TYPE_LENGTH = 32;
+export const MAX_EVENT_DETAIL_LENGTH = 60;
+
+const EVENT_PATTERN = /^[a-z][a-z0-9-]*(\.[a-z][a-z0-9-]*)+$/;
+const NAME = '[a-z][a-z0-9-]*';
+const REACTION_KEY_PATTERN = new RegExp(`^(\\*|${NAME}(\\.${NAME})*\\.\\*|\\*\\.${NAME}|${NAME}(\\.${NAME})+)$`);
+const MAX_REACTION_MESSAGE_LENGTH = 280;
+
+const reactionRandom = getRandomStream('reactions');
+
+/**
+ * Whether a string is a valid event name such as build.failed
+ * @param {string} type - Event name
+ * @returns {boolean} True for dotted lowercase names
+ */
+export function isValidDevEvent(type) {
+  return typeof type === 'string' && type.length <= MAX_EVENT_TYPE_LENGTH && EVENT_PATTERN.test(type);
+}
+
+/**
+ * Validate an event posted to /api/events
+ * @param {Object} body - { type, detail? } (`event` is accepted for `type`)
+ * @returns {Object} { event: { type, detail }, command } or { error }
+ */
+export function normalizeDevEvent(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be a JSON object with a "type" field, e.g. { "type": "build.failed" }' };
+  }
+
+  const type = typeof (body.type ?? body.event) === 'string' ? (body.type ?? body.event).trim().toLowerCase() : '';
+  if (!isValidDevEvent(type)) {
+    return { error: `"type" must be an event name like ${Object.keys(DEV_EVENTS).slice(0, 3).join(', ')} (at most ${MAX_EVENT_TYPE_LENGTH} characters)` };
+  }
+
+  if (body.detail !== undefined && typeof body.detail !== 'string') {
+    return { error: '"detail" must be a string' };
+  }
+  const detail = (body.detail || '').trim().replace(/\s+/g, ' ').slice(0, MAX_EVENT_DETAIL_LENGTH).trim();
+
+  return {
+    event: { type, detail },
+    command: detail ? `!react ${type} ${detail}` : `!react ${type}`
+  };
+}
+
+/**
+ * Normalize the `reactions` block of a mode config
+ * @param {*} reactions - Raw `reactions` block from config.json
+ * @returns {Object} { reactions: { [key]: { messages: string[], animation } }, warnings }
+ */
+export function normalizeReactions(reactions) {
+  const warnings = [];
+  const normalized = {};
+  if (reactions === undefined) return { reactions: normalized, warnings };
+
+  if (!reactions || typeof reactions !== 'object' || Array.isArray(reactions)) {
+    return { reactions: normalized, warnings: ['reactions must be an object of event names'] };
+  }
+
+  Object.entries(reactions).forEach(([key, value]) => {
+    if (!REACTION_KEY_PATTERN.test(key)) {
+      warnings.push(`reactions."${key}" is not an event name, "<group>.*", "*.<outcome>" or "*"`);
+      return;
+    }
+
+    // A list is shorthand for { messages: [...] }
+    const entry = Array.isArray(value) ? { messages: value } : value;
+    if (!entry || typeof entry !== 'object') {
+      warnings.push(`reactions."${key}" must be a list of messages or { messages, animation }`);
+      return;
+    }
+
+    const messages = Array.isArray(entry.messages) ? entry.messages : [];
+    const reaction = {
+      messages: messages
+        .filter(message => typeof message === 'string' && message.trim())
+        .map(message => message.trim().slice(0, MAX_REACTION_MESSAGE_LENGTH)),
+      animation: null
+    };
+    if (entry.messages !== undefined && reaction.messages.length !== messages.length) {
+      warnings.push(`reactions."${key}".messages must be non-empty strings`);
+    }
+
+    if (entry.animation !== undefined) {
+      if (REACTION_ANIMATIONS.includes(entry.animation)) {
+        reaction.animation = entry.animation;
+      } else {
+        warnings.push(`reactions."${key}".animation must be one of: ${REACTION_ANIMATIONS.join(', ')}`);
+      }
+    }
+
+    if (reaction.messages.length === 0 && !reaction.animation) {
+      warnings.push(`reactions."${key}" has no messages or animation`);
+      return;
+    }
+    normalized[key] = reaction;
+  });
+
+  return { reactions: normalized, warnings };
+}
+
+/**
+ * Find the reaction for an event: the exact name, then the closest
+ * `<group>.*`, then `*.<outcome>` (the last part), then `*`
+ * @param {Object} reactions - Normalized reactions
+ * @param {string} type - Event name
+ * @returns {Object|null} { key, reaction } or null
+ */
+export function findReaction(reactions, type) {
+  const parts = type.split('.');
+  const keys = [type];
+  for (let length = parts.length - 1; length > 0; length--) {
+    keys.push(`${parts.slice(0, length).join('.')}.*`);
+  }
+  keys.push(`*.${parts[parts.length - 1]}`, '*');
+
+  const key = keys.find(candidate => reactions[candidate]);
+  return key ? { key, reaction: reactions[key] } : null;
+}
+
+/**
+ * Pick how a mode reacts to an event
+ * @param {Object} modeConfig - Mode config with an optional `reactions` block
+ * @param {string} type - Event name
+ * @param {string} [detail] - Text sent with the event
+ * @param {Function} [random] - Random source
+ * @returns {Object|null} { key, text, animation } or null when the mode ignores the event
+ */
+export function buildReaction(modeConfig, type, detail = '', random = reactionRandom) {
+  const { reactions } = normalizeReactions(modeConfig?.reactions);
+  const match = findReaction(reactions, type);
+  if (!match) return null;
+
+  // Lines that quote {detail} only make sense when the event carried one
+  const { messages, animation } = match.reaction;
+  const pool = detail ? messages : messages.filter(message => !message.includes('{detail}'));
+  const message = pool.length > 0 ? pool[Math.floor(random() * pool.length)] : null;
+  if (!message && !animation) return null;
+
+  return {
+    key: match.key,
+    text: message ? message.split('{detail}').join(detail) : null,
+    animation
+  };
+}
+
+export default {
+  DEV_EVENTS,
+  REACTION_ANIMATIONS,
+  REACTION_DURATION_MS,
+  MAX_EVENT_TYPE_LENGTH,
+  MAX_EVENT_DETAIL_LENGTH,
+  isValidDevEvent,
+  normalizeDevEvent,
+  normalizeReactions,
+  findReaction,
+  buildReaction
+};
@@ -0,0 +1,56 @@
+/**
+ * Hex colour helpers
+ *
+ * Small colour functions shared by the theme code (ThemeManager) and the mode
+ * generator (modeScaffold), kept apart so the browser bundle does not pull in
+ * the scaffolding templates.
+ */
+
+const HEX_PATTERN = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
+/**
+ * Normalize a hex colour to lowercase #rrggbb
+ * @param {string} color - Hex colour (#rgb or #rrggbb)
+ * @returns {string|null} Normalized colour or null if invalid
+ */
+export function normalizeHex(color) {
+  if (typeof color !== 'string' || !HEX_PATTERN.test(color.trim())) return null;
+
+  const hex = color.trim().slice(1).toLowerCase();
+  return hex.length === 3
+    ? `#${hex.split('').map(char => char + char).join('')}`
+    : `#${hex}`;
+}
+
+/**
+ * Mix a colour towards another
+ * @param {string} color - Base colour (#rrggbb)
+ * @param {string} target - Colour to mix in (#rrggbb)
+ * @param {number} amount - 0 keeps the base, 1 gives the target
+ * @returns {string} Mixed colour (#rrggbb)
+ */
+export function mixHex(color, target, amount) {
+  const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [from, to] = [channels(color), channels(target)];
+
+  return `#${from
+    .map((value, i) => Math.round(value + (to[i] - value) * amount).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Convert a hex colour to an rgba() string
+ * @param {string} color - Colour (#rrggbb)
+ * @param {number} alpha - Opacity
+ * @returns {string} rgba() colour
+ */
+export function hexToRgba(color, alpha) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+export default {
+  normalizeHex,
+  mixHex,
+  hexToRgba
+};
@@ -0,0 +1,226 @@
+/**
+ * Message Categories
+ *
+ * Category-tagged message files and weighted category selection.
+ * A mode's messages.json may be a plain array (legacy) or an object:
+ *
+ *   { "categories": { "supportive": [...], "cliche": [...] }, "messages": [...] }
+ *
+ * Untagged messages belong to the mode's signature category (see
+ * getDefaultCategory). Each draw picks a category weighted by the mode's
+ * messageProbabilities, then a message from that category. Categories the
+ * mode does not supply itself fall back to the shared master lists.
+ */
+
+// File names allowed in config.messageFiles (kept inside the mode folder)
+export const MESSAGE_FILE_PATTERN = /^[\w.-]+\.json$/;
+
+// Probability keys backed by the shared lists in data/master-messages/
+export const MASTER_CATEGORY_SOURCES = {
+  cliche: 'cliche-ai-phrases',
+  exaggeration: 'funny-exaggerations',
+  other: 'cliche-ai-things'
+};
+
+export const DEFAULT_MESSAGE_PROBABILITIES = {
+  cliche: 0.6,
+  exaggeration: 0.2,
+  other: 0.2
+};
+
+/**
+ * Check whether a category is backed by a master message list
+ * @param {string} category - Category key
+ * @returns {boolean} True for cliche, exaggeration and other
+ */
+export function isMasterCategory(category) {
+  return Object.prototype.hasOwnProperty.call(MASTER_CATEGORY_SOURCES, category);
+}
+
+/**
+ * Normalize a messages.json payload into untagged messages and categories.
+ * Accepts a string array, an array of { text, category } entries, or an
+ * object with `messages`, `categories` and optional `weights`.
+ * @param {Array|Object} data - Parsed messages.json
+ * @returns {Object} { untagged: string[], categories: Object<string, string[]>, weights: Object|null }
+ */
+export function normalizeMessageFile(data) {
+  const result = { untagged: [], categories: {}, weights: null };
+
+  const addEntries = (entries) => {
+    entries.forEach(entry => {
+      if (typeof entry === 'string') {
+        result.untagged.push(entry);
+      } else if (entry && typeof entry.text === 'string') {
+        if (typeof entry.category === 'string' && entry.category) {
+          (result.categories[entry.category] = result.categories[entry.category] || []).push(entry.text);
+        } else {
+          result.untagged.push(entry.text);
+        }
+      }
+    });
+  };
+
+  if (Array.isArray(data)) {
+    addEntries(data);
+    return result;
+  }
+
+  if (!data || typeof data !== 'object') {
+    return result;
+  }
+
+  if (Array.isArray(data.messages)) {
+    addEntries(data.messages);
+  }
+
+  if (data.categories && typeof data.categories === 'object' && !Array.isArray(data.categories)) {
+    Object.entries(data.categories).forEach(([category, messages]) => {
+      if (!Array.isArray(messages)) return;
+      const strings = messages.filter(message => typeof message === 'string');
+      result.categories[category] = [...(result.categories[category] || []), ...strings];
+    });
+  }
+
+  if (data.weights && typeof data.weights === 'object' && !Array.isArray(data.weights)) {
+    result.weights = data.weights;
+  }
+
+  return result;
+}
+
+/**
+ * Add an extra message file declared in config.messageFiles, e.g.
+ * { "haiku": "haikus.json" }, to a normalized message file. Its untagged
+ * lines and any lines tagged with the same category join that category.
+ * @param {Object} messageFile - Result of normalizeMessageFile, updated in place
+ * @param {string} category - Category the file was declared for
+ * @param {Array|Object} data - Parsed contents of the extra file
+ * @returns {Object} The updated message file
+ */
+export function mergeCategoryFile(messageFile, category, data) {
+  const { untagged, categories } = normalizeMessageFile(data);
+  messageFile.categories[category] = [
+    ...(messageFile.categories[category] || []),
+    ...untagged,
+    ...(categories[category] || [])
+  ];
+  return messageFile;
+}
+
+/**
+ * Flatten any supported messages.json shape into a plain string array
+ * @param {Array|Object} data - Parsed messages.json
+ * @returns {string[]} All messages
+ */
+export function flattenMessages(data) {
+  const { untagged, categories } = normalizeMessageFile(data);
+  return [...untagged, ...Object.values(categories).flat()];
+}
+
+/**
+ * Resolve the probability weights for a mode. Invalid entries are dropped;
+ * the messages file's `weights` apply when the config has none.
+ * @param {Object} config - Mode config
+ * @param {Object|null} fileWeights - Weights declared in messages.json
+ * @returns {Object} Category weights (not necessarily normalized)
+ */
+export function resolveProbabilities(config, fileWeights = null) {
+  const sanitize = (weights) => {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) return null;
+    const valid = Object.entries(weights)
+      .filter(([, weight]) => typeof weight === 'number' && isFinite(weight) && weight >= 0);
+    return valid.length > 0 ? Object.fromEntries(valid) : null;
+  };
+
+  return sanitize(config?.messageProbabilities) || sanitize(fileWeights) || { ...DEFAULT_MESSAGE_PROBABILITIES };
+}
+
+/**
+ * Pick the category untagged messages belong to: an explicit
+ * `defaultMessageCategory`, otherwise the heaviest category that neither
+ * has tagged messages nor a master list (e.g. therapist "supportive"),
+ * otherwise the heaviest category without tagged messages.
+ * @param {Object} probabilities - Category weights
+ * @param {Object} categories - Tagged messages by category
+ * @param {string} explicitCategory - Config override
+ * @returns {string} Category key
+ */
+export function getDefaultCategory(probabilities, categories = {}, explicitCategory = null) {
+  if (typeof explicitCategory === 'string' && explicitCategory) {
+    return explicitCategory;
+  }
+
+  const byWeight = Object.keys(probabilities).sort((a, b) => probabilities[b] - probabilities[a]);
+  const untaggedKeys = byWeight.filter(category => !(categories[category] && categories[category].length > 0));
+
+  return untaggedKeys.find(category => !isMasterCategory(category))
+    || untaggedKeys[0]
+    || byWeight[0]
+    || 'other';
+}
+
+/**
+ * Build the tagged category map for a mode from its message file(s)
+ * @param {Object} config - Mode config
+ * @param {Object} messageFile - Result of normalizeMessageFile
+ * @returns {Object} { probabilities, categories }
+ */
+export function buildMessageCategories(config, messageFile) {
+  const probabilities = resolveProbabilities(config, messageFile.weights);
+  const categories = {};
+
+  Object.entries(messageFile.categories).forEach(([category, messages]) => {
+    categories[category] = [...messages];
+  });
+
+  if (messageFile.untagged.length > 0) {
+    const defaultCategory = getDefaultCategory(probabilities, categories, config?.defaultMessageCategory);
+    categories[defaultCategory] = [...(categories[defaultCategory] || []), ...messageFile.untagged];
+  }
+
+  return { probabilities, categories };
+}
+
+/**
+ * Weighted random category draw. Categories without messages are skipped
+ * and the remaining weights renormalized.
+ * @param {Object} probabilities - Category weights
+ * @param {Function} hasMessages - (category) => boolean
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {string|null} Selected category or null if none has messages
+ */
+export function selectWeightedCategory(probabilities, hasMessages = () => true, random = Math.random) {
+  const candidates = Object.entries(probabilities || {})
+    .filter(([category, weight]) => weight > 0 && hasMessages(category));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+
+  for (const [category, weight] of candidates) {
+    roll -= weight;
+    if (roll < 0) {
+      return category;
+    }
+  }
+
+  return candidates[candidates.length - 1][0];
+}
+
+export default {
+  MASTER_CATEGORY_SOURCES,
+  DEFAULT_MESSAGE_PROBABILITIES,
+  MESSAGE_FILE_PATTERN,
+  isMasterCategory,
+  normalizeMessageFile,
+  mergeCategoryFile,
+  flattenMessages,
+  resolveProbabilities,
+  getDefaultCategory,
+  buildMessageCategories,
+  selectWeightedCategory
+};
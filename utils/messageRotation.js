@@ -0,0 +1,105 @@
+/**
+ * Message Rotation
+ *
+ * Shuffle-bag rotation so every message in a category is shown once before
+ * any message repeats. Rotation state only stores short message keys (the
+ * messages already shown in the current cycle), so edits to a mode's
+ * messages simply add unseen entries or drop stale keys.
+ */
+
+/**
+ * Short, stable key for a message (FNV-1a, base36)
+ * @param {string} message - Message text
+ * @returns {string} Message key
+ */
+export function getMessageKey(message) {
+  let hash = 0x811c9dc5;
+  const text = String(message);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Create an empty rotation state
+ * @returns {Object} { categories: { [category]: string[] }, lastShown: string|null }
+ */
+export function createRotationState() {
+  return { categories: {}, lastShown: null };
+}
+
+/**
+ * Sanitize rotation state loaded from storage
+ * @param {*} state - Stored state
+ * @returns {Object} Valid rotation state
+ */
+export function normalizeRotationState(state) {
+  const normalized = createRotationState();
+  if (!state || typeof state !== 'object') {
+    return normalized;
+  }
+
+  if (state.categories && typeof state.categories === 'object' && !Array.isArray(state.categories)) {
+    Object.entries(state.categories).forEach(([category, seen]) => {
+      if (Array.isArray(seen)) {
+        normalized.categories[category] = seen.filter(key => typeof key === 'string');
+      }
+    });
+  }
+
+  if (typeof state.lastShown === 'string') {
+    normalized.lastShown = state.lastShown;
+  }
+
+  return normalized;
+}
+
+/**
+ * Draw the next message from a shuffle bag
+ * @param {string[]} pool - Messages in the category
+ * @param {string[]} seen - Keys already shown in the current cycle
+ * @param {Function} random - Random source returning [0, 1)
+ * @param {string|null} lastShown - Key of the last message shown; never
+ *   repeated back-to-back when a new cycle starts
+ * @returns {Object|null} { message, key, seen, cycleCompleted } or null for an empty pool
+ */
+export function drawFromBag(pool, seen = [], random = Math.random, lastShown = null) {
+  if (!Array.isArray(pool) || pool.length === 0) {
+    return null;
+  }
+
+  const keys = pool.map(getMessageKey);
+  const poolKeys = new Set(keys);
+
+  // Drop keys of messages that no longer exist
+  let seenKeys = seen.filter(key => poolKeys.has(key));
+  let unseen = pool.filter((message, index) => !seenKeys.includes(keys[index]));
+  let cycleCompleted = false;
+
+  if (unseen.length === 0) {
+    cycleCompleted = true;
+    seenKeys = [];
+    unseen = pool.length > 1
+      ? pool.filter((message, index) => keys[index] !== lastShown)
+      : pool;
+  }
+
+  const message = unseen[Math.floor(random() * unseen.length)];
+  const key = getMessageKey(message);
+
+  return {
+    message,
+    key,
+    seen: [...seenKeys, key],
+    cycleCompleted
+  };
+}
+
+export default {
+  getMessageKey,
+  createRotationState,
+  normalizeRotationState,
+  drawFromBag
+};
@@ -0,0 +1,99 @@
+/**
+ * Message Templates
+ *
+ * Expands template variables such as {time}, {mode}, {streak} and {user}
+ * inside personality messages. Expansion happens at display time so the
+ * stored message (and the scheduler's repeat history) keeps the raw template.
+ */
+
+export const TEMPLATE_VARIABLES = ['time', 'mode', 'streak', 'user'];
+
+// {user} without a name set with !name
+export const DEFAULT_USER_NAME = 'friend';
+export const MAX_USER_NAME_LENGTH = 40;
+
+const TEMPLATE_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Format a date as a short local time (e.g. "09:42")
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time
+ */
+function formatTime(date) {
+  try {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  } catch (error) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+}
+
+/**
+ * Clean up a name for {user}: single spaces, no braces, at most
+ * MAX_USER_NAME_LENGTH characters
+ * @param {string} name - Name as typed
+ * @returns {string} Normalized name ('' when nothing usable is left)
+ */
+export function normalizeUserName(name) {
+  if (typeof name !== 'string') return '';
+  return name.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_USER_NAME_LENGTH).trim();
+}
+
+/**
+ * Build the variable context used to expand a message
+ * @param {Object} options - Context options
+ * @param {string} options.mode - Current mode id
+ * @param {Object} options.modeConfig - Current mode config (name is preferred over id)
+ * @param {number} options.streak - Messages shown in a row for the current mode
+ * @param {string} options.user - User display name (SettingsManager messages.userName)
+ * @param {Date} options.now - Current time
+ * @returns {Object} Template variable values
+ */
+export function buildTemplateContext({ mode, modeConfig, streak = 0, user, now = new Date() } = {}) {
+  return {
+    time: formatTime(now),
+    mode: modeConfig?.name || mode || '',
+    streak: String(streak),
+    user: normalizeUserName(user) || DEFAULT_USER_NAME
+  };
+}
+
+/**
+ * Check whether a message contains template variables
+ * @param {string} message - Message text
+ * @returns {boolean} True if the message has at least one {variable}
+ */
+export function hasTemplateVariables(message) {
+  return typeof message === 'string' && new RegExp(TEMPLATE_PATTERN.source).test(message);
+}
+
+/**
+ * Expand template variables in a message. Unknown variables are left as-is
+ * so literal braces in messages survive.
+ * @param {string} message - Message text
+ * @param {Object} context - Variable values (see buildTemplateContext)
+ * @returns {string} Expanded message
+ */
+export function expandMessageTemplate(message, context = {}) {
+  if (typeof message !== 'string') {
+    return message;
+  }
+
+  return message.replace(TEMPLATE_PATTERN, (match, name) => {
+    const value = context[name];
+    if (value === undefined || value === null) {
+      return match;
+    }
+    return String(typeof value === 'function' ? value() : value);
+  });
+}
+
+export default {
+  TEMPLATE_VARIABLES,
+  DEFAULT_USER_NAME,
+  MAX_USER_NAME_LENGTH,
+  normalizeUserName,
+  buildTemplateContext,
+  hasTemplateVariables,
+  expandMessageTemplate
+};
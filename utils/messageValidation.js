@@ -51,6 +51,68 @@ export function validateMessageArray(messages, filePath = 'unknown') {
   };
 }
 
+/**
+ * Validates a messages.json payload: either a plain message array or a
+ * category-tagged object { categories: { name: [...] }, messages?: [...] }
+ * @param {Array|Object} data - Parsed messages.json content
+ * @param {string} filePath - File path for error reporting
+ * @returns {Object} - Validation result with success flag, issues and categories
+ */
+export function validateMessageFile(data, filePath = 'unknown') {
+  if (Array.isArray(data)) {
+    return validateMessageArray(data, filePath);
+  }
+
+  if (!data || typeof data !== 'object' || !data.categories || typeof data.categories !== 'object' || Array.isArray(data.categories)) {
+    return {
+      success: false,
+      errors: [`${filePath}: Messages must be an array or an object with a "categories" map`],
+      warnings: []
+    };
+  }
+
+  const errors = [];
+  const warnings = [];
+  let messageCount = 0;
+
+  const sections = Object.entries(data.categories).map(([category, messages]) => [`${filePath}.categories.${category}`, messages]);
+  if (data.messages !== undefined) {
+    sections.push([`${filePath}.messages`, data.messages]);
+  }
+
+  if (sections.length === 0) {
+    errors.push(`${filePath}: Category map cannot be empty`);
+  }
+
+  sections.forEach(([sectionPath, messages]) => {
+    const result = validateMessageArray(messages, sectionPath);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    messageCount += result.messageCount || 0;
+  });
+
+  if (data.weights !== undefined) {
+    const weights = data.weights;
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      errors.push(`${filePath}.weights: Weights must be an object of category -> number`);
+    } else {
+      Object.entries(weights).forEach(([category, weight]) => {
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+          errors.push(`${filePath}.weights.${category}: Weight must be a non-negative number, got ${weight}`);
+        }
+      });
+    }
+  }
+
+  return {
+    success: errors.length === 0,
+    errors,
+    warnings,
+    messageCount,
+    categories: Object.keys(data.categories)
+  };
+}
+
 /**
  * Validates a single message string
  * @param {*} message - Message to validate
@@ -58,7 +120,7 @@ export function validateMessageArray(messages, filePath = 'unknown') {
  * @param {string} filePath - File path for error reporting
  * @returns {Object} - Validation result
  */
-function validateSingleMessage(message, index, filePath) {
+export function validateSingleMessage(message, index, filePath) {
   const errors = [];
   const warnings = [];
 
@@ -116,11 +178,12 @@ function validateSingleMessage(message, index, filePath) {
  * @param {Array} messages - Array of message strings
  * @returns {Array} - Array of duplicate message objects
  */
-function findDuplicateMessages(messages) {
+export function findDuplicateMessages(messages) {
   const seen = new Map();
   const duplicates = [];
 
   messages.forEach((message, index) => {
+    if (typeof message !== 'string') return; // Reported by validateSingleMessage
     const normalized = message.toLowerCase().trim();
     if (seen.has(normalized)) {
       duplicates.push({
@@ -0,0 +1,111 @@
+/**
+ * Mode Bundle
+ *
+ * Client side of `/api/modes/<id>`, which returns everything known about one
+ * mode in a single request: its validated config, a summary of its messages,
+ * the theme palette it gets and what validateModeConfig found wrong.
+ * `?include=` picks the parts; `messageFile` (the normalized messages with
+ * config.messageFiles merged in) is only sent when asked for, since it is
+ * what MessageScheduler needs and the UI does not.
+ */
+
+export const MODE_BUNDLE_PARTS = ['config', 'messages', 'theme', 'validation', 'messageFile'];
+export const DEFAULT_MODE_BUNDLE_PARTS = ['config', 'messages', 'theme', 'validation'];
+
+/**
+ * Read an include selector (`config,theme`, repeated query params or an array)
+ * @param {string|string[]|undefined} value - Selector; empty means the defaults
+ * @returns {Object} { include, unknown } with known parts in canonical order
+ */
+export function parseBundleInclude(value) {
+  const requested = [].concat(value ?? [])
+    .join(',')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return { include: [...DEFAULT_MODE_BUNDLE_PARTS], unknown: [] };
+  }
+
+  return {
+    include: MODE_BUNDLE_PARTS.filter(part => requested.includes(part)),
+    unknown: [...new Set(requested.filter(part => !MODE_BUNDLE_PARTS.includes(part)))]
+  };
+}
+
+/**
+ * @param {string} modeId - Mode identifier
+ * @param {string[]} [include] - Parts to request (the server defaults when omitted)
+ * @returns {string} URL of the mode's bundle
+ */
+export function getModeBundleUrl(modeId, include = null) {
+  const url = `/api/modes/${encodeURIComponent(modeId)}`;
+  return include && include.length > 0 ? `${url}?include=${include.join(',')}` : url;
+}
+
+/**
+ * Fetch a mode's bundle
+ * @param {string} modeId - Mode identifier
+ * @param {Object} [options] - { include, fetch }
+ * @returns {Promise<Object|null>} Bundle, or null when the mode does not exist
+ *   or there is no API (static exports answer with a 404 page)
+ */
+export async function fetchModeBundle(modeId, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+
+  let response;
+  try {
+    response = await fetchImpl(getModeBundleUrl(modeId, options.include));
+  } catch (error) {
+    console.warn(`⚠️ Mode bundle API unavailable for ${modeId}:`, error.message);
+    return null;
+  }
+
+  if (!response.ok) {
+    return null;
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    return null; // Not the API: an HTML page from a static host
+  }
+}
+
+/**
+ * One-line summary of a bundle for tooltips, e.g.
+ * "42 messages (haiku, other) · 1 config warning"
+ * @param {Object} bundle - Bundle with messages and/or validation
+ * @returns {string} Summary, empty when the bundle has neither
+ */
+export function describeModeBundle(bundle) {
+  const parts = [];
+
+  if (bundle?.messages) {
+    const categories = Object.keys(bundle.messages.categories || {});
+    const count = bundle.messages.count;
+    parts.push(`${count} message${count === 1 ? '' : 's'}${categories.length > 0 ? ` (${categories.join(', ')})` : ''}`);
+  }
+
+  if (bundle?.validation) {
+    const { errors = [], warnings = [] } = bundle.validation;
+    if (errors.length > 0) {
+      parts.push(`${errors.length} config error${errors.length === 1 ? '' : 's'}`);
+    }
+    if (warnings.length > 0) {
+      parts.push(`${warnings.length} config warning${warnings.length === 1 ? '' : 's'}`);
+    }
+  }
+
+  return parts.join(' · ');
+}
+
+export default {
+  MODE_BUNDLE_PARTS,
+  DEFAULT_MODE_BUNDLE_PARTS,
+  parseBundleInclude,
+  getModeBundleUrl,
+  fetchModeBundle,
+  describeModeBundle
+};
@@ -0,0 +1,105 @@
+/**
+ * Mode Catalog
+ *
+ * Where the browser gets the mode list. The dev server answers `/api/modes`;
+ * production builds are static exports without API routes and ship
+ * `/modes-manifest.json` instead (scripts/build-modes-manifest.js), which
+ * holds the same payload and ETag. Each build asks its own source first and
+ * falls back to the other, so callers never need to know which one answered.
+ */
+
+export const MODES_API_URL = '/api/modes';
+export const MODES_MANIFEST_URL = '/modes-manifest.json';
+
+// next.config.js only switches to `output: 'export'` for production builds
+export const IS_STATIC_EXPORT = process.env.NODE_ENV === 'production';
+
+/**
+ * Read the mode list from /api/modes
+ * @param {Function} fetchImpl - fetch
+ * @param {string|null} etag - ETag of the list the caller already has
+ * @returns {Promise<Object>} { modes, etag, source, notModified }
+ */
+async function readApi(fetchImpl, etag) {
+  const response = await fetchImpl(MODES_API_URL, etag ? { headers: { 'If-None-Match': etag } } : undefined);
+
+  if (response.status === 304) {
+    return { modes: null, etag, source: 'api', notModified: true };
+  }
+  if (!response.ok) {
+    throw new Error(`${MODES_API_URL}: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  const modes = Array.isArray(data) ? data : data?.modes;
+  if (!Array.isArray(modes)) {
+    throw new Error(`${MODES_API_URL}: no mode list in the response`);
+  }
+
+  return {
+    modes,
+    etag: response.headers?.get?.('ETag') || data.etag || null,
+    source: 'api',
+    notModified: false
+  };
+}
+
+/**
+ * Read the mode list from the build manifest
+ * @param {Function} fetchImpl - fetch
+ * @param {string|null} etag - ETag of the list the caller already has
+ * @returns {Promise<Object>} { modes, etag, source, notModified }
+ */
+async function readManifest(fetchImpl, etag) {
+  const response = await fetchImpl(MODES_MANIFEST_URL);
+  if (!response.ok) {
+    throw new Error(`${MODES_MANIFEST_URL}: HTTP ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data?.modes)) {
+    throw new Error(`${MODES_MANIFEST_URL}: no mode list in the manifest`);
+  }
+
+  // Static hosts answer with the whole file; the ETag inside tells whether it changed
+  if (etag && data.etag === etag) {
+    return { modes: null, etag, source: 'manifest', notModified: true };
+  }
+
+  return { modes: data.modes, etag: data.etag || null, source: 'manifest', notModified: false };
+}
+
+/**
+ * Fetch the mode list from the API or the build manifest
+ * @param {Object} [options]
+ * @param {string} [options.etag] - ETag from an earlier call; an unchanged list comes back as notModified
+ * @param {boolean} [options.preferManifest] - Ask the manifest first (default: in the static export)
+ * @param {Function} [options.fetch] - fetch
+ * @returns {Promise<Object>} { modes, etag, source: 'api' | 'manifest', notModified }
+ *   (modes is null when notModified)
+ * @throws {Error} When neither source has a mode list
+ */
+export async function fetchModes(options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const etag = options.etag || null;
+  const preferManifest = options.preferManifest ?? IS_STATIC_EXPORT;
+  const sources = preferManifest ? [readManifest, readApi] : [readApi, readManifest];
+  const errors = [];
+
+  for (const read of sources) {
+    try {
+      return await read(fetchImpl, etag);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  throw new Error(`No mode list available (${errors.join('; ')})`);
+}
+
+export default {
+  MODES_API_URL,
+  MODES_MANIFEST_URL,
+  IS_STATIC_EXPORT,
+  fetchModes
+};
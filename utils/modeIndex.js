@@ -0,0 +1,257 @@
+/**
+ * Mode Index
+ *
+ * Keeps the mode list behind /api/modes current while modes are authored.
+ * modes/ is scanned once; after that fs.watch reports changed files and only
+ * the mode they belong to is loaded again. Listeners (the
+ * /api/modes/stream event stream) hear about every mode that is added,
+ * updated or removed. Mode entries carry a hash of their folder's files
+ * (computeModeRevision), so saving messages.json or the scene description is
+ * an update too, not only config edits. When the platform cannot watch the
+ * folder the index reports `failed` and /api/modes goes back to rescanning on
+ * cache expiry.
+ * Server-only (uses node:fs).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Editors save in bursts (temp file, rename, chmod); wait for the last event
+export const MODE_CHANGE_DEBOUNCE_MS = 150;
+
+/**
+ * Content hash of the files in a mode folder (not subfolders, dotfiles or
+ * the .bak copies left by atomic writes)
+ * @param {string} modePath - Mode folder
+ * @returns {Promise<string>} Short hash that changes whenever a file does
+ */
+export async function computeModeRevision(modePath) {
+  const entries = await fs.promises.readdir(modePath, { withFileTypes: true });
+  const fileNames = entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && !entry.name.endsWith('.bak'))
+    .map(entry => entry.name)
+    .sort();
+
+  const hash = createHash('sha1');
+  for (const fileName of fileNames) {
+    const content = await fs.promises.readFile(path.join(modePath, fileName));
+    hash.update(`${fileName}\0${content.length}\0`).update(content);
+  }
+  return hash.digest('hex').substring(0, 12);
+}
+
+export class ModeIndex {
+  /**
+   * @param {Object} options
+   * @param {Function} options.scan - async () => mode configs, a full discovery of modes/
+   * @param {Function} options.load - async (modeId) => mode config, or null when the mode is missing or invalid
+   * @param {string} [options.modesPath] - Folder to watch
+   * @param {Function} [options.watch] - fs.watch
+   * @param {number} [options.debounceMs] - Quiet time before a changed mode is reloaded
+   * @param {Function} [options.onError] - (operation, error) for watcher and load failures
+   */
+  constructor(options = {}) {
+    this.scan = options.scan;
+    this.load = options.load;
+    this.modesPath = options.modesPath || path.join(process.cwd(), 'modes');
+    this.watch = options.watch || fs.watch;
+    this.debounceMs = options.debounceMs ?? MODE_CHANGE_DEBOUNCE_MS;
+    this.onError = options.onError || ((operation, error) => console.warn(`${operation}:`, error.message));
+
+    this.modes = new Map(); // Mode id -> config, in discovery order
+    this.version = 0;
+    this.ready = null; // Promise of the current full scan
+    this.scanned = false;
+    this.watcher = null;
+    this.failed = false;
+    this.timers = new Map();
+    this.listeners = new Set();
+  }
+
+  /**
+   * All modes, scanning modes/ and starting the watcher on first use
+   * @returns {Promise<Object[]>} Mode configs
+   */
+  async getModes() {
+    if (!this.ready) {
+      const ready = this.rescan().then(() => this.startWatching());
+      ready.catch(() => {
+        if (this.ready === ready) this.ready = null; // Try again on the next request
+      });
+      this.ready = ready;
+    }
+    await this.ready;
+    return [...this.modes.values()];
+  }
+
+  /**
+   * Current modes and version, sent to clients when they connect
+   * @returns {Object} { modes, version }
+   */
+  getSnapshot() {
+    return { modes: [...this.modes.values()], version: this.version };
+  }
+
+  /**
+   * Scan every mode again, announcing what changed
+   * @returns {Promise<Object[]>} Changes
+   */
+  async rescan() {
+    const modes = await this.scan();
+    const found = new Map(modes.map(mode => [mode.id, mode]));
+    const changes = [];
+
+    // The first scan fills the index without announcing every mode
+    if (this.scanned) {
+      [...this.modes.keys()]
+        .filter(modeId => !found.has(modeId))
+        .forEach(modeId => changes.push({ type: 'removed', modeId }));
+      found.forEach((mode, modeId) => {
+        const previous = this.modes.get(modeId);
+        if (!previous || JSON.stringify(previous) !== JSON.stringify(mode)) {
+          changes.push({ type: previous ? 'updated' : 'added', modeId, mode });
+        }
+      });
+    }
+
+    this.modes = found;
+    this.scanned = true;
+    return changes.map(change => this.emit(change));
+  }
+
+  /**
+   * Rescan on the next request (after a write the watcher may not see, or
+   * ?invalidateCache=true)
+   */
+  invalidate() {
+    if (this.ready) {
+      this.ready = this.ready.then(() => this.rescan()).then(() => {}, error => this.onError('Mode rescan', error));
+    }
+  }
+
+  /**
+   * Reload one mode and announce the change, if any
+   * @param {string} modeId - Mode folder name
+   * @returns {Promise<Object|null>} Change, or null when the mode is unchanged
+   */
+  async refresh(modeId) {
+    let mode = null;
+    try {
+      mode = await this.load(modeId);
+    } catch (error) {
+      this.onError(`Mode reload (${modeId})`, error);
+    }
+
+    const previous = this.modes.get(modeId);
+    if (mode) {
+      if (previous && JSON.stringify(previous) === JSON.stringify(mode)) return null;
+      this.modes.set(modeId, mode);
+      return this.emit({ type: previous ? 'updated' : 'added', modeId, mode });
+    }
+
+    // Deleted, or a config that no longer parses: listed again once it is fixed
+    if (previous) {
+      this.modes.delete(modeId);
+      return this.emit({ type: 'removed', modeId });
+    }
+    return null;
+  }
+
+  startWatching() {
+    if (this.watcher || this.failed) return;
+
+    try {
+      // Not persistent: the server keeps running anyway, scripts calling the route may exit
+      this.watcher = this.watch(this.modesPath, { recursive: true, persistent: false }, (eventType, filename) => this.handleFileEvent(filename));
+      this.watcher.on('error', error => this.stopWatching(error));
+    } catch (error) {
+      this.stopWatching(error);
+    }
+  }
+
+  /**
+   * Give up watching; /api/modes falls back to its cache TTL
+   * @param {Error} error - Why watching failed
+   */
+  stopWatching(error) {
+    this.failed = true;
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.onError('Mode watcher', error);
+  }
+
+  /**
+   * Queue a reload of the mode a changed file belongs to
+   * @param {string|null} filename - Path relative to modes/, e.g. zen-monk/config.json
+   */
+  handleFileEvent(filename) {
+    const modeId = filename ? String(filename).split(/[\\/]/)[0] : null;
+
+    // Some platforms leave out the file name; fall back to a full rescan
+    if (!modeId) {
+      this.invalidate();
+      return;
+    }
+    if (modeId.startsWith('.')) return;
+
+    clearTimeout(this.timers.get(modeId));
+    this.timers.set(modeId, setTimeout(() => {
+      this.timers.delete(modeId);
+      this.refresh(modeId);
+    }, this.debounceMs));
+  }
+
+  /**
+   * Listen for mode changes
+   * @param {Function} listener - Called with { type, modeId, mode?, version }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(change) {
+    this.version++;
+    const event = { ...change, version: this.version };
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        this.onError('Mode change listener', error);
+      }
+    });
+    return event;
+  }
+
+  /**
+   * Stop watching and forget listeners
+   */
+  close() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.listeners.clear();
+  }
+}
+
+/**
+ * The index shared by /api/modes and /api/modes/stream. Kept on globalThis
+ * because Next.js bundles each API route with its own copy of this module.
+ * @param {Object} options - ModeIndex options, used when the index is created
+ * @returns {ModeIndex} Shared index
+ */
+export function getModeIndex(options) {
+  if (!globalThis.__vibescreenModeIndex) {
+    globalThis.__vibescreenModeIndex = new ModeIndex(options);
+  }
+  return globalThis.__vibescreenModeIndex;
+}
+
+export default ModeIndex;
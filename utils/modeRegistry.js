@@ -2,9 +2,14 @@
  * Mode Registry - Static imports for all modes
  * 
  * This file provides a centralized registry of all available modes
- * to work around Next.js dynamic import limitations.
+ * to work around Next.js dynamic import limitations. User-defined modes
+ * are discovered at runtime (see userModeLoader.js) and registered here
+ * once their declarative components have been built.
  */
 
+import { getUserModes, isUserMode } from './userModeLoader.js';
+import { registerCommand, getRegisteredCommand } from './commandRegistry.js';
+
 // Static imports for all mode components
 import CorporateAIScene from '../modes/corporate-ai/scene.js';
 import CorporateAICharacter from '../modes/corporate-ai/character.js';
@@ -15,6 +20,7 @@ import ZenMonkScene from '../modes/zen-monk/scene.js';
 import ZenMonkCharacter from '../modes/zen-monk/character.js';
 import ZenMonkConfig from '../modes/zen-monk/config.json';
 import ZenMonkMessages from '../modes/zen-monk/messages.json';
+import ZenMonkCommands from '../modes/zen-monk/commands.js';
 
 import ChaosScene from '../modes/chaos/scene.js';
 import ChaosCharacter from '../modes/chaos/character.js';
@@ -73,7 +79,8 @@ const MODE_REGISTRY = {
     scene: ZenMonkScene,
     character: ZenMonkCharacter,
     config: ZenMonkConfig,
-    messages: ZenMonkMessages
+    messages: ZenMonkMessages,
+    commands: ZenMonkCommands
   },
   'chaos': {
     scene: ChaosScene,
@@ -131,21 +138,48 @@ const MODE_REGISTRY = {
   }
 };
 
+// Components built at runtime for user-defined modes
+const RUNTIME_REGISTRY = {};
+
+/**
+ * Register components for a runtime (user-defined) mode
+ * @param {string} modeName - The mode identifier
+ * @param {Object} components - { scene, character, config, messages }
+ */
+export function registerModeComponents(modeName, components) {
+  if (MODE_REGISTRY[modeName]) {
+    console.warn(`⚠️ Refusing to override built-in mode "${modeName}" with runtime components`);
+    return;
+  }
+  RUNTIME_REGISTRY[modeName] = components;
+}
+
+/**
+ * Remove runtime components for a user-defined mode
+ * @param {string} modeName - The mode identifier
+ */
+export function unregisterModeComponents(modeName) {
+  delete RUNTIME_REGISTRY[modeName];
+}
+
 /**
  * Get mode components by mode name
  * @param {string} modeName - The mode identifier
  * @returns {Object|null} Mode components or null if not found
  */
 export function getModeComponents(modeName) {
-  return MODE_REGISTRY[modeName] || null;
+  return MODE_REGISTRY[modeName] || RUNTIME_REGISTRY[modeName] || null;
 }
 
 /**
- * Get list of available mode names
+ * Get list of available mode names (built-in and discovered user modes)
  * @returns {string[]} Array of mode identifiers
  */
 export function getAvailableModes() {
-  return Object.keys(MODE_REGISTRY);
+  const userModeIds = getUserModes()
+    .map(mode => mode.id)
+    .filter(modeId => !MODE_REGISTRY[modeId]);
+  return [...Object.keys(MODE_REGISTRY), ...userModeIds];
 }
 
 /**
@@ -154,7 +188,28 @@ export function getAvailableModes() {
  * @returns {boolean} True if mode exists
  */
 export function modeExists(modeName) {
-  return modeName in MODE_REGISTRY;
+  return modeName in MODE_REGISTRY || isUserMode(modeName);
+}
+
+/**
+ * Register the terminal commands modes ship in their commands.js. Each
+ * command is limited to its mode; calling this again is harmless.
+ * @returns {string[]} Names of the commands registered by this call
+ */
+export function registerModeCommands() {
+  const registered = [];
+  Object.entries(MODE_REGISTRY).forEach(([modeName, mode]) => {
+    (mode.commands || []).forEach(definition => {
+      if (getRegisteredCommand(definition.name)) return;
+      try {
+        registerCommand({ ...definition, mode: modeName });
+        registered.push(definition.name);
+      } catch (error) {
+        console.warn(`⚠️ Skipping command !${definition.name} from mode "${modeName}": ${error.message}`);
+      }
+    });
+  });
+  return registered;
 }
 
-export default MODE_REGISTRY;
\ No newline at end of file
+export default MODE_REGISTRY;
@@ -0,0 +1,597 @@
+/**
+ * Mode scaffolding helpers for scripts/create-mode.js
+ *
+ * Builds the files for a new personality mode from templates and edits the
+ * source files that list every built-in mode (modeRegistry.js, ThemeManager,
+ * modeThemes.css and the character name maps used by `!switch`). All functions
+ * are pure: they take file contents and return new contents, so the CLI can
+ * preview a change with --dry-run and the edits can be tested without
+ * touching the tree.
+ */
+
+import { normalizeHex, mixHex, hexToRgba } from './hexColor.js';
+
+export const POPUP_STYLES = ['overlay', 'speechBubble'];
+
+// Files created for every mode, in modes/<id>/ and public/modes/<id>/
+export const MODE_FILES = ['config.json', 'messages.json', 'scene.js', 'character.js'];
+
+// Source files that list every built-in mode, relative to the project root
+export const REGISTRATION_FILES = {
+  registry: 'utils/modeRegistry.js',
+  themeManager: 'utils/ThemeManager.js',
+  themeCss: 'styles/modeThemes.css',
+  commandParser: 'components/CommandParser.jsx',
+  switchController: 'components/ModeSwitchController.jsx'
+};
+
+/**
+ * Turn a display name into a mode id
+ * @param {string} name - Display name, e.g. "Space Pirate"
+ * @returns {string} Mode id, e.g. "space-pirate"
+ */
+export function toModeId(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+}
+
+/**
+ * Identifier prefix for the generated components
+ * @param {string} modeId - Mode id, e.g. "space-pirate"
+ * @returns {string} PascalCase prefix, e.g. "SpacePirate"
+ */
+export function toComponentPrefix(modeId) {
+  const prefix = modeId
+    .split('-')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(prefix) ? `Mode${prefix}` : prefix;
+}
+
+/**
+ * Validate and complete the generator options
+ * @param {Object} options - { name, id?, primary, secondary?, background?, popupStyle? }
+ * @returns {Object} { options, errors } with normalized colours and defaults filled in
+ */
+export function normalizeScaffoldOptions(options = {}) {
+  const errors = [];
+  const name = typeof options.name === 'string' ? options.name.trim() : '';
+  const id = options.id ? String(options.id) : toModeId(name);
+
+  if (!name) {
+    errors.push('A mode name is required, e.g. "Space Pirate"');
+  }
+  if (!/^[a-z0-9][a-z0-9-]{0,49}$/.test(id)) {
+    errors.push(`Invalid mode id "${id}". Use lowercase letters, numbers and hyphens.`);
+  }
+
+  const primary = normalizeHex(options.primary);
+  if (!primary) {
+    errors.push(`--primary must be a hex colour such as #00ccff (got ${options.primary})`);
+  }
+
+  const secondary = options.secondary === undefined ? (primary && mixHex(primary, '#ffffff', 0.2)) : normalizeHex(options.secondary);
+  if (!secondary && options.secondary !== undefined) {
+    errors.push(`--secondary must be a hex colour (got ${options.secondary})`);
+  }
+
+  const background = options.background === undefined ? (primary && mixHex(primary, '#000000', 0.85)) : normalizeHex(options.background);
+  if (!background && options.background !== undefined) {
+    errors.push(`--background must be a hex colour (got ${options.background})`);
+  }
+
+  const popupStyle = options.popupStyle || 'overlay';
+  if (!POPUP_STYLES.includes(popupStyle)) {
+    errors.push(`--popup must be one of: ${POPUP_STYLES.join(', ')}`);
+  }
+
+  return {
+    options: { name, id, prefix: toComponentPrefix(id), primary, secondary, background, popupStyle },
+    errors
+  };
+}
+
+/**
+ * Theme entry for ThemeManager.initializeThemeConfigurations
+ * @param {Object} options - Normalized scaffold options
+ * @returns {Object} Theme configuration
+ */
+export function buildThemeConfig({ name, primary, secondary, background }) {
+  return {
+    name,
+    primary,
+    primaryLight: mixHex(primary, '#ffffff', 0.3),
+    primaryDark: mixHex(primary, '#000000', 0.25),
+    secondary,
+    accent: mixHex(primary, '#ffffff', 0.6),
+    contrast: '#ffffff',
+    background: {
+      primary: background,
+      secondary: hexToRgba(primary, 0.1),
+      overlay: hexToRgba(primary, 0.05)
+    },
+    text: {
+      primary: '#2c3e50',
+      secondary: '#7f8c8d',
+      inverse: '#ffffff'
+    },
+    glow: hexToRgba(primary, 0.5),
+    effects: {
+      scanLines: true,
+      phosphorGlow: true,
+      crtEffect: true,
+      intensity: 0.6
+    }
+  };
+}
+
+/**
+ * Generate the mode files from templates
+ * @param {Object} options - Normalized scaffold options
+ * @returns {Object} File name -> content for every entry in MODE_FILES
+ */
+export function buildModeFiles({ name, id, prefix, primary, secondary, background, popupStyle }) {
+  const config = {
+    id,
+    name,
+    popupStyle,
+    minDelaySeconds: 15,
+    maxDelaySeconds: 45,
+    messageProbabilities: {
+      cliche: 0.6,
+      exaggeration: 0.2,
+      other: 0.2
+    },
+    sceneProps: {
+      bgColor: background,
+      ambientSpeed: 0.3,
+      primaryColor: primary
+    },
+    audio: {
+      ambient: { type: 'drone', waveform: 'sine', frequency: 110, voices: 2, detune: 6, filterFrequency: 800, lfoRate: 0.05, level: 0.4 },
+      speakCue: { waveform: 'sine', frequency: 660, endFrequency: 880, duration: 0.12, level: 0.4 }
+    },
+    voice: { lang: 'en-US', pitch: 1, rate: 1 }
+  };
+
+  const messages = [
+    `${name} is online and ready to keep you company.`,
+    `This is ${name}. Replace these lines with your own.`,
+    `${name} has opinions about your productivity.`,
+    `Every good day starts with a message from ${name}.`,
+    `${name} is watching the clock so you do not have to.`
+  ];
+
+  const scene = `import { useFrame } from '@react-three/fiber';
+import { useRef } from 'react';
+
+function ${prefix}Scene({ sceneProps }) {
+  const groupRef = useRef();
+
+  useFrame((state, delta) => {
+    if (groupRef.current) {
+      groupRef.current.rotation.y += delta * (sceneProps?.ambientSpeed || 0.3);
+    }
+  });
+
+  return (
+    <group ref={groupRef}>
+      <ambientLight intensity={0.4} />
+      <pointLight position={[0, 3, 2]} color={sceneProps?.primaryColor || "${primary}"} intensity={1} />
+
+      {/* Ring of floating shapes */}
+      {[...Array(6)].map((_, i) => (
+        <mesh
+          key={i}
+          position={[Math.cos((i / 6) * Math.PI * 2) * 3, 0, Math.sin((i / 6) * Math.PI * 2) * 3 - 2]}
+        >
+          <icosahedronGeometry args={[0.5, 0]} />
+          <meshStandardMaterial
+            color={i % 2 === 0 ? (sceneProps?.primaryColor || "${primary}") : "${secondary}"}
+            wireframe
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+export default ${prefix}Scene;`;
+
+  const character = `import { useFrame } from '@react-three/fiber';
+import { useRef, useCallback, useEffect } from 'react';
+
+function ${prefix}Character({ onSpeak, isAnimating }) {
+  const meshRef = useRef();
+  const speakingRef = useRef(false);
+
+  const speak = useCallback(() => {
+    speakingRef.current = true;
+    setTimeout(() => {
+      speakingRef.current = false;
+    }, 1000);
+  }, []);
+
+  useFrame((state) => {
+    if (meshRef.current) {
+      // Gentle floating animation
+      meshRef.current.position.y = Math.sin(state.clock.elapsedTime) * 0.1;
+
+      // Speak animation - slight scale pulse
+      if (speakingRef.current || isAnimating) {
+        const pulse = 1 + Math.sin(state.clock.elapsedTime * 10) * 0.1;
+        meshRef.current.scale.setScalar(pulse);
+      } else {
+        meshRef.current.scale.setScalar(1);
+      }
+    }
+  });
+
+  // Handle speak trigger from parent (new prop-based system)
+  useEffect(() => {
+    if (onSpeak > 0) {
+      speak();
+    }
+  }, [onSpeak, speak]);
+
+  // Legacy speak function registration (for backward compatibility)
+  useEffect(() => {
+    if (typeof onSpeak === 'function') {
+      onSpeak(speak);
+    }
+  }, [onSpeak, speak]);
+
+  return (
+    <mesh ref={meshRef}>
+      <sphereGeometry args={[0.7, 16, 16]} />
+      <meshStandardMaterial
+        color="${primary}"
+        metalness={0.4}
+        roughness={0.4}
+      />
+    </mesh>
+  );
+}
+
+export default ${prefix}Character;`;
+
+  return {
+    'config.json': JSON.stringify(config, null, 2),
+    'messages.json': JSON.stringify(messages, null, 2),
+    'scene.js': scene,
+    'character.js': character
+  };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Locate the body of an object or array literal that starts on a given line
+ * and closes on a line with the same indentation
+ * @param {string} source - File contents
+ * @param {string} opener - Text of the opening line, e.g. "const MODE_REGISTRY = {"
+ * @returns {Object} { start, end, indent } body offsets and the opener's indentation
+ */
+function findLiteralBody(source, opener) {
+  const match = new RegExp(`^([ \\t]*)${escapeRegExp(opener)}\\n`, 'm').exec(source);
+  if (!match) {
+    throw new Error(`Could not find "${opener}"`);
+  }
+
+  const indent = match[1];
+  const start = match.index + match[0].length;
+  const close = new RegExp(`^${indent}[\\]}]`, 'm');
+  const closeMatch = close.exec(source.slice(start));
+  if (!closeMatch) {
+    throw new Error(`Could not find the end of "${opener}"`);
+  }
+
+  return { start, end: start + closeMatch.index, indent };
+}
+
+/**
+ * Rewrite the body of a literal, keeping commas consistent between entries
+ * @param {string} source - File contents
+ * @param {string} opener - Opening line of the literal
+ * @param {Function} edit - (lines) => lines, for one-line-per-entry literals
+ * @returns {string} Updated contents
+ */
+function editLiteralLines(source, opener, edit) {
+  const { start, end } = findLiteralBody(source, opener);
+  const lines = edit(source.slice(start, end).replace(/\n$/, '').split('\n'));
+
+  const isEntry = (line) => line.trim() !== '' && !line.trim().startsWith('//');
+  const lastEntry = lines.map(isEntry).lastIndexOf(true);
+  const fixed = lines.map((line, index) => {
+    if (!isEntry(line)) return line;
+    const trimmed = line.trimEnd();
+    if (index === lastEntry) return trimmed.replace(/,$/, '');
+    return trimmed.endsWith(',') ? line : `${trimmed},`;
+  });
+
+  return source.slice(0, start) + fixed.join('\n') + '\n' + source.slice(end);
+}
+
+/**
+ * Split a literal whose entries are multi-line blocks ("'id': { ... }")
+ * @param {string} source - File contents
+ * @param {string} opener - Opening line of the literal
+ * @param {string} entryIndent - Indentation of each entry key
+ * @returns {Object} { start, end, entries: [{ id, text }] }
+ */
+function readBlockEntries(source, opener, entryIndent) {
+  const { start, end } = findLiteralBody(source, opener);
+  const body = source.slice(start, end);
+  const pattern = new RegExp(`^${entryIndent}'([^']+)': \\{\\n[\\s\\S]*?\\n${entryIndent}\\}`, 'gm');
+  const entries = [...body.matchAll(pattern)].map(match => ({ id: match[1], text: match[0] }));
+
+  return { start, end, entries };
+}
+
+/**
+ * Write multi-line block entries back into their literal
+ */
+function writeBlockEntries(source, { start, end }, entries, separator) {
+  return source.slice(0, start) + entries.map(entry => entry.text).join(separator) + '\n' + source.slice(end);
+}
+
+/**
+ * Quote a string as a single-quoted JavaScript literal
+ */
+function toSingleQuoted(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Format a theme value as it appears in ThemeManager
+ */
+function formatThemeValue(value, indent) {
+  if (value && typeof value === 'object') {
+    const inner = Object.entries(value)
+      .map(([key, nested]) => `${indent}  ${key}: ${formatThemeValue(nested, `${indent}  `)}`)
+      .join(',\n');
+    return `{\n${inner}\n${indent}}`;
+  }
+  return typeof value === 'string' ? toSingleQuoted(value) : String(value);
+}
+
+/**
+ * Check whether the source files already know a mode
+ * @param {Object} sources - Contents keyed like REGISTRATION_FILES
+ * @param {string} modeId - Mode id
+ * @returns {string[]} Keys of the files that mention the mode
+ */
+export function findRegistrations(sources, modeId) {
+  const quoted = new RegExp(`['"]${escapeRegExp(modeId)}['"]`);
+  return Object.keys(REGISTRATION_FILES).filter(key => sources[key] && quoted.test(sources[key]));
+}
+
+/**
+ * Add a mode to utils/modeRegistry.js (imports and MODE_REGISTRY entry)
+ * @param {string} source - modeRegistry.js contents
+ * @param {Object} options - Normalized scaffold options
+ * @returns {string} Updated contents
+ */
+export function addRegistryEntry(source, { id, prefix }) {
+  const importLines = [
+    `import ${prefix}Scene from '../modes/${id}/scene.js';`,
+    `import ${prefix}Character from '../modes/${id}/character.js';`,
+    `import ${prefix}Config from '../modes/${id}/config.json';`,
+    `import ${prefix}Messages from '../modes/${id}/messages.json';`
+  ].join('\n');
+
+  const modeImports = [...source.matchAll(/^import .* from '\.\.\/modes\/.*';$/gm)];
+  if (modeImports.length === 0) {
+    throw new Error('Could not find the mode imports in modeRegistry.js');
+  }
+  const last = modeImports[modeImports.length - 1];
+  const insertAt = last.index + last[0].length;
+  let updated = `${source.slice(0, insertAt)}\n\n${importLines}${source.slice(insertAt)}`;
+
+  const block = readBlockEntries(updated, 'const MODE_REGISTRY = {', '  ');
+  block.entries.push({
+    id,
+    text: [
+      `  '${id}': {`,
+      `    scene: ${prefix}Scene,`,
+      `    character: ${prefix}Character,`,
+      `    config: ${prefix}Config,`,
+      `    messages: ${prefix}Messages`,
+      '  }'
+    ].join('\n')
+  });
+  updated = writeBlockEntries(updated, block, block.entries, ',\n');
+
+  return updated;
+}
+
+/**
+ * Remove a mode from utils/modeRegistry.js
+ * @param {string} source - modeRegistry.js contents
+ * @param {string} modeId - Mode id
+ * @returns {string} Updated contents
+ */
+export function removeRegistryEntry(source, modeId) {
+  const importPattern = new RegExp(`^import .* from '\\.\\./modes/${escapeRegExp(modeId)}/.*';\\n`, 'gm');
+  let updated = source.replace(importPattern, '').replace(/\n{3,}/g, '\n\n');
+
+  const block = readBlockEntries(updated, 'const MODE_REGISTRY = {', '  ');
+  updated = writeBlockEntries(updated, block, block.entries.filter(entry => entry.id !== modeId), ',\n');
+
+  return updated;
+}
+
+/**
+ * Add a theme to ThemeManager.initializeThemeConfigurations
+ * @param {string} source - ThemeManager.js contents
+ * @param {string} modeId - Mode id
+ * @param {Object} theme - Theme from buildThemeConfig
+ * @returns {string} Updated contents
+ */
+export function addThemeConfiguration(source, modeId, theme) {
+  const block = readBlockEntries(source, 'this.themeConfigurations = {', '      ');
+  block.entries.push({ id: modeId, text: `      '${modeId}': ${formatThemeValue(theme, '      ')}` });
+  return writeBlockEntries(source, block, block.entries, ',\n\n');
+}
+
+/**
+ * Remove a theme from ThemeManager.initializeThemeConfigurations
+ * @param {string} source - ThemeManager.js contents
+ * @param {string} modeId - Mode id
+ * @returns {string} Updated contents
+ */
+export function removeThemeConfiguration(source, modeId) {
+  const block = readBlockEntries(source, 'this.themeConfigurations = {', '      ');
+  return writeBlockEntries(source, block, block.entries.filter(entry => entry.id !== modeId), ',\n\n');
+}
+
+/**
+ * Add the mode button CSS variables to styles/modeThemes.css
+ * @param {string} source - modeThemes.css contents
+ * @param {string} modeId - Mode id
+ * @param {Object} theme - Theme from buildThemeConfig
+ * @returns {string} Updated contents
+ */
+export function addThemeCss(source, modeId, theme) {
+  const anchor = '/* Enhanced Theme Transition System */';
+  if (!source.includes(anchor)) {
+    throw new Error(`Could not find "${anchor}" in modeThemes.css`);
+  }
+
+  const css = `/* ${theme.name.replace(/\*\//g, '')} - Generated Theme */
+.mode-button[data-mode="${modeId}"] {
+  --mode-color: ${theme.primary};
+  --mode-color-light: ${theme.primaryLight};
+  --mode-color-dark: ${theme.primaryDark};
+  --mode-color-contrast: ${theme.contrast};
+  --mode-bg-primary: ${theme.background.primary};
+  --mode-bg-secondary: ${mixHex(theme.primary, '#ffffff', 0.85)};
+  --mode-text-primary: ${theme.text.primary};
+  --mode-text-secondary: ${theme.text.secondary};
+}
+
+`;
+  return source.replace(anchor, `${css}${anchor}`);
+}
+
+/**
+ * Remove the mode button CSS variables from styles/modeThemes.css
+ * @param {string} source - modeThemes.css contents
+ * @param {string} modeId - Mode id
+ * @returns {string} Updated contents
+ */
+export function removeThemeCss(source, modeId) {
+  const pattern = new RegExp(`(?:/\\*[^*]*\\*/\\n)?\\.mode-button\\[data-mode="${escapeRegExp(modeId)}"\\] \\{[^}]*\\}\\n\\n`, 'g');
+  return source.replace(pattern, '');
+}
+
+/**
+ * Add a mode to the character maps of CommandParser or ModeSwitchController
+ * @param {string} source - Component contents
+ * @param {Object} options - Normalized scaffold options
+ * @returns {string} Updated contents
+ */
+export function addCharacterNames(source, { id, name }) {
+  const insertEntry = (line) => (lines) => {
+    // Full names come first; partial matches follow a blank line
+    const blank = lines.findIndex(existing => existing.trim() === '');
+    const entryIndent = (lines.find(existing => existing.trim() !== '') || '').match(/^\s*/)[0];
+    const position = blank === -1 ? lines.length : blank;
+    return [...lines.slice(0, position), `${entryIndent}${line}`, ...lines.slice(position)];
+  };
+
+  let updated = editLiteralLines(source, 'this.characterNameMap = {', insertEntry(`${toSingleQuoted(name.toLowerCase())}: '${id}'`));
+  updated = editLiteralLines(updated, 'this.characterDisplayNames = {', insertEntry(`'${id}': ${toSingleQuoted(name)}`));
+
+  if (/^\s*this\.availableModes = \[$/m.test(updated)) {
+    updated = editLiteralLines(updated, 'this.availableModes = [', insertEntry(`'${id}'`));
+  }
+
+  return updated;
+}
+
+/**
+ * Remove a mode from the character maps of CommandParser or ModeSwitchController
+ * @param {string} source - Component contents
+ * @param {string} modeId - Mode id
+ * @returns {string} Updated contents
+ */
+export function removeCharacterNames(source, modeId) {
+  const mentionsMode = new RegExp(`['"]${escapeRegExp(modeId)}['"]`);
+  const dropMode = (lines) => lines.filter(line => !mentionsMode.test(line));
+
+  let updated = editLiteralLines(source, 'this.characterNameMap = {', dropMode);
+  updated = editLiteralLines(updated, 'this.characterDisplayNames = {', dropMode);
+
+  if (/^\s*this\.availableModes = \[$/m.test(updated)) {
+    updated = editLiteralLines(updated, 'this.availableModes = [', dropMode);
+  }
+
+  return updated;
+}
+
+/**
+ * Register a mode in every source file
+ * @param {Object} sources - Contents keyed like REGISTRATION_FILES
+ * @param {Object} options - Normalized scaffold options
+ * @returns {Object} Updated contents, same keys
+ */
+export function registerMode(sources, options) {
+  const theme = buildThemeConfig(options);
+
+  return {
+    registry: addRegistryEntry(sources.registry, options),
+    themeManager: addThemeConfiguration(sources.themeManager, options.id, theme),
+    themeCss: addThemeCss(sources.themeCss, options.id, theme),
+    commandParser: addCharacterNames(sources.commandParser, options),
+    switchController: addCharacterNames(sources.switchController, options)
+  };
+}
+
+/**
+ * Remove a mode from every source file
+ * @param {Object} sources - Contents keyed like REGISTRATION_FILES
+ * @param {string} modeId - Mode id
+ * @returns {Object} Updated contents, same keys
+ */
+export function unregisterMode(sources, modeId) {
+  return {
+    registry: removeRegistryEntry(sources.registry, modeId),
+    themeManager: removeThemeConfiguration(sources.themeManager, modeId),
+    themeCss: removeThemeCss(sources.themeCss, modeId),
+    commandParser: removeCharacterNames(sources.commandParser, modeId),
+    switchController: removeCharacterNames(sources.switchController, modeId)
+  };
+}
+
+export default {
+  POPUP_STYLES,
+  MODE_FILES,
+  REGISTRATION_FILES,
+  toModeId,
+  toComponentPrefix,
+  normalizeScaffoldOptions,
+  buildThemeConfig,
+  buildModeFiles,
+  findRegistrations,
+  addRegistryEntry,
+  removeRegistryEntry,
+  addThemeConfiguration,
+  removeThemeConfiguration,
+  addThemeCss,
+  removeThemeCss,
+  addCharacterNames,
+  removeCharacterNames,
+  registerMode,
+  unregisterMode
+};
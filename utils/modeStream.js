@@ -0,0 +1,99 @@
+/**
+ * ModeStream Class
+ *
+ * Browser side of `/api/modes/stream`: keeps a mode list current while
+ * modes are authored. Each (re)connect delivers the whole list, then every
+ * added, updated or removed mode arrives on its own. Static exports and
+ * servers that do not watch modes/ have no stream; it then fails once and
+ * the list stays as first loaded.
+ */
+
+export const MODES_STREAM_URL = '/api/modes/stream';
+
+/**
+ * Apply a change from the stream to a mode list
+ * @param {Object[]} modes - Current modes
+ * @param {Object} change - { type: 'added' | 'updated' | 'removed', modeId, mode? }
+ * @returns {Object[]} New list (the same list when nothing changed)
+ */
+export function applyModeChange(modes, change) {
+  const index = modes.findIndex(mode => mode.id === change.modeId);
+
+  if (change.type === 'removed') {
+    return index === -1 ? modes : modes.filter(mode => mode.id !== change.modeId);
+  }
+  if ((change.type === 'added' || change.type === 'updated') && change.mode) {
+    return index === -1
+      ? [...modes, change.mode]
+      : modes.map((mode, i) => (i === index ? change.mode : mode));
+  }
+  return modes;
+}
+
+class ModeStream {
+  constructor(options = {}) {
+    this.url = options.url || MODES_STREAM_URL;
+    this.EventSource = options.EventSource || (typeof EventSource !== 'undefined' ? EventSource : null);
+    this.onSnapshot = options.onSnapshot || (() => {});
+    this.onChange = options.onChange || (() => {});
+    this.onError = options.onError || console.error;
+
+    this.source = null;
+    this.version = 0;
+
+    this.handleSnapshot = this.handleSnapshot.bind(this);
+    this.handleChange = this.handleChange.bind(this);
+  }
+
+  /**
+   * Start listening for mode changes
+   */
+  start() {
+    if (this.source || !this.EventSource) return;
+
+    this.source = new this.EventSource(this.url);
+    this.source.addEventListener('snapshot', this.handleSnapshot);
+    this.source.addEventListener('change', this.handleChange);
+  }
+
+  /**
+   * Replace the list (sent on every connect, so changes missed while
+   * reconnecting are not lost)
+   * @param {MessageEvent} event - 'snapshot' event with { modes, version }
+   */
+  handleSnapshot(event) {
+    try {
+      const { modes, version } = JSON.parse(event.data);
+      this.version = version;
+      this.onSnapshot(Array.isArray(modes) ? modes : []);
+    } catch (error) {
+      this.onError('Invalid modes snapshot event', error);
+    }
+  }
+
+  /**
+   * @param {MessageEvent} event - 'change' event with { type, modeId, mode?, version }
+   */
+  handleChange(event) {
+    try {
+      const change = JSON.parse(event.data);
+      if (change.version <= this.version) return; // Already in the snapshot
+      this.version = change.version;
+      this.onChange(change);
+    } catch (error) {
+      this.onError('Invalid mode change event', error);
+    }
+  }
+
+  /**
+   * Stop listening and close the stream
+   */
+  destroy() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+  }
+}
+
+export default ModeStream;
@@ -0,0 +1,245 @@
+/**
+ * Mode tree consistency checks
+ *
+ * Mode JSON lives twice: modes/<id>/ is imported by the registry and read by
+ * the API routes, public/modes/<id>/ is fetched by the client
+ * (MessageScheduler.loadModeConfig, the user mode fallback). This module diffs
+ * the JSON files (and YAML scene descriptions) of both trees field by field
+ * and copies one side over the other. Used by /api/modes?cacheStatus=true and scripts/sync-modes.js.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './atomicFile.js';
+import { isSceneFile, parseSceneFile } from './sceneDescription.js';
+
+export const SOURCE_DIR = 'modes';
+export const PUBLIC_DIR = path.join('public', 'modes');
+export const SYNC_SIDES = ['modes', 'public'];
+
+// Stop listing fields after this many per file; the count is still reported
+const MAX_FIELDS_PER_FILE = 25;
+
+/**
+ * List the mode directories under a tree
+ * @param {string} dir - Absolute path of the tree
+ * @returns {Promise<string[]>} Mode ids (empty if the tree does not exist)
+ */
+async function listModeDirs(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory() && !entry.name.startsWith('.')).map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * List the JSON files of a mode directory, plus a YAML scene description
+ * @param {string} dir - Absolute path of the mode directory
+ * @returns {Promise<string[]>} File names
+ */
+async function listJSONFiles(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isFile() && (entry.name.endsWith('.json') || isSceneFile(entry.name)))
+      .map(entry => entry.name);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Read and parse a JSON file (or a YAML scene description)
+ * @param {string} filePath - File path
+ * @returns {Promise<Object>} { content, data, error }
+ */
+async function readJSON(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  try {
+    return { content, data: parseSceneFile(path.basename(filePath), content), error: null };
+  } catch (error) {
+    return { content, data: undefined, error: error.message };
+  }
+}
+
+/**
+ * List the fields that differ between two JSON values
+ * @param {*} a - Value from modes/
+ * @param {*} b - Value from public/modes/
+ * @param {string} prefix - Path of the values
+ * @returns {string[]} Field paths, e.g. ["sceneProps.bgColor", "[12]"]
+ */
+export function diffJSON(a, b, prefix = '') {
+  if (a === b) return [];
+
+  const isObject = (value) => value !== null && typeof value === 'object';
+  if (!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return [prefix || '(root)'];
+  }
+
+  if (Array.isArray(a)) {
+    const fields = [];
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      fields.push(...diffJSON(a[i], b[i], `${prefix}[${i}]`));
+    }
+    return fields;
+  }
+
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return keys.flatMap(key => diffJSON(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Compare one mode across both trees
+ * @param {string} root - Project root
+ * @param {string} modeId - Mode id
+ * @returns {Promise<Object>} { id, status, files: [{ file, status, fields, fieldCount }] }
+ */
+async function diffMode(root, modeId) {
+  const sourceDir = path.join(root, SOURCE_DIR, modeId);
+  const publicDir = path.join(root, PUBLIC_DIR, modeId);
+  const [sourceFiles, publicFiles] = await Promise.all([listJSONFiles(sourceDir), listJSONFiles(publicDir)]);
+  const fileNames = [...new Set([...sourceFiles, ...publicFiles])].sort();
+  const files = [];
+
+  for (const file of fileNames) {
+    if (!publicFiles.includes(file)) {
+      files.push({ file, status: 'missing-public', fields: [], fieldCount: 0 });
+      continue;
+    }
+    if (!sourceFiles.includes(file)) {
+      files.push({ file, status: 'missing-source', fields: [], fieldCount: 0 });
+      continue;
+    }
+
+    const [source, copy] = await Promise.all([
+      readJSON(path.join(sourceDir, file)),
+      readJSON(path.join(publicDir, file))
+    ]);
+    if (source.content === copy.content) continue;
+
+    if (source.error || copy.error) {
+      files.push({ file, status: 'invalid-json', fields: [], fieldCount: 0, error: source.error || copy.error });
+      continue;
+    }
+
+    // Formatting-only differences still count, so the copies stay byte-identical
+    const fields = diffJSON(source.data, copy.data);
+    files.push({
+      file,
+      status: fields.length > 0 ? 'drifted' : 'formatting',
+      fields: fields.slice(0, MAX_FIELDS_PER_FILE),
+      fieldCount: fields.length
+    });
+  }
+
+  let status = files.length === 0 ? 'in-sync' : 'drifted';
+  if (sourceFiles.length === 0) status = 'missing-source';
+  else if (publicFiles.length === 0) status = 'missing-public';
+
+  return { id: modeId, status, files };
+}
+
+/**
+ * Diff the JSON files of modes/ and public/modes/
+ * @param {Object} options - { root: project root (default cwd) }
+ * @returns {Promise<Object>} { inSync, checkedAt, summary, modes } where modes
+ *   only lists modes that are not in sync
+ */
+export async function diffModeTrees({ root = process.cwd() } = {}) {
+  const [sourceModes, publicModes] = await Promise.all([
+    listModeDirs(path.join(root, SOURCE_DIR)),
+    listModeDirs(path.join(root, PUBLIC_DIR))
+  ]);
+  const modeIds = [...new Set([...sourceModes, ...publicModes])].sort();
+  const results = await Promise.all(modeIds.map(modeId => diffMode(root, modeId)));
+  const outOfSync = results.filter(result => result.status !== 'in-sync');
+
+  return {
+    inSync: outOfSync.length === 0,
+    checkedAt: new Date().toISOString(),
+    summary: {
+      checked: modeIds.length,
+      drifted: outOfSync.filter(result => result.status === 'drifted').length,
+      missingPublic: outOfSync.filter(result => result.status === 'missing-public').length,
+      missingSource: outOfSync.filter(result => result.status === 'missing-source').length
+    },
+    modes: outOfSync
+  };
+}
+
+/**
+ * Make one tree authoritative and copy its JSON files over the other
+ * @param {Object} options - Sync options
+ * @param {string} options.from - 'modes' or 'public'
+ * @param {string} options.root - Project root (default cwd)
+ * @param {boolean} options.dryRun - Only report what would change
+ * @param {boolean} options.prune - Also delete JSON files (and mode folders)
+ *   that only exist on the other side
+ * @returns {Promise<Object>} { copied: [path], removed: [path], skipped: [{ path, reason }] }
+ */
+export async function syncModeTrees({ from = 'modes', root = process.cwd(), dryRun = false, prune = false } = {}) {
+  if (!SYNC_SIDES.includes(from)) {
+    throw new Error(`Unknown sync source "${from}". Use one of: ${SYNC_SIDES.join(', ')}`);
+  }
+
+  const [fromDir, toDir] = from === 'modes' ? [SOURCE_DIR, PUBLIC_DIR] : [PUBLIC_DIR, SOURCE_DIR];
+  const report = await diffModeTrees({ root });
+  const result = { copied: [], removed: [], skipped: [] };
+
+  for (const mode of report.modes) {
+    for (const entry of mode.files) {
+      const fromPath = path.join(fromDir, mode.id, entry.file);
+      const toPath = path.join(toDir, mode.id, entry.file);
+      const existsOnFromSide = entry.status !== (from === 'modes' ? 'missing-source' : 'missing-public');
+
+      if (!existsOnFromSide) {
+        if (!prune) {
+          result.skipped.push({ path: toPath, reason: `not in ${fromDir} (use --prune to delete)` });
+          continue;
+        }
+        if (!dryRun) await fs.rm(path.join(root, toPath), { force: true });
+        result.removed.push(toPath);
+        continue;
+      }
+
+      if (entry.status === 'invalid-json') {
+        const { error } = await readJSON(path.join(root, fromPath));
+        if (error) {
+          result.skipped.push({ path: fromPath, reason: `invalid JSON: ${error}` });
+          continue;
+        }
+      }
+
+      if (!dryRun) {
+        const content = await fs.readFile(path.join(root, fromPath), 'utf8');
+        await writeFileAtomic(path.join(root, toPath), content);
+      }
+      result.copied.push(toPath);
+    }
+
+    // Drop mode folders that no longer hold anything
+    const orphaned = mode.status === (from === 'modes' ? 'missing-source' : 'missing-public');
+    if (prune && orphaned && !dryRun) {
+      const remaining = await fs.readdir(path.join(root, toDir, mode.id)).catch(() => []);
+      if (remaining.every(name => name.endsWith('.bak'))) {
+        await fs.rm(path.join(root, toDir, mode.id), { recursive: true, force: true });
+      }
+    }
+  }
+
+  return result;
+}
+
+export default {
+  SOURCE_DIR,
+  PUBLIC_DIR,
+  SYNC_SIDES,
+  diffJSON,
+  diffModeTrees,
+  syncModeTrees
+};
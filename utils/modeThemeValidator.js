@@ -37,7 +37,7 @@ export function calculateContrastRatio(color1, color2) {
  * @param {string} color - Color string (hex, rgb, rgba)
  * @returns {Object|null} RGB object {r, g, b} or null if invalid
  */
-function parseColor(color) {
+export function parseColor(color) {
   if (!color || typeof color !== 'string') {
     return null;
   }
@@ -350,6 +350,7 @@ export function runThemeTests(modes) {
 
 export default {
   calculateContrastRatio,
+  parseColor,
   validateThemeAccessibility,
   testModeThemeConsistency,
   generateThemeTestReport,
@@ -0,0 +1,456 @@
+/**
+ * Scene Description DSL
+ *
+ * Defines the declarative scene/character format used by scene.json (or
+ * scene.yaml/scene.yml) files, validates descriptions and computes per-frame
+ * transforms for animation behaviours. Rendering lives in
+ * components/DeclarativeMode.jsx; everything here is plain JavaScript so it
+ * can be used by the API and validators too.
+ *
+ * {
+ *   "scene": {
+ *     "lights": [{ "type": "point", "position": [5, 5, 5], "color": "#ff00ff", "intensity": 1.2 }],
+ *     "objects": [{
+ *       "type": "torus",
+ *       "position": [0, 0, -2],
+ *       "material": { "type": "standard", "color": "#ff00ff", "wireframe": true },
+ *       "behaviours": [{ "type": "spin", "speed": [0, 0.5, 0] }, { "type": "pulse", "amplitude": 0.1 }]
+ *     }]
+ *   },
+ *   "character": {
+ *     "objects": [{ "type": "sphere", "behaviours": [{ "type": "speak-scale", "scale": 1.3 }] }]
+ *   }
+ * }
+ *
+ * The same description in YAML:
+ *
+ *   scene:
+ *     objects:
+ *       - type: torus
+ *         behaviours: [{ type: spin, speed: [0, 0.5, 0] }]
+ *   character:
+ *     objects:
+ *       - type: sphere
+ */
+
+import yaml from 'js-yaml';
+
+export const SCENE_DESCRIPTION_VERSION = 1;
+
+// Scene description files in lookup order; a mode ships one of them
+export const SCENE_FILE_NAMES = ['scene.json', 'scene.yaml', 'scene.yml'];
+
+// Primitive types mapped to their three.js geometry elements and default args
+export const PRIMITIVE_GEOMETRIES = {
+  box: { element: 'boxGeometry', args: [1, 1, 1] },
+  sphere: { element: 'sphereGeometry', args: [0.5, 32, 32] },
+  cylinder: { element: 'cylinderGeometry', args: [0.5, 0.5, 1, 32] },
+  cone: { element: 'coneGeometry', args: [0.5, 1, 32] },
+  torus: { element: 'torusGeometry', args: [0.5, 0.2, 16, 64] },
+  torusKnot: { element: 'torusKnotGeometry', args: [0.4, 0.12, 64, 16] },
+  plane: { element: 'planeGeometry', args: [1, 1] },
+  ring: { element: 'ringGeometry', args: [0.3, 0.5, 32] },
+  icosahedron: { element: 'icosahedronGeometry', args: [0.5, 0] },
+  octahedron: { element: 'octahedronGeometry', args: [0.5, 0] },
+  dodecahedron: { element: 'dodecahedronGeometry', args: [0.5, 0] }
+};
+
+// Material types mapped to their three.js material elements
+export const MATERIAL_TYPES = {
+  standard: 'meshStandardMaterial',
+  basic: 'meshBasicMaterial',
+  phong: 'meshPhongMaterial',
+  lambert: 'meshLambertMaterial',
+  normal: 'meshNormalMaterial'
+};
+
+// Light types mapped to their three.js light elements
+export const LIGHT_TYPES = {
+  ambient: 'ambientLight',
+  point: 'pointLight',
+  directional: 'directionalLight',
+  spot: 'spotLight',
+  hemisphere: 'hemisphereLight'
+};
+
+// Animation behaviours with their default parameters
+export const BEHAVIOUR_DEFAULTS = {
+  orbit: { radius: 1, speed: 1, axis: 'y', phase: 0 },
+  pulse: { amplitude: 0.1, speed: 2, phase: 0 },
+  jitter: { amount: 0.05, rotation: 0 },
+  spin: { speed: [0, 0.5, 0] },
+  'speak-scale': { scale: 1.2, speed: 20 }
+};
+
+const MAX_OBJECTS = 200;
+const RECOMMENDED_MAX_OBJECTS = 50;
+const MAX_DEPTH = 5;
+const COLOR_PATTERN = /^#([0-9A-Fa-f]{3}){1,2}$|^[a-zA-Z]+$/;
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Normalize a vector-like value ([x, y, z] or a single number) to a 3-tuple
+ * @param {*} value - Vector or scalar
+ * @param {number[]} fallback - Value used when the input is invalid
+ * @returns {number[]} [x, y, z]
+ */
+export function toVector3(value, fallback = [0, 0, 0]) {
+  if (isVector3(value)) {
+    return value;
+  }
+  if (isNumber(value)) {
+    return [value, value, value];
+  }
+  return fallback;
+}
+
+/**
+ * Resolve an object's material, accepting the color/wireframe/opacity shorthand
+ * @param {Object} object - Object description
+ * @param {string} fallbackColor - Color used when none is given
+ * @returns {Object} Material description with a type
+ */
+export function resolveMaterial(object, fallbackColor = '#00ff00') {
+  const material = isPlainObject(object.material) ? object.material : {};
+  const opacity = material.opacity !== undefined ? material.opacity : object.opacity;
+
+  return {
+    type: MATERIAL_TYPES[material.type] ? material.type : 'standard',
+    color: material.color || object.color || fallbackColor,
+    wireframe: Boolean(material.wireframe !== undefined ? material.wireframe : object.wireframe),
+    ...(isNumber(opacity) && { opacity, transparent: opacity < 1 }),
+    ...(material.emissive && { emissive: material.emissive }),
+    ...(isNumber(material.emissiveIntensity) && { emissiveIntensity: material.emissiveIntensity }),
+    ...(isNumber(material.metalness) && { metalness: material.metalness }),
+    ...(isNumber(material.roughness) && { roughness: material.roughness })
+  };
+}
+
+/**
+ * Compute an object's transform for the current frame from its base transform
+ * and behaviours. Pure: all time and randomness comes from the state argument.
+ * @param {Object} object - Object description
+ * @param {Object} state - Frame state
+ * @param {number} state.time - Elapsed time in seconds
+ * @param {boolean} state.speaking - Whether the character is speaking
+ * @param {number} state.speedMultiplier - Global animation speed multiplier
+ * @param {Function} state.random - Random source returning [0, 1)
+ * @returns {Object} { position, rotation, scale } as [x, y, z] arrays
+ */
+export function computeTransform(object, state = {}) {
+  const { time = 0, speaking = false, speedMultiplier = 1, random = Math.random } = state;
+  const t = time * speedMultiplier;
+
+  const position = [...toVector3(object.position, [0, 0, 0])];
+  const rotation = [...toVector3(object.rotation, [0, 0, 0])];
+  const scale = [...toVector3(object.scale, [1, 1, 1])];
+  const behaviours = Array.isArray(object.behaviours) ? object.behaviours : [];
+
+  behaviours.forEach(behaviour => {
+    if (!behaviour || !BEHAVIOUR_DEFAULTS[behaviour.type]) {
+      return;
+    }
+    const params = { ...BEHAVIOUR_DEFAULTS[behaviour.type], ...behaviour };
+
+    switch (behaviour.type) {
+      case 'orbit': {
+        const angle = t * params.speed + params.phase;
+        const [a, b] = params.axis === 'x' ? [1, 2] : params.axis === 'z' ? [0, 1] : [0, 2];
+        position[a] += Math.cos(angle) * params.radius;
+        position[b] += Math.sin(angle) * params.radius;
+        break;
+      }
+      case 'pulse': {
+        const factor = 1 + Math.sin(t * params.speed + params.phase) * params.amplitude;
+        scale.forEach((value, i) => { scale[i] = value * factor; });
+        break;
+      }
+      case 'jitter': {
+        position.forEach((value, i) => { position[i] = value + (random() - 0.5) * 2 * params.amount; });
+        if (params.rotation) {
+          rotation.forEach((value, i) => { rotation[i] = value + (random() - 0.5) * 2 * params.rotation; });
+        }
+        break;
+      }
+      case 'spin': {
+        // A single number spins around the y axis
+        const speed = isNumber(params.speed) ? [0, params.speed, 0] : toVector3(params.speed, BEHAVIOUR_DEFAULTS.spin.speed);
+        rotation.forEach((value, i) => { rotation[i] = value + t * speed[i]; });
+        break;
+      }
+      case 'speak-scale': {
+        if (speaking) {
+          // Speak animation runs on wall-clock time so it is not slowed by speed settings
+          const factor = 1 + Math.abs(Math.sin(time * params.speed)) * (params.scale - 1);
+          scale.forEach((value, i) => { scale[i] = value * factor; });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return { position, rotation, scale };
+}
+
+/**
+ * Creates an issue object in the componentInterfaceValidator format
+ */
+const issue = (type, path, message, guidance) => ({ type, path, message: `${path}: ${message}`, guidance });
+
+/**
+ * Validate a color value
+ */
+function validateColor(value, path, result) {
+  if (value !== undefined && (typeof value !== 'string' || !COLOR_PATTERN.test(value))) {
+    result.errors.push(issue('INVALID_COLOR', path, `invalid color "${value}"`, 'Use a hex color like "#ff00ff" or a CSS color name'));
+  }
+}
+
+/**
+ * Validate a behaviour description
+ */
+function validateBehaviour(behaviour, path, section, result) {
+  if (!isPlainObject(behaviour)) {
+    result.errors.push(issue('INVALID_BEHAVIOUR', path, 'behaviour must be an object', 'Use { "type": "pulse", ... }'));
+    return;
+  }
+
+  if (!BEHAVIOUR_DEFAULTS[behaviour.type]) {
+    result.errors.push(issue('UNKNOWN_BEHAVIOUR', `${path}.type`, `unknown behaviour "${behaviour.type}"`,
+      `Supported behaviours: ${Object.keys(BEHAVIOUR_DEFAULTS).join(', ')}`));
+    return;
+  }
+
+  Object.entries(behaviour).forEach(([key, value]) => {
+    if (key === 'type') return;
+    if (!(key in BEHAVIOUR_DEFAULTS[behaviour.type])) {
+      result.warnings.push(issue('UNKNOWN_BEHAVIOUR_PARAM', `${path}.${key}`, `"${key}" is not used by ${behaviour.type}`,
+        `Parameters for ${behaviour.type}: ${Object.keys(BEHAVIOUR_DEFAULTS[behaviour.type]).join(', ')}`));
+      return;
+    }
+    if (key === 'axis') {
+      if (!['x', 'y', 'z'].includes(value)) {
+        result.errors.push(issue('INVALID_BEHAVIOUR_PARAM', `${path}.axis`, `invalid axis "${value}"`, 'Use "x", "y" or "z"'));
+      }
+    } else if (key === 'speed' && behaviour.type === 'spin') {
+      if (!isNumber(value) && !isVector3(value)) {
+        result.errors.push(issue('INVALID_BEHAVIOUR_PARAM', `${path}.speed`, 'spin speed must be a number or [x, y, z]', 'Example: "speed": [0, 0.5, 0]'));
+      }
+    } else if (!isNumber(value)) {
+      result.errors.push(issue('INVALID_BEHAVIOUR_PARAM', `${path}.${key}`, `${key} must be a number`, `Example: "${key}": ${JSON.stringify(BEHAVIOUR_DEFAULTS[behaviour.type][key])}`));
+    }
+  });
+
+  if (behaviour.type === 'speak-scale' && section !== 'character') {
+    result.warnings.push(issue('SPEAK_SCALE_OUTSIDE_CHARACTER', path, 'speak-scale only animates character objects',
+      'Move this behaviour to an object in the "character" section'));
+  }
+}
+
+/**
+ * Validate an object description (recursively for group children)
+ */
+function validateObject(object, path, section, depth, result) {
+  result.objectCount++;
+
+  if (!isPlainObject(object)) {
+    result.errors.push(issue('INVALID_OBJECT', path, 'object must be an object', 'Use { "type": "box", ... }'));
+    return;
+  }
+
+  if (object.type !== 'group' && !PRIMITIVE_GEOMETRIES[object.type]) {
+    result.errors.push(issue('UNKNOWN_PRIMITIVE', `${path}.type`, `unknown primitive "${object.type}"`,
+      `Supported types: group, ${Object.keys(PRIMITIVE_GEOMETRIES).join(', ')}`));
+  }
+
+  ['position', 'rotation'].forEach(key => {
+    if (object[key] !== undefined && !isVector3(object[key])) {
+      result.errors.push(issue('INVALID_VECTOR', `${path}.${key}`, `${key} must be [x, y, z]`, `Example: "${key}": [0, 0, 0]`));
+    }
+  });
+
+  if (object.scale !== undefined && !isVector3(object.scale) && !(isNumber(object.scale) && object.scale > 0)) {
+    result.errors.push(issue('INVALID_VECTOR', `${path}.scale`, 'scale must be a positive number or [x, y, z]', 'Example: "scale": 1.5'));
+  }
+
+  if (object.args !== undefined && (!Array.isArray(object.args) || !object.args.every(isNumber))) {
+    result.errors.push(issue('INVALID_ARGS', `${path}.args`, 'args must be an array of numbers', 'See the three.js geometry constructor for the argument order'));
+  }
+
+  validateColor(object.color, `${path}.color`, result);
+
+  if (object.opacity !== undefined && (!isNumber(object.opacity) || object.opacity < 0 || object.opacity > 1)) {
+    result.errors.push(issue('INVALID_OPACITY', `${path}.opacity`, 'opacity must be between 0 and 1', 'Example: "opacity": 0.8'));
+  }
+
+  if (object.material !== undefined) {
+    if (!isPlainObject(object.material)) {
+      result.errors.push(issue('INVALID_MATERIAL', `${path}.material`, 'material must be an object', 'Use { "type": "standard", "color": "#ff00ff" }'));
+    } else {
+      const material = object.material;
+      if (material.type !== undefined && !MATERIAL_TYPES[material.type]) {
+        result.errors.push(issue('UNKNOWN_MATERIAL', `${path}.material.type`, `unknown material "${material.type}"`,
+          `Supported materials: ${Object.keys(MATERIAL_TYPES).join(', ')}`));
+      }
+      validateColor(material.color, `${path}.material.color`, result);
+      validateColor(material.emissive, `${path}.material.emissive`, result);
+      ['opacity', 'metalness', 'roughness'].forEach(key => {
+        if (material[key] !== undefined && (!isNumber(material[key]) || material[key] < 0 || material[key] > 1)) {
+          result.errors.push(issue('INVALID_MATERIAL_PARAM', `${path}.material.${key}`, `${key} must be between 0 and 1`, `Example: "${key}": 0.5`));
+        }
+      });
+      if (material.emissiveIntensity !== undefined && (!isNumber(material.emissiveIntensity) || material.emissiveIntensity < 0)) {
+        result.errors.push(issue('INVALID_MATERIAL_PARAM', `${path}.material.emissiveIntensity`, 'emissiveIntensity must be a non-negative number', 'Example: "emissiveIntensity": 0.5'));
+      }
+    }
+  }
+
+  if (object.behaviours !== undefined) {
+    if (!Array.isArray(object.behaviours)) {
+      result.errors.push(issue('INVALID_BEHAVIOURS', `${path}.behaviours`, 'behaviours must be an array', 'Use [{ "type": "pulse" }]'));
+    } else {
+      object.behaviours.forEach((behaviour, index) => validateBehaviour(behaviour, `${path}.behaviours[${index}]`, section, result));
+    }
+  }
+
+  if (object.children !== undefined) {
+    if (!Array.isArray(object.children)) {
+      result.errors.push(issue('INVALID_CHILDREN', `${path}.children`, 'children must be an array', 'Use "children": [{ "type": "box" }]'));
+    } else if (depth >= MAX_DEPTH) {
+      result.errors.push(issue('MAX_DEPTH_EXCEEDED', `${path}.children`, `nesting deeper than ${MAX_DEPTH} levels`, 'Flatten the object hierarchy'));
+    } else {
+      object.children.forEach((child, index) => validateObject(child, `${path}.children[${index}]`, section, depth + 1, result));
+    }
+  } else if (object.type === 'group') {
+    result.warnings.push(issue('EMPTY_GROUP', path, 'group has no children', 'Add "children" or use a primitive type'));
+  }
+}
+
+/**
+ * Validate a light description
+ */
+function validateLight(light, path, result) {
+  if (!isPlainObject(light)) {
+    result.errors.push(issue('INVALID_LIGHT', path, 'light must be an object', 'Use { "type": "point", ... }'));
+    return;
+  }
+
+  if (!LIGHT_TYPES[light.type]) {
+    result.errors.push(issue('UNKNOWN_LIGHT', `${path}.type`, `unknown light "${light.type}"`,
+      `Supported lights: ${Object.keys(LIGHT_TYPES).join(', ')}`));
+  }
+
+  validateColor(light.color, `${path}.color`, result);
+
+  if (light.position !== undefined && !isVector3(light.position)) {
+    result.errors.push(issue('INVALID_VECTOR', `${path}.position`, 'position must be [x, y, z]', 'Example: "position": [5, 5, 5]'));
+  }
+
+  if (light.intensity !== undefined && (!isNumber(light.intensity) || light.intensity < 0)) {
+    result.errors.push(issue('INVALID_INTENSITY', `${path}.intensity`, 'intensity must be a non-negative number', 'Example: "intensity": 1'));
+  }
+}
+
+/**
+ * Check whether a file name is one of the scene description files
+ * @param {string} fileName - File name inside a mode directory
+ * @returns {boolean} True for scene.json, scene.yaml and scene.yml
+ */
+export function isSceneFile(fileName) {
+  return SCENE_FILE_NAMES.includes(fileName);
+}
+
+/**
+ * Parse the text of a scene description file. YAML is read with the JSON
+ * schema, so both formats produce the same plain values.
+ * @param {string} fileName - scene.json, scene.yaml or scene.yml
+ * @param {string} content - File content
+ * @returns {*} Parsed description
+ * @throws {Error} When the content is not valid JSON/YAML
+ */
+export function parseSceneFile(fileName, content) {
+  if (/\.ya?ml$/i.test(fileName)) {
+    return yaml.load(content, { schema: yaml.JSON_SCHEMA, filename: fileName });
+  }
+  return JSON.parse(content);
+}
+
+/**
+ * Validate a scene description (the contents of a mode's scene file)
+ * @param {Object} description - Scene description
+ * @returns {Object} { valid, errors, warnings, objectCount }
+ */
+export function validateSceneDescription(description) {
+  const result = { valid: true, errors: [], warnings: [], objectCount: 0 };
+
+  if (!isPlainObject(description)) {
+    result.errors.push(issue('INVALID_DESCRIPTION', 'scene.json', 'description must be an object', 'Use { "scene": { ... }, "character": { ... } }'));
+    result.valid = false;
+    return result;
+  }
+
+  if (description.version !== undefined && description.version !== SCENE_DESCRIPTION_VERSION) {
+    result.warnings.push(issue('UNSUPPORTED_VERSION', 'version', `version ${description.version} is not supported`,
+      `This renderer supports version ${SCENE_DESCRIPTION_VERSION}`));
+  }
+
+  ['scene', 'character'].forEach(section => {
+    const content = description[section];
+
+    if (content === undefined) {
+      result.warnings.push(issue('MISSING_SECTION', section, `no ${section} section`,
+        `Add a "${section}" section; an empty ${section} will be rendered`));
+      return;
+    }
+
+    if (!isPlainObject(content)) {
+      result.errors.push(issue('INVALID_SECTION', section, 'section must be an object', `Use "${section}": { "objects": [] }`));
+      return;
+    }
+
+    if (!Array.isArray(content.objects)) {
+      result.errors.push(issue('MISSING_OBJECTS', `${section}.objects`, 'objects must be an array', `Use "${section}": { "objects": [{ "type": "box" }] }`));
+    } else {
+      content.objects.forEach((object, index) => validateObject(object, `${section}.objects[${index}]`, section, 1, result));
+    }
+
+    if (content.lights !== undefined) {
+      if (!Array.isArray(content.lights)) {
+        result.errors.push(issue('INVALID_LIGHTS', `${section}.lights`, 'lights must be an array', 'Use "lights": [{ "type": "ambient" }]'));
+      } else {
+        content.lights.forEach((light, index) => validateLight(light, `${section}.lights[${index}]`, result));
+      }
+    }
+  });
+
+  if (result.objectCount > MAX_OBJECTS) {
+    result.errors.push(issue('TOO_MANY_OBJECTS', 'scene.json', `${result.objectCount} objects exceed the limit of ${MAX_OBJECTS}`,
+      'Reduce the number of objects to keep the scene at 60fps'));
+  } else if (result.objectCount > RECOMMENDED_MAX_OBJECTS) {
+    result.warnings.push(issue('MANY_OBJECTS', 'scene.json', `${result.objectCount} objects may affect performance`,
+      `Consider keeping scenes under ${RECOMMENDED_MAX_OBJECTS} objects`));
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+export default {
+  SCENE_DESCRIPTION_VERSION,
+  SCENE_FILE_NAMES,
+  PRIMITIVE_GEOMETRIES,
+  MATERIAL_TYPES,
+  LIGHT_TYPES,
+  BEHAVIOUR_DEFAULTS,
+  toVector3,
+  resolveMaterial,
+  computeTransform,
+  isSceneFile,
+  parseSceneFile,
+  validateSceneDescription
+};
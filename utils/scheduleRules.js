@@ -0,0 +1,474 @@
+/**
+ * Schedule Rules
+ *
+ * Time-of-day rules on top of the message cadence: quiet hours (no messages),
+ * focus blocks (fewer messages), bursts such as lunch (more messages) and
+ * per-mode weekday overrides. Rules come from the `schedule` block of
+ * data/global-config.json; `!schedule` edits are stored as an override layer
+ * on top of it (see mergeSchedules).
+ *
+ * Windows use local "HH:MM" times and may wrap past midnight ("22:00-07:00").
+ */
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+const DEFAULT_NAMES = {
+  quietHours: 'quiet',
+  focusBlocks: 'focus',
+  bursts: 'burst'
+};
+
+const DEFAULT_MULTIPLIERS = {
+  focusBlocks: 0.25,
+  bursts: 3
+};
+
+const MIN_MULTIPLIER = 0.05;
+const MAX_MULTIPLIER = 10;
+
+export const DEFAULT_SCHEDULE = {
+  enabled: true,
+  quietHours: [],
+  focusBlocks: [],
+  bursts: [],
+  modeOverrides: {}
+};
+
+/**
+ * Parse an "HH:MM" time of day
+ * @param {string} value - Time string ("24:00" is allowed as an end of day)
+ * @returns {number|null} Minutes since midnight or null if invalid
+ */
+export function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse a "HH:MM-HH:MM" range
+ * @param {string} value - Range string
+ * @returns {Object|null} { start, end } strings or null if invalid
+ */
+export function parseTimeRange(value) {
+  const parts = typeof value === 'string' ? value.split('-') : [];
+  if (parts.length !== 2) return null;
+
+  const [start, end] = parts.map(part => part.trim());
+  if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) return null;
+
+  return { start, end };
+}
+
+/**
+ * Parse a day specification
+ * @param {string|Array} value - "weekdays", "weekends", "daily", "mon,wed,fri" or an array of those
+ * @returns {number[]|null} Sorted day indexes (0 = Sunday) or null if invalid
+ */
+export function parseDays(value) {
+  if (value === undefined || value === null) return DAY_GROUPS.daily;
+
+  const tokens = Array.isArray(value) ? value : String(value).split(',');
+  const days = new Set();
+
+  for (const token of tokens) {
+    const key = String(token).trim().toLowerCase();
+    if (DAY_GROUPS[key]) {
+      DAY_GROUPS[key].forEach(day => days.add(day));
+    } else if (WEEKDAYS.includes(key) || DAY_NAMES.includes(key)) {
+      days.add(Math.max(WEEKDAYS.indexOf(key), DAY_NAMES.indexOf(key)));
+    } else {
+      return null;
+    }
+  }
+
+  return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Format day indexes back into a compact specification
+ * @param {number[]} days - Day indexes
+ * @returns {string} "daily", "weekdays", "weekends" or "mon,wed"
+ */
+export function formatDays(days) {
+  const key = [...days].sort((a, b) => a - b).join(',');
+  const group = Object.keys(DAY_GROUPS).find(name => DAY_GROUPS[name].join(',') === key);
+  return group || days.map(day => WEEKDAYS[day]).join(',');
+}
+
+/**
+ * Clamp a frequency multiplier
+ * @param {*} value - Multiplier
+ * @param {number} fallback - Value used when the input is not a number
+ * @returns {number} Multiplier
+ */
+function sanitizeMultiplier(value, fallback) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return fallback;
+  return Math.max(MIN_MULTIPLIER, Math.min(MAX_MULTIPLIER, number));
+}
+
+/**
+ * Normalize one time window
+ * @param {Object} range - Raw window
+ * @param {string} type - quietHours, focusBlocks or bursts
+ * @param {string} label - Label used in error messages
+ * @param {string[]} errors - Collects validation errors
+ * @returns {Object|null} Normalized window or null if invalid
+ */
+function normalizeWindow(range, type, label, errors) {
+  if (!range || typeof range !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  if (parseTimeOfDay(range.start) === null || parseTimeOfDay(range.end) === null) {
+    errors.push(`${label} needs "start" and "end" times as HH:MM`);
+    return null;
+  }
+
+  const days = parseDays(range.days);
+  if (!days) {
+    errors.push(`${label} has invalid days: ${JSON.stringify(range.days)}`);
+    return null;
+  }
+
+  const normalized = {
+    name: typeof range.name === 'string' && range.name.trim() ? range.name.trim() : DEFAULT_NAMES[type],
+    start: range.start.trim(),
+    end: range.end.trim(),
+    days: formatDays(days)
+  };
+
+  if (type !== 'quietHours') {
+    normalized.frequencyMultiplier = sanitizeMultiplier(range.frequencyMultiplier, DEFAULT_MULTIPLIERS[type]);
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize one mode/day override
+ * @param {Object} override - Raw override
+ * @param {string} label - Label used in error messages
+ * @param {string[]} errors - Collects validation errors
+ * @returns {Object|null} Normalized override or null if invalid
+ */
+function normalizeModeOverride(override, label, errors) {
+  if (!override || typeof override !== 'object') {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const normalized = {};
+  if (override.quiet === true) normalized.quiet = true;
+  if (override.frequencyMultiplier !== undefined) {
+    normalized.frequencyMultiplier = sanitizeMultiplier(override.frequencyMultiplier, 1);
+  }
+  ['minDelaySeconds', 'maxDelaySeconds'].forEach(key => {
+    if (override[key] !== undefined) {
+      const seconds = parseFloat(override[key]);
+      if (isNaN(seconds) || seconds < 1) {
+        errors.push(`${label}.${key} must be a number of seconds`);
+      } else {
+        normalized[key] = seconds;
+      }
+    }
+  });
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate and normalize a schedule configuration. Invalid entries are
+ * dropped and reported in `errors`.
+ * @param {Object} schedule - Raw schedule block
+ * @returns {Object} { schedule, errors }
+ */
+export function normalizeSchedule(schedule) {
+  const errors = [];
+  const normalized = {
+    ...DEFAULT_SCHEDULE,
+    quietHours: [],
+    focusBlocks: [],
+    bursts: [],
+    modeOverrides: {}
+  };
+
+  if (schedule === undefined || schedule === null) {
+    return { schedule: normalized, errors };
+  }
+
+  if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+    errors.push('schedule must be an object');
+    return { schedule: normalized, errors };
+  }
+
+  normalized.enabled = schedule.enabled !== false;
+
+  ['quietHours', 'focusBlocks', 'bursts'].forEach(type => {
+    if (schedule[type] === undefined) return;
+    if (!Array.isArray(schedule[type])) {
+      errors.push(`schedule.${type} must be an array`);
+      return;
+    }
+    schedule[type].forEach((range, index) => {
+      const entry = normalizeWindow(range, type, `schedule.${type}[${index}]`, errors);
+      if (entry) normalized[type].push(entry);
+    });
+  });
+
+  if (schedule.modeOverrides !== undefined) {
+    if (!schedule.modeOverrides || typeof schedule.modeOverrides !== 'object') {
+      errors.push('schedule.modeOverrides must be an object');
+    } else {
+      Object.entries(schedule.modeOverrides).forEach(([mode, days]) => {
+        if (!days || typeof days !== 'object') {
+          errors.push(`schedule.modeOverrides.${mode} must be an object`);
+          return;
+        }
+        Object.entries(days).forEach(([daySpec, override]) => {
+          const label = `schedule.modeOverrides.${mode}.${daySpec}`;
+          if (!parseDays(daySpec)) {
+            errors.push(`${label} is not a valid day`);
+            return;
+          }
+          const entry = normalizeModeOverride(override, label, errors);
+          if (entry) {
+            normalized.modeOverrides[mode] = { ...normalized.modeOverrides[mode], [daySpec]: entry };
+          }
+        });
+      });
+    }
+  }
+
+  return { schedule: normalized, errors };
+}
+
+/**
+ * Apply an override layer (from `!schedule`) on top of a base schedule.
+ * Top-level keys present in the overrides replace the base; mode overrides
+ * are merged per mode and day, and a null day entry removes the base entry.
+ * @param {Object} base - Schedule from global-config.json
+ * @param {Object} overrides - Terminal overrides
+ * @returns {Object} Merged raw schedule
+ */
+export function mergeSchedules(base, overrides) {
+  const merged = { ...(base || {}) };
+  if (!overrides || typeof overrides !== 'object') return merged;
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (key !== 'modeOverrides') {
+      merged[key] = value;
+      return;
+    }
+
+    const modeOverrides = { ...(merged.modeOverrides || {}) };
+    Object.entries(value || {}).forEach(([mode, days]) => {
+      const modeDays = { ...(modeOverrides[mode] || {}) };
+      Object.entries(days || {}).forEach(([daySpec, override]) => {
+        if (override === null) {
+          delete modeDays[daySpec];
+        } else {
+          modeDays[daySpec] = override;
+        }
+      });
+      modeOverrides[mode] = modeDays;
+    });
+    merged.modeOverrides = modeOverrides;
+  });
+
+  return merged;
+}
+
+/**
+ * Check whether a window is active at a given time. Windows that wrap past
+ * midnight belong to the day they start on.
+ * @param {Object} range - Normalized window
+ * @param {Date} now - Time to check
+ * @returns {boolean} Active state
+ */
+export function isWindowActive(range, now) {
+  const start = parseTimeOfDay(range.start);
+  const end = parseTimeOfDay(range.end);
+  const days = parseDays(range.days) || [];
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const day = now.getDay();
+
+  if (start === end) return days.includes(day);
+  if (start < end) return days.includes(day) && minutes >= start && minutes < end;
+  if (minutes >= start) return days.includes(day);
+  return minutes < end && days.includes((day + 6) % 7);
+}
+
+/**
+ * Get the time an active window ends
+ * @param {Object} range - Normalized window
+ * @param {Date} now - Current time
+ * @returns {Date} End time
+ */
+export function getWindowEnd(range, now) {
+  const start = parseTimeOfDay(range.start);
+  const end = start === parseTimeOfDay(range.end) ? 24 * 60 : parseTimeOfDay(range.end);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+
+  // Wrapped windows that started today end tomorrow
+  const endsAt = new Date(now);
+  if (end <= minutes) {
+    endsAt.setDate(endsAt.getDate() + 1);
+  }
+  endsAt.setHours(0, end, 0, 0);
+  return endsAt;
+}
+
+/**
+ * Find the override for a mode on the current day. Single-day keys win
+ * over groups like "weekdays".
+ * @param {Object} schedule - Normalized schedule
+ * @param {string} mode - Mode identifier
+ * @param {Date} now - Current time
+ * @returns {Object|null} { day, override } or null
+ */
+function findModeOverride(schedule, mode, now) {
+  const days = schedule.modeOverrides[mode];
+  if (!days) return null;
+
+  const matches = Object.entries(days)
+    .map(([daySpec, override]) => ({ day: daySpec, override, span: (parseDays(daySpec) || []).length }))
+    .filter(entry => (parseDays(entry.day) || []).includes(now.getDay()))
+    .sort((a, b) => a.span - b.span);
+
+  return matches[0] || null;
+}
+
+/**
+ * Evaluate the schedule for the current time and mode
+ * @param {Object} schedule - Normalized schedule
+ * @param {Object} options - { mode, now }
+ * @returns {Object} { quiet, resumeAt, frequencyMultiplier, minDelaySeconds, maxDelaySeconds, activeRules }
+ */
+export function evaluateSchedule(schedule, { mode = null, now = new Date() } = {}) {
+  const result = {
+    quiet: false,
+    resumeAt: null,
+    frequencyMultiplier: 1,
+    minDelaySeconds: null,
+    maxDelaySeconds: null,
+    activeRules: []
+  };
+
+  if (!schedule || schedule.enabled === false) {
+    return result;
+  }
+
+  const quietWindows = schedule.quietHours.filter(range => isWindowActive(range, now));
+  if (quietWindows.length > 0) {
+    const ends = quietWindows.map(range => getWindowEnd(range, now).getTime());
+    result.quiet = true;
+    result.resumeAt = new Date(Math.max(...ends));
+    result.activeRules = quietWindows.map(range => ({ type: 'quiet', name: range.name }));
+    return result;
+  }
+
+  const match = mode ? findModeOverride(schedule, mode, now) : null;
+  if (match?.override.quiet) {
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    tomorrow.setHours(0, 0, 0, 0);
+    result.quiet = true;
+    result.resumeAt = tomorrow;
+    result.activeRules = [{ type: 'mode', name: `${mode} (${match.day})` }];
+    return result;
+  }
+
+  [['focusBlocks', 'focus'], ['bursts', 'burst']].forEach(([key, type]) => {
+    schedule[key].filter(range => isWindowActive(range, now)).forEach(range => {
+      result.frequencyMultiplier *= range.frequencyMultiplier;
+      result.activeRules.push({ type, name: range.name });
+    });
+  });
+
+  if (match) {
+    const { frequencyMultiplier, minDelaySeconds, maxDelaySeconds } = match.override;
+    if (frequencyMultiplier !== undefined) result.frequencyMultiplier *= frequencyMultiplier;
+    if (minDelaySeconds !== undefined) result.minDelaySeconds = minDelaySeconds;
+    if (maxDelaySeconds !== undefined) result.maxDelaySeconds = maxDelaySeconds;
+    result.activeRules.push({ type: 'mode', name: `${mode} (${match.day})` });
+  }
+
+  return result;
+}
+
+/**
+ * Describe a schedule evaluation for the terminal
+ * @param {Object} evaluation - Result of evaluateSchedule
+ * @returns {string} Summary
+ */
+export function describeEvaluation(evaluation) {
+  if (evaluation.quiet) {
+    const until = evaluation.resumeAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return `Quiet until ${until} (${evaluation.activeRules.map(rule => rule.name).join(', ')})`;
+  }
+  if (evaluation.activeRules.length === 0) {
+    return 'Normal cadence';
+  }
+  const rules = evaluation.activeRules.map(rule => `${rule.type}: ${rule.name}`).join(', ');
+  return `${evaluation.frequencyMultiplier.toFixed(2)}x message frequency (${rules})`;
+}
+
+/**
+ * Format a schedule for the terminal
+ * @param {Object} schedule - Normalized schedule
+ * @returns {string} Multi-line summary
+ */
+export function formatSchedule(schedule) {
+  const formatWindows = (windows, showMultiplier) => windows.length === 0
+    ? 'none'
+    : windows.map(range => {
+      const multiplier = showMultiplier ? ` x${range.frequencyMultiplier}` : '';
+      return `${range.name} ${range.start}-${range.end} ${range.days}${multiplier}`;
+    }).join('; ');
+
+  const overrides = Object.entries(schedule.modeOverrides).flatMap(([mode, days]) =>
+    Object.entries(days).map(([day, override]) => {
+      const value = override.quiet ? 'quiet' : Object.entries(override).map(([key, v]) => `${key}=${v}`).join(' ');
+      return `${mode} ${day}: ${value}`;
+    })
+  );
+
+  return [
+    `Schedule: ${schedule.enabled ? 'ON' : 'OFF'}`,
+    `Quiet hours: ${formatWindows(schedule.quietHours, false)}`,
+    `Focus blocks: ${formatWindows(schedule.focusBlocks, true)}`,
+    `Bursts: ${formatWindows(schedule.bursts, true)}`,
+    `Mode overrides: ${overrides.length > 0 ? overrides.join('; ') : 'none'}`
+  ].join('\n');
+}
+
+export default {
+  WEEKDAYS,
+  DEFAULT_SCHEDULE,
+  parseTimeOfDay,
+  parseTimeRange,
+  parseDays,
+  formatDays,
+  normalizeSchedule,
+  mergeSchedules,
+  isWindowActive,
+  getWindowEnd,
+  evaluateSchedule,
+  describeEvaluation,
+  formatSchedule
+};
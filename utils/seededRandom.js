@@ -0,0 +1,224 @@
+/**
+ * Seeded Random Service
+ *
+ * Seedable PRNG shared by the message scheduler and mode scenes so a
+ * sequence can be replayed from a bug report. Without a seed every stream
+ * falls back to Math.random(). Named streams (e.g. "messages", "scene") are
+ * derived from the seed independently, so per-frame scene animation never
+ * shifts the message sequence.
+ *
+ * Set the seed with the `!seed <n>` terminal command or a `?seed=<n>` URL param.
+ */
+
+let currentSeed = null;
+const streams = new Map();
+const listeners = new Set();
+
+/**
+ * Mulberry32 generator
+ * @param {number} seed - 32-bit unsigned seed
+ * @returns {Function} Random function returning [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  next.seed = seed >>> 0;
+  return next;
+}
+
+/**
+ * FNV-1a hash of a string to a 32-bit unsigned integer
+ * @param {string} text - Text to hash
+ * @returns {number} Hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalize a seed value. Integers are used as-is (mod 2^32); other strings
+ * are hashed so "!seed bug-1234" works too.
+ * @param {number|string} value - Seed input
+ * @returns {number|null} 32-bit unsigned seed or null if the value is empty/invalid
+ */
+export function normalizeSeed(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.floor(value) >>> 0 : null;
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  return /^-?\d+$/.test(trimmed) ? Number(trimmed) >>> 0 : hashString(trimmed);
+}
+
+/**
+ * Notifies seed listeners
+ */
+function notifyListeners() {
+  listeners.forEach(listener => {
+    try {
+      listener(currentSeed);
+    } catch (error) {
+      console.warn('⚠️ Seed listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Set the global seed. Every stream restarts from the beginning of its sequence.
+ * @param {number|string} value - Seed input
+ * @returns {number|null} Normalized seed or null if the value was invalid
+ */
+export function setSeed(value) {
+  const seed = normalizeSeed(value);
+  if (seed === null) {
+    return null;
+  }
+
+  currentSeed = seed;
+  streams.clear();
+  notifyListeners();
+  console.log(`🎲 Random seed set to ${seed}`);
+  return seed;
+}
+
+/**
+ * Clear the seed and go back to Math.random()
+ */
+export function clearSeed() {
+  if (currentSeed === null) return;
+
+  currentSeed = null;
+  streams.clear();
+  notifyListeners();
+  console.log('🎲 Random seed cleared');
+}
+
+/**
+ * Get the current seed
+ * @returns {number|null} Seed or null when unseeded
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Get a named random stream. The returned function can be held on to; it
+ * follows seed changes and uses Math.random() while unseeded.
+ * @param {string} name - Stream name
+ * @returns {Function} Random function returning [0, 1)
+ */
+export function getRandomStream(name = 'default') {
+  return () => {
+    if (currentSeed === null) {
+      return Math.random();
+    }
+
+    let generator = streams.get(name);
+    if (!generator) {
+      generator = createSeededRandom(currentSeed ^ hashString(name));
+      streams.set(name, generator);
+    }
+    return generator();
+  };
+}
+
+/**
+ * Default stream
+ */
+export const random = getRandomStream('default');
+
+/**
+ * Random float in [min, max)
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {Function} source - Random source
+ * @returns {number} Random value
+ */
+export function randomRange(min, max, source = random) {
+  return source() * (max - min) + min;
+}
+
+/**
+ * Random integer in [min, max]
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound (inclusive)
+ * @param {Function} source - Random source
+ * @returns {number} Random integer
+ */
+export function randomInt(min, max, source = random) {
+  return Math.floor(source() * (max - min + 1)) + min;
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ * @param {Array} array - Items to shuffle
+ * @param {Function} source - Random source
+ * @returns {Array} Shuffled copy
+ */
+export function shuffle(array, source = random) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(source() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Subscribe to seed changes
+ * @param {Function} listener - Called with the new seed (or null)
+ * @returns {Function} Unsubscribe function
+ */
+export function onSeedChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Apply a `seed` URL parameter if present
+ * @param {string} search - Query string (defaults to window.location.search)
+ * @returns {number|null} Applied seed or null
+ */
+export function initializeSeedFromURL(search) {
+  const query = search !== undefined ? search : (typeof window !== 'undefined' ? window.location.search : '');
+  if (!query) return null;
+
+  try {
+    const param = new URLSearchParams(query).get('seed');
+    return param !== null ? setSeed(param) : null;
+  } catch (error) {
+    console.warn('⚠️ Failed to read seed from URL:', error);
+    return null;
+  }
+}
+
+export default {
+  createSeededRandom,
+  normalizeSeed,
+  setSeed,
+  clearSeed,
+  getSeed,
+  getRandomStream,
+  random,
+  randomRange,
+  randomInt,
+  shuffle,
+  onSeedChange,
+  initializeSeedFromURL
+};
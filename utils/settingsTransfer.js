@@ -0,0 +1,208 @@
+/**
+ * Settings file helpers
+ *
+ * Builds and reads the JSON files `!export file` and `!profile export`
+ * write: a format marker, the settings schema version, an optional profile
+ * name and a checksum over the rest of the document, so a hand-edited or
+ * truncated file is caught before anything is applied. Also diffs two
+ * settings objects field by field for import previews. SettingsManager
+ * owns migrations and validation; these helpers stay pure.
+ */
+
+export const SETTINGS_FILE_FORMAT = 'vibescreen-settings';
+
+/**
+ * JSON with object keys sorted, so equal settings always hash the same
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * FNV-1a checksum of a string. Not a signature against a determined
+ * attacker, but enough to catch edits and truncation.
+ * @param {string} text - Text to hash
+ * @returns {string} e.g. "fnv1a:8c2d19f0"
+ */
+export function computeChecksum(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `fnv1a:${hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Build a settings file document
+ * @param {Object} options - { schemaVersion, settings, profile?, exportedAt? }
+ * @returns {Object} Document including its checksum
+ */
+export function createSettingsFile({ schemaVersion, settings, profile = null, exportedAt = new Date().toISOString() }) {
+  const document = {
+    format: SETTINGS_FILE_FORMAT,
+    schemaVersion,
+    exportedAt,
+    profile,
+    settings
+  };
+  return { ...document, checksum: computeChecksum(canonicalJson(document)) };
+}
+
+/**
+ * Encode text as base64, including non-Latin-1 characters. Goes through
+ * encodeURIComponent rather than TextEncoder, which jsdom does not provide.
+ * @param {string} text - Text to encode
+ * @returns {string} Base64
+ */
+export function encodeBase64(text) {
+  return btoa(unescape(encodeURIComponent(text)));
+}
+
+/**
+ * Decode base64 made by encodeBase64 (or plain btoa)
+ * @param {string} base64 - Base64 text
+ * @returns {string} Decoded text
+ */
+export function decodeBase64(base64) {
+  const binary = atob(base64);
+  try {
+    return decodeURIComponent(escape(binary));
+  } catch (error) {
+    // Latin-1 text from plain btoa that is not valid UTF-8
+    return binary;
+  }
+}
+
+/**
+ * Read a settings file or an `!export` string. Legacy exports (base64 of
+ * `{ version, timestamp, settings }` without a checksum) are accepted and
+ * flagged so they can be migrated.
+ * @param {string} input - JSON text or base64
+ * @returns {Object} { valid, schemaVersion, settings, profile, legacy } or { valid: false, error }
+ */
+export function readSettingsFile(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (!text) {
+    return { valid: false, error: 'nothing to import' };
+  }
+
+  let document;
+  try {
+    document = JSON.parse(text.startsWith('{') ? text : decodeBase64(text));
+  } catch {
+    return { valid: false, error: 'not a settings file or export string (it may be incomplete)' };
+  }
+  if (!document || typeof document !== 'object' || !document.settings || typeof document.settings !== 'object') {
+    return { valid: false, error: 'no settings found' };
+  }
+
+  if (document.format !== SETTINGS_FILE_FORMAT) {
+    if (!document.version) {
+      return { valid: false, error: 'unknown file format' };
+    }
+    return { valid: true, schemaVersion: document.version, settings: document.settings, profile: null, legacy: true };
+  }
+
+  if (typeof document.schemaVersion !== 'string') {
+    return { valid: false, error: 'missing schema version' };
+  }
+  const { checksum, ...content } = document;
+  if (!checksum) {
+    return { valid: false, error: 'missing checksum' };
+  }
+  if (checksum !== computeChecksum(canonicalJson(content))) {
+    return { valid: false, error: 'checksum mismatch - the file was edited or damaged' };
+  }
+
+  return {
+    valid: true,
+    schemaVersion: document.schemaVersion,
+    settings: document.settings,
+    profile: typeof document.profile === 'string' ? document.profile : null,
+    legacy: false
+  };
+}
+
+/**
+ * Compare dotted version strings
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const difference = (left[index] || 0) - (right[index] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Field-level differences between two settings objects
+ * @param {Object} before - Current settings
+ * @param {Object} after - Incoming settings
+ * @param {string} [prefix] - Path prefix (used when recursing)
+ * @returns {Object[]} [{ path, from, to }] in key order
+ */
+export function diffSettings(before, after, prefix = '') {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+  return keys.flatMap(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject(from) || isObject(to)) {
+      return diffSettings(isObject(from) ? from : {}, isObject(to) ? to : {}, path);
+    }
+    return canonicalJson(from) === canonicalJson(to) ? [] : [{ path, from, to }];
+  });
+}
+
+/**
+ * Terminal lines for a settings diff
+ * @param {Object[]} changes - From diffSettings
+ * @returns {string} One "path: old → new" line per change
+ */
+export function formatSettingsDiff(changes) {
+  const show = value => (value === undefined ? '(none)' : JSON.stringify(value));
+  return changes.map(change => `  ${change.path}: ${show(change.from)} → ${show(change.to)}`).join('\n');
+}
+
+/**
+ * Whether a string can be used as a profile name
+ * @param {string} name - Profile name
+ * @returns {boolean} True for letters, digits and dashes starting with a letter
+ */
+export function isValidProfileName(name) {
+  return /^[a-z][a-z0-9-]{0,29}$/.test(name);
+}
+
+export default {
+  SETTINGS_FILE_FORMAT,
+  canonicalJson,
+  computeChecksum,
+  createSettingsFile,
+  encodeBase64,
+  decodeBase64,
+  readSettingsFile,
+  compareVersions,
+  diffSettings,
+  formatSettingsDiff,
+  isValidProfileName
+};
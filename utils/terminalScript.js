@@ -0,0 +1,104 @@
+/**
+ * Terminal scripting helpers
+ *
+ * Splits `;`-chained terminal input into single commands and checks alias
+ * names and script bodies. Scripts are run by CommandExecutor.runScript,
+ * which feeds each command through CommandParser exactly like typed input,
+ * so chained commands, aliases and the startup script behave the same.
+ */
+
+export const MAX_SCRIPT_COMMANDS = 50;
+export const MAX_SCRIPT_DEPTH = 5;
+export const MAX_SCRIPT_LENGTH = 500;
+export const MAX_WAIT_SECONDS = 600;
+
+// Commands whose argument is itself a script, so the rest of the line belongs to them
+const SCRIPT_BODY_PATTERNS = [
+  /^!alias\s+[^\s=]+\s*=/i,
+  /^!startup\s+set(\s|$)/i
+];
+
+/**
+ * Split terminal input on `;` into single commands. `!alias name = ...` and
+ * `!startup set ...` keep the rest of the line, including its `;`s.
+ * @param {string} input - Raw terminal input
+ * @returns {string[]} Trimmed, non-empty commands
+ */
+export function splitCommands(input) {
+  const commands = [];
+  let rest = typeof input === 'string' ? input.trim() : '';
+
+  while (rest) {
+    if (SCRIPT_BODY_PATTERNS.some(pattern => pattern.test(rest))) {
+      commands.push(rest);
+      break;
+    }
+
+    const end = rest.indexOf(';');
+    const command = (end === -1 ? rest : rest.slice(0, end)).trim();
+    if (command) commands.push(command);
+    rest = end === -1 ? '' : rest.slice(end + 1).trim();
+  }
+
+  return commands;
+}
+
+/**
+ * Check a script body (alias or startup script)
+ * @param {string} script - `;`-separated commands
+ * @returns {Object} { valid, commands, error }
+ */
+export function validateScript(script) {
+  const commands = splitCommands(script);
+
+  if (commands.length === 0) {
+    return { valid: false, commands, error: 'Script is empty' };
+  }
+  if (commands.length > MAX_SCRIPT_COMMANDS) {
+    return { valid: false, commands, error: `Scripts are limited to ${MAX_SCRIPT_COMMANDS} commands` };
+  }
+  if (script.length > MAX_SCRIPT_LENGTH) {
+    return { valid: false, commands, error: `Scripts are limited to ${MAX_SCRIPT_LENGTH} characters` };
+  }
+
+  const invalid = commands.find(command => !command.startsWith('!'));
+  if (invalid) {
+    return { valid: false, commands, error: `"${invalid}" is not a command (commands start with !)` };
+  }
+
+  return { valid: true, commands };
+}
+
+/**
+ * Parse `<name> = <commands>` from an `!alias` definition
+ * @param {string} text - Everything after `!alias`
+ * @returns {Object|null} { name, script }, or null if there is no `=`
+ */
+export function parseAliasDefinition(text) {
+  const match = text.match(/^\s*([^\s=]+)\s*=\s*(.*)$/);
+  if (!match) return null;
+  return {
+    name: match[1].replace(/^!/, '').toLowerCase(),
+    script: match[2].trim()
+  };
+}
+
+/**
+ * Whether a string can be used as an alias name (`!focus`)
+ * @param {string} name - Alias name without the !
+ * @returns {boolean} True for letters, digits and dashes starting with a letter
+ */
+export function isValidAliasName(name) {
+  return /^[a-z][a-z0-9-]{0,29}$/.test(name);
+}
+
+export default {
+  MAX_SCRIPT_COMMANDS,
+  MAX_SCRIPT_DEPTH,
+  MAX_SCRIPT_LENGTH,
+  MAX_WAIT_SECONDS,
+  splitCommands,
+  validateScript,
+  parseAliasDefinition,
+  isValidAliasName
+};
@@ -7,13 +7,16 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import MessageScheduler from './MessageScheduler';
+import { getSettingsManager } from './useSettingsManager';
 
 export const useMessageScheduler = (options = {}) => {
   const {
     globalConfig = {},
     onError = console.error,
+    onMessageShow = null,
     autoStart = true,
-    initialMode = null
+    initialMode = null,
+    windowSync = null
   } = options;
 
   // State management
@@ -27,13 +30,18 @@ export const useMessageScheduler = (options = {}) => {
   // Refs
   const schedulerRef = useRef(null);
   const mountedRef = useRef(true);
+  const onMessageShowRef = useRef(onMessageShow);
+  onMessageShowRef.current = onMessageShow;
+  const windowSyncRef = useRef(windowSync);
+  windowSyncRef.current = windowSync;
 
   // Initialize scheduler
   useEffect(() => {
     const scheduler = new MessageScheduler({
       globalConfig,
       onMessageShow: handleMessageShow,
-      onError: handleError
+      onError: handleError,
+      settingsManager: getSettingsManager()
     });
 
     schedulerRef.current = scheduler;
@@ -81,6 +89,16 @@ export const useMessageScheduler = (options = {}) => {
         .slice(-3); // Keep only last 3 messages
     });
 
+    // The leading window shares its messages with the other windows
+    if (windowSyncRef.current) {
+      windowSyncRef.current.broadcastMessage(messageObj);
+    }
+
+    // Let the page react to each new message (e.g. speak it aloud)
+    if (onMessageShowRef.current) {
+      onMessageShowRef.current(messageObj);
+    }
+
     // Note: Auto-cleanup is now handled by the scheduler itself
     // The scheduler will call cleanup() which triggers handleMessageComplete
   }, []);
@@ -94,6 +112,31 @@ export const useMessageScheduler = (options = {}) => {
     onError(errorMessage, error);
   }, [onError]);
 
+  // With several windows open only the leader schedules; the others show what it broadcasts
+  useEffect(() => {
+    if (!windowSync) return;
+
+    const followLeader = () => {
+      schedulerRef.current?.setFollower(!windowSync.isLeader());
+    };
+    const handleSyncEvent = (event, data) => {
+      if (event === 'leader-changed') {
+        followLeader();
+      } else if (event === 'message') {
+        schedulerRef.current?.showRemoteMessage(data);
+      } else if (event === 'say') {
+        schedulerRef.current?.showMessage(data.reaction ? data : data.text);
+      }
+    };
+
+    followLeader();
+    windowSync.addListener(handleSyncEvent);
+    return () => {
+      windowSync.removeListener(handleSyncEvent);
+      schedulerRef.current?.setFollower(false);
+    };
+  }, [windowSync, globalConfig, autoStart, initialMode]);
+
   // Update scheduler status
   const updateStatus = useCallback(() => {
     if (schedulerRef.current) {
@@ -183,6 +226,15 @@ export const useMessageScheduler = (options = {}) => {
     schedulerRef.current.testPopup();
   }, []);
 
+  // Show a message right away (!say, !react, the control API); a following window hands it to the leader
+  const showMessage = useCallback((message) => {
+    if (windowSyncRef.current && !windowSyncRef.current.isLeader()) {
+      windowSyncRef.current.forwardMessage(message);
+      return;
+    }
+    schedulerRef.current?.showMessage(message);
+  }, []);
+
   // Clear all messages with enhanced cleanup
   const clearMessages = useCallback(() => {
     setMessages([]);
@@ -210,6 +262,14 @@ export const useMessageScheduler = (options = {}) => {
     schedulerRef.current.updateGlobalConfig(newConfig);
   }, []);
 
+  // Apply changed schedule rules without waiting for the pending timer
+  const reschedule = useCallback(() => {
+    if (!schedulerRef.current) return;
+
+    schedulerRef.current.reschedule();
+    updateStatus();
+  }, [updateStatus]);
+
   // Get current messages for the active mode
   const getCurrentMessages = useCallback(() => {
     if (!schedulerRef.current) return [];
@@ -256,9 +316,11 @@ export const useMessageScheduler = (options = {}) => {
     resume,
     togglePause,
     testPopup,
+    showMessage,
     clearMessages,
     handleMessageComplete,
     updateGlobalConfig,
+    reschedule,
     getCurrentMessages,
     reloadMessages,
 
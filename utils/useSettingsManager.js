@@ -14,7 +14,7 @@ let globalSettingsManager = null;
  * Get or create the global settings manager instance
  * @returns {SettingsManager} Settings manager instance
  */
-function getSettingsManager() {
+export function getSettingsManager() {
   if (!globalSettingsManager) {
     globalSettingsManager = new SettingsManager();
     globalSettingsManager.initialize();
@@ -5,6 +5,7 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import ThemeManager from './ThemeManager.js';
+import { getSettingsManager } from './useSettingsManager';
 
 /**
  * Custom hook for theme management
@@ -29,6 +30,7 @@ export const useThemeManager = (options = {}) => {
       themeManagerRef.current = new ThemeManager({
         initialTheme,
         transitionDuration,
+        settingsManager: getSettingsManager(),
         onThemeChange: (themeId, config) => {
           setCurrentTheme(themeId);
           setThemeConfig(config);
@@ -50,12 +52,21 @@ export const useThemeManager = (options = {}) => {
         }
       });
 
-      // Initialize with the initial theme
+      // Initialize with the initial mode's theme (or the one picked with !theme)
       themeManagerRef.current.initialize(initialTheme);
-      setThemeConfig(themeManagerRef.current.getThemeConfig(initialTheme));
+      setThemeConfig(themeManagerRef.current.getThemeConfig(themeManagerRef.current.currentTheme));
+      themeManagerRef.current.loadCustomThemes();
     }
   }, [initialTheme, transitionDuration, onThemeChange, onTransitionStart, onTransitionEnd]);
 
+  // Stop following the theme setting on unmount
+  useEffect(() => () => {
+    if (themeManagerRef.current) {
+      themeManagerRef.current.destroy();
+      themeManagerRef.current = null;
+    }
+  }, []);
+
   // Switch theme function
   const switchTheme = useCallback(async (themeId, options = {}) => {
     if (themeManagerRef.current) {
@@ -64,6 +75,14 @@ export const useThemeManager = (options = {}) => {
     return false;
   }, []);
 
+  // Show the theme for a newly active mode
+  const setMode = useCallback(async (modeId, options = {}) => {
+    if (themeManagerRef.current) {
+      return await themeManagerRef.current.setMode(modeId, options);
+    }
+    return false;
+  }, []);
+
   // Apply theme function (without transition)
   const applyTheme = useCallback((themeId, options = {}) => {
     if (themeManagerRef.current) {
@@ -121,6 +140,7 @@ export const useThemeManager = (options = {}) => {
     
     // Methods
     switchTheme,
+    setMode,
     applyTheme,
     getThemeConfig,
     getAvailableThemes,
@@ -0,0 +1,279 @@
+/**
+ * User Mode Loader
+ *
+ * Runtime discovery and loading for user-defined (declarative) modes.
+ * Built-in modes are statically imported in modeRegistry.js; user modes are
+ * plain folders under modes/ with config.json, messages.json and a scene
+ * description (scene.json, scene.yaml or scene.yml) that are discovered through /api/modes and fetched on demand, so adding a
+ * character never requires editing source or rebuilding.
+ */
+
+import { fetchModes } from './modeCatalog.js';
+import { parseSceneFile, SCENE_FILE_NAMES } from './sceneDescription.js';
+
+// Discovered user modes keyed by mode id: { id, name, config, declarative }
+const userModes = new Map();
+const listeners = new Set();
+const staleListeners = new Set();
+
+/**
+ * Tells listeners that components built from a mode's files are out of date
+ * @param {string} modeId - Mode identifier
+ * @param {boolean} removed - True when the mode is gone, false when it changed
+ */
+function notifyStale(modeId, removed) {
+  staleListeners.forEach(listener => {
+    try {
+      listener(modeId, { removed });
+    } catch (error) {
+      console.warn('⚠️ User mode listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Whether a mode config differs from the registered one
+ * @param {Object} entry - Registered entry (or undefined)
+ * @param {Object} modeConfig - New mode config
+ * @returns {boolean} True if a registered mode changed
+ */
+function hasChanged(entry, modeConfig) {
+  return Boolean(entry) && JSON.stringify(entry.config) !== JSON.stringify(modeConfig);
+}
+
+/**
+ * Notifies registry listeners that the set of user modes changed
+ */
+function notifyListeners() {
+  const modes = getUserModes();
+  listeners.forEach(listener => {
+    try {
+      listener(modes);
+    } catch (error) {
+      console.warn('⚠️ User mode listener failed:', error);
+    }
+  });
+}
+
+/**
+ * Builds a registry entry from a mode config
+ * @param {Object} modeConfig - Mode config as returned by /api/modes
+ * @returns {Object} User mode entry
+ */
+function createEntry(modeConfig) {
+  return {
+    id: modeConfig.id,
+    name: modeConfig.name || modeConfig.id,
+    config: modeConfig,
+    declarative: true
+  };
+}
+
+/**
+ * Register (or update) a discovered user mode
+ * @param {Object} modeConfig - Mode config as returned by /api/modes
+ * @returns {Object|null} Registered entry or null if the config has no id
+ */
+export function registerUserMode(modeConfig) {
+  if (!modeConfig || typeof modeConfig.id !== 'string') {
+    return null;
+  }
+
+  const entry = createEntry(modeConfig);
+  const changed = hasChanged(userModes.get(entry.id), modeConfig);
+
+  userModes.set(entry.id, entry);
+  if (changed) notifyStale(entry.id, false);
+  notifyListeners();
+  return entry;
+}
+
+/**
+ * Remove a user mode from the runtime registry
+ * @param {string} modeId - Mode identifier
+ * @returns {boolean} True if the mode was registered
+ */
+export function unregisterUserMode(modeId) {
+  const removed = userModes.delete(modeId);
+  if (removed) {
+    notifyStale(modeId, true);
+    notifyListeners();
+  }
+  return removed;
+}
+
+/**
+ * Get all discovered user modes
+ * @returns {Object[]} Array of user mode entries
+ */
+export function getUserModes() {
+  return Array.from(userModes.values());
+}
+
+/**
+ * Get a discovered user mode by id
+ * @param {string} modeId - Mode identifier
+ * @returns {Object|null} User mode entry or null
+ */
+export function getUserMode(modeId) {
+  return userModes.get(modeId) || null;
+}
+
+/**
+ * Check whether a mode id belongs to a discovered user mode
+ * @param {string} modeId - Mode identifier
+ * @returns {boolean} True if the mode is a user mode
+ */
+export function isUserMode(modeId) {
+  return userModes.has(modeId);
+}
+
+/**
+ * Subscribe to user mode registry changes
+ * @param {Function} listener - Called with the current user mode list
+ * @returns {Function} Unsubscribe function
+ */
+export function onUserModesChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Subscribe to user modes whose files changed or were removed, so components
+ * built from an earlier definition can be dropped and rebuilt
+ * @param {Function} listener - Called with (modeId, { removed })
+ * @returns {Function} Unsubscribe function
+ */
+export function onUserModeStale(listener) {
+  staleListeners.add(listener);
+  return () => staleListeners.delete(listener);
+}
+
+/**
+ * Make the registered user modes match a complete mode list: declarative
+ * modes are registered or updated, registered modes missing from the list
+ * are removed. Listeners are notified once.
+ * @param {Object[]} modes - Every mode, as listed by /api/modes
+ * @returns {Object[]} The declarative modes of the list
+ */
+export function syncUserModes(modes) {
+  const discovered = modes.filter(mode => mode && mode.declarative && typeof mode.id === 'string');
+
+  // Drop user modes whose folders have been removed
+  const discoveredIds = new Set(discovered.map(mode => mode.id));
+  getUserModes()
+    .filter(mode => !discoveredIds.has(mode.id))
+    .forEach(mode => {
+      userModes.delete(mode.id);
+      notifyStale(mode.id, true);
+    });
+
+  discovered.forEach(mode => {
+    const changed = hasChanged(userModes.get(mode.id), mode);
+    userModes.set(mode.id, createEntry(mode));
+    if (changed) notifyStale(mode.id, false);
+  });
+
+  notifyListeners();
+  return discovered;
+}
+
+/**
+ * Discover user modes through the modes API (or the build manifest in the
+ * static export) and register them.
+ * Modes flagged as declarative by the API are user modes; everything else is
+ * expected to live in the static registry.
+ * @param {Object} options - Discovery options, passed to fetchModes
+ * @returns {Promise<Object[]>} Registered user modes
+ */
+export async function discoverUserModes(options = {}) {
+  try {
+    const { modes } = await fetchModes(options);
+    const discovered = syncUserModes(modes);
+
+    if (discovered.length > 0) {
+      console.log(`🧩 Discovered ${discovered.length} user mode(s):`, discovered.map(mode => mode.id));
+    }
+
+    return getUserModes();
+  } catch (error) {
+    console.warn('⚠️ User mode discovery failed:', error.message);
+    return getUserModes();
+  }
+}
+
+/**
+ * Fetch the full definition of a mode (config, messages and scene description).
+ * Uses the definition API first and falls back to the static copy under
+ * public/modes/ so declarative modes also work in a static export.
+ * @param {string} modeId - Mode identifier
+ * @returns {Promise<Object>} Definition { id, config, messages, scene } where
+ *   messages is the raw messages.json (array or category-tagged object)
+ */
+export async function fetchModeDefinition(modeId) {
+  if (!modeId || typeof modeId !== 'string') {
+    throw new Error('Invalid mode ID provided');
+  }
+
+  let response = null;
+  try {
+    response = await fetch(`/api/modes/${encodeURIComponent(modeId)}/definition`);
+  } catch (error) {
+    console.warn(`⚠️ Definition API unavailable for ${modeId}, trying static files:`, error.message);
+  }
+
+  if (response && response.ok) {
+    const data = await response.json();
+    return {
+      id: modeId,
+      config: data.config,
+      messages: data.messages && typeof data.messages === 'object' ? data.messages : [],
+      scene: data.scene || null
+    };
+  }
+
+  const fetchStatic = async (fileName) => {
+    const response = await fetch(`/modes/${modeId}/${fileName}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${fileName} for mode: ${modeId}`);
+    }
+    return response.json();
+  };
+
+  // The static copy may hold the scene in any of the supported formats
+  const fetchScene = async () => {
+    for (const fileName of SCENE_FILE_NAMES) {
+      const response = await fetch(`/modes/${modeId}/${fileName}`);
+      if (response.ok) {
+        return parseSceneFile(fileName, await response.text());
+      }
+    }
+    return null;
+  };
+
+  const [config, messages, scene] = await Promise.all([
+    fetchStatic('config.json'),
+    fetchStatic('messages.json').catch(() => []),
+    fetchScene().catch(() => null)
+  ]);
+
+  return {
+    id: modeId,
+    config: { ...config, id: modeId },
+    messages: messages && typeof messages === 'object' ? messages : [],
+    scene
+  };
+}
+
+export default {
+  registerUserMode,
+  unregisterUserMode,
+  getUserModes,
+  getUserMode,
+  isUserMode,
+  onUserModesChange,
+  onUserModeStale,
+  syncUserModes,
+  discoverUserModes,
+  fetchModeDefinition
+};